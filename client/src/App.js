@@ -4,6 +4,133 @@ import './App.css';
 // API URL - defaults to localhost for development, can be overridden with env var
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+// How often to poll a report job for progress
+const POLL_INTERVAL_MS = 2000;
+
+// Longest wait between polls while the server cannot be reached (the wait doubles up to this)
+const MAX_POLL_RETRY_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Error thrown when the server rejects our token mid-request
+class SessionExpiredError extends Error {}
+
+// Error thrown when a report job failed or no longer exists, so there is nothing left to collect
+class JobEndedError extends Error {}
+
+// How each column of the export was read, as shown in the upload preview
+const COLUMN_STATUS_LABELS = {
+  name: 'Respondent name',
+  time: 'Submission time',
+  openEnded: 'Open-ended',
+  detail: 'Respondent detail',
+  ignored: 'Ignored'
+};
+
+// Why a row of the export was left out, as shown in the upload preview
+const describeExclusion = (respondent) => {
+  if (respondent.reason === 'noAnswers') return 'no answers';
+  if (respondent.reason === 'duplicate') return `repeat of row ${respondent.keptRow}`;
+  return `${Math.round(respondent.completion * 100)}% answered`;
+};
+
+// Results of POST /api/validate: what will be read from the workbook, and what is wrong with it
+function UploadPreview({ preview }) {
+  const listedInvalid = preview.invalidAnswers.length;
+
+  return (
+    <div className={`preview ${preview.valid ? 'preview-valid' : 'preview-invalid'}`}>
+      <p className="preview-title">
+        {preview.valid
+          ? `Ready to analyze: ${preview.respondentCount} of ${preview.rowCount} respondents included`
+          : 'This file cannot be analyzed yet'}
+      </p>
+
+      {preview.errors.map((message) => (
+        <p key={message} className="preview-error">{message}</p>
+      ))}
+
+      {preview.warnings.length > 0 && (
+        <ul className="preview-warnings">
+          {preview.warnings.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+
+      {preview.respondents.length > 0 && (
+        <details>
+          <summary>Respondents ({preview.respondents.length})</summary>
+          <p className="preview-names">
+            {preview.respondents.map((r) => r.name).join(', ')}
+          </p>
+        </details>
+      )}
+
+      {preview.excluded.length > 0 && (
+        <details>
+          <summary>Left out ({preview.excluded.length})</summary>
+          <ul>
+            {preview.excluded.map((r) => (
+              <li key={r.row}>
+                Row {r.row}: {r.name} ({describeExclusion(r)})
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {preview.columns.length > 0 && (
+        <details open={preview.unmatchedQuestions.length > 0}>
+          <summary>
+            Columns ({preview.columns.filter((c) => c.status === 'question').length} matched to questions
+            {preview.unmatchedQuestions.length > 0 && `, ${preview.unmatchedQuestions.length} question(s) not found`})
+          </summary>
+          <table className="preview-table">
+            <tbody>
+              {preview.columns.map((c) => (
+                <tr key={c.column} className={`preview-column-${c.status}`}>
+                  <td>{c.letter}</td>
+                  <td>{c.header || <em>(no header)</em>}</td>
+                  <td>
+                    {c.status === 'question'
+                      ? `Question ${c.questionIndex + 1}${c.similarity < 1 ? ` (${Math.round(c.similarity * 100)}% match)` : ''}`
+                      : COLUMN_STATUS_LABELS[c.status]}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {preview.unmatchedQuestions.length > 0 && (
+            <ul>
+              {preview.unmatchedQuestions.map((q) => (
+                <li key={q.questionIndex}>
+                  Question {q.questionIndex + 1} "{q.text}" has no column
+                  {q.bestHeader && ` (closest: ${q.bestHeader}, ${Math.round(q.similarity * 100)}% similar)`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </details>
+      )}
+
+      {preview.invalidAnswerCount > 0 && (
+        <details>
+          <summary>Answers not on the scale ({preview.invalidAnswerCount})</summary>
+          <ul>
+            {preview.invalidAnswers.map((a) => (
+              <li key={`${a.row}-${a.column}`}>Row {a.row}, column {a.column}: "{a.value}"</li>
+            ))}
+          </ul>
+          {preview.invalidAnswerCount > listedInvalid && (
+            <p className="help-text">...and {preview.invalidAnswerCount - listedInvalid} more</p>
+          )}
+        </details>
+      )}
+    </div>
+  );
+}
+
 function App() {
   // Authentication state
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -17,11 +144,31 @@ function App() {
 
   // Upload form state
   const [file, setFile] = useState(null);
+  const [baselineFile, setBaselineFile] = useState(null);
   const [teamName, setTeamName] = useState('');
   const [specialInstructions, setSpecialInstructions] = useState('');
+  const [anonymizeQuotes, setAnonymizeQuotes] = useState(false);
+  const [anonymity, setAnonymity] = useState('off');
+  const [participantReports, setParticipantReports] = useState(false);
+  const [segmentBy, setSegmentBy] = useState('');
+  const [leaders, setLeaders] = useState('');
+  const [minCompletion, setMinCompletion] = useState('');
+  const [duplicatePolicy, setDuplicatePolicy] = useState('latest');
+  const [assessments, setAssessments] = useState([]);
+  const [assessmentId, setAssessmentId] = useState('');
+  const [benchmarks, setBenchmarks] = useState([]);
+  const [benchmarkId, setBenchmarkId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [jobSteps, setJobSteps] = useState([]);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  const [finishedJobId, setFinishedJobId] = useState(null);
+  const [finishedWithParticipants, setFinishedWithParticipants] = useState(false);
+  // Report job that was queued but not yet collected: { jobId, filename, withParticipants }
+  const [pendingJob, setPendingJob] = useState(null);
+  const [pollRetrying, setPollRetrying] = useState(false);
 
   // Check for existing token on mount
   useEffect(() => {
@@ -35,6 +182,46 @@ function App() {
     }
   }, []);
 
+  // Load available assessment definitions once logged in
+  useEffect(() => {
+    if (!isAuthenticated || !authToken) return;
+
+    fetch(`${API_URL}/api/assessments`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    })
+      .then(response => (response.ok ? response.json() : { assessments: [] }))
+      .then(data => {
+        const available = data.assessments || [];
+        setAssessments(available);
+        const defaultAssessment = available.find(a => a.isDefault) || available[0];
+        setAssessmentId(defaultAssessment ? defaultAssessment.id : '');
+      })
+      .catch(() => setAssessments([]));
+  }, [isAuthenticated, authToken]);
+
+  // Load the benchmarks that fit the chosen assessment
+  useEffect(() => {
+    if (!isAuthenticated || !authToken) return;
+
+    const query = assessmentId ? `?assessment=${encodeURIComponent(assessmentId)}` : '';
+    fetch(`${API_URL}/api/benchmarks${query}`, {
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    })
+      .then(response => (response.ok ? response.json() : { benchmarks: [] }))
+      .then(data => setBenchmarks(data.benchmarks || []))
+      .catch(() => setBenchmarks([]));
+    setBenchmarkId('');
+  }, [isAuthenticated, authToken, assessmentId]);
+
+  // A preview only describes the file and options it was run with
+  useEffect(() => {
+    setPreview(null);
+  }, [file, assessmentId, segmentBy, leaders, minCompletion, duplicatePolicy]);
+
   // Handle login
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -86,6 +273,7 @@ function App() {
     setUserEmail('');
     setIsAuthenticated(false);
     setFile(null);
+    setBaselineFile(null);
     setTeamName('');
     setSpecialInstructions('');
     setError('');
@@ -106,6 +294,225 @@ function App() {
     setError('');
   };
 
+  const handleBaselineFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+
+    if (selectedFile && !selectedFile.name.endsWith('.xlsx')) {
+      setError('Please select a valid Excel file (.xlsx) for the previous assessment');
+      setBaselineFile(null);
+      return;
+    }
+
+    setBaselineFile(selectedFile || null);
+    setError('');
+  };
+
+  // Authorized fetch that surfaces expired sessions
+  const authFetch = async (path, options = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+
+    if (response.status === 401) {
+      throw new SessionExpiredError('Your session has expired. Please log in again.');
+    }
+
+    return response;
+  };
+
+  // Poll a report job until it finishes, updating the step list as it goes.
+  // A dropped connection, a server error or an unreadable reply is retried with
+  // a growing wait; only a job that failed or no longer exists (404) ends the wait.
+  const waitForJob = async (jobId) => {
+    let retryDelay = POLL_INTERVAL_MS;
+
+    for (;;) {
+      let status = null;
+      let job = null;
+      try {
+        const response = await authFetch(`/api/jobs/${jobId}`);
+        status = response.status;
+        job = await response.json();
+      } catch (err) {
+        if (err instanceof SessionExpiredError) throw err;
+      }
+
+      if (status === 404) {
+        throw new JobEndedError((job && job.error) || 'The report job no longer exists. Please generate the report again.');
+      }
+
+      if (status !== 200 || !job) {
+        setPollRetrying(true);
+        await sleep(retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_POLL_RETRY_MS);
+        continue;
+      }
+
+      setPollRetrying(false);
+      retryDelay = POLL_INTERVAL_MS;
+      setJobSteps(job.steps || []);
+
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') {
+        throw new JobEndedError((job.error && job.error.message) || 'Failed to generate report');
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+  };
+
+  // Wait for a queued report job and download its PDF. The job is kept as
+  // pending until then, so a report that finishes after an error can still be collected.
+  const collectReport = async (job) => {
+    setPendingJob(job);
+    try {
+      await waitForJob(job.jobId);
+      await downloadJobResult(job.jobId, '/download', job.filename);
+    } catch (err) {
+      if (err instanceof JobEndedError) setPendingJob(null);
+      throw err;
+    } finally {
+      setPollRetrying(false);
+    }
+
+    setPendingJob(null);
+    setSuccess(true);
+    setFinishedJobId(job.jobId);
+    setFinishedWithParticipants(job.withParticipants);
+  };
+
+  // Pick up a report job whose progress was lost, e.g. after a network error or a new login
+  const handleResumeJob = async () => {
+    setLoading(true);
+    setJobSteps([]);
+    setError('');
+    setSuccess(false);
+
+    try {
+      await collectReport(pendingJob);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        handleLogout();
+      }
+      setError(err.message || 'An error occurred while collecting the report');
+    } finally {
+      setLoading(false);
+      setJobSteps([]);
+    }
+  };
+
+  // Check how the file will be read before spending a report run on it
+  const handlePreview = async () => {
+    setPreviewLoading(true);
+    setError('');
+    setSuccess(false);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (assessmentId) {
+        formData.append('assessment', assessmentId);
+      }
+      if (segmentBy.trim()) {
+        formData.append('segmentBy', segmentBy.trim());
+      }
+      if (leaders.trim()) {
+        formData.append('leaders', leaders.trim());
+      }
+      if (minCompletion.trim()) {
+        formData.append('minCompletion', minCompletion.trim());
+      }
+      formData.append('duplicatePolicy', duplicatePolicy);
+
+      const response = await authFetch('/api/validate', {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json().catch(() => ({ error: 'Failed to check file' }));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to check file');
+      }
+
+      setPreview(data);
+    } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        handleLogout();
+      }
+      setError(err.message || 'An error occurred while checking the file');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  // Saves one of a finished job's downloads ("/download" for the PDF, with a query for other formats)
+  const downloadJobResult = async (jobId, resource, fallbackFilename) => {
+    const downloadResponse = await authFetch(`/api/jobs/${jobId}${resource}`);
+    if (!downloadResponse.ok) {
+      const errorData = await downloadResponse.json().catch(() => ({ error: 'Failed to download report' }));
+      throw new Error(errorData.error || 'Failed to download report');
+    }
+
+    const blob = await downloadResponse.blob();
+    const disposition = downloadResponse.headers.get('Content-Disposition') || '';
+    const filenameMatch = disposition.match(/filename="([^"]+)"/);
+
+    // Create download link
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filenameMatch ? filenameMatch[1] : fallbackFilename;
+    document.body.appendChild(a);
+    a.click();
+
+    // Cleanup
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  // The action plan from the last report, as CSV for a task tracker
+  const handleActionPlanDownload = async () => {
+    setError('');
+    try {
+      await downloadJobResult(finishedJobId, '/download?format=csv', 'Action_Plan.csv');
+    } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        handleLogout();
+      }
+      setError(err.message || 'Failed to download the action plan');
+    }
+  };
+
+  // The personal participant reports from the last report, as a ZIP
+  const handleParticipantsDownload = async () => {
+    setError('');
+    try {
+      await downloadJobResult(finishedJobId, '/participants', 'Participant_Reports.zip');
+    } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        handleLogout();
+      }
+      setError(err.message || 'Failed to download the participant reports');
+    }
+  };
+
+  // The facilitator guide for running the debrief, kept separate from the team report
+  const handleFacilitatorGuideDownload = async () => {
+    setError('');
+    try {
+      await downloadJobResult(finishedJobId, '/facilitator-guide', 'Facilitator_Guide.pdf');
+    } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        handleLogout();
+      }
+      setError(err.message || 'Failed to download the facilitator guide');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -115,12 +522,24 @@ function App() {
       return;
     }
 
+    // First click checks the file; the report is generated once it reads cleanly
+    if (!preview) {
+      await handlePreview();
+      return;
+    }
+
+    if (!preview.valid) {
+      setError('Please fix the problems with the Excel file and select it again');
+      return;
+    }
+
     if (!teamName.trim()) {
       setError('Please enter a team name');
       return;
     }
 
     setLoading(true);
+    setJobSteps([]);
     setError('');
     setSuccess(false);
 
@@ -128,62 +547,82 @@ function App() {
       // Create FormData
       const formData = new FormData();
       formData.append('file', file);
+      if (baselineFile) {
+        formData.append('baselineFile', baselineFile);
+      }
       formData.append('teamName', teamName.trim());
       if (specialInstructions.trim()) {
         formData.append('specialInstructions', specialInstructions.trim());
       }
+      if (assessmentId) {
+        formData.append('assessment', assessmentId);
+      }
+      if (anonymizeQuotes) {
+        formData.append('anonymizeQuotes', 'true');
+      }
+      if (anonymity !== 'off') {
+        formData.append('anonymity', anonymity);
+      }
+      const withParticipants = participantReports && anonymity === 'off';
+      if (withParticipants) {
+        formData.append('participantReports', 'true');
+      }
+      if (segmentBy.trim()) {
+        formData.append('segmentBy', segmentBy.trim());
+      }
+      if (leaders.trim()) {
+        formData.append('leaders', leaders.trim());
+      }
+      if (minCompletion.trim()) {
+        formData.append('minCompletion', minCompletion.trim());
+      }
+      formData.append('duplicatePolicy', duplicatePolicy);
+      if (benchmarkId) {
+        formData.append('benchmark', benchmarkId);
+      }
 
-      // Call API with Authorization header
-      const response = await fetch(`${API_URL}/api/analyze`, {
+      // Queue the report job
+      const response = await authFetch('/api/analyze', {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${authToken}`
-        },
         body: formData,
       });
 
-      if (response.status === 401) {
-        // Token expired or invalid - redirect to login
-        setError('Your session has expired. Please log in again.');
-        handleLogout();
-        return;
-      }
-
       if (!response.ok) {
         // Try to parse error message
         const errorData = await response.json().catch(() => ({ error: 'Failed to process file' }));
         throw new Error(errorData.error || 'Failed to generate report');
       }
 
-      // Get PDF blob
-      const blob = await response.blob();
+      const { jobId } = await response.json();
 
-      // Create download link
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `Strategic_Maturity_Assessment_${teamName.replace(/\s+/g, '_')}.pdf`;
-      document.body.appendChild(a);
-      a.click();
-
-      // Cleanup
-      window.URL.revokeObjectURL(url);
-      document.body.removeChild(a);
+      // Wait for the pipeline, showing each step as it runs, then download the finished PDF
+      await collectReport({
+        jobId,
+        filename: `Strategic_Maturity_Assessment_${teamName.replace(/\s+/g, '_')}.pdf`,
+        withParticipants
+      });
 
       // Reset form
-      setSuccess(true);
       setFile(null);
+      setBaselineFile(null);
       setTeamName('');
       setSpecialInstructions('');
 
-      // Reset file input
-      const fileInput = document.getElementById('file-input');
-      if (fileInput) fileInput.value = '';
+      // Reset file inputs
+      ['file-input', 'baseline-file-input'].forEach((id) => {
+        const fileInput = document.getElementById(id);
+        if (fileInput) fileInput.value = '';
+      });
 
     } catch (err) {
+      if (err instanceof SessionExpiredError) {
+        // Token expired or invalid - redirect to login
+        handleLogout();
+      }
       setError(err.message || 'An error occurred while generating the report');
     } finally {
       setLoading(false);
+      setJobSteps([]);
     }
   };
 
@@ -279,6 +718,23 @@ function App() {
             <p className="help-text">Upload your Microsoft Forms export (.xlsx file)</p>
           </div>
 
+          {/* Previous Assessment (Optional) */}
+          <div className="form-group">
+            <label htmlFor="baseline-file-input">
+              Previous Assessment <span className="optional">(optional)</span>
+            </label>
+            <input
+              id="baseline-file-input"
+              type="file"
+              accept=".xlsx"
+              onChange={handleBaselineFileChange}
+              disabled={loading}
+              className="file-input"
+            />
+            {baselineFile && <p className="file-name">Selected: {baselineFile.name}</p>}
+            <p className="help-text">Add this team's earlier export to include a "did we get better?" comparison</p>
+          </div>
+
           {/* Team Name */}
           <div className="form-group">
             <label htmlFor="team-name">
@@ -295,6 +751,50 @@ function App() {
             />
           </div>
 
+          {/* Assessment Type (only shown when more than one is available) */}
+          {assessments.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="assessment-select">Assessment</label>
+              <select
+                id="assessment-select"
+                value={assessmentId}
+                onChange={(e) => setAssessmentId(e.target.value)}
+                disabled={loading}
+                className="text-input"
+              >
+                {assessments.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name} ({a.questionCount} questions)
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Benchmark (only shown when one fits the assessment) */}
+          {benchmarks.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="benchmark-select">
+                Benchmark <span className="optional">(optional)</span>
+              </label>
+              <select
+                id="benchmark-select"
+                value={benchmarkId}
+                onChange={(e) => setBenchmarkId(e.target.value)}
+                disabled={loading}
+                className="text-input"
+              >
+                <option value="">None</option>
+                {benchmarks.map((b) => (
+                  <option key={b.id} value={b.id}>
+                    {b.name} ({b.teamCount} teams)
+                  </option>
+                ))}
+              </select>
+              <p className="help-text">Shows where the team's scores fall among the benchmark's teams, as percentiles</p>
+            </div>
+          )}
+
           {/* Special Instructions (Optional) */}
           <div className="form-group">
             <label htmlFor="special-instructions">
@@ -311,6 +811,127 @@ function App() {
             />
           </div>
 
+          {/* Segments (Optional) */}
+          <div className="form-group">
+            <label htmlFor="segment-by">
+              Compare Groups By <span className="optional">(optional)</span>
+            </label>
+            <input
+              id="segment-by"
+              type="text"
+              value={segmentBy}
+              onChange={(e) => setSegmentBy(e.target.value)}
+              placeholder="e.g., Role, Department"
+              disabled={loading}
+              className="text-input"
+            />
+            <p className="help-text">Up to 3 column headers from the export; small groups are listed but not scored</p>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="leader-group">
+              Leader Group <span className="optional">(optional)</span>
+            </label>
+            <input
+              id="leader-group"
+              type="text"
+              value={leaders}
+              onChange={(e) => setLeaders(e.target.value)}
+              placeholder="e.g., Role=Manager|Director"
+              disabled={loading}
+              className="text-input"
+            />
+            <p className="help-text">Who counts as a leader on the Leaders vs. Team page; detected from the group names when left blank</p>
+          </div>
+
+          {/* Minimum Completion (Optional) */}
+          <div className="form-group">
+            <label htmlFor="min-completion">
+              Minimum Completion (%) <span className="optional">(optional)</span>
+            </label>
+            <input
+              id="min-completion"
+              type="number"
+              min="0"
+              max="100"
+              value={minCompletion}
+              onChange={(e) => setMinCompletion(e.target.value)}
+              placeholder="0"
+              disabled={loading}
+              className="text-input"
+            />
+            <p className="help-text">Respondents who answered fewer of the questions are left out and listed in the Data Quality appendix. By default everyone who answered is included</p>
+          </div>
+
+          {/* Repeat Submissions */}
+          <div className="form-group">
+            <label htmlFor="duplicate-policy">Repeat Submissions</label>
+            <select
+              id="duplicate-policy"
+              value={duplicatePolicy}
+              onChange={(e) => setDuplicatePolicy(e.target.value)}
+              disabled={loading}
+              className="text-input"
+            >
+              <option value="latest">Keep each person's latest submission</option>
+              <option value="most-complete">Keep each person's most complete submission</option>
+              <option value="flag">Keep all, and list them in the report</option>
+            </select>
+            <p className="help-text">For people who filled in the form more than once, e.g. a test run and then the real one</p>
+          </div>
+
+          {/* Anonymity */}
+          <div className="form-group">
+            <label htmlFor="anonymity-select">Respondent Names</label>
+            <select
+              id="anonymity-select"
+              value={anonymity}
+              onChange={(e) => setAnonymity(e.target.value)}
+              disabled={loading}
+              className="text-input"
+            >
+              <option value="off">Show names</option>
+              <option value="pseudonyms">Anonymous (pseudonyms)</option>
+              <option value="aggregate">Anonymous, team results only</option>
+            </select>
+            <p className="help-text">Anonymous reports never send names to the AI or print them; small groups get team results only</p>
+          </div>
+
+          {/* Quote Attribution */}
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={anonymizeQuotes}
+                onChange={(e) => setAnonymizeQuotes(e.target.checked)}
+                disabled={loading}
+              />
+              Anonymize quotes
+            </label>
+            <p className="help-text">Show answers to the open-ended questions without the respondent's name</p>
+          </div>
+
+          {/* Participant Reports */}
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={participantReports && anonymity === 'off'}
+                onChange={(e) => setParticipantReports(e.target.checked)}
+                disabled={loading || anonymity !== 'off'}
+              />
+              Personal reports for each participant
+            </label>
+            <p className="help-text">
+              {anonymity === 'off'
+                ? 'A ZIP with one PDF per respondent: their own scores against the team average and a personal reflection, never anyone else\'s scores'
+                : 'Not available for anonymous reports'}
+            </p>
+          </div>
+
+          {/* Upload Preview */}
+          {preview && <UploadPreview preview={preview} />}
+
           {/* Error Message */}
           {error && (
             <div className="message error-message">
@@ -318,10 +939,40 @@ function App() {
             </div>
           )}
 
+          {/* Report job still running on the server, or finished but not yet downloaded */}
+          {pendingJob && !loading && (
+            <div className="message pending-message">
+              Your last report may still be running on the server.{' '}
+              <button type="button" onClick={handleResumeJob} className="link-button">
+                Check on it and download it when it is ready
+              </button>
+            </div>
+          )}
+
           {/* Success Message */}
           {success && (
             <div className="message success-message">
               <strong>Success!</strong> Your report has been downloaded. Check your downloads folder.
+              {finishedJobId && (
+                <>
+                  {' '}
+                  <button type="button" onClick={handleActionPlanDownload} className="link-button">
+                    Download the action plan (CSV)
+                  </button>
+                  {' '}
+                  <button type="button" onClick={handleFacilitatorGuideDownload} className="link-button">
+                    Download the facilitator guide (PDF)
+                  </button>
+                </>
+              )}
+              {finishedJobId && finishedWithParticipants && (
+                <>
+                  {' '}
+                  <button type="button" onClick={handleParticipantsDownload} className="link-button">
+                    Download the participant reports (ZIP)
+                  </button>
+                </>
+              )}
             </div>
           )}
 
@@ -332,19 +983,36 @@ function App() {
               <p className="loading-text">
                 Generating your report... This may take 30-60 seconds.
               </p>
-              <p className="loading-subtext">
-                We're analyzing your data and generating AI-powered insights.
-              </p>
+              {pollRetrying && (
+                <p className="loading-subtext">
+                  Lost contact with the server. Still trying; the report keeps running in the meantime.
+                </p>
+              )}
+              {jobSteps.length > 0 ? (
+                <ul className="job-steps">
+                  {jobSteps.map((step) => (
+                    <li key={step.key} className={`job-step job-step-${step.state}`}>
+                      {step.label}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="loading-subtext">
+                  Uploading your file...
+                </p>
+              )}
             </div>
           )}
 
           {/* Submit Button */}
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || previewLoading || (preview && !preview.valid)}
             className="submit-button"
           >
-            {loading ? 'Generating Report...' : 'Generate Report'}
+            {loading && 'Generating Report...'}
+            {previewLoading && 'Checking File...'}
+            {!loading && !previewLoading && (preview ? 'Generate Report' : 'Check File')}
           </button>
         </form>
 
@@ -0,0 +1,38 @@
+/**
+ * Strategic Maturity Assessment Definition
+ *
+ * The original 82-question Microsoft Forms assessment covering the five
+ * strategic drivers. Questions live in config/questionMapping.js and maturity
+ * stages in config/maturityBands.js.
+ */
+
+const questionMapping = require('../questionMapping');
+const maturityBands = require('../maturityBands');
+
+module.exports = {
+  id: 'strategic-maturity',
+  version: '1.0.0',
+  name: 'Strategic Maturity Assessment',
+  description: 'Full 82-question assessment across Purpose, People, Plan, Product and Profit.',
+
+  // Display order for drivers in tables, prompts and the PDF
+  drivers: ['Purpose', 'People', 'Plan', 'Product', 'Profit'],
+
+  // Likert scale: response text (case-insensitive) → numeric score
+  scale: {
+    min: 1,
+    max: 5,
+    labels: {
+      'Strongly Agree': 5,
+      'Agree': 4,
+      'Neutral': 3,
+      'Disagree': 2,
+      'Strongly Disagree': 1
+    }
+  },
+
+  // Score bands → named maturity stages (overall score, drivers and skills)
+  maturityBands,
+
+  questions: questionMapping
+};
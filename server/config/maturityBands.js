@@ -0,0 +1,43 @@
+/**
+ * Maturity Bands Configuration
+ *
+ * Score bands mapped to named maturity stages, used to classify the overall
+ * score, each driver and each skill. Bands are listed from lowest to highest;
+ * each band starts at `min` (inclusive) and runs up to the next band's `min`.
+ * The first band must start at the bottom of the scale.
+ *
+ * Tune thresholds, names and descriptions here: the PDF, the Claude prompt
+ * and the JSON output all read from this list.
+ *
+ * Used by the Strategic Maturity definition in config/assessments/.
+ */
+
+const maturityBands = [
+  {
+    name: 'Foundational',
+    min: 1,
+    description: 'Core practices are missing or informal. The team mostly reacts to whatever comes up, and results depend on a few individuals.'
+  },
+  {
+    name: 'Developing',
+    min: 2,
+    description: 'Some practices are in place but applied unevenly. The team knows what good looks like in places and is starting to build habits around it.'
+  },
+  {
+    name: 'Established',
+    min: 3,
+    description: 'Practices are defined and used across the team. The next step is making them consistent, measured and owned by everyone.'
+  },
+  {
+    name: 'Advanced',
+    min: 3.75,
+    description: 'Practices are embedded in how the team works and reliably drive results. Gaps are specific rather than systemic.'
+  },
+  {
+    name: 'Leading',
+    min: 4.5,
+    description: 'Practices are a recognised strength that the team keeps refining. Others can learn from how this team operates.'
+  }
+];
+
+module.exports = maturityBands;
@@ -2,8 +2,10 @@
  * Question Mapping Configuration
  *
  * Maps all 82 scoreable questions to their respective drivers and skills.
- * Excel structure: Columns 0-4 are metadata, 5-7 are open-ended questions (skipped),
- * columns 8-89 contain the 82 scoreable Likert scale questions.
+ * The excelParser matches each question's text against the Excel header row,
+ * so `text` must stay in sync with the wording used on the form.
+ *
+ * Used by the Strategic Maturity definition in config/assessments/.
  */
 
 const questionMapping = [
@@ -100,9 +102,4 @@ const questionMapping = [
   { driver: "Profit", skill: "Revenue Growth", text: "Our top-line revenue is steadily growing over time." }
 ];
 
-// Validation: Ensure we have exactly 82 questions
-if (questionMapping.length !== 82) {
-  console.warn(`WARNING: Expected 82 questions, but found ${questionMapping.length}`);
-}
-
 module.exports = questionMapping;
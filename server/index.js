@@ -17,14 +17,6 @@ if (!fs.existsSync(uploadsDir)) {
 app.use(cors());
 app.use(express.json());
 
-// Set timeout for routes that need longer processing (Claude API calls)
-app.use('/api/analyze', (req, res, next) => {
-  // Set 120 second timeout for analysis endpoint (Claude API takes 30-60s)
-  req.setTimeout(120000);
-  res.setTimeout(120000);
-  next();
-});
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -33,13 +25,16 @@ app.get('/health', (req, res) => {
 // API routes
 const authRoute = require('./routes/auth');
 const analyzeRoute = require('./routes/analyze');
+const reportsRoute = require('./routes/reports');
+const jobsRoute = require('./routes/jobs');
+const benchmarksRoute = require('./routes/benchmarks');
 const { verifyToken } = require('./middleware/authMiddleware');
 
 // Public routes (no authentication required)
 app.use('/api/auth', authRoute);
 
 // Protected routes (authentication required)
-app.use('/api', verifyToken, analyzeRoute);
+app.use('/api', verifyToken, analyzeRoute, reportsRoute, jobsRoute, benchmarksRoute);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
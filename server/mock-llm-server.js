@@ -0,0 +1,259 @@
+/**
+ * Mock LLM Server
+ *
+ * Local stand-in for the Anthropic Messages API (POST /v1/messages) that
+ * returns canned, schema-valid insight JSON for whatever the prompt asks for.
+ * Lets the full pipeline run offline with no API key.
+ *
+ * Usage:
+ *   node mock-llm-server.js [port]        (default port 4010)
+ *   LLM_BASE_URL=http://localhost:4010 ANTHROPIC_API_KEY=mock npm start
+ *
+ * Or from a script: const { startMockLlmServer } = require('./mock-llm-server');
+ *
+ * To exercise response repair, MOCK_LLM_FAULT (or the `fault` option) damages
+ * the first response only:
+ * - "fenced": wraps the JSON in a markdown fence with surrounding prose
+ * - "truncate": cuts the JSON off partway, as if max_tokens was reached
+ * - "drop-member": leaves out the last teamMemberAnalysis entry
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 4010;
+
+const FAULTS = ['fenced', 'truncate', 'drop-member'];
+
+/**
+ * Reads the respondent names listed in an insights prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string[]} Respondent names in prompt order
+ */
+function extractRespondentNames(prompt) {
+  const start = prompt.indexOf('Respondent Data:');
+  if (start === -1) return [];
+
+  const end = prompt.indexOf('\n## ', start);
+  const section = prompt.slice(start, end === -1 ? undefined : end);
+
+  // Only top-level respondent names; driver objects use { name, score } too
+  return [...section.matchAll(/^ {4}"name": "((?:[^"\\]|\\.)*)"/gm)].map(match => JSON.parse(`"${match[1]}"`));
+}
+
+/**
+ * Reads the open-ended response ids listed in an insights prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string[]} Response ids (R1, R2, ...) in prompt order
+ */
+function extractResponseIds(prompt) {
+  return [...prompt.matchAll(/^- \[(R\d+)\]/gm)].map(match => match[1]);
+}
+
+/**
+ * Reads the action plan focus area ids listed in an action plan prompt
+ * @param {string} prompt - Prompt text
+ * @returns {string[]} Focus area ids (A1, A2, ...) in prompt order
+ */
+function extractFocusAreaIds(prompt) {
+  return [...prompt.matchAll(/^- \[(A\d+)\]/gm)].map(match => match[1]);
+}
+
+/**
+ * Builds a canned response containing every key the prompt's
+ * "Response Format" section asks for
+ * @param {string} prompt - Prompt text
+ * @returns {Object} Response object
+ */
+function buildCannedResponse(prompt) {
+  const formatStart = prompt.indexOf('## Response Format');
+  const format = formatStart === -1 ? prompt : prompt.slice(formatStart);
+  const wants = (key) => format.includes(`"${key}"`);
+
+  const response = {};
+
+  if (wants('executiveSummary')) {
+    response.executiveSummary = 'Mock summary: this text comes from the local mock LLM server, not from Claude.';
+  }
+  if (wants('discussionQuestions')) {
+    response.discussionQuestions = [
+      'Mock question 1: Which result surprised you most?',
+      'Mock question 2: Where do we see things differently, and why?',
+      'Mock question 3: What is one thing we could change this quarter?'
+    ];
+  }
+  if (wants('openEndedThemes')) {
+    const ids = extractResponseIds(prompt);
+    response.openEndedThemes = [
+      { title: 'Mock theme 1', summary: 'Mock theme summary from the local mock LLM server.', responseIds: ids.slice(0, 2) },
+      { title: 'Mock theme 2', summary: 'Mock theme summary from the local mock LLM server.', responseIds: ids.slice(-2) }
+    ];
+  }
+  if (wants('teamMemberAnalysis')) {
+    response.teamMemberAnalysis = extractRespondentNames(prompt).map(name => ({
+      name,
+      insight: `Mock insight for ${name}.`,
+      followUpQuestion: `Mock follow-up question for ${name}?`
+    }));
+  }
+  if (wants('changeAnalysis')) {
+    response.changeAnalysis = 'Mock change analysis: this text comes from the local mock LLM server.';
+  }
+  if (wants('segmentAnalysis')) {
+    response.segmentAnalysis = 'Mock segment analysis: this text comes from the local mock LLM server.';
+  }
+  if (wants('organizationAnalysis')) {
+    response.organizationAnalysis = 'Mock organization analysis: this text comes from the local mock LLM server.';
+  }
+  if (wants('actionPlan')) {
+    response.actionPlan = extractFocusAreaIds(prompt).map(area => ({
+      area,
+      objective: `Mock objective for ${area}.`,
+      initiatives: [{
+        title: `Mock initiative for ${area}`,
+        description: 'Mock initiative description from the local mock LLM server.',
+        owner: 'Mock owner role',
+        milestones: { day30: 'Mock 30-day milestone', day60: 'Mock 60-day milestone', day90: 'Mock 90-day milestone' }
+      }]
+    }));
+  }
+  if (wants('reflection')) {
+    response.reflection = 'Mock reflection: this text comes from the local mock LLM server, not from Claude.';
+  }
+  if (wants('coachingQuestions')) {
+    response.coachingQuestions = [
+      'Mock coaching question 1: What do you see that others may not?',
+      'Mock coaching question 2: Where would you like to grow?',
+      'Mock coaching question 3: Who could you talk to about this?'
+    ];
+  }
+  if (wants('specialAnalysis')) {
+    response.specialAnalysis = 'Mock special analysis: this text comes from the local mock LLM server.';
+  }
+
+  return response;
+}
+
+/**
+ * Damages a response the way real model output sometimes is
+ * @param {Object} response - Canned response object
+ * @param {string} fault - One of FAULTS
+ * @returns {Object} { text, stopReason }
+ */
+function applyFault(response, fault) {
+  if (fault === 'drop-member' && Array.isArray(response.teamMemberAnalysis)) {
+    return { text: JSON.stringify({ ...response, teamMemberAnalysis: response.teamMemberAnalysis.slice(0, -1) }), stopReason: 'end_turn' };
+  }
+
+  const text = JSON.stringify(response, null, 2);
+
+  if (fault === 'fenced') {
+    return { text: `Here is the analysis you asked for:\n\n\`\`\`json\n${text}\n\`\`\`\n`, stopReason: 'end_turn' };
+  }
+  if (fault === 'truncate') {
+    return { text: text.slice(0, Math.floor(text.length * 0.6)), stopReason: 'max_tokens' };
+  }
+
+  return { text: JSON.stringify(response), stopReason: 'end_turn' };
+}
+
+/**
+ * Creates the request handler
+ * @param {string} fault - Optional fault applied to the first response
+ * @returns {Function} (req, res) handler
+ */
+function createHandler(fault) {
+  let requestCount = 0;
+
+  return (req, res) => handleRequest(req, res, requestCount++ === 0 ? fault : null);
+}
+
+/**
+ * Handles one HTTP request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} fault - Fault to apply to this response, if any
+ */
+function handleRequest(req, res, fault) {
+  const sendJson = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.method !== 'POST' || !req.url.startsWith('/v1/messages')) {
+    return sendJson(404, { type: 'error', error: { type: 'not_found_error', message: `No mock for ${req.method} ${req.url}` } });
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      return sendJson(400, { type: 'error', error: { type: 'invalid_request_error', message: 'Body is not valid JSON' } });
+    }
+
+    const prompt = (request.messages || [])
+      .map(message => (typeof message.content === 'string'
+        ? message.content
+        : (message.content || []).map(block => block.text || '').join('')))
+      .join('\n');
+
+    const { text, stopReason } = applyFault(buildCannedResponse(prompt), fault);
+
+    sendJson(200, {
+      id: `msg_mock_${Date.now()}`,
+      type: 'message',
+      role: 'assistant',
+      model: request.model || 'mock',
+      content: [{ type: 'text', text }],
+      stop_reason: stopReason,
+      stop_sequence: null,
+      usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) }
+    });
+  });
+}
+
+/**
+ * Starts the mock server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.fault - Optional fault for the first response (see FAULTS)
+ * @returns {Promise<Object>} { url, close() } - pass `url` as LLM_BASE_URL
+ */
+function startMockLlmServer({ port = 0, fault = process.env.MOCK_LLM_FAULT } = {}) {
+  if (fault && !FAULTS.includes(fault)) {
+    return Promise.reject(new Error(`Unknown mock fault "${fault}". Use one of: ${FAULTS.join(', ')}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(createHandler(fault));
+
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Run standalone
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+
+  startMockLlmServer({ port }).then(({ url }) => {
+    console.log(`🧪 Mock LLM server listening on ${url}`);
+    console.log(`   Set LLM_BASE_URL=${url} (and any ANTHROPIC_API_KEY) to use it`);
+  }).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startMockLlmServer,
+  buildCannedResponse
+};
@@ -1,18 +1,39 @@
 /**
  * Analysis API Route
  *
+ * GET /api/assessments
+ * Lists the assessment definitions an upload can be analyzed against
+ *
+ * POST /api/validate
+ * Parses an upload without analyzing it, so problems show up before a report is queued
+ *
  * POST /api/analyze
- * Orchestrates the full pipeline: Excel → Parse → Calculate → Claude → PDF
+ * Queues the full pipeline (Excel → Parse → Calculate → Claude → PDF) as a
+ * background job; progress and download are served by routes/jobs.js
+ *
+ * POST /api/analyze/batch
+ * Queues one report per team plus an organization rollup, downloaded as a ZIP
  */
 
 const express = require('express');
 const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-const { parseExcelFile } = require('../services/excelParser');
-const { calculateAll } = require('../services/calculator');
-const { generateInsights } = require('../services/claudeService');
-const { generatePDF } = require('../services/pdfGenerator');
+const { getAssessment, listAssessments } = require('../services/assessmentRegistry');
+const { PIPELINE_STEPS, PARTICIPANT_REPORTS_STEP, runAnalysis, removeFiles } = require('../services/analysisPipeline');
+const { enqueueJob } = require('../services/jobQueue');
+const { resolveOutputFormat } = require('../services/resultFormatter');
+const { resolveAnonymityMode } = require('../services/anonymity');
+const { resolveSegmentColumns, parseLeaderGroup } = require('../services/segmentCalculator');
+const { resolveMinCompletion, resolveDuplicatePolicy } = require('../services/dataQuality');
+const { validateUpload } = require('../services/uploadValidator');
+const { resolveBenchmark } = require('../services/benchmarks');
+const {
+  MAX_BATCH_TEAMS,
+  teamNameFromFilename,
+  assertUniqueTeamNames,
+  splitWorkbookByTeam,
+  buildBatchSteps,
+  runBatchAnalysis
+} = require('../services/batchAnalysis');
 
 const router = express.Router();
 
@@ -34,6 +55,138 @@ const upload = multer({
   }
 });
 
+/**
+ * Reads a single-value form field. Fields sent more than once arrive as
+ * arrays; the first value is the one used.
+ * @param {*} value - Raw field value
+ * @returns {string|undefined} The field's value as text, or undefined when it was not sent
+ */
+function firstValue(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return first === undefined || first === null ? undefined : String(first);
+}
+
+/**
+ * Reads a yes/no form field ("true", "1" or "on" mean yes)
+ * @param {*} value - Raw field value
+ * @returns {boolean} True when the field is switched on
+ */
+function isSwitchedOn(value) {
+  return ['true', '1', 'on'].includes(String(firstValue(value)).toLowerCase());
+}
+
+/**
+ * Resolves the analysis options shared by single and batch runs
+ *
+ * Every option is a single value (read with firstValue) except segmentBy,
+ * which lists columns and may be repeated.
+ *
+ * @param {Object} body - Request fields
+ * @returns {Object} { assessment, options: { specialInstructions, anonymizeQuotes, anonymity,
+ *   segmentColumns, leaderGroup, minCompletion, duplicatePolicy, benchmark } }
+ * @throws {Error} If any option is invalid
+ */
+function resolveRunOptions(body) {
+  const {
+    specialInstructions = '',
+    assessment: assessmentRef,
+    anonymizeQuotes,
+    anonymity,
+    segmentBy,
+    leaders,
+    minCompletion,
+    duplicatePolicy,
+    benchmark
+  } = body;
+
+  const assessment = getAssessment(firstValue(assessmentRef) || undefined);
+  const leaderText = (firstValue(leaders) ?? '').trim();
+
+  return {
+    assessment,
+    options: {
+      specialInstructions: firstValue(specialInstructions) ?? '',
+      anonymizeQuotes: isSwitchedOn(anonymizeQuotes),
+      anonymity: resolveAnonymityMode(firstValue(anonymity)),
+      segmentColumns: resolveSegmentColumns(segmentBy),
+      leaderGroup: leaderText ? parseLeaderGroup(leaderText) : null,
+      minCompletion: resolveMinCompletion(firstValue(minCompletion)),
+      duplicatePolicy: resolveDuplicatePolicy(firstValue(duplicatePolicy)),
+      benchmark: resolveBenchmark(firstValue(benchmark), assessment)
+    }
+  };
+}
+
+/**
+ * GET /api/assessments
+ *
+ * Response:
+ * {
+ *   assessments: [{ id, version, name, description, questionCount, isDefault }]
+ * }
+ */
+router.get('/assessments', (req, res) => {
+  res.json({ assessments: listAssessments() });
+});
+
+/**
+ * POST /api/validate
+ *
+ * Request (the same fields POST /api/analyze uses to read the file):
+ * - file: Excel file (.xlsx)
+ * - assessment: string (optional)
+ * - segmentBy: string (optional)
+ * - leaders: string (optional)
+ * - minCompletion: number (optional)
+ * - duplicatePolicy: string (optional)
+ *
+ * Response (200 OK, whether or not the file can be analyzed):
+ * {
+ *   valid: boolean,
+ *   errors: ["..."], warnings: ["..."],
+ *   assessment: { id, version, name },
+ *   rowCount, respondentCount, respondents: [{ name, completion }],
+ *   excluded, duplicatePolicy, duplicates: [{ name, rows, kept }],
+ *   columns: [{ column, letter, header, status, questionIndex, similarity }],
+ *   unmatchedQuestions, segmentCandidates, openEndedQuestions,
+ *   invalidAnswerCount, invalidAnswers: [{ row, column, questionIndex, value }]
+ * }
+ * - Error (400): no file, or an invalid option
+ */
+router.post('/validate', upload.single('file'), (req, res) => {
+  const tempFilePath = req.file ? req.file.path : null;
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file uploaded. Please provide an Excel file.'
+    });
+  }
+
+  let options;
+  let assessment;
+  try {
+    const resolved = resolveRunOptions(req.body);
+    assessment = resolved.assessment;
+    const { segmentColumns, leaderGroup, minCompletion, duplicatePolicy } = resolved.options;
+    options = { segmentColumns, leaderGroup, minCompletion, duplicatePolicy };
+  } catch (optionError) {
+    removeFiles(tempFilePath);
+    return res.status(400).json({
+      error: optionError.message
+    });
+  }
+
+  try {
+    const preview = validateUpload(tempFilePath, assessment, options);
+    console.log(`🔎 Validated ${req.file.originalname}: ${preview.valid
+      ? `${preview.respondentCount} respondents, ${preview.warnings.length} warning(s)`
+      : preview.errors[0]}`);
+    res.json(preview);
+  } finally {
+    removeFiles(tempFilePath);
+  }
+});
+
 /**
  * POST /api/analyze
  *
@@ -41,130 +194,267 @@ const upload = multer({
  * - file: Excel file (.xlsx)
  * - teamName: string (required)
  * - specialInstructions: string (optional)
+ * - assessment: string (optional) - assessment id or "id@version", defaults to Strategic Maturity
+ * - anonymizeQuotes: "true" (optional) - show open-ended quotes without names
+ * - anonymity: "off" | "pseudonyms" | "aggregate" (optional) - replace names with
+ *   stable pseudonyms; "aggregate" also drops the individual section
+ * - segmentBy: string (optional) - up to 3 column headers (comma-separated or
+ *   repeated) to compare groups by, e.g. "Role, Department"
+ * - leaders: string (optional) - leader group for the Leaders vs. Team page,
+ *   e.g. "Role=Manager|Director"; detected from the segment values when omitted
+ * - minCompletion: number (optional) - percentage of questions a respondent must
+ *   answer to be included; defaults to DATA_QUALITY_MIN_COMPLETION (0: everyone who answered)
+ * - duplicatePolicy: "latest" | "most-complete" | "flag" (optional) - which of a
+ *   name's repeat submissions to keep; defaults to DATA_QUALITY_DUPLICATE_POLICY (latest)
+ * - benchmark: string (optional) - id or name of a saved norm set to show percentiles against
+ * - participantReports: "true" (optional) - also build a personal PDF per respondent, downloaded
+ *   as a ZIP from GET /api/jobs/:id/participants; not available with anonymity
+ * - format: "pdf" | "json" | "csv" (optional) - what the job's download returns ("csv" is
+ *   the action plan); an Accept header naming application/json (and not application/pdf) also selects JSON
  *
- * Response:
- * - Success: PDF file stream
- * - Error: JSON error message
+ * Comparison mode (optional, supply one):
+ * - baselineFile: Excel file (.xlsx) from the team's previous assessment
+ * - baselineReportId: string - id of a saved report to compare against
+ * - baselineLabel: string (optional) - how to name the previous run in the report
+ *
+ * Response (202 Accepted):
+ * {
+ *   jobId: "...",
+ *   status: "queued",
+ *   format: "pdf" | "json" | "csv",
+ *   statusUrl: "/api/jobs/<jobId>",
+ *   downloadUrl: "/api/jobs/<jobId>/download",
+ *   participantsUrl: "/api/jobs/<jobId>/participants" (only with participantReports)
+ * }
+ * - Error: JSON error message (validation errors only; pipeline errors are reported on the job)
  */
-router.post('/analyze', upload.single('file'), async (req, res) => {
-  let tempFilePath = null;
-  let pdfPath = null;
+const uploadFields = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'baselineFile', maxCount: 1 }
+]);
+
+router.post('/analyze', uploadFields, (req, res) => {
+  const file = req.files && req.files.file ? req.files.file[0] : null;
+  const baselineFile = req.files && req.files.baselineFile ? req.files.baselineFile[0] : null;
+  const tempFilePath = file ? file.path : null;
+  const baselineFilePath = baselineFile ? baselineFile.path : null;
+
+  // Validate inputs
+  if (!file) {
+    removeFiles(baselineFilePath);
+    return res.status(400).json({
+      error: 'No file uploaded. Please provide an Excel file.'
+    });
+  }
 
+  const {
+    teamName: requestedTeamName,
+    baselineReportId: requestedBaselineReportId,
+    baselineLabel: requestedBaselineLabel,
+    format: requestedFormat,
+    participantReports: requestedParticipantReports
+  } = req.body;
+  const baselineReportId = firstValue(requestedBaselineReportId);
+  const baselineLabel = firstValue(requestedBaselineLabel);
+
+  let teamName;
+  let assessment;
+  let options;
+  let format;
+  let participantReports;
   try {
-    // Validate inputs
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'No file uploaded. Please provide an Excel file.'
-      });
-    }
+    teamName = (firstValue(requestedTeamName) ?? '').trim();
+    if (!teamName) throw new Error('Team name is required.');
 
-    const { teamName, specialInstructions = '' } = req.body;
+    ({ assessment, options } = resolveRunOptions(req.body));
+    format = resolveOutputFormat({ format: firstValue(requestedFormat), accept: req.get('Accept') });
 
-    if (!teamName || teamName.trim() === '') {
-      // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({
-        error: 'Team name is required.'
-      });
+    // Personal reports are named after their reader, which anonymous reports rule out
+    participantReports = isSwitchedOn(requestedParticipantReports);
+    if (participantReports && options.anonymity !== 'off') {
+      throw new Error('Participant reports name each respondent, so they cannot be combined with an anonymous report.');
     }
-
-    tempFilePath = req.file.path;
-
-    console.log(`📊 Processing analysis request for team: "${teamName}"`);
-    console.log(`📁 Uploaded file: ${req.file.originalname} (${req.file.size} bytes)`);
-
-    // Step 1: Parse Excel file
-    console.log('🔍 Step 1: Parsing Excel file...');
-    const parsedData = parseExcelFile(tempFilePath);
-    console.log(`✅ Parsed ${parsedData.respondents.length} respondents, ${parsedData.questions.length} questions`);
-
-    // Step 2: Calculate statistics
-    console.log('📈 Step 2: Calculating statistics...');
-    const calculatedData = calculateAll(parsedData);
-    console.log(`✅ Calculated driver scores for ${Object.keys(calculatedData.driverScores).length} drivers`);
-
-    // Step 3: Generate Claude insights
-    console.log('🤖 Step 3: Calling Claude API for insights...');
-    console.log('   (This may take 30-60 seconds...)');
-    const claudeInsights = await generateInsights(teamName, calculatedData, specialInstructions);
-    console.log('✅ Claude insights generated successfully');
-
-    // Step 4: Generate PDF
-    console.log('📄 Step 4: Generating PDF report...');
-    pdfPath = path.join(__dirname, '../uploads', `report-${Date.now()}.pdf`);
-    await generatePDF(teamName, calculatedData, claudeInsights, pdfPath);
-    console.log('✅ PDF generated successfully');
-
-    // Step 5: Stream PDF to client
-    console.log('📤 Step 5: Sending PDF to client...');
-
-    // Set headers for PDF download
-    const sanitizedTeamName = teamName.replace(/[^a-zA-Z0-9-_ ]/g, '').replace(/\s+/g, '_');
-    const filename = `Strategic_Maturity_Assessment_${sanitizedTeamName}.pdf`;
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-    // Stream the PDF file
-    const fileStream = fs.createReadStream(pdfPath);
-    fileStream.pipe(res);
-
-    // Clean up temporary files after streaming completes
-    fileStream.on('end', () => {
-      console.log('✅ PDF sent successfully');
-
-      // Delete temporary files
-      if (tempFilePath && fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-      }
-      if (pdfPath && fs.existsSync(pdfPath)) {
-        fs.unlinkSync(pdfPath);
-      }
+  } catch (optionError) {
+    // Clean up uploaded files
+    removeFiles(tempFilePath, baselineFilePath);
+    return res.status(400).json({
+      error: optionError.message
     });
+  }
 
-    fileStream.on('error', (error) => {
-      console.error('Error streaming PDF:', error);
+  console.log(`📊 Queuing analysis request for team: "${teamName}"`);
+  console.log(`📁 Uploaded file: ${file.originalname} (${file.size} bytes)`);
+  console.log(`📋 Assessment: ${assessment.id}@${assessment.version} (output: ${format}, anonymity: ${options.anonymity}` +
+    `${participantReports ? ', with participant reports' : ''})`);
 
-      // Clean up on error
-      if (tempFilePath && fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-      }
-      if (pdfPath && fs.existsSync(pdfPath)) {
-        fs.unlinkSync(pdfPath);
-      }
-    });
+  // The pipeline owns the uploaded files from here and deletes them when done
+  const job = enqueueJob({
+    type: 'analysis',
+    owner: req.user.email,
+    steps: participantReports ? [...PIPELINE_STEPS, PARTICIPANT_REPORTS_STEP] : PIPELINE_STEPS,
+    format
+  }, (onStep) => runAnalysis({
+    ...options,
+    filePath: tempFilePath,
+    baselineFilePath,
+    baselineReportId,
+    baselineLabel,
+    teamName,
+    assessment,
+    participantReports,
+    requestedBy: req.user.email
+  }, onStep));
 
-  } catch (error) {
-    console.error('❌ Analysis pipeline error:', error);
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    format: job.format,
+    statusUrl: `/api/jobs/${job.id}`,
+    downloadUrl: `/api/jobs/${job.id}/download`,
+    ...(participantReports && { participantsUrl: `/api/jobs/${job.id}/participants` })
+  });
+});
+
+/**
+ * Reads a list field sent either comma-separated or as a repeated field
+ * @param {string|string[]} value - Raw field value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseListField(value) {
+  if (value === undefined || value === null) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Works out the batch's teams from the uploaded workbooks
+ * @param {Object[]} files - Uploaded workbooks (multer file objects)
+ * @param {Object} fields - Request fields
+ * @param {string} fields.teamNames - Team names, one per file in upload order (defaults to the filenames)
+ * @param {string} fields.teamColumn - Column to split a single workbook by
+ * @returns {Object[]} [{ teamName, filePath }]
+ * @throws {Error} If the files and team fields do not describe a valid batch
+ */
+function resolveBatchTeams(files, { teamNames, teamColumn }) {
+  const column = String(teamColumn ?? '').trim();
+  let teams;
 
-    // Clean up temporary files on error
-    if (tempFilePath && fs.existsSync(tempFilePath)) {
-      fs.unlinkSync(tempFilePath);
+  if (column) {
+    if (files.length !== 1) {
+      throw new Error('Upload exactly one Excel file when splitting teams by a column.');
     }
-    if (pdfPath && fs.existsSync(pdfPath)) {
-      fs.unlinkSync(pdfPath);
+    teams = splitWorkbookByTeam(files[0].path, column);
+  } else {
+    const names = parseListField(teamNames);
+    if (names.length > 0 && names.length !== files.length) {
+      throw new Error(`Got ${names.length} team name(s) for ${files.length} file(s); send one name per file, in upload order.`);
     }
+    teams = files.map((file, index) => ({
+      teamName: names[index] || teamNameFromFilename(file.originalname),
+      filePath: file.path
+    }));
+  }
 
-    // Send user-friendly error message
-    let errorMessage = 'An error occurred while processing your request.';
-    let statusCode = 500;
-
-    if (error.message.includes('Excel file') || error.message.includes('respondent')) {
-      errorMessage = `Invalid Excel file: ${error.message}`;
-      statusCode = 400;
-    } else if (error.message.includes('API key')) {
-      errorMessage = 'Server configuration error. Please contact support.';
-      statusCode = 500;
-    } else if (error.message.includes('rate limit')) {
-      errorMessage = 'Service temporarily unavailable. Please try again in a few moments.';
-      statusCode = 429;
-    } else if (error.message.includes('Analysis failed')) {
-      errorMessage = error.message;
-      statusCode = 500;
-    }
+  if (teams.length > MAX_BATCH_TEAMS) {
+    throw new Error(`A batch can contain at most ${MAX_BATCH_TEAMS} teams.`);
+  }
+  assertUniqueTeamNames(teams.map(team => team.teamName));
 
-    res.status(statusCode).json({ error: errorMessage });
+  return teams;
+}
+
+/**
+ * POST /api/analyze/batch
+ *
+ * Request:
+ * - files: Excel files (.xlsx), one per team; or
+ * - file: one Excel file (.xlsx) together with teamColumn
+ * - teamNames: string (optional) - team names in upload order (comma-separated or
+ *   repeated); defaults to each file's name
+ * - teamColumn: string (optional) - column whose values split one workbook into teams
+ * - organizationName: string (required) - name on the organization report
+ * - specialInstructions, assessment, anonymizeQuotes, anonymity, segmentBy, leaders,
+ *   minCompletion, duplicatePolicy, benchmark: as for POST /api/analyze, applied to every team
+ *
+ * Response (202 Accepted):
+ * {
+ *   jobId: "...",
+ *   status: "queued",
+ *   format: "zip",
+ *   teams: ["..."],
+ *   statusUrl: "/api/jobs/<jobId>",
+ *   downloadUrl: "/api/jobs/<jobId>/download"
+ * }
+ * - Error: JSON error message (validation errors only; a team that fails is noted in the
+ *   organization report, and the job fails only when no team could be analyzed)
+ */
+const batchUploadFields = upload.fields([
+  { name: 'files', maxCount: MAX_BATCH_TEAMS },
+  { name: 'file', maxCount: 1 }
+]);
+
+router.post('/analyze/batch', batchUploadFields, (req, res) => {
+  const files = [
+    ...(req.files && req.files.files ? req.files.files : []),
+    ...(req.files && req.files.file ? req.files.file : [])
+  ];
+  const uploadedPaths = files.map(file => file.path);
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      error: 'No files uploaded. Please provide one Excel file per team, or one file and a team column.'
+    });
+  }
+
+  const { organizationName, teamNames, teamColumn } = req.body;
+
+  const organization = (firstValue(organizationName) ?? '').trim();
+  const splitColumn = (firstValue(teamColumn) ?? '').trim();
+
+  let assessment;
+  let options;
+  let teams;
+  try {
+    if (!organization) throw new Error('Organization name is required.');
+    ({ assessment, options } = resolveRunOptions(req.body));
+    teams = resolveBatchTeams(files, { teamNames, teamColumn: splitColumn });
+  } catch (optionError) {
+    removeFiles(...uploadedPaths);
+    return res.status(400).json({
+      error: optionError.message
+    });
   }
+
+  // A split workbook has been copied into one file per team; the original is no longer needed
+  if (splitColumn) {
+    removeFiles(...uploadedPaths);
+  }
+
+  console.log(`📦 Queuing batch for "${organization}": ${teams.length} team(s)`);
+  console.log(`📋 Assessment: ${assessment.id}@${assessment.version} (anonymity: ${options.anonymity})`);
+
+  // The batch owns the team workbooks from here and deletes them when done
+  const job = enqueueJob({
+    type: 'batch',
+    owner: req.user.email,
+    steps: buildBatchSteps(teams),
+    format: 'zip'
+  }, (onStep) => runBatchAnalysis({
+    teams,
+    organizationName: organization,
+    assessment,
+    requestedBy: req.user.email,
+    options
+  }, onStep));
+
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    format: job.format,
+    teams: teams.map(team => team.teamName),
+    statusUrl: `/api/jobs/${job.id}`,
+    downloadUrl: `/api/jobs/${job.id}/download`
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * Benchmarks API Route
+ *
+ * GET /api/benchmarks            - List benchmark norm sets
+ * GET /api/benchmarks/:id        - Fetch one norm set as a norms file (for export)
+ * POST /api/benchmarks           - Build a norm set from saved runs
+ * POST /api/benchmarks/import    - Import a norm set from a norms file
+ * DELETE /api/benchmarks/:id     - Delete a norm set (its creator only)
+ *
+ * Norm sets are shared by every user, like the report history. They hold
+ * team-level scores only.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { getAssessment } = require('../services/assessmentRegistry');
+const { listNormSets, getNormSet, getNormSetSummary, saveNormSet, deleteNormSet } = require('../services/reportStore');
+const { buildNormSet, importNormSet, toNormsFile, resolveNormSetName } = require('../services/benchmarks');
+
+const router = express.Router();
+
+// Norms files are small JSON documents, so they are read in memory rather than saved to uploads/
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .json norms files are accepted'), false);
+    }
+  }
+});
+
+/**
+ * Reads an optional date filter
+ * @param {string} value - ISO date (or date-time)
+ * @param {string} field - Field name (for the error message)
+ * @returns {string|undefined} ISO timestamp, or undefined when not supplied
+ * @throws {Error} If the value is not a date
+ */
+function resolveDate(value, field) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${field} must be a date such as 2026-01-31.`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Saves a new norm set unless its name is taken
+ * @param {Object} res - Express response
+ * @param {Object} normSet - Norm set from buildNormSet or importNormSet
+ * @param {string} createdBy - Email of the creating user
+ */
+function respondWithSaved(res, normSet, createdBy) {
+  const existing = getNormSetSummary(normSet.name);
+  if (existing) {
+    return res.status(409).json({ error: `A benchmark named "${existing.name}" already exists.` });
+  }
+
+  const summary = saveNormSet(normSet, createdBy);
+  console.log(`📐 Saved benchmark "${summary.name}" (${summary.teamCount} teams, ${summary.source})`);
+  res.status(201).json(summary);
+}
+
+/**
+ * GET /api/benchmarks
+ *
+ * Query (optional):
+ * - assessment: only norm sets for this assessment id
+ *
+ * Response:
+ * {
+ *   benchmarks: [{ id, name, description, assessment, source, teamCount, createdBy, createdAt }]
+ * }
+ */
+router.get('/benchmarks', (req, res) => {
+  try {
+    res.json({ benchmarks: listNormSets({ assessmentId: req.query.assessment || undefined }) });
+  } catch (error) {
+    console.error('❌ Failed to list benchmarks:', error);
+    res.status(500).json({ error: 'Failed to load benchmarks.' });
+  }
+});
+
+/**
+ * GET /api/benchmarks/:id
+ *
+ * Response:
+ * - Success: the norms file (see POST /api/benchmarks/import) plus { id, source, createdBy, createdAt }
+ * - Error: 404 if the norm set does not exist
+ */
+router.get('/benchmarks/:id', (req, res) => {
+  try {
+    const normSet = getNormSet(req.params.id);
+
+    if (!normSet) {
+      return res.status(404).json({ error: 'Benchmark not found.' });
+    }
+
+    res.json({
+      id: normSet.id,
+      source: normSet.source,
+      createdBy: normSet.createdBy,
+      createdAt: normSet.createdAt,
+      ...toNormsFile(normSet)
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to load benchmark:', error);
+    res.status(500).json({ error: 'Failed to load benchmark.' });
+  }
+});
+
+/**
+ * POST /api/benchmarks
+ *
+ * Builds a norm set from saved runs: the latest run of each team (by name)
+ * that used the assessment.
+ *
+ * Request (JSON):
+ * {
+ *   name: "All teams 2026",       // required, unique
+ *   description: "...",           // optional
+ *   assessment: "...",            // optional, assessment id or "id@version"
+ *   reportIds: ["..."],           // optional, only these saved runs
+ *   since: "2026-01-01",          // optional, runs on or after this date
+ *   until: "2027-01-01"           // optional, runs before this date
+ * }
+ *
+ * Response:
+ * - Success (201): norm set summary
+ * - Error: 400 for invalid fields or too few teams, 409 if the name is taken
+ */
+router.post('/benchmarks', (req, res) => {
+  const { name, description, assessment: assessmentRef, reportIds, since, until } = req.body || {};
+
+  let normSet;
+  try {
+    if (reportIds !== undefined && (!Array.isArray(reportIds) || !reportIds.every(id => typeof id === 'string'))) {
+      throw new Error('reportIds must be a list of report ids.');
+    }
+    normSet = buildNormSet({
+      name,
+      description,
+      assessment: getAssessment(assessmentRef || undefined),
+      reportIds,
+      since: resolveDate(since, 'since'),
+      until: resolveDate(until, 'until')
+    });
+  } catch (buildError) {
+    return res.status(400).json({ error: buildError.message });
+  }
+
+  try {
+    respondWithSaved(res, normSet, req.user.email);
+  } catch (error) {
+    console.error('❌ Failed to save benchmark:', error);
+    res.status(500).json({ error: 'Failed to save benchmark.' });
+  }
+});
+
+/**
+ * POST /api/benchmarks/import
+ *
+ * Request (multipart/form-data):
+ * - file: norms file (.json):
+ *   {
+ *     name, description,
+ *     assessment: { id, version },
+ *     teamCount,
+ *     overall: measure,
+ *     drivers: { "<driver>": measure }, skills: { "<skill>": measure },
+ *     questions: { "<question index>": measure }
+ *   }
+ *   where each measure is { values: [one score per team] } or { mean, sd, n }
+ * - name: string (optional) - overrides the file's name
+ * - description: string (optional) - overrides the file's description
+ *
+ * Response:
+ * - Success (201): norm set summary
+ * - Error: 400 for a malformed file, 409 if the name is taken
+ */
+router.post('/benchmarks/import', upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded. Please provide a .json norms file.' });
+  }
+
+  let normSet;
+  try {
+    let file;
+    try {
+      file = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      throw new Error('Norms file is not valid JSON.');
+    }
+    if (!file || typeof file !== 'object' || !file.assessment || !file.assessment.id) {
+      throw new Error('Norms file: "assessment" must name the assessment id (and optionally version).');
+    }
+
+    const { name, description } = req.body;
+    const assessmentRef = file.assessment.version ? `${file.assessment.id}@${file.assessment.version}` : file.assessment.id;
+    normSet = importNormSet(file, getAssessment(assessmentRef), {
+      name: name && name.trim() !== '' ? resolveNormSetName(name) : undefined,
+      description
+    });
+  } catch (importError) {
+    return res.status(400).json({ error: importError.message });
+  }
+
+  try {
+    respondWithSaved(res, normSet, req.user.email);
+  } catch (error) {
+    console.error('❌ Failed to save benchmark:', error);
+    res.status(500).json({ error: 'Failed to save benchmark.' });
+  }
+});
+
+/**
+ * DELETE /api/benchmarks/:id
+ *
+ * Response:
+ * - Success (204)
+ * - Error: 404 if the norm set does not exist, 403 if another user created it
+ */
+router.delete('/benchmarks/:id', (req, res) => {
+  try {
+    const summary = getNormSetSummary(req.params.id);
+
+    if (!summary || summary.id !== req.params.id) {
+      return res.status(404).json({ error: 'Benchmark not found.' });
+    }
+    if (summary.createdBy && summary.createdBy !== req.user.email) {
+      return res.status(403).json({ error: 'Only the person who created a benchmark can delete it.' });
+    }
+
+    deleteNormSet(summary.id);
+    console.log(`🗑️  Deleted benchmark "${summary.name}"`);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('❌ Failed to delete benchmark:', error);
+    res.status(500).json({ error: 'Failed to delete benchmark.' });
+  }
+});
+
+module.exports = router;
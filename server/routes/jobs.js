@@ -0,0 +1,207 @@
+/**
+ * Jobs API Route
+ *
+ * GET /api/jobs/:id           - Poll a report job's progress
+ * GET /api/jobs/:id/download  - Download the finished report (PDF, JSON or the action plan CSV, or a ZIP for batches)
+ * GET /api/jobs/:id/participants - Download the personal participant reports as a ZIP
+ * GET /api/jobs/:id/facilitator-guide - Download the facilitator guide PDF
+ *
+ * Jobs are only visible to the user who created them.
+ */
+
+const express = require('express');
+const { getJobStatus, getJobResult } = require('../services/jobQueue');
+const { resolveOutputFormat, buildJsonResult } = require('../services/resultFormatter');
+const { buildActionPlanCsv } = require('../services/actionPlan');
+const { resolveSessionMinutes, renderFacilitatorGuide } = require('../services/facilitatorGuide');
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Response:
+ * {
+ *   id, type,
+ *   format: "pdf" | "json" | "csv" | "zip" (default download format),
+ *   status: "queued" | "running" | "completed" | "failed",
+ *   step: current step key (e.g. "claude"),
+ *   steps: [{ key, label, state: "pending" | "active" | "done" | "failed" }],
+ *   error: { statusCode, message } | null,
+ *   reportId: saved report id once completed,
+ *   createdAt, updatedAt
+ * }
+ */
+router.get('/jobs/:id', (req, res) => {
+  const status = getJobStatus(req.params.id, req.user.email);
+
+  if (!status) {
+    return res.status(404).json({ error: 'Job not found. It may have expired.' });
+  }
+
+  res.json(status);
+});
+
+/**
+ * GET /api/jobs/:id/download
+ *
+ * Query (optional):
+ * - format: "pdf" | "json" | "csv" - overrides the format chosen when the job was queued
+ *   (an Accept header naming application/json also selects JSON)
+ *
+ * Response:
+ * - Success: PDF file, the versioned JSON result (see services/resultFormatter.js) or the
+ *   action plan as CSV; batch jobs always return their ZIP and reject a format override with 400
+ * - 409 if the job has not finished (or failed); 404 if unknown or expired, or for CSV
+ *   when the report has no action plan
+ */
+router.get('/jobs/:id/download', (req, res) => {
+  const status = getJobStatus(req.params.id, req.user.email);
+
+  if (!status) {
+    return res.status(404).json({ error: 'Job not found. It may have expired.' });
+  }
+
+  // Batch jobs produce a single ZIP; there is no PDF or JSON to choose instead
+  const isArchive = status.format === 'zip';
+  if (isArchive && req.query.format) {
+    return res.status(400).json({ error: 'Batch results are only available as a ZIP.' });
+  }
+
+  let format;
+  try {
+    format = isArchive ? 'zip' : resolveOutputFormat({ format: req.query.format, accept: req.get('Accept') }, status.format);
+  } catch (formatError) {
+    return res.status(400).json({ error: formatError.message });
+  }
+
+  const result = getJobResult(req.params.id, req.user.email);
+
+  if (!result) {
+    return res.status(409).json({
+      error: status.status === 'failed' ? status.error.message : 'Report is not ready yet.'
+    });
+  }
+
+  if (format === 'zip') {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    return res.send(result.archive);
+  }
+
+  if (result.reportId) {
+    res.setHeader('X-Report-Id', result.reportId);
+  }
+
+  if (format === 'csv') {
+    const { actionPlan } = result.claudeInsights;
+    if (!actionPlan) {
+      return res.status(404).json({ error: 'This report has no action plan.' });
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename.replace(/\.pdf$/, '_Action_Plan.csv')}"`);
+    return res.send(buildActionPlanCsv(actionPlan, { teamName: result.teamName, startDate: status.updatedAt }));
+  }
+
+  if (format === 'json') {
+    return res.json(buildJsonResult({
+      teamName: result.teamName,
+      reportId: result.reportId,
+      calculatedData: result.calculatedData,
+      claudeInsights: result.claudeInsights,
+      generatedAt: status.updatedAt
+    }));
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+  res.send(result.pdf);
+});
+
+/**
+ * GET /api/jobs/:id/participants
+ *
+ * Response:
+ * - Success: ZIP with one personal PDF per respondent (only kept with the job, never
+ *   saved to the report history)
+ * - 409 if the job has not finished (or failed); 404 if unknown or expired, if participant
+ *   reports were not requested, or if the run could not have them (the message says why)
+ */
+router.get('/jobs/:id/participants', (req, res) => {
+  const status = getJobStatus(req.params.id, req.user.email);
+
+  if (!status) {
+    return res.status(404).json({ error: 'Job not found. It may have expired.' });
+  }
+
+  const result = getJobResult(req.params.id, req.user.email);
+
+  if (!result) {
+    return res.status(409).json({
+      error: status.status === 'failed' ? status.error.message : 'Report is not ready yet.'
+    });
+  }
+
+  const { participantReports } = result;
+  if (!participantReports) {
+    return res.status(404).json({ error: 'Participant reports were not requested for this job.' });
+  }
+  if (!participantReports.archive) {
+    return res.status(404).json({ error: participantReports.reason });
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${participantReports.filename}"`);
+  res.send(participantReports.archive);
+});
+
+/**
+ * GET /api/jobs/:id/facilitator-guide
+ *
+ * Query (optional):
+ * - minutes: session length the agenda is timed for (45-240, default 90)
+ *
+ * Response:
+ * - Success: the facilitator guide PDF (see services/facilitatorGuide.js), built on request
+ * - 400 for an invalid session length or a batch job; 409 if the job has not finished
+ *   (or failed); 404 if unknown or expired
+ */
+router.get('/jobs/:id/facilitator-guide', async (req, res) => {
+  const status = getJobStatus(req.params.id, req.user.email);
+
+  if (!status) {
+    return res.status(404).json({ error: 'Job not found. It may have expired.' });
+  }
+  if (status.format === 'zip') {
+    return res.status(400).json({ error: 'Facilitator guides are built for one team. Open a team\'s saved report instead.' });
+  }
+
+  let sessionMinutes;
+  try {
+    sessionMinutes = resolveSessionMinutes(req.query.minutes);
+  } catch (minutesError) {
+    return res.status(400).json({ error: minutesError.message });
+  }
+
+  const result = getJobResult(req.params.id, req.user.email);
+
+  if (!result) {
+    return res.status(409).json({
+      error: status.status === 'failed' ? status.error.message : 'Report is not ready yet.'
+    });
+  }
+
+  try {
+    const { pdf, filename } = await renderFacilitatorGuide(result.teamName, result.calculatedData, result.claudeInsights, { sessionMinutes });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('❌ Failed to build facilitator guide:', error);
+    res.status(500).json({ error: 'Failed to build facilitator guide. Please try again.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+/**
+ * Report History API Route
+ *
+ * GET /api/reports          - List saved analysis runs
+ * GET /api/reports/:id      - Fetch one run's data and insights as JSON
+ * GET /api/reports/:id/pdf  - Re-download a run's PDF
+ * GET /api/reports/:id/action-plan - Download a run's action plan as CSV
+ * GET /api/reports/:id/facilitator-guide - Download a facilitator guide for a run
+ * POST /api/reports/compare - Queue a comparison report from two saved runs
+ */
+
+const express = require('express');
+const { listReports, getReport, getReportSummary, getReportPdf } = require('../services/reportStore');
+const { buildReportFilename } = require('../services/pdfGenerator');
+const { PIPELINE_STEPS, runSavedComparison, describeError } = require('../services/analysisPipeline');
+const { enqueueJob } = require('../services/jobQueue');
+const { resolveOutputFormat } = require('../services/resultFormatter');
+const { buildActionPlanCsv } = require('../services/actionPlan');
+const { resolveSessionMinutes, renderFacilitatorGuide } = require('../services/facilitatorGuide');
+const { assertComparableRuns } = require('../services/comparisonCalculator');
+
+const router = express.Router();
+
+/**
+ * GET /api/reports
+ *
+ * Query (all optional):
+ * - teamName: only reports for this team (case-insensitive)
+ * - mine: "true" to only show reports requested by the current user
+ * - limit: page size (default 50, max 200)
+ * - offset: rows to skip
+ *
+ * Response:
+ * {
+ *   reports: [{ id, teamName, requestedBy, createdAt, assessment, respondentCount }],
+ *   total: number
+ * }
+ */
+router.get('/reports', (req, res) => {
+  try {
+    const { teamName, mine, limit, offset } = req.query;
+
+    const result = listReports({
+      teamName,
+      requestedBy: mine === 'true' ? req.user.email : undefined,
+      limit,
+      offset
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Failed to list reports:', error);
+    res.status(500).json({ error: 'Failed to load report history.' });
+  }
+});
+
+/**
+ * GET /api/reports/:id
+ *
+ * Response:
+ * - Success: { id, teamName, requestedBy, createdAt, assessment, respondentCount,
+ *              specialInstructions, calculatedData, insights }
+ * - Error: 404 if the report does not exist
+ */
+router.get('/reports/:id', (req, res) => {
+  try {
+    const report = getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('❌ Failed to load report:', error);
+    res.status(500).json({ error: 'Failed to load report.' });
+  }
+});
+
+/**
+ * GET /api/reports/:id/pdf
+ *
+ * Response:
+ * - Success: PDF file
+ * - Error: 404 if the report does not exist
+ */
+router.get('/reports/:id/pdf', (req, res) => {
+  try {
+    const summary = getReportSummary(req.params.id);
+    const pdf = summary ? getReportPdf(req.params.id) : null;
+
+    if (!pdf) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+
+    const filename = buildReportFilename(summary.assessment.name || 'Report', summary.teamName);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('❌ Failed to load report PDF:', error);
+    res.status(500).json({ error: 'Failed to load report PDF.' });
+  }
+});
+
+/**
+ * GET /api/reports/:id/action-plan
+ *
+ * Response:
+ * - Success: CSV with one row per milestone (see services/actionPlan.js);
+ *   due dates count from the run's date
+ * - Error: 404 if the report does not exist or was saved before action plans existed
+ */
+router.get('/reports/:id/action-plan', (req, res) => {
+  try {
+    const report = getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+    if (!report.insights.actionPlan) {
+      return res.status(404).json({ error: 'This report has no action plan.' });
+    }
+
+    const filename = buildReportFilename(report.assessment.name || 'Report', report.teamName).replace(/\.pdf$/, '_Action_Plan.csv');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildActionPlanCsv(report.insights.actionPlan, { teamName: report.teamName, startDate: report.createdAt }));
+
+  } catch (error) {
+    console.error('❌ Failed to load action plan:', error);
+    res.status(500).json({ error: 'Failed to load action plan.' });
+  }
+});
+
+/**
+ * GET /api/reports/:id/facilitator-guide
+ *
+ * Query (optional):
+ * - minutes: session length the agenda is timed for (45-240, default 90)
+ *
+ * Response:
+ * - Success: the facilitator guide PDF, built on request from the run's data and insights
+ * - Error: 400 for an invalid session length; 404 if the report does not exist
+ */
+router.get('/reports/:id/facilitator-guide', async (req, res) => {
+  try {
+    let sessionMinutes;
+    try {
+      sessionMinutes = resolveSessionMinutes(req.query.minutes);
+    } catch (minutesError) {
+      return res.status(400).json({ error: minutesError.message });
+    }
+
+    const report = getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+
+    const { pdf, filename } = await renderFacilitatorGuide(report.teamName, report.calculatedData, report.insights, { sessionMinutes });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('❌ Failed to build facilitator guide:', error);
+    res.status(500).json({ error: 'Failed to build facilitator guide.' });
+  }
+});
+
+/**
+ * POST /api/reports/compare
+ *
+ * Queues a comparison report built from two saved runs of the same team.
+ * The later run's insights are reused and Claude is only asked to interpret
+ * the change. The comparison is saved as a new report.
+ *
+ * 400 when the runs belong to different teams or assessments, or the
+ * baseline is not earlier than the current run.
+ *
+ * Request (JSON):
+ * {
+ *   baselineReportId: "...",  // earlier run
+ *   currentReportId: "...",   // later run
+ *   format: "pdf" | "json" | "csv" // optional, as for POST /api/analyze
+ * }
+ *
+ * Response (202 Accepted):
+ * { jobId, status, format, statusUrl, downloadUrl } - same as POST /api/analyze
+ */
+router.post('/reports/compare', (req, res) => {
+  try {
+    const { baselineReportId, currentReportId, format: requestedFormat } = req.body || {};
+
+    if (!baselineReportId || !currentReportId) {
+      return res.status(400).json({
+        error: 'Both baselineReportId and currentReportId are required.'
+      });
+    }
+
+    let format;
+    try {
+      format = resolveOutputFormat({ format: requestedFormat, accept: req.get('Accept') });
+    } catch (formatError) {
+      return res.status(400).json({ error: formatError.message });
+    }
+
+    const baseline = getReport(baselineReportId);
+    const current = getReport(currentReportId);
+
+    if (!baseline || !current) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+
+    try {
+      assertComparableRuns(baseline, current);
+    } catch (comparisonError) {
+      const { statusCode, message } = describeError(comparisonError);
+      return res.status(statusCode).json({ error: message });
+    }
+
+    console.log(`📉 Queuing comparison of saved reports for team: "${current.teamName}"`);
+
+    const job = enqueueJob({
+      type: 'comparison',
+      owner: req.user.email,
+      steps: PIPELINE_STEPS.filter(step => step.key !== 'parsing'),
+      format
+    }, (onStep) => runSavedComparison({
+      baseline,
+      current,
+      requestedBy: req.user.email
+    }, onStep));
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      format: job.format,
+      statusUrl: `/api/jobs/${job.id}`,
+      downloadUrl: `/api/jobs/${job.id}/download`
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to queue comparison:', error);
+    res.status(500).json({ error: 'Failed to build comparison report. Please try again.' });
+  }
+});
+
+module.exports = router;
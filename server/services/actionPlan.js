@@ -0,0 +1,172 @@
+/**
+ * Action Plan Service
+ *
+ * Picks the focus areas a team's action plan is built around and exports a
+ * finished plan as CSV:
+ * - Focus areas are the lowest-scoring skills plus the skill behind the
+ *   team's biggest disagreement, chosen here so Claude and the rule-based
+ *   fallback plan around the same areas
+ * - Each initiative has a suggested owner (a role, never a person) and
+ *   milestones at 30, 60 and 90 days
+ * - The CSV has one row per milestone, so each imports as one task
+ */
+
+// Focus areas picked for the lowest skill scores, then for disagreement
+const LOW_SCORE_AREA_COUNT = 2;
+const DISAGREEMENT_AREA_COUNT = 1;
+
+// Questions listed under each focus area (lowest, or least agreed, first)
+const QUESTIONS_PER_AREA = 2;
+
+// Milestone checkpoints, in days from the report date
+const MILESTONE_DAYS = [30, 60, 90];
+
+const CSV_COLUMNS = ['Team', 'Priority', 'Focus Area', 'Drivers', 'Initiative', 'Description', 'Owner', 'Checkpoint', 'Due Date', 'Milestone'];
+
+/**
+ * Reads a question's agreement for ranking; a single answer shows no disagreement
+ * @param {Object} question - Question with stats from calculateAll
+ * @returns {number} Agreement index from 0 to 1
+ */
+function agreementOf(question) {
+  return question.agreement === null || question.agreement === undefined ? 1 : question.agreement;
+}
+
+/**
+ * Picks the focus areas for the action plan: the lowest-scoring skills, then
+ * the skill of the least agreed question not already picked
+ * @param {Object} calculatedData - Output of calculateAll
+ * @returns {Object[]} [{ id, skill, drivers, reason: "low-score" | "disagreement", average,
+ *   questions: [{ text, average, agreement, stdDev }] }] in the order picked; empty for runs
+ *   saved before skill scores existed
+ */
+function selectFocusAreas(calculatedData) {
+  const { skillStats } = calculatedData;
+  if (!skillStats || skillStats.length === 0) return [];
+
+  const answered = calculatedData.questions.filter(q => q.responseCount > 0);
+  const toArea = (stats, reason, rank) => ({
+    skill: stats.skill,
+    drivers: stats.drivers,
+    reason,
+    average: stats.average,
+    questions: answered
+      .filter(q => q.skill === stats.skill)
+      .sort(rank)
+      .slice(0, QUESTIONS_PER_AREA)
+      .map(q => ({ text: q.text, average: q.average, agreement: q.agreement, stdDev: q.stdDev }))
+  });
+
+  // A skill nobody answered has nothing to plan around
+  const scored = skillStats.filter(stats => answered.some(q => q.skill === stats.skill));
+  const areas = scored
+    .sort((a, b) => a.average - b.average)
+    .slice(0, LOW_SCORE_AREA_COUNT)
+    .map(stats => toArea(stats, 'low-score', (a, b) => a.average - b.average));
+
+  const byAgreement = (a, b) => agreementOf(a) - agreementOf(b) || b.stdDev - a.stdDev;
+  const dividedSkills = [];
+  [...answered].sort(byAgreement).forEach(question => {
+    if (dividedSkills.length < DISAGREEMENT_AREA_COUNT &&
+        !dividedSkills.includes(question.skill) &&
+        !areas.some(area => area.skill === question.skill)) {
+      dividedSkills.push(question.skill);
+    }
+  });
+  dividedSkills.forEach(skill => {
+    areas.push(toArea(scored.find(stats => stats.skill === skill), 'disagreement', byAgreement));
+  });
+
+  return areas.map((area, index) => ({ id: `A${index + 1}`, ...area }));
+}
+
+/**
+ * Turns validated plan entries (which name focus areas by id) into the plan
+ * stored with the insights, in priority order
+ * @param {Object[]} entries - [{ area, objective, initiatives }] most important first
+ * @param {Object[]} focusAreas - Output of selectFocusAreas
+ * @returns {Object[]} [{ priority, focusArea, drivers, reason, average, objective,
+ *   initiatives: [{ title, description, owner, milestones: { day30, day60, day90 } }] }]
+ */
+function attachFocusAreas(entries, focusAreas) {
+  const byId = new Map(focusAreas.map(area => [area.id, area]));
+
+  return entries.map((entry, index) => {
+    const area = byId.get(entry.area);
+    return {
+      priority: index + 1,
+      focusArea: area.skill,
+      drivers: area.drivers,
+      reason: area.reason,
+      average: area.average,
+      objective: entry.objective,
+      initiatives: entry.initiatives
+    };
+  });
+}
+
+/**
+ * Quotes a CSV field when needed, and defuses text a spreadsheet would run as a formula
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Adds days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const due = new Date(date);
+  due.setUTCDate(due.getUTCDate() + days);
+  return due.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the action plan CSV: one row per milestone, ready to import into a task tracker
+ * @param {Object[]} actionPlan - insights.actionPlan
+ * @param {Object} options - CSV options
+ * @param {string} options.teamName - Team name (first column)
+ * @param {Date|string} options.startDate - Report date; due dates count from it
+ * @returns {string} CSV text (RFC 4180, CRLF line endings)
+ */
+function buildActionPlanCsv(actionPlan, { teamName, startDate = new Date() }) {
+  const start = new Date(startDate);
+  const rows = [CSV_COLUMNS];
+
+  actionPlan.forEach(area => {
+    area.initiatives.forEach(initiative => {
+      MILESTONE_DAYS.forEach(days => {
+        rows.push([
+          teamName,
+          area.priority,
+          area.focusArea,
+          area.drivers.join('; '),
+          initiative.title,
+          initiative.description,
+          initiative.owner,
+          `${days} days`,
+          addDays(start, days),
+          initiative.milestones[`day${days}`]
+        ]);
+      });
+    });
+  });
+
+  return `${rows.map(row => row.map(toCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  MILESTONE_DAYS,
+  selectFocusAreas,
+  attachFocusAreas,
+  buildActionPlanCsv
+};
@@ -0,0 +1,458 @@
+/**
+ * Analysis Pipeline Service
+ *
+ * Runs the full report pipeline: Excel → Parse → Calculate → Claude → Action Plan → PDF → Save,
+ * then optionally the personal participant reports.
+ * Each step is reported through an `onStep` callback so callers (the job
+ * queue) can expose real progress to the user.
+ *
+ * INSIGHTS_MODE controls where insights come from:
+ * - "auto" (default): Claude, falling back to rule-based templates when no API
+ *   key is configured or the call fails, so the user still gets a report
+ * - "claude": Claude only; failures fail the run
+ * - "offline": rule-based templates only (air-gapped demos, automated tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseExcelFile } = require('./excelParser');
+const { calculateAll } = require('./calculator');
+const { assertComparableRuns, calculateComparison } = require('./comparisonCalculator');
+const { calculateSegments, withLeaderColumn } = require('./segmentCalculator');
+const { calculateBenchmark, formatPercentile } = require('./benchmarks');
+const { getMinCompletion, getDuplicatePolicy, summarizeDataQuality } = require('./dataQuality');
+const { anonymizeResponses } = require('./openEndedResponses');
+const { applyPseudonyms, describeAnonymity, showsIndividuals, stripIndividualScores } = require('./anonymity');
+const { selectFocusAreas } = require('./actionPlan');
+const { describeParticipantReportsUnavailable, summarizeParticipant, buildParticipantArchive } = require('./participantReports');
+const {
+  generateInsights,
+  generateComparisonInsights,
+  generateActionPlan,
+  generateParticipantReflections,
+  formatDate
+} = require('./claudeService');
+const {
+  generateFallbackInsights,
+  generateFallbackChangeAnalysis,
+  generateFallbackActionPlan,
+  generateFallbackParticipantReflection
+} = require('./fallbackInsights');
+const { generatePDF, buildReportFilename } = require('./pdfGenerator');
+const { saveReport, getReport } = require('./reportStore');
+
+/**
+ * Pipeline steps in order, with the labels shown to users
+ */
+const PIPELINE_STEPS = [
+  { key: 'parsing', label: 'Parsing Excel file' },
+  { key: 'calculating', label: 'Calculating statistics' },
+  { key: 'claude', label: 'Generating AI insights' },
+  { key: 'actionPlan', label: 'Drafting action plan' },
+  { key: 'pdf', label: 'Rendering PDF' },
+  { key: 'saving', label: 'Saving report' }
+];
+
+/**
+ * Step added after PIPELINE_STEPS when participant reports are requested
+ */
+const PARTICIPANT_REPORTS_STEP = { key: 'participants', label: 'Writing participant reports' };
+
+const INSIGHTS_MODES = ['auto', 'claude', 'offline'];
+
+/**
+ * Reads the configured insights mode
+ * @returns {string} "auto", "claude" or "offline"
+ */
+function getInsightsMode() {
+  const mode = (process.env.INSIGHTS_MODE || 'auto').trim().toLowerCase();
+  if (!INSIGHTS_MODES.includes(mode)) {
+    console.warn(`⚠️  Unknown INSIGHTS_MODE "${process.env.INSIGHTS_MODE}", using "auto"`);
+    return 'auto';
+  }
+  return mode;
+}
+
+/**
+ * Runs a Claude call, or its rule-based equivalent when the insights mode
+ * calls for it
+ * @param {string} description - What is being generated (for logs)
+ * @param {Function} callClaude - async () => value from Claude
+ * @param {Function} buildFallback - () => rule-based value
+ * @returns {Promise<Object>} { value, source: "claude" | "rules" }
+ */
+async function withFallback(description, callClaude, buildFallback) {
+  const mode = getInsightsMode();
+
+  if (mode === 'offline') {
+    console.log(`ℹ️  Offline mode: using rule-based ${description}`);
+    return { value: buildFallback(), source: 'rules' };
+  }
+
+  if (mode === 'auto' && !process.env.ANTHROPIC_API_KEY) {
+    console.warn(`⚠️  ANTHROPIC_API_KEY is not set: using rule-based ${description}`);
+    return { value: buildFallback(), source: 'rules' };
+  }
+
+  try {
+    return { value: await callClaude(), source: 'claude' };
+  } catch (error) {
+    if (mode === 'claude') throw error;
+    console.warn(`⚠️  Claude unavailable (${error.message}): using rule-based ${description}`);
+    return { value: buildFallback(), source: 'rules' };
+  }
+}
+
+/**
+ * Deletes temporary files, ignoring paths that are unset or already gone
+ * @param {...string} filePaths - Paths to remove
+ */
+function removeFiles(...filePaths) {
+  filePaths.forEach(filePath => {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+/**
+ * Loads the baseline run for a comparison, from either an uploaded workbook
+ * or a saved report
+ * @param {Object} options - Baseline source
+ * @param {string} options.baselineFilePath - Uploaded baseline workbook path
+ * @param {string} options.baselineReportId - Saved report id
+ * @param {string} options.baselineLabel - Optional display label
+ * @param {number} options.minCompletion - Completion threshold, as for the current run
+ * @param {string} options.duplicatePolicy - Duplicate policy, as for the current run
+ * @param {Object} assessment - Assessment definition of the current run
+ * @returns {Object|null} { calculatedData, label } or null when no baseline was supplied
+ */
+function loadBaseline({
+  baselineFilePath,
+  baselineReportId,
+  baselineLabel,
+  minCompletion = getMinCompletion(),
+  duplicatePolicy = getDuplicatePolicy()
+}, assessment) {
+  if (baselineFilePath) {
+    return {
+      calculatedData: calculateAll(parseExcelFile(baselineFilePath, assessment, { minCompletion, duplicatePolicy })),
+      label: baselineLabel || 'Previous assessment'
+    };
+  }
+
+  if (baselineReportId) {
+    const report = getReport(baselineReportId);
+    if (!report) {
+      throw Object.assign(new Error('Baseline report not found.'), { statusCode: 400 });
+    }
+    return {
+      calculatedData: report.calculatedData,
+      label: baselineLabel || formatDate(new Date(report.createdAt))
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Renders the PDF to a temporary file, reads it back and saves the run
+ * @param {Object} run - Run details for saveReport
+ * @param {Function} onStep - Progress callback
+ * @returns {Promise<Object>} { pdf: Buffer, reportId }
+ */
+async function renderAndSave(run, onStep) {
+  const pdfPath = path.join(__dirname, '../uploads', `report-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.pdf`);
+
+  try {
+    onStep('pdf');
+    await generatePDF(run.teamName, run.calculatedData, run.claudeInsights, pdfPath);
+    const pdf = fs.readFileSync(pdfPath);
+
+    // A storage failure should not cost the user the report they just paid for
+    onStep('saving');
+    let reportId = null;
+    try {
+      reportId = saveReport({ ...run, pdfPath }).id;
+      console.log(`✅ Report saved (${reportId})`);
+    } catch (saveError) {
+      console.error('⚠️  Failed to save report to history:', saveError);
+    }
+
+    return { pdf, reportId };
+
+  } finally {
+    removeFiles(pdfPath);
+  }
+}
+
+/**
+ * Builds the personal participant reports for a run, or explains why it has none
+ * @param {string} teamName - Team name
+ * @param {Object} calculatedData - Calculated data, after anonymity is applied
+ * @returns {Promise<Object>} { archive, filename, count, source }, or { archive: null, reason }
+ */
+async function buildParticipantReports(teamName, calculatedData) {
+  const reason = describeParticipantReportsUnavailable(calculatedData);
+  if (reason) {
+    console.warn(`⚠️  No participant reports: ${reason}`);
+    return { archive: null, reason };
+  }
+
+  const participants = calculatedData.respondents.map(respondent => summarizeParticipant(respondent, calculatedData));
+  const { value: reflections, source } = await withFallback(
+    'participant reflections',
+    () => generateParticipantReflections(teamName, calculatedData.assessment, participants),
+    () => participants.map(generateFallbackParticipantReflection)
+  );
+
+  const result = await buildParticipantArchive(teamName, calculatedData.assessment, participants, reflections, source === 'rules');
+  console.log(`✅ Participant reports: ${result.count} (${source})`);
+  return { ...result, source };
+}
+
+/**
+ * Runs the analysis pipeline for an uploaded workbook
+ *
+ * Uploaded workbooks are always deleted when the run finishes, whether it
+ * succeeds or fails.
+ *
+ * @param {Object} request - Validated analysis request
+ * @param {string} request.filePath - Uploaded workbook path
+ * @param {string} request.teamName - Team name
+ * @param {string} request.specialInstructions - Optional special instructions
+ * @param {Object} request.assessment - Assessment definition
+ * @param {string} request.requestedBy - Email of the requesting user
+ * @param {boolean} request.anonymizeQuotes - Strip names from open-ended answers before analysis
+ * @param {string} request.anonymity - "off", "pseudonyms" or "aggregate" (see anonymity.js)
+ * @param {string[]} request.segmentColumns - Optional headers to segment respondents by
+ * @param {Object} request.leaderGroup - Optional { column, values } for Leaders vs. Team
+ * @param {number} request.minCompletion - Share of questions (0-1) a respondent must answer
+ *   to be included (defaults to DATA_QUALITY_MIN_COMPLETION)
+ * @param {string} request.duplicatePolicy - How repeat submissions under one name are
+ *   handled (defaults to DATA_QUALITY_DUPLICATE_POLICY, see DUPLICATE_POLICIES in excelParser.js)
+ * @param {string} request.baselineFilePath - Optional previous workbook path
+ * @param {string} request.baselineReportId - Optional saved report to compare against
+ * @param {string} request.baselineLabel - Optional label for the previous run
+ * @param {Object} request.benchmark - Optional saved norm set to place scores against (see benchmarks.js)
+ * @param {boolean} request.participantReports - Also build a personal PDF per respondent
+ *   (see participantReports.js); needs PARTICIPANT_REPORTS_STEP in the job's steps
+ * @param {Function} onStep - Called with a PIPELINE_STEPS key as each step starts
+ * @returns {Promise<Object>} { pdf, filename, reportId, teamName, calculatedData, claudeInsights,
+ *   participantReports } (participantReports is null unless requested, see buildParticipantReports)
+ */
+async function runAnalysis(request, onStep = () => {}) {
+  const {
+    filePath,
+    baselineFilePath,
+    teamName,
+    specialInstructions = '',
+    assessment,
+    requestedBy,
+    anonymizeQuotes = false,
+    anonymity = 'off',
+    segmentColumns = [],
+    leaderGroup = null,
+    minCompletion = getMinCompletion(),
+    duplicatePolicy = getDuplicatePolicy(),
+    benchmark = null,
+    participantReports = false
+  } = request;
+
+  try {
+    // Step 1: Parse Excel file
+    onStep('parsing');
+    let parsedData = parseExcelFile(filePath, assessment, {
+      segmentColumns: withLeaderColumn(segmentColumns, leaderGroup),
+      minCompletion,
+      duplicatePolicy
+    });
+    console.log(`✅ Parsed ${parsedData.respondents.length} respondents, ${parsedData.questions.length} questions`);
+    if (parsedData.dataQuality.excluded.length > 0) {
+      console.log(`⚠️  Excluded ${parsedData.dataQuality.excluded.length} row(s): below ${Math.round(minCompletion * 100)}% completion, no answers or repeat submissions (${duplicatePolicy})`);
+    }
+
+    // Anonymous reports never carry real names past this point: not to Claude, the PDF or the saved run
+    if (anonymity !== 'off') {
+      parsedData = applyPseudonyms(parsedData, teamName);
+      console.log(`🕶️  Respondent names replaced with pseudonyms (${anonymity})`);
+    }
+
+    // Step 2: Calculate statistics (and compare against a previous run, if supplied)
+    onStep('calculating');
+    const calculatedData = calculateAll(parsedData);
+    console.log(`✅ Calculated driver scores for ${Object.keys(calculatedData.driverScores).length} drivers`);
+
+    calculatedData.dataQuality = summarizeDataQuality(parsedData, calculatedData);
+
+    // Segments are scored from parsed respondents, so this runs before any per-person scores are stripped
+    const segments = calculateSegments(parsedData, calculatedData, { leaderGroup });
+    if (segments) {
+      calculatedData.segments = segments;
+      console.log(`✅ Segmented by ${segments.columns.map(c => c.column).join(', ')}`);
+    }
+
+    // Without per-person results, keep no per-person scores and no quote attribution either
+    calculatedData.anonymity = describeAnonymity(anonymity, calculatedData.respondents.length);
+    if (!showsIndividuals(calculatedData)) {
+      calculatedData.respondents = stripIndividualScores(calculatedData.respondents);
+      // Excluded respondents are only counted, by reason, and repeat submissions only by row
+      calculatedData.dataQuality.excluded = calculatedData.dataQuality.excluded.map(({ reason }) => ({ reason }));
+      calculatedData.dataQuality.duplicates = calculatedData.dataQuality.duplicates.map(({ rows, kept }) => ({ rows, kept }));
+      console.log(`🕶️  Individual results ${calculatedData.anonymity.individuals}`);
+    }
+
+    // Anonymous quotes are unattributed everywhere, including the saved run and JSON output
+    if (anonymizeQuotes || !showsIndividuals(calculatedData)) {
+      calculatedData.openEndedResponses = anonymizeResponses(calculatedData.openEndedResponses);
+    }
+
+    const baseline = loadBaseline({ ...request, minCompletion, duplicatePolicy }, assessment);
+    if (baseline) {
+      calculatedData.comparison = calculateComparison(baseline.calculatedData, calculatedData, {
+        baseline: baseline.label,
+        current: formatDate()
+      });
+      console.log(`✅ Compared against ${baseline.label} (overall change: ${calculatedData.comparison.overallDelta})`);
+    }
+
+    if (benchmark) {
+      calculatedData.benchmark = calculateBenchmark(calculatedData, benchmark, teamName);
+      const { overall } = calculatedData.benchmark;
+      console.log(`✅ Benchmarked against "${benchmark.name}"${overall ? ` (overall: ${formatPercentile(overall.percentile)} percentile)` : ''}`);
+    }
+
+    // Step 3: Generate Claude insights (or rule-based insights, see INSIGHTS_MODE)
+    onStep('claude');
+    const { value: insights } = await withFallback(
+      'insights',
+      () => generateInsights(teamName, calculatedData, specialInstructions),
+      () => generateFallbackInsights(teamName, calculatedData, specialInstructions)
+    );
+
+    // Step 4: Draft the action plan; like the change analysis, it is labelled with its own source
+    onStep('actionPlan');
+    let claudeInsights = insights;
+    const focusAreas = selectFocusAreas(calculatedData);
+    if (focusAreas.length > 0) {
+      const { value: actionPlan, source } = await withFallback(
+        'action plan',
+        () => generateActionPlan(teamName, calculatedData, focusAreas),
+        () => generateFallbackActionPlan(calculatedData, focusAreas)
+      );
+      claudeInsights = { ...insights, actionPlan, actionPlanSource: source };
+      console.log(`✅ Action plan: ${actionPlan.length} focus areas (${focusAreas.map(area => area.skill).join(', ')})`);
+    }
+
+    // Steps 5-6: Render and save
+    const { pdf, reportId } = await renderAndSave({
+      teamName,
+      requestedBy,
+      specialInstructions,
+      calculatedData,
+      claudeInsights
+    }, onStep);
+
+    // Step 7 (optional): Personal reports, once the team report is safely saved
+    let participants = null;
+    if (participantReports) {
+      onStep('participants');
+      participants = await buildParticipantReports(teamName, calculatedData);
+    }
+
+    return {
+      pdf,
+      filename: buildReportFilename(assessment.name, teamName),
+      reportId,
+      teamName,
+      calculatedData,
+      claudeInsights,
+      participantReports: participants
+    };
+
+  } finally {
+    removeFiles(filePath, baselineFilePath);
+  }
+}
+
+/**
+ * Builds a comparison report from two saved runs without re-running the full
+ * analysis: the later run's insights are reused and Claude only interprets
+ * the change. The comparison is saved as a new report.
+ *
+ * @param {Object} request - Comparison request
+ * @param {Object} request.baseline - Earlier saved report (from getReport)
+ * @param {Object} request.current - Later saved report (from getReport)
+ * @param {string} request.requestedBy - Email of the requesting user
+ * @param {Function} onStep - Called with a PIPELINE_STEPS key as each step starts
+ * @returns {Promise<Object>} { pdf, filename, reportId, teamName, calculatedData, claudeInsights }
+ */
+async function runSavedComparison({ baseline, current, requestedBy }, onStep = () => {}) {
+  assertComparableRuns(baseline, current);
+  const assessmentName = current.calculatedData.assessment.name;
+
+  onStep('calculating');
+  const comparison = calculateComparison(baseline.calculatedData, current.calculatedData, {
+    baseline: formatDate(new Date(baseline.createdAt)),
+    current: formatDate(new Date(current.createdAt))
+  });
+
+  onStep('claude');
+  const { value: changeAnalysis, source } = await withFallback(
+    'change analysis',
+    () => generateComparisonInsights(current.teamName, comparison, assessmentName),
+    () => generateFallbackChangeAnalysis(comparison)
+  );
+
+  // The reused insights keep their own source; the change analysis is labelled separately
+  const calculatedData = { ...current.calculatedData, comparison };
+  const claudeInsights = { ...current.insights, changeAnalysis, changeAnalysisSource: source };
+
+  const { pdf, reportId } = await renderAndSave({
+    teamName: current.teamName,
+    requestedBy,
+    specialInstructions: current.specialInstructions,
+    calculatedData,
+    claudeInsights
+  }, onStep);
+
+  return {
+    pdf,
+    filename: buildReportFilename(`${assessmentName} Comparison`, current.teamName),
+    reportId,
+    teamName: current.teamName,
+    calculatedData,
+    claudeInsights
+  };
+}
+
+/**
+ * Maps a pipeline error to a user-friendly message and HTTP status. Errors meant
+ * for the user carry a statusCode (and, where the message needs rewording, a
+ * code) from where they are thrown; anything else is reported generically.
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {Object} { statusCode, message }
+ */
+function describeError(error) {
+  switch (error.code) {
+    case 'INVALID_EXCEL':
+      return { statusCode: 400, message: `Invalid Excel file: ${error.message}` };
+    case 'LLM_AUTH':
+      return { statusCode: 500, message: 'Server configuration error. Please contact support.' };
+    case 'LLM_RATE_LIMIT':
+      return { statusCode: 429, message: 'Service temporarily unavailable. Please try again in a few moments.' };
+    default:
+      if (error.statusCode) return { statusCode: error.statusCode, message: error.message };
+      return { statusCode: 500, message: 'An error occurred while processing your request.' };
+  }
+}
+
+module.exports = {
+  PIPELINE_STEPS,
+  PARTICIPANT_REPORTS_STEP,
+  runAnalysis,
+  runSavedComparison,
+  withFallback,
+  describeError,
+  removeFiles
+};
@@ -0,0 +1,268 @@
+/**
+ * Anonymity Service
+ *
+ * Anonymous reports for teams that only answer honestly when their answers
+ * cannot be traced back to them. The mode is chosen per report:
+ * - "off" (default): respondent names are shown as exported from the form
+ * - "pseudonyms": names are replaced right after parsing, so Claude, the PDF
+ *   and the saved run only ever see pseudonyms. Per-person pages are
+ *   suppressed when fewer than ANONYMITY_MIN_GROUP_SIZE people responded.
+ * - "aggregate": pseudonyms, and the individual section is dropped entirely
+ *
+ * Anonymous modes also leave out open-ended answers that give people away by
+ * their content: columns asking who the respondent is, columns of short
+ * labels (a job title is as telling as a name), and email addresses or
+ * respondent names written into an answer.
+ *
+ * Pseudonyms ("Participant K7QM") are derived from the team and respondent
+ * names with a keyed hash, so the same person keeps the same pseudonym across
+ * runs for the same team. Set ANONYMITY_SECRET (falls back to JWT_SECRET):
+ * without a private key, pseudonyms can be reversed by hashing a list of names.
+ */
+
+const crypto = require('crypto');
+const { isEmailColumn } = require('./excelParser');
+
+const ANONYMITY_MODES = ['off', 'pseudonyms', 'aggregate'];
+
+const DEFAULT_MIN_GROUP_SIZE = 5;
+
+// Pseudonym code characters (no 0/O or 1/I) and length: 32^4 codes per team
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+// Open-ended questions about the respondent themselves ("What is your role?")
+const IDENTIFYING_QUESTION_PATTERN = /\byour (name|full name|role|job title|title|position|department|division|location|office|email|e mail|phone|phone number|employee id)\b/;
+
+// Answers this short are labels (a title, a team), not opinions
+const LABEL_MAX_WORDS = 3;
+
+// Email addresses written anywhere in an answer
+const EMAIL_IN_TEXT_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+
+const REDACTED_EMAIL = '[email removed]';
+const REDACTED_NAME = '[name removed]';
+
+/**
+ * Validates a requested anonymity mode
+ * @param {string} value - Requested mode (body field)
+ * @returns {string} "off", "pseudonyms" or "aggregate"
+ * @throws {Error} If the value is not a supported mode
+ */
+function resolveAnonymityMode(value) {
+  if (!value) return 'off';
+
+  const normalized = String(value).trim().toLowerCase();
+  if (!ANONYMITY_MODES.includes(normalized)) {
+    throw new Error(`Unsupported anonymity "${value}". Use one of: ${ANONYMITY_MODES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Reads the minimum group size for per-person pages in anonymous reports
+ * (also the smallest segment whose scores are reported)
+ * @returns {number} Minimum number of respondents
+ */
+function getMinGroupSize() {
+  const raw = process.env.ANONYMITY_MIN_GROUP_SIZE;
+  if (raw === undefined || raw.trim() === '') return DEFAULT_MIN_GROUP_SIZE;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    console.warn(`⚠️  Invalid ANONYMITY_MIN_GROUP_SIZE "${raw}", using ${DEFAULT_MIN_GROUP_SIZE}`);
+    return DEFAULT_MIN_GROUP_SIZE;
+  }
+  return value;
+}
+
+/**
+ * Gets the key used to derive pseudonyms
+ * @returns {string} Secret key
+ */
+function getPseudonymSecret() {
+  const secret = process.env.ANONYMITY_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    console.warn('⚠️  ANONYMITY_SECRET is not set: pseudonyms can be reversed by anyone with the list of team members');
+    return 'tma-pseudonyms';
+  }
+  return secret;
+}
+
+/**
+ * Normalizes a name so spacing and capitalization do not change the pseudonym
+ * @param {string} name - Name as written
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Derives the stable pseudonym of one respondent
+ * @param {string} name - Respondent name
+ * @param {string} teamName - Team name (pseudonyms differ between teams)
+ * @param {string} secret - Key from getPseudonymSecret
+ * @returns {string} Pseudonym such as "Participant K7QM"
+ */
+function derivePseudonym(name, teamName, secret) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${normalizeName(teamName)}\n${normalizeName(name)}`)
+    .digest();
+
+  // 256 is a multiple of the alphabet size, so every character is equally likely
+  const code = [...digest.subarray(0, CODE_LENGTH)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `Participant ${code}`;
+}
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks whether an open-ended column identifies respondents rather than
+ * collecting opinions: it asks who they are, holds email addresses, or only
+ * holds short labels
+ * @param {string} question - Column header
+ * @param {string[]} texts - Answers in the column
+ * @returns {boolean} True if the column should be left out of anonymous reports
+ */
+function isIdentifyingColumn(question, texts) {
+  const header = String(question).toLowerCase().replace(/[^a-z0-9]+/g, ' ');
+  return IDENTIFYING_QUESTION_PATTERN.test(header) ||
+    isEmailColumn(texts) ||
+    texts.every(text => text.split(/\s+/).length <= LABEL_MAX_WORDS);
+}
+
+/**
+ * Leaves out open-ended answers that could identify respondents by their
+ * content (see isIdentifyingColumn), and removes email addresses and
+ * respondent names written into the answers that remain
+ * @param {Object} openEndedResponses - { [header]: [{ name, text }] }
+ * @param {string[]} names - Every respondent name in the workbook
+ * @returns {Object} Same shape, without identifying columns or text
+ */
+function removeIdentifyingAnswers(openEndedResponses = {}, names = []) {
+  const namePatterns = [...new Set(names.map(name => String(name).trim()).filter(name => name.length > 1))]
+    .sort((a, b) => b.length - a.length)
+    .map(name => new RegExp(`\\b${escapeRegExp(name).replace(/\s+/g, '\\s+')}\\b`, 'gi'));
+
+  const redact = (text) => namePatterns.reduce(
+    (redacted, pattern) => redacted.replace(pattern, REDACTED_NAME),
+    text.replace(EMAIL_IN_TEXT_PATTERN, REDACTED_EMAIL)
+  );
+
+  const kept = {};
+  Object.entries(openEndedResponses).forEach(([question, answers]) => {
+    if (isIdentifyingColumn(question, answers.map(answer => answer.text))) {
+      console.log(`🕶️  Left out open-ended column "${question}": it could identify respondents`);
+      return;
+    }
+    kept[question] = answers.map(answer => ({ ...answer, text: redact(answer.text) }));
+  });
+
+  return kept;
+}
+
+/**
+ * Replaces respondent names with pseudonyms in parsed data, including the
+ * attribution of open-ended answers, respondents left out for missing answers
+ * and names found on more than one row. Open-ended answers that could
+ * identify someone are left out first (see removeIdentifyingAnswers).
+ * @param {Object} parsedData - Output of parseExcelFile
+ * @param {string} teamName - Team name
+ * @returns {Object} Parsed data with pseudonyms instead of names
+ */
+function applyPseudonyms(parsedData, teamName) {
+  const secret = getPseudonymSecret();
+  const pseudonyms = new Map(); // normalized name → pseudonym
+  const taken = new Map(); // pseudonym → normalized name
+
+  const pseudonymFor = (name) => {
+    const key = normalizeName(name);
+    if (pseudonyms.has(key)) return pseudonyms.get(key);
+
+    // Two people sharing a code in one report is rare; number the later one
+    const base = derivePseudonym(name, teamName, secret);
+    let pseudonym = base;
+    for (let suffix = 2; taken.has(pseudonym); suffix++) {
+      pseudonym = `${base} (${suffix})`;
+    }
+
+    pseudonyms.set(key, pseudonym);
+    taken.set(pseudonym, key);
+    return pseudonym;
+  };
+
+  const names = [
+    ...parsedData.respondents.map(respondent => respondent.name),
+    ...(parsedData.dataQuality ? parsedData.dataQuality.excluded.map(respondent => respondent.name) : [])
+  ];
+
+  const openEndedResponses = {};
+  Object.entries(removeIdentifyingAnswers(parsedData.openEndedResponses, names)).forEach(([question, answers]) => {
+    openEndedResponses[question] = answers.map(answer => ({ ...answer, name: pseudonymFor(answer.name) }));
+  });
+
+  return {
+    ...parsedData,
+    respondents: parsedData.respondents.map(respondent => ({ ...respondent, name: pseudonymFor(respondent.name) })),
+    openEndedResponses,
+    dataQuality: parsedData.dataQuality && {
+      ...parsedData.dataQuality,
+      excluded: parsedData.dataQuality.excluded.map(respondent => ({ ...respondent, name: pseudonymFor(respondent.name) })),
+      duplicates: parsedData.dataQuality.duplicates.map(duplicate => ({ ...duplicate, name: pseudonymFor(duplicate.name) }))
+    }
+  };
+}
+
+/**
+ * Describes how a report treats respondent identities
+ * @param {string} mode - Anonymity mode
+ * @param {number} respondentCount - Number of respondents
+ * @returns {Object} { mode, individuals: "shown" | "suppressed" | "omitted", minGroupSize }
+ */
+function describeAnonymity(mode, respondentCount) {
+  const minGroupSize = getMinGroupSize();
+
+  let individuals = 'shown';
+  if (mode === 'aggregate') individuals = 'omitted';
+  else if (mode === 'pseudonyms' && respondentCount < minGroupSize) individuals = 'suppressed';
+
+  return { mode, individuals, minGroupSize };
+}
+
+/**
+ * Checks whether a report includes per-person results
+ * @param {Object} calculatedData - Calculated data (runs saved before anonymity existed have no setting)
+ * @returns {boolean} True when individual results are shown
+ */
+function showsIndividuals(calculatedData) {
+  return !calculatedData.anonymity || calculatedData.anonymity.individuals === 'shown';
+}
+
+/**
+ * Removes per-person scores from respondent summaries, keeping only the
+ * pseudonyms (and so the respondent count)
+ * @param {Object[]} respondents - Respondent summaries from calculateAll
+ * @returns {Object[]} [{ name }]
+ */
+function stripIndividualScores(respondents) {
+  return respondents.map(({ name }) => ({ name }));
+}
+
+module.exports = {
+  ANONYMITY_MODES,
+  resolveAnonymityMode,
+  getMinGroupSize,
+  applyPseudonyms,
+  removeIdentifyingAnswers,
+  describeAnonymity,
+  showsIndividuals,
+  stripIndividualScores
+};
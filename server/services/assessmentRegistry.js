@@ -0,0 +1,210 @@
+/**
+ * Assessment Registry Service
+ *
+ * Loads versioned assessment definitions from config/assessments/ and
+ * validates them. A definition describes everything the pipeline needs to
+ * know about a form: drivers (in display order), skills, questions, the
+ * Likert scale used to score responses and, optionally, maturity stages.
+ *
+ * Definitions can be written as .js modules or plain .json files:
+ * {
+ *   id: "pulse-check",
+ *   version: "1.0.0",
+ *   name: "Strategic Pulse Check",
+ *   drivers: ["Purpose", "People", ...],
+ *   skills: ["Mission", ...],              // optional, defaults to question order
+ *   scale: { min: 1, max: 5, labels: { "Strongly Agree": 5, ... } },
+ *   maturityBands: [{ name, min, description }, ...], // optional, lowest band first
+ *   questions: [{ driver, skill, text }, ...],
+ *   openEndedQuestions: ["What should we keep doing?", ...] // optional, free-text column headers
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ASSESSMENTS_DIR = path.join(__dirname, '../config/assessments');
+const DEFAULT_ASSESSMENT_ID = 'strategic-maturity';
+
+/**
+ * Compares two dotted version strings numerically ("1.10.0" > "1.9.2")
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Validates a raw definition and fills in derived fields
+ * @param {Object} definition - Raw definition from a config file
+ * @param {string} source - File name (for error messages)
+ * @returns {Object} Normalized, frozen definition
+ */
+function normalizeDefinition(definition, source) {
+  const fail = (reason) => {
+    throw new Error(`Invalid assessment definition in ${source}: ${reason}`);
+  };
+
+  const { id, version, name, drivers, scale, questions } = definition;
+
+  if (!id || typeof id !== 'string') fail('"id" is required');
+  if (!version || typeof version !== 'string') fail('"version" is required');
+  if (!name || typeof name !== 'string') fail('"name" is required');
+  if (!Array.isArray(drivers) || drivers.length === 0) fail('"drivers" must be a non-empty array');
+  if (!Array.isArray(questions) || questions.length === 0) fail('"questions" must be a non-empty array');
+
+  if (!scale || !Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min >= scale.max) {
+    fail('"scale" must have integer "min" and "max" with min < max');
+  }
+  if (!scale.labels || Object.keys(scale.labels).length === 0) {
+    fail('"scale.labels" must map response text to scores');
+  }
+  Object.entries(scale.labels).forEach(([label, score]) => {
+    if (!Number.isInteger(score) || score < scale.min || score > scale.max) {
+      fail(`scale label "${label}" has score ${score} outside ${scale.min}-${scale.max}`);
+    }
+  });
+
+  questions.forEach((question, index) => {
+    if (!question.text) fail(`question ${index + 1} has no "text"`);
+    if (!question.skill) fail(`question ${index + 1} has no "skill"`);
+    if (!drivers.includes(question.driver)) {
+      fail(`question ${index + 1} uses unknown driver "${question.driver}"`);
+    }
+  });
+
+  // Skills default to the order they first appear in the questions
+  const questionSkills = [...new Set(questions.map(q => q.skill))];
+  const skills = Array.isArray(definition.skills) ? definition.skills : questionSkills;
+  questionSkills.forEach(skill => {
+    if (!skills.includes(skill)) fail(`skill "${skill}" is missing from "skills"`);
+  });
+
+  // Maturity bands must cover the whole scale without overlapping
+  const maturityBands = definition.maturityBands || [];
+  if (!Array.isArray(maturityBands)) fail('"maturityBands" must be an array');
+  maturityBands.forEach((band, index) => {
+    if (!band.name || typeof band.name !== 'string') fail(`maturity band ${index + 1} has no "name"`);
+    if (typeof band.min !== 'number' || band.min < scale.min || band.min >= scale.max) {
+      fail(`maturity band "${band.name}" must have a "min" from ${scale.min} up to (not including) ${scale.max}`);
+    }
+    if (index === 0 && band.min !== scale.min) {
+      fail(`the first maturity band must start at the scale minimum (${scale.min})`);
+    }
+    if (index > 0 && band.min <= maturityBands[index - 1].min) {
+      fail(`maturity band "${band.name}" must start above "${maturityBands[index - 1].name}"`);
+    }
+  });
+
+  // Free-text questions are named by header; columns not listed are only read as
+  // open-ended answers when their header reads like a question
+  const openEndedQuestions = definition.openEndedQuestions || [];
+  if (!Array.isArray(openEndedQuestions) || openEndedQuestions.some(text => !text || typeof text !== 'string')) {
+    fail('"openEndedQuestions" must be an array of header texts');
+  }
+
+  return Object.freeze({
+    id,
+    version,
+    name,
+    description: definition.description || '',
+    drivers: [...drivers],
+    skills: [...skills],
+    scale: {
+      min: scale.min,
+      max: scale.max,
+      labels: { ...scale.labels }
+    },
+    maturityBands: maturityBands.map(band => ({ name: band.name, min: band.min, description: band.description || '' })),
+    questions: questions.map(q => ({ driver: q.driver, skill: q.skill, text: q.text })),
+    openEndedQuestions: [...openEndedQuestions]
+  });
+}
+
+/**
+ * Reads every definition file in config/assessments/
+ * @returns {Map<string, Object[]>} Definitions grouped by id, newest version first
+ */
+function loadDefinitions() {
+  const byId = new Map();
+
+  fs.readdirSync(ASSESSMENTS_DIR)
+    .filter(file => file.endsWith('.js') || file.endsWith('.json'))
+    .forEach(file => {
+      const raw = require(path.join(ASSESSMENTS_DIR, file));
+      const definition = normalizeDefinition(raw, file);
+
+      const versions = byId.get(definition.id) || [];
+      if (versions.some(d => d.version === definition.version)) {
+        throw new Error(`Duplicate assessment definition: ${definition.id}@${definition.version}`);
+      }
+      versions.push(definition);
+      byId.set(definition.id, versions);
+    });
+
+  byId.forEach(versions => versions.sort((a, b) => compareVersions(b.version, a.version)));
+
+  if (!byId.has(DEFAULT_ASSESSMENT_ID)) {
+    throw new Error(`Default assessment "${DEFAULT_ASSESSMENT_ID}" is not defined`);
+  }
+
+  return byId;
+}
+
+// Load definitions once at startup
+const DEFINITIONS = loadDefinitions();
+
+/**
+ * Looks up an assessment definition
+ * @param {string} [ref] - "id" (latest version) or "id@version"; defaults to the Strategic Maturity form
+ * @returns {Object} Assessment definition
+ * @throws {Error} If no definition matches
+ */
+function getAssessment(ref = DEFAULT_ASSESSMENT_ID) {
+  const [id, version] = String(ref || DEFAULT_ASSESSMENT_ID).trim().split('@');
+  const versions = DEFINITIONS.get(id);
+
+  if (!versions) {
+    throw new Error(`Unknown assessment "${ref}"`);
+  }
+
+  if (!version) return versions[0];
+
+  const match = versions.find(d => d.version === version);
+  if (!match) {
+    throw new Error(`Unknown assessment "${ref}"`);
+  }
+  return match;
+}
+
+/**
+ * Lists available assessments (latest version of each) for selection in the UI
+ * @returns {Object[]} [{ id, version, name, description, questionCount, isDefault }]
+ */
+function listAssessments() {
+  return [...DEFINITIONS.values()].map(([latest]) => ({
+    id: latest.id,
+    version: latest.version,
+    name: latest.name,
+    description: latest.description,
+    questionCount: latest.questions.length,
+    isDefault: latest.id === DEFAULT_ASSESSMENT_ID
+  }));
+}
+
+module.exports = {
+  getAssessment,
+  listAssessments,
+  DEFAULT_ASSESSMENT_ID,
+  normalizeDefinition // Export for testing
+};
@@ -0,0 +1,233 @@
+/**
+ * Batch Analysis Service
+ *
+ * Runs the report pipeline once per team and rolls the results up into an
+ * organization report, all delivered as one ZIP:
+ * - Teams come from several workbooks (one per team) or from one workbook
+ *   split by a team column
+ * - Each team gets its own report, saved to the history like any other run
+ * - A team whose workbook cannot be analyzed is noted in the organization
+ *   report instead of failing the whole batch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const { normalizeHeader, NOT_SPECIFIED_SEGMENT } = require('./excelParser');
+const { runAnalysis, removeFiles, describeError, withFallback } = require('./analysisPipeline');
+const { calculateOrganization } = require('./organizationCalculator');
+const { generateOrganizationInsights } = require('./claudeService');
+const { generateFallbackOrganizationAnalysis } = require('./fallbackInsights');
+const { buildReportFilename, uniqueFilename } = require('./pdfGenerator');
+const { generateOrganizationPDF } = require('./organizationPdf');
+
+// Most teams one batch may contain (files uploaded, or groups in a team column)
+const MAX_BATCH_TEAMS = Number(process.env.MAX_BATCH_TEAMS) || 20;
+
+/**
+ * Builds a path for a temporary file in the uploads directory
+ * @param {string} prefix - Filename prefix
+ * @param {string} extension - Extension including the dot
+ * @returns {string} Absolute path
+ */
+function tempPath(prefix, extension) {
+  return path.join(__dirname, '../uploads', `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`);
+}
+
+/**
+ * Derives a team name from an uploaded workbook's filename
+ * @param {string} originalName - Uploaded filename, e.g. "Sales_Team.xlsx"
+ * @returns {string} Team name, e.g. "Sales Team"
+ */
+function teamNameFromFilename(originalName) {
+  return path.basename(originalName, path.extname(originalName)).replace(/[_]+/g, ' ').trim() || originalName;
+}
+
+/**
+ * Checks that no two teams share a name (compared case-insensitively, as
+ * their report filenames would collide)
+ * @param {string[]} teamNames - Team names
+ * @throws {Error} If a name appears more than once
+ */
+function assertUniqueTeamNames(teamNames) {
+  const seen = new Set();
+  teamNames.forEach(teamName => {
+    const key = teamName.toLowerCase();
+    if (seen.has(key)) throw new Error(`Team "${teamName}" appears more than once; give each team a different name.`);
+    seen.add(key);
+  });
+}
+
+/**
+ * Splits one workbook into a temporary workbook per team, by a team column
+ *
+ * Team workbooks leave out the team column itself. Every check runs before
+ * any file is written, and files already written are deleted if a later one
+ * fails, so a rejected split leaves nothing behind.
+ *
+ * @param {string} filePath - Uploaded workbook path
+ * @param {string} teamColumn - Header of the column naming each row's team
+ * @returns {Object[]} [{ teamName, filePath }] in order of first appearance
+ * @throws {Error} If the column is missing, yields too many teams or two teams
+ *   whose names differ only in capitalization
+ */
+function splitWorkbookByTeam(filePath, teamColumn) {
+  const workbook = XLSX.readFile(filePath);
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headers = [], ...rows] = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+
+  const colIndex = headers.findIndex(header => normalizeHeader(header) === normalizeHeader(teamColumn));
+  if (colIndex === -1) {
+    throw new Error(`Team column "${teamColumn}" was not found in the Excel file.`);
+  }
+
+  const groups = new Map();
+  rows
+    .filter(cells => cells.some(cell => String(cell).trim() !== ''))
+    .forEach(cells => {
+      const teamName = String(cells[colIndex] ?? '').trim() || NOT_SPECIFIED_SEGMENT;
+      if (!groups.has(teamName)) groups.set(teamName, []);
+      groups.get(teamName).push(cells);
+    });
+
+  if (groups.size === 0) {
+    throw new Error('The Excel file has no respondent rows to split into teams.');
+  }
+  if (groups.size > MAX_BATCH_TEAMS) {
+    throw new Error(`Team column "${teamColumn}" has ${groups.size} different values; a batch can contain at most ${MAX_BATCH_TEAMS} teams.`);
+  }
+  assertUniqueTeamNames([...groups.keys()]);
+
+  // The team column is the same on every row of a team, so it is left out rather than read as an answer
+  const withoutTeamColumn = cells => cells.filter((_, index) => index !== colIndex);
+
+  const teams = [];
+  try {
+    groups.forEach((teamRows, teamName) => {
+      const teamWorkbook = XLSX.utils.book_new();
+      const sheet = XLSX.utils.aoa_to_sheet([headers, ...teamRows].map(withoutTeamColumn));
+      XLSX.utils.book_append_sheet(teamWorkbook, sheet, 'Responses');
+      const teamFilePath = tempPath('batch', '.xlsx');
+      teams.push({ teamName, filePath: teamFilePath });
+      XLSX.writeFile(teamWorkbook, teamFilePath);
+    });
+  } catch (error) {
+    removeFiles(...teams.map(team => team.filePath));
+    throw error;
+  }
+
+  return teams;
+}
+
+/**
+ * Builds the progress steps for a batch: one per team, then the rollup and packaging
+ * @param {Object[]} teams - [{ teamName }]
+ * @returns {Object[]} Ordered steps [{ key, label }]
+ */
+function buildBatchSteps(teams) {
+  return [
+    ...teams.map(({ teamName }, index) => ({ key: `team-${index + 1}`, label: `Team report: ${teamName}` })),
+    { key: 'organization', label: 'Building organization report' },
+    { key: 'packaging', label: 'Packaging ZIP' }
+  ];
+}
+
+/**
+ * Runs a batch: every team's report, then the organization rollup, zipped
+ *
+ * Team workbooks are always deleted when the batch finishes, whether it
+ * succeeds or fails.
+ *
+ * @param {Object} request - Validated batch request
+ * @param {Object[]} request.teams - [{ teamName, filePath }]
+ * @param {string} request.organizationName - Name shown on the organization report
+ * @param {Object} request.assessment - Assessment definition shared by every team
+ * @param {string} request.requestedBy - Email of the requesting user
+ * @param {Object} request.options - Options passed to every team's runAnalysis
+ *   (specialInstructions, anonymizeQuotes, anonymity, segmentColumns, leaderGroup,
+ *   minCompletion, duplicatePolicy, benchmark)
+ * @param {Function} onStep - Called with a buildBatchSteps key as each step starts
+ * @returns {Promise<Object>} { archive, filename, reportId: null, teamName, organization, reportIds, failedTeams }
+ * @throws {Error} If no team could be analyzed
+ */
+async function runBatchAnalysis({ teams, organizationName, assessment, requestedBy, options = {} }, onStep = () => {}) {
+  const completed = [];
+  const failedTeams = [];
+  let organizationPdfPath = null;
+
+  try {
+    // One team at a time: each run may call Claude, and the queue already bounds concurrency per job
+    for (const [index, team] of teams.entries()) {
+      onStep(`team-${index + 1}`);
+      try {
+        const result = await runAnalysis({
+          ...options,
+          filePath: team.filePath,
+          teamName: team.teamName,
+          assessment,
+          requestedBy
+        });
+        completed.push(result);
+      } catch (error) {
+        const { message } = describeError(error);
+        console.warn(`⚠️  Batch team "${team.teamName}" failed: ${error.message}`);
+        failedTeams.push({ teamName: team.teamName, message });
+      }
+    }
+
+    onStep('organization');
+    if (completed.length === 0) {
+      throw Object.assign(
+        new Error(`No team could be analyzed: ${failedTeams.map(team => `${team.teamName} (${team.message})`).join('; ')}`),
+        { statusCode: 400 }
+      );
+    }
+    const organization = calculateOrganization(completed, failedTeams);
+    console.log(`✅ Organization rollup: ${organization.teamCount} teams, overall ${organization.overallScore}`);
+
+    const { value: organizationAnalysis, source } = await withFallback(
+      'organization analysis',
+      () => generateOrganizationInsights(organizationName, organization),
+      () => generateFallbackOrganizationAnalysis(organization)
+    );
+
+    organizationPdfPath = tempPath('organization', '.pdf');
+    await generateOrganizationPDF(organizationName, organization, organizationAnalysis, source === 'rules', organizationPdfPath);
+
+    onStep('packaging');
+    const zip = new AdmZip();
+    const used = new Set();
+    zip.addFile(
+      uniqueFilename(buildReportFilename(`${assessment.name} Organization`, organizationName), used),
+      fs.readFileSync(organizationPdfPath)
+    );
+    completed.forEach(result => {
+      zip.addFile(uniqueFilename(result.filename, used), result.pdf);
+    });
+
+    return {
+      archive: zip.toBuffer(),
+      filename: buildReportFilename(assessment.name, organizationName).replace(/\.pdf$/, '.zip'),
+      reportId: null,
+      teamName: organizationName,
+      organization,
+      organizationAnalysis,
+      reportIds: completed.map(result => ({ teamName: result.teamName, reportId: result.reportId })),
+      failedTeams
+    };
+
+  } finally {
+    // runAnalysis deletes the workbooks it ran; this catches any left after an early failure
+    removeFiles(organizationPdfPath, ...teams.map(team => team.filePath));
+  }
+}
+
+module.exports = {
+  MAX_BATCH_TEAMS,
+  teamNameFromFilename,
+  assertUniqueTeamNames,
+  splitWorkbookByTeam,
+  buildBatchSteps,
+  runBatchAnalysis
+};
@@ -0,0 +1,466 @@
+/**
+ * Benchmarks Service
+ *
+ * Places a team's scores against a named reference population (a "norm set",
+ * e.g. "All teams 2026" or "Sales orgs"), so a 3.4 on Profit can be read as
+ * "higher than 70% of teams" rather than only against the team itself.
+ *
+ * Norm sets hold team-level scores for the overall score, each driver, skill
+ * and question. They are built from saved runs (the latest run of each team)
+ * or imported from a norms file, in one of two forms per measure:
+ * - { values: [team scores] }: percentiles are read from the distribution
+ * - { mean, sd, n }: percentiles assume a normal distribution
+ *
+ * Norm sets built from saved runs also keep each team's own scores, so a team
+ * is never benchmarked against its own earlier run.
+ */
+
+const { calculateAverage, calculateSampleStdDev } = require('./calculator');
+const { listLatestTeamRuns, getNormSet } = require('./reportStore');
+
+// Fewest teams a norm set may describe; percentiles among fewer are not meaningful
+const MIN_BENCHMARK_TEAMS = 5;
+
+// Longest norm set name accepted
+const MAX_NAME_LENGTH = 80;
+
+// Scores this close are treated as equal when ranking against a distribution
+const SCORE_TOLERANCE = 0.005;
+
+/**
+ * Rounds a score to 2 decimal places
+ * @param {number} value - Raw score
+ * @returns {number} Rounded score
+ */
+function roundScore(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Summarizes one measure's team scores for a norm set
+ * @param {number[]} values - One score per team
+ * @returns {Object} { n, mean, sd, values } with values sorted ascending
+ */
+function summarizeMeasure(values) {
+  return {
+    n: values.length,
+    mean: roundScore(calculateAverage(values)),
+    sd: values.length > 1 ? roundScore(calculateSampleStdDev(values)) : 0,
+    values: values.map(roundScore).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Calculates a score's percentile within a norm measure
+ *
+ * Against a distribution, ties count half (the mid-rank percentile), so a
+ * team equal to every benchmark team sits at the 50th percentile.
+ *
+ * @param {number} score - Team score
+ * @param {Object} measure - { values } or { mean, sd }
+ * @returns {number} Percentile (0-100, whole number)
+ */
+function calculatePercentile(score, measure) {
+  if (Array.isArray(measure.values) && measure.values.length > 0) {
+    const below = measure.values.filter(value => value < score - SCORE_TOLERANCE).length;
+    const equal = measure.values.filter(value => Math.abs(value - score) <= SCORE_TOLERANCE).length;
+    return Math.round(((below + equal / 2) / measure.values.length) * 100);
+  }
+
+  if (!measure.sd) {
+    if (Math.abs(score - measure.mean) <= SCORE_TOLERANCE) return 50;
+    return score > measure.mean ? 100 : 0;
+  }
+  return Math.round(normalCdf((score - measure.mean) / measure.sd) * 100);
+}
+
+/**
+ * Formats a percentile as an ordinal ("1st", "72nd", "93rd")
+ * @param {number} percentile - Whole-number percentile
+ * @returns {string} Ordinal text
+ */
+function formatPercentile(percentile) {
+  const lastTwo = percentile % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${percentile}th`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[percentile % 10] || 'th';
+  return `${percentile}${suffix}`;
+}
+
+/**
+ * Collects one run's team-level scores, keyed the way norm sets are
+ * @param {Object} calculatedData - Output of calculateAll
+ * @returns {Object} { overall, drivers: { name: score }, skills: { name: score }, questions: { index: score } }
+ */
+function collectScores(calculatedData) {
+  const skills = {};
+  (calculatedData.skillStats || []).forEach(({ skill, average }) => {
+    skills[skill] = average;
+  });
+
+  const questions = {};
+  calculatedData.questions
+    .filter(question => question.responseCount !== 0)
+    .forEach(question => {
+      questions[question.index] = question.average;
+    });
+
+  return {
+    overall: calculateAverage(Object.values(calculatedData.driverScores)),
+    drivers: calculatedData.driverScores,
+    skills,
+    questions
+  };
+}
+
+/**
+ * Rounds every score of collectScores output the way norm set values are rounded
+ * @param {Object} scores - Output of collectScores
+ * @returns {Object} Same shape, rounded to 2 decimal places
+ */
+function roundScores({ overall, drivers, skills, questions }) {
+  const roundGroup = group => Object.fromEntries(Object.entries(group)
+    .filter(([, score]) => score !== null && score !== undefined)
+    .map(([key, score]) => [key, roundScore(score)]));
+
+  return {
+    overall: roundScore(overall),
+    drivers: roundGroup(drivers),
+    skills: roundGroup(skills),
+    questions: roundGroup(questions)
+  };
+}
+
+/**
+ * Reads a norm set name
+ * @param {string} value - Requested name
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is missing or too long
+ */
+function resolveNormSetName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (name === '') {
+    throw new Error('Benchmark name is required.');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Benchmark name must be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  return name;
+}
+
+/**
+ * Builds norms from saved runs, one data point per team
+ *
+ * Questions are matched by position, so only runs of `version` contribute
+ * question norms. Measures with fewer than MIN_BENCHMARK_TEAMS teams are left out.
+ * Each team's own scores are kept under `teams` (keyed by lowercase team name)
+ * so calculateBenchmark can leave them out when that team is benchmarked.
+ *
+ * @param {Object[]} runs - [{ teamName, assessment, calculatedData }], newest first; only each team's latest run is used
+ * @param {string} version - Assessment version whose questions are benchmarked
+ * @returns {Object} { teamCount, norms: { overall, drivers, skills, questions, teams } }
+ * @throws {Error} If fewer than MIN_BENCHMARK_TEAMS teams remain
+ */
+function buildNorms(runs, version) {
+  const latest = new Map();
+  runs.forEach(run => {
+    const key = run.teamName.toLowerCase();
+    if (!latest.has(key)) latest.set(key, run);
+  });
+
+  if (latest.size < MIN_BENCHMARK_TEAMS) {
+    throw new Error(`A benchmark needs saved runs from at least ${MIN_BENCHMARK_TEAMS} teams; found ${latest.size}.`);
+  }
+
+  const teamScores = Array.from(latest.values()).map(run => {
+    const scores = collectScores(run.calculatedData);
+    // Questions of other versions sit at other positions and are not benchmarked
+    if (run.calculatedData.assessment.version !== version) scores.questions = {};
+    return scores;
+  });
+
+  // Gathers every team's score for each key of one measure group (drivers, skills or questions)
+  const group = (field) => {
+    const values = {};
+    teamScores.forEach(scores => {
+      Object.entries(scores[field]).forEach(([key, score]) => {
+        if (score === null || score === undefined) return;
+        if (!values[key]) values[key] = [];
+        values[key].push(score);
+      });
+    });
+    return Object.fromEntries(Object.entries(values)
+      .filter(([, list]) => list.length >= MIN_BENCHMARK_TEAMS)
+      .map(([key, list]) => [key, summarizeMeasure(list)]));
+  };
+
+  return {
+    teamCount: latest.size,
+    norms: {
+      overall: summarizeMeasure(teamScores.map(scores => scores.overall)),
+      drivers: group('drivers'),
+      skills: group('skills'),
+      questions: group('questions'),
+      teams: Object.fromEntries(Array.from(latest.keys()).map((key, index) => [key, roundScores(teamScores[index])]))
+    }
+  };
+}
+
+/**
+ * Builds a norm set from saved runs of one assessment
+ * @param {Object} request - Build request
+ * @param {string} request.name - Norm set name
+ * @param {string} request.description - Optional description
+ * @param {Object} request.assessment - Assessment definition the runs must use
+ * @param {string[]} request.reportIds - Only these saved runs (optional)
+ * @param {string} request.since - Only runs from this date on (optional, ISO date)
+ * @param {string} request.until - Only runs before this date (optional, ISO date)
+ * @returns {Object} Norm set ready for saveNormSet
+ * @throws {Error} If the runs describe too few teams
+ */
+function buildNormSet({ name, description = '', assessment, reportIds, since, until }) {
+  const normSetName = resolveNormSetName(name);
+  const runs = listLatestTeamRuns({ assessmentId: assessment.id, reportIds, since, until });
+  const { teamCount, norms } = buildNorms(runs, assessment.version);
+
+  return {
+    name: normSetName,
+    description: String(description || '').trim(),
+    assessment: { id: assessment.id, version: assessment.version, name: assessment.name },
+    source: 'reports',
+    teamCount,
+    norms
+  };
+}
+
+/**
+ * Reads one measure from a norms file
+ * @param {Object} measure - { values } or { mean, sd, n }
+ * @param {string} label - Where the measure is (for error messages)
+ * @returns {Object} Measure in stored form
+ * @throws {Error} If the measure is malformed
+ */
+function readMeasure(measure, label) {
+  if (measure && Array.isArray(measure.values)) {
+    if (measure.values.length === 0 || !measure.values.every(Number.isFinite)) {
+      throw new Error(`Norms file: ${label} must list one number per team in "values".`);
+    }
+    return summarizeMeasure(measure.values);
+  }
+
+  if (measure && Number.isFinite(measure.mean) && Number.isFinite(measure.sd) && measure.sd >= 0) {
+    return {
+      n: Number.isInteger(measure.n) && measure.n > 0 ? measure.n : null,
+      mean: roundScore(measure.mean),
+      sd: roundScore(measure.sd)
+    };
+  }
+
+  throw new Error(`Norms file: ${label} needs either "values" or a numeric "mean" and "sd".`);
+}
+
+/**
+ * Reads a group of measures (drivers, skills or questions) from a norms file
+ * @param {Object} measures - { key: measure }
+ * @param {string} field - Group name (for error messages)
+ * @returns {Object} { key: measure } in stored form
+ */
+function readMeasureGroup(measures, field) {
+  if (measures === undefined) return {};
+  if (!measures || typeof measures !== 'object' || Array.isArray(measures)) {
+    throw new Error(`Norms file: "${field}" must be an object keyed by ${field === 'questions' ? 'question index' : 'name'}.`);
+  }
+  return Object.fromEntries(Object.entries(measures).map(([key, measure]) =>
+    [key, readMeasure(measure, `${field} "${key}"`)]));
+}
+
+/**
+ * Builds a norm set from an imported norms file (the format GET /api/benchmarks/:id returns)
+ * @param {Object} file - Parsed norms file
+ * @param {Object} assessment - Assessment definition named by the file (from the registry)
+ * @param {Object} overrides - { name, description } taking precedence over the file's own
+ * @returns {Object} Norm set ready for saveNormSet
+ * @throws {Error} If the file is malformed or describes too few teams
+ */
+function importNormSet(file, assessment, overrides = {}) {
+  const drivers = readMeasureGroup(file.drivers, 'drivers');
+  const unknownDrivers = Object.keys(drivers).filter(driver => !assessment.drivers.includes(driver));
+  if (Object.keys(drivers).length === 0) {
+    throw new Error('Norms file: "drivers" must include at least one driver.');
+  }
+  if (unknownDrivers.length > 0) {
+    throw new Error(`Norms file: ${unknownDrivers.map(d => `"${d}"`).join(', ')} ${unknownDrivers.length === 1 ? 'is not a driver' : 'are not drivers'} of ${assessment.name}.`);
+  }
+
+  const norms = {
+    overall: file.overall === undefined ? null : readMeasure(file.overall, 'overall'),
+    drivers,
+    skills: readMeasureGroup(file.skills, 'skills'),
+    questions: readMeasureGroup(file.questions, 'questions')
+  };
+
+  const measureCounts = [norms.overall, ...Object.values(drivers)].filter(Boolean).map(measure => measure.n).filter(Boolean);
+  const teamCount = Number.isInteger(file.teamCount) ? file.teamCount : Math.max(0, ...measureCounts);
+  if (teamCount < MIN_BENCHMARK_TEAMS) {
+    throw new Error(`Norms file: a benchmark must describe at least ${MIN_BENCHMARK_TEAMS} teams (set "teamCount" or "n").`);
+  }
+
+  return {
+    name: resolveNormSetName(overrides.name || file.name),
+    description: String(overrides.description || file.description || '').trim(),
+    assessment: { id: assessment.id, version: assessment.version, name: assessment.name },
+    source: 'import',
+    teamCount,
+    norms
+  };
+}
+
+/**
+ * Converts a saved norm set to the norms file format (for export and re-import).
+ * Each team's own scores stay behind: the file holds the population only.
+ * @param {Object} normSet - Saved norm set (from getNormSet)
+ * @returns {Object} Norms file
+ */
+function toNormsFile(normSet) {
+  const { teams, ...norms } = normSet.norms;
+  return {
+    name: normSet.name,
+    description: normSet.description,
+    assessment: { id: normSet.assessment.id, version: normSet.assessment.version },
+    teamCount: normSet.teamCount,
+    ...norms
+  };
+}
+
+/**
+ * Looks up the norm set a request names, and checks it fits the assessment
+ * @param {string} value - Norm set id or name (empty for none)
+ * @param {Object} assessment - Assessment definition of the run
+ * @returns {Object|null} Saved norm set, or null when none was requested
+ * @throws {Error} If the norm set does not exist or is for another assessment
+ */
+function resolveBenchmark(value, assessment) {
+  const ref = typeof value === 'string' ? value.trim() : '';
+  if (ref === '') return null;
+
+  const normSet = getNormSet(ref);
+  if (!normSet) {
+    throw new Error(`Benchmark "${ref}" was not found.`);
+  }
+  if (normSet.assessment.id !== assessment.id) {
+    throw new Error(`Benchmark "${normSet.name}" is for the ${normSet.assessment.name || normSet.assessment.id} assessment, not ${assessment.name}.`);
+  }
+  return normSet;
+}
+
+/**
+ * Leaves one team's own scores out of a norm set built from saved runs
+ *
+ * Each of the team's stored scores is removed from the matching measure's
+ * distribution, which is then summarized again; measures left with fewer than
+ * MIN_BENCHMARK_TEAMS teams are dropped.
+ *
+ * @param {Object} norms - Norm set norms, with each team's scores under `teams`
+ * @param {string} teamName - Team being benchmarked
+ * @returns {Object|null} Norms without the team, or null when the team is not part of the norm set
+ */
+function excludeTeam(norms, teamName) {
+  const own = norms.teams && norms.teams[String(teamName || '').toLowerCase()];
+  if (!own) return null;
+
+  // Removes the team's score from one measure's distribution
+  const without = (measure, score) => {
+    if (!measure || score === undefined || !Array.isArray(measure.values)) return measure;
+    const index = measure.values.indexOf(score);
+    if (index === -1) return measure;
+    const values = measure.values.filter((_, i) => i !== index);
+    return values.length >= MIN_BENCHMARK_TEAMS ? summarizeMeasure(values) : null;
+  };
+  const withoutGroup = (measures = {}, teamScores = {}) => Object.fromEntries(Object.entries(measures)
+    .map(([key, measure]) => [key, without(measure, teamScores[key])])
+    .filter(([, measure]) => measure));
+
+  return {
+    overall: without(norms.overall, own.overall),
+    drivers: withoutGroup(norms.drivers, own.drivers),
+    skills: withoutGroup(norms.skills, own.skills),
+    questions: withoutGroup(norms.questions, own.questions)
+  };
+}
+
+/**
+ * Places a team's scores within a norm set, leaving out the team's own
+ * earlier run when the norm set was built from it
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} normSet - Saved norm set (from resolveBenchmark)
+ * @param {string} teamName - Team being benchmarked
+ * @returns {Object} {
+ *   normSet: { id, name, description, source, teamCount, assessment, createdAt },
+ *   overall: { score, percentile, mean, n } | null,
+ *   drivers, skills: { name: { score, percentile, mean, n } },
+ *   questions: { index: { score, percentile, mean, n } } (empty unless the versions match),
+ *   questionsCompared,
+ *   ownRunExcluded: true when the team's own earlier run was left out (teamCount is then one lower)
+ * }
+ */
+function calculateBenchmark(calculatedData, normSet, teamName) {
+  const withoutTeam = excludeTeam(normSet.norms, teamName);
+  const norms = withoutTeam || normSet.norms;
+  const scores = collectScores(calculatedData);
+
+  // Scores a measure group that has norms; keys without norms are left out
+  const compare = (teamScores, measures) => Object.fromEntries(Object.entries(teamScores)
+    .filter(([key, score]) => measures[key] && score !== null && score !== undefined)
+    .map(([key, score]) => [key, {
+      score: roundScore(score),
+      percentile: calculatePercentile(score, measures[key]),
+      mean: measures[key].mean,
+      n: measures[key].n
+    }]));
+
+  const questionsCompared = normSet.assessment.version === calculatedData.assessment.version;
+
+  return {
+    normSet: {
+      id: normSet.id,
+      name: normSet.name,
+      description: normSet.description,
+      source: normSet.source,
+      teamCount: withoutTeam ? normSet.teamCount - 1 : normSet.teamCount,
+      assessment: normSet.assessment,
+      createdAt: normSet.createdAt
+    },
+    overall: norms.overall
+      ? { score: roundScore(scores.overall), percentile: calculatePercentile(scores.overall, norms.overall), mean: norms.overall.mean, n: norms.overall.n }
+      : null,
+    drivers: compare(scores.drivers, norms.drivers),
+    skills: compare(scores.skills, norms.skills || {}),
+    questions: questionsCompared ? compare(scores.questions, norms.questions || {}) : {},
+    questionsCompared,
+    ownRunExcluded: Boolean(withoutTeam)
+  };
+}
+
+module.exports = {
+  MIN_BENCHMARK_TEAMS,
+  calculatePercentile,
+  formatPercentile,
+  resolveNormSetName,
+  buildNormSet,
+  importNormSet,
+  toNormsFile,
+  resolveBenchmark,
+  calculateBenchmark,
+  buildNorms // Export for testing
+};
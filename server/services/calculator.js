@@ -2,11 +2,46 @@
  * Calculator Service
  *
  * Performs statistical calculations on parsed assessment data:
- * - Question statistics (average, standard deviation, distribution)
- * - Driver averages
- * - Respondent summaries (overall average, highest/lowest drivers, outliers)
+ * - Question statistics (average, population and sample standard deviation,
+ *   distribution, agreement index, interquartile range)
+ * - Driver averages with 95% confidence intervals
+ * - Skill averages and spread (skills group questions within and across drivers)
+ * - Maturity stages for the overall score, each driver and each skill
+ * - Respondent summaries (overall average, driver and skill averages,
+ *   highest/lowest drivers, outliers by z-score)
+ * - A sample-size check: below MIN_SAMPLE_SIZE respondents the statistics are
+ *   flagged as indicative only
  */
 
+const { getAssessment } = require('./assessmentRegistry');
+
+/**
+ * Default Likert scale bounds when no assessment scale is supplied
+ */
+const DEFAULT_SCALE = { min: 1, max: 5 };
+
+// Fewer respondents than this and averages, spreads and outliers are too
+// sensitive to single answers to be read as measurements
+const MIN_SAMPLE_SIZE = 5;
+
+// An answer is an outlier when it is at least OUTLIER_Z_SCORE standard
+// deviations from the rest of the team and OUTLIER_MIN_DIFFERENCE scale points
+// from the team average
+const OUTLIER_Z_SCORE = 2.5;
+const OUTLIER_MIN_DIFFERENCE = 1;
+
+// Smallest spread used for z-scores, so that one different answer among
+// otherwise identical ones is not infinitely far away
+const OUTLIER_SPREAD_FLOOR = 0.5;
+
+// Two-tailed 95% critical values of Student's t for 1-30 degrees of freedom
+// (larger samples use the normal value, 1.96)
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
 /**
  * Calculates the mean of an array of numbers
  * @param {number[]} values - Array of numeric values
@@ -21,7 +56,8 @@ function calculateAverage(values) {
 }
 
 /**
- * Calculates the standard deviation of an array of numbers
+ * Calculates the population standard deviation of an array of numbers
+ * (the spread of exactly these answers)
  * @param {number[]} values - Array of numeric values
  * @returns {number} Standard deviation (2 decimal places)
  */
@@ -36,17 +72,109 @@ function calculateStdDev(values) {
 }
 
 /**
- * Calculates the distribution of scores (count of 1s, 2s, 3s, 4s, 5s)
- * @param {number[]} values - Array of numeric values (1-5)
- * @returns {number[]} Array of counts [count1s, count2s, count3s, count4s, count5s]
+ * Calculates the unrounded sample variance (n - 1 denominator)
+ * @param {number[]} values - Array of numeric values
+ * @returns {number|null} Sample variance, or null with fewer than two values
  */
-function calculateDistribution(values) {
+function sampleVariance(values) {
   const validValues = values.filter(v => v !== null && !isNaN(v));
-  const distribution = [0, 0, 0, 0, 0]; // Indices 0-4 for scores 1-5
+  if (validValues.length < 2) return null;
+
+  const mean = validValues.reduce((acc, val) => acc + val, 0) / validValues.length;
+  const squareDiffs = validValues.map(value => Math.pow(value - mean, 2));
+  return squareDiffs.reduce((acc, val) => acc + val, 0) / (validValues.length - 1);
+}
+
+/**
+ * Calculates the sample standard deviation of an array of numbers (an
+ * estimate of the spread in the wider group the respondents come from)
+ * @param {number[]} values - Array of numeric values
+ * @returns {number} Standard deviation (2 decimal places); 0 with fewer than two values
+ */
+function calculateSampleStdDev(values) {
+  const variance = sampleVariance(values);
+  return variance === null ? 0 : Number(Math.sqrt(variance).toFixed(2));
+}
+
+/**
+ * Calculates the rwg agreement index for Likert answers: 1 minus the observed
+ * sample variance over the variance of uniformly random answers on the scale.
+ * 1 means everyone gave the same answer; 0 means answers are as spread out as
+ * random ones (more polarised answers are also reported as 0).
+ * @param {number[]} values - Array of numeric values on the scale
+ * @param {Object} scale - Scale bounds { min, max }
+ * @returns {number|null} Agreement from 0 to 1 (2 decimal places), or null
+ *   with fewer than two answers
+ */
+function calculateAgreement(values, scale = DEFAULT_SCALE) {
+  const variance = sampleVariance(values);
+  if (variance === null) return null;
+
+  const points = scale.max - scale.min + 1;
+  const uniformVariance = (Math.pow(points, 2) - 1) / 12;
+  return Number(Math.max(0, Math.min(1, 1 - variance / uniformVariance)).toFixed(2));
+}
+
+/**
+ * Calculates the interquartile range (spread of the middle half of answers),
+ * with quartiles interpolated between answers
+ * @param {number[]} values - Array of numeric values
+ * @returns {number} Interquartile range (2 decimal places)
+ */
+function calculateIQR(values) {
+  const sorted = values.filter(v => v !== null && !isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+
+  const quantile = (q) => {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  };
+  return Number((quantile(0.75) - quantile(0.25)).toFixed(2));
+}
+
+/**
+ * Calculates how many standard deviations a value lies from a mean
+ * @param {number} value - Value
+ * @param {number} mean - Mean of the group
+ * @param {number} stdDev - Standard deviation of the group
+ * @returns {number} z-score (2 decimal places); 0 when the group has no spread
+ */
+function calculateZScore(value, mean, stdDev) {
+  if (!stdDev) return 0;
+  return Number(((value - mean) / stdDev).toFixed(2));
+}
+
+/**
+ * Calculates the 95% margin of error of a mean (Student's t, so it widens
+ * for small samples)
+ * @param {number[]} values - Array of numeric values
+ * @returns {number|null} Margin of error (2 decimal places), or null with
+ *   fewer than two values
+ */
+function calculateMarginOfError(values) {
+  const variance = sampleVariance(values);
+  if (variance === null) return null;
+
+  const count = values.filter(v => v !== null && !isNaN(v)).length;
+  const t = T_CRITICAL_95[count - 2] || 1.96;
+  return Number((t * Math.sqrt(variance / count)).toFixed(2));
+}
+
+/**
+ * Calculates the distribution of scores (count of each scale point)
+ * @param {number[]} values - Array of numeric values on the scale
+ * @param {Object} scale - Scale bounds { min, max } (defaults to 1-5)
+ * @returns {number[]} Array of counts, one per scale point from min to max
+ */
+function calculateDistribution(values, scale = DEFAULT_SCALE) {
+  const validValues = values.filter(v => v !== null && !isNaN(v));
+  const distribution = new Array(scale.max - scale.min + 1).fill(0); // Index 0 = scale.min
 
   validValues.forEach(value => {
-    if (value >= 1 && value <= 5) {
-      distribution[value - 1]++;
+    if (value >= scale.min && value <= scale.max) {
+      distribution[value - scale.min]++;
     }
   });
 
@@ -56,42 +184,197 @@ function calculateDistribution(values) {
 /**
  * Enriches questions with statistical calculations
  * @param {Object[]} questions - Array of question objects with responses
- * @returns {Object[]} Questions with added average, stdDev, and distribution
+ * @param {Object} scale - Scale bounds { min, max }
+ * @returns {Object[]} Questions with added responseCount, average, stdDev,
+ *   sampleStdDev, agreement, iqr and distribution; average is null when nobody
+ *   answered the question
  */
-function calculateQuestionStats(questions) {
-  return questions.map(question => ({
-    ...question,
-    average: calculateAverage(question.responses),
-    stdDev: calculateStdDev(question.responses),
-    distribution: calculateDistribution(question.responses)
-  }));
+function calculateQuestionStats(questions, scale = DEFAULT_SCALE) {
+  return questions.map(question => {
+    const responseCount = question.responses.filter(v => v !== null && !isNaN(v)).length;
+    return {
+      ...question,
+      responseCount,
+      // No answers means no score, not a 0 that would pull every average down
+      average: responseCount === 0 ? null : calculateAverage(question.responses),
+      stdDev: calculateStdDev(question.responses),
+      sampleStdDev: calculateSampleStdDev(question.responses),
+      agreement: calculateAgreement(question.responses, scale),
+      iqr: calculateIQR(question.responses),
+      distribution: calculateDistribution(question.responses, scale)
+    };
+  });
 }
 
 /**
- * Calculates average score for each driver
+ * Calculates average score for each driver, over the questions someone answered
  * @param {Object[]} questions - Questions with calculated averages
+ * @param {string[]} driverOrder - Drivers in display order (sets key order of the result)
  * @returns {Object} Driver scores { driverName: average }
  */
-function calculateDriverScores(questions) {
+function calculateDriverScores(questions, driverOrder = []) {
   const driverGroups = {};
+  driverOrder.forEach(driver => {
+    driverGroups[driver] = [];
+  });
 
   // Group questions by driver
   questions.forEach(question => {
     if (!driverGroups[question.driver]) {
       driverGroups[question.driver] = [];
     }
-    driverGroups[question.driver].push(question.average);
+    if (question.average !== null) {
+      driverGroups[question.driver].push(question.average);
+    }
   });
 
-  // Calculate average for each driver
+  // Calculate average for each driver (skip drivers with no answered questions)
   const driverScores = {};
   Object.keys(driverGroups).forEach(driver => {
-    driverScores[driver] = calculateAverage(driverGroups[driver]);
+    if (driverGroups[driver].length > 0) {
+      driverScores[driver] = calculateAverage(driverGroups[driver]);
+    }
   });
 
   return driverScores;
 }
 
+/**
+ * Calculates a 95% confidence interval for each driver score
+ *
+ * Driver scores average the question averages; the interval around each one
+ * comes from how much respondents' own driver averages vary, so it narrows as
+ * more people answer and as they agree more.
+ *
+ * @param {Object} driverScores - Driver average scores
+ * @param {Object[]} respondentSummaries - Respondents with `driverScores`
+ * @param {Object} scale - Scale bounds { min, max } (intervals are clipped to it)
+ * @returns {Object} { [driver]: { low, high, margin, respondentCount } };
+ *   low, high and margin are null with fewer than two respondents
+ */
+function calculateDriverConfidence(driverScores, respondentSummaries, scale = DEFAULT_SCALE) {
+  const confidence = {};
+
+  Object.entries(driverScores).forEach(([driver, score]) => {
+    const values = respondentSummaries
+      .map(r => (driver in r.driverScores ? r.driverScores[driver] : null))
+      .filter(v => v !== null);
+    const margin = calculateMarginOfError(values);
+
+    confidence[driver] = {
+      low: margin === null ? null : Number(Math.max(scale.min, score - margin).toFixed(2)),
+      high: margin === null ? null : Number(Math.min(scale.max, score + margin).toFixed(2)),
+      margin,
+      respondentCount: values.length
+    };
+  });
+
+  return confidence;
+}
+
+/**
+ * Describes whether there are enough respondents for the statistics to be
+ * read as measurements
+ * @param {number} respondentCount - Number of respondents
+ * @returns {Object} { respondentCount, minimum, isSmall }
+ */
+function checkSampleSize(respondentCount) {
+  return {
+    respondentCount,
+    minimum: MIN_SAMPLE_SIZE,
+    isSmall: respondentCount < MIN_SAMPLE_SIZE
+  };
+}
+
+/**
+ * Calculates team statistics for each skill
+ *
+ * The average is the mean of the skill's answered question averages (as for
+ * drivers). The standard deviation is the spread of respondents' own skill
+ * averages, so it shows how much people disagree about the skill as a whole.
+ *
+ * @param {Object[]} questions - Questions with calculated averages
+ * @param {Object[]} respondentSummaries - Respondents with `skillScores`
+ * @param {string[]} skillOrder - Skills in display order
+ * @returns {Object[]} [{ skill, drivers, questionCount, average, stdDev }] in display
+ *   order; skills none of whose questions were answered are left out
+ */
+function calculateSkillStats(questions, respondentSummaries, skillOrder = []) {
+  const skills = [...new Set([...skillOrder, ...questions.map(q => q.skill)])];
+
+  return skills
+    .map(skill => {
+      const skillQuestions = questions.filter(q => q.skill === skill);
+      const answered = skillQuestions.filter(q => q.average !== null);
+      return {
+        skill,
+        // Most skills belong to one driver; a few (e.g. Critical Thinking) appear under two
+        drivers: [...new Set(skillQuestions.map(q => q.driver))],
+        questionCount: skillQuestions.length,
+        answeredCount: answered.length,
+        average: calculateAverage(answered.map(q => q.average)),
+        stdDev: calculateStdDev(respondentSummaries.map(r => (skill in r.skillScores ? r.skillScores[skill] : null)))
+      };
+    })
+    .filter(stats => stats.answeredCount > 0)
+    .map(({ answeredCount, ...stats }) => stats);
+}
+
+/**
+ * Finds the maturity band a score falls in
+ * @param {number} score - Average score
+ * @param {Object[]} bands - Maturity bands, lowest first ({ name, min })
+ * @returns {string|null} Stage name, or null when the assessment has no bands
+ */
+function classifyMaturity(score, bands) {
+  if (bands.length === 0) return null;
+
+  // Each band runs from its own min up to the next band's min
+  let stage = bands[0];
+  bands.forEach(band => {
+    if (score >= band.min) stage = band;
+  });
+  return stage.name;
+}
+
+/**
+ * Classifies the overall score, drivers and skills into maturity stages
+ * @param {Object} driverScores - Driver average scores
+ * @param {Object[]} skillStats - Skill statistics from calculateSkillStats
+ * @param {Object} assessment - Assessment definition (maturityBands, scale)
+ * @returns {Object|null} { bands, overall: { score, stage }, drivers, skills },
+ *   or null when the assessment defines no maturity bands
+ */
+function calculateMaturity(driverScores, skillStats, assessment) {
+  const bands = assessment.maturityBands || [];
+  if (bands.length === 0) return null;
+
+  const overallScore = calculateAverage(Object.values(driverScores));
+
+  const drivers = {};
+  Object.entries(driverScores).forEach(([driver, score]) => {
+    drivers[driver] = classifyMaturity(score, bands);
+  });
+
+  const skills = {};
+  skillStats.forEach(({ skill, average }) => {
+    skills[skill] = classifyMaturity(average, bands);
+  });
+
+  return {
+    // The bands used, with each one's upper bound, so saved runs keep the definitions they were scored with
+    bands: bands.map((band, index) => ({
+      name: band.name,
+      description: band.description,
+      min: band.min,
+      max: index < bands.length - 1 ? bands[index + 1].min : assessment.scale.max
+    })),
+    overall: { score: overallScore, stage: classifyMaturity(overallScore, bands) },
+    drivers,
+    skills
+  };
+}
+
 /**
  * Finds the highest and lowest scoring drivers
  * @param {Object} driverScores - Object with driver scores
@@ -126,13 +409,16 @@ function findExtremeDrivers(driverScores) {
  * @returns {Object[]} Respondents with added summary statistics
  */
 function calculateRespondentSummaries(respondents, questions, driverScores) {
-  return respondents.map(respondent => {
+  // Segment labels stay out of per-person summaries: next to a pseudonym they can identify someone
+  return respondents.map(({ segments, ...respondent }, respondentIndex) => {
     // Calculate overall average for respondent
     const overallAverage = calculateAverage(respondent.scores);
 
-    // Calculate respondent's average per driver
+    // Calculate respondent's average per driver and per skill
     const respondentDriverScores = {};
+    const respondentSkillScores = {};
     const driverGroups = {};
+    const skillGroups = {};
 
     questions.forEach((question, index) => {
       const score = respondent.scores[index];
@@ -141,6 +427,11 @@ function calculateRespondentSummaries(respondents, questions, driverScores) {
           driverGroups[question.driver] = [];
         }
         driverGroups[question.driver].push(score);
+
+        if (!skillGroups[question.skill]) {
+          skillGroups[question.skill] = [];
+        }
+        skillGroups[question.skill].push(score);
       }
     });
 
@@ -148,6 +439,10 @@ function calculateRespondentSummaries(respondents, questions, driverScores) {
       respondentDriverScores[driver] = calculateAverage(driverGroups[driver]);
     });
 
+    Object.keys(skillGroups).forEach(skill => {
+      respondentSkillScores[skill] = calculateAverage(skillGroups[skill]);
+    });
+
     // Find highest and lowest drivers for this respondent
     const driverEntries = Object.entries(respondentDriverScores);
     let highestDriver = driverEntries[0];
@@ -158,21 +453,35 @@ function calculateRespondentSummaries(respondents, questions, driverScores) {
       if (score < lowestDriver[1]) lowestDriver = [name, score];
     });
 
-    // Find outlier questions (where respondent differs significantly from team)
+    // Find outlier questions: the answer is compared with the rest of the team's
+    // (so it does not pull the comparison towards itself) and scaled by their
+    // spread, which keeps the bar sensible for both small and large teams
     const outlierQuestions = [];
-    const outlierThreshold = 1.5; // Difference of 1.5 or more is considered significant
 
     questions.forEach((question, index) => {
       const respondentScore = respondent.scores[index];
+      if (respondentScore === null) return;
+
+      const others = respondents
+        .filter((_, otherIndex) => otherIndex !== respondentIndex)
+        .map(other => other.scores[index])
+        .filter(score => score !== null && !isNaN(score));
+      if (others.length < 2) return;
+
+      const othersMean = others.reduce((acc, val) => acc + val, 0) / others.length;
+      const othersSpread = Math.max(Math.sqrt(sampleVariance(others)), OUTLIER_SPREAD_FLOOR);
+      const zScore = calculateZScore(respondentScore, othersMean, othersSpread);
       const teamAverage = question.average;
+      const difference = Number((respondentScore - teamAverage).toFixed(2));
 
-      if (respondentScore !== null && Math.abs(respondentScore - teamAverage) >= outlierThreshold) {
+      if (Math.abs(zScore) >= OUTLIER_Z_SCORE && Math.abs(difference) >= OUTLIER_MIN_DIFFERENCE) {
         outlierQuestions.push({
           questionIndex: index,
           question: question.text,
           respondentScore,
           teamAverage,
-          difference: Number((respondentScore - teamAverage).toFixed(2))
+          difference,
+          zScore
         });
       }
     });
@@ -181,6 +490,7 @@ function calculateRespondentSummaries(respondents, questions, driverScores) {
       ...respondent,
       overallAverage,
       driverScores: respondentDriverScores,
+      skillScores: respondentSkillScores,
       highestDriver: { name: highestDriver[0], score: highestDriver[1] },
       lowestDriver: { name: lowestDriver[0], score: lowestDriver[1] },
       outlierQuestions
@@ -190,17 +500,18 @@ function calculateRespondentSummaries(respondents, questions, driverScores) {
 
 /**
  * Main calculation function - performs all statistical calculations
- * @param {Object} parsedData - Output from excelParser
+ * @param {Object} parsedData - Output from excelParser (carries the assessment definition)
  * @returns {Object} Complete calculated data ready for Claude and PDF
  */
 function calculateAll(parsedData) {
   const { respondents, questions } = parsedData;
+  const assessment = parsedData.assessment || getAssessment();
 
   // Step 1: Calculate question statistics
-  const questionsWithStats = calculateQuestionStats(questions);
+  const questionsWithStats = calculateQuestionStats(questions, assessment.scale);
 
   // Step 2: Calculate driver scores
-  const driverScores = calculateDriverScores(questionsWithStats);
+  const driverScores = calculateDriverScores(questionsWithStats, assessment.drivers);
 
   // Step 3: Find strongest and weakest drivers
   const { strongest, weakest } = findExtremeDrivers(driverScores);
@@ -212,17 +523,30 @@ function calculateAll(parsedData) {
     driverScores
   );
 
-  // Step 5: Find key questions for insight
-  const sortedByAverage = [...questionsWithStats].sort((a, b) => b.average - a.average);
-  const sortedByStdDev = [...questionsWithStats].sort((a, b) => a.stdDev - b.stdDev);
+  // Step 5: Calculate skill statistics and driver confidence intervals (use the respondents' averages)
+  const skillStats = calculateSkillStats(questionsWithStats, respondentSummaries, assessment.skills);
+  const driverConfidence = calculateDriverConfidence(driverScores, respondentSummaries, assessment.scale);
+
+  // Step 6: Classify overall, driver and skill scores into maturity stages
+  const maturity = calculateMaturity(driverScores, skillStats, assessment);
+
+  // Step 7: Find key questions for insight (a question nobody answered has no score to rank)
+  const answeredQuestions = questionsWithStats.filter(question => question.responseCount > 0);
+  const sortedByAverage = [...answeredQuestions].sort((a, b) => b.average - a.average);
+
+  // Alignment is ranked by the agreement index, which allows for how many people
+  // answered each question; a single answer shows no disagreement
+  const agreementOf = (question) => (question.agreement === null ? 1 : question.agreement);
+  const sortedByAgreement = [...answeredQuestions].sort((a, b) =>
+    agreementOf(b) - agreementOf(a) || a.stdDev - b.stdDev);
 
   const highestQuestion = sortedByAverage[0];
   const lowestQuestion = sortedByAverage[sortedByAverage.length - 1];
-  const mostAligned = sortedByStdDev[0]; // Lowest std dev = most agreement
-  const mostDisagreed = sortedByStdDev[sortedByStdDev.length - 1]; // Highest std dev = most disagreement
+  const mostAligned = sortedByAgreement[0]; // Highest agreement
+  const mostDisagreed = sortedByAgreement[sortedByAgreement.length - 1]; // Lowest agreement
 
-  // Helper function to sort by driver order: Purpose, People, Plan, Product, Profit
-  const driverOrder = ['Purpose', 'People', 'Plan', 'Product', 'Profit'];
+  // Helper function to sort by the assessment's driver display order
+  const driverOrder = assessment.drivers;
   const sortByDriverOrder = (questions) => {
     return questions.sort((a, b) => {
       const aIndex = driverOrder.indexOf(a.driver);
@@ -232,20 +556,35 @@ function calculateAll(parsedData) {
   };
 
   return {
+    // Definition metadata downstream services render from (questions are already above)
+    assessment: {
+      id: assessment.id,
+      version: assessment.version,
+      name: assessment.name,
+      drivers: assessment.drivers,
+      skills: assessment.skills,
+      scale: assessment.scale
+    },
     questions: questionsWithStats,
     respondents: respondentSummaries,
     driverScores,
+    driverConfidence,
+    skillStats,
+    maturity,
+    sampleSize: checkSampleSize(respondentSummaries.length),
     strongestDriver: strongest,
     weakestDriver: weakest,
     highestQuestion,
     lowestQuestion,
     mostAligned,
     mostDisagreed,
+    // Free-text answers keyed by question header, passed through for theme analysis
+    openEndedResponses: parsedData.openEndedResponses || {},
     // All questions in Excel order for "Response Distribution" section
     allQuestionsInOrder: questionsWithStats,
     // Top 8 questions for each focused analysis section, sorted by driver order
-    sortedByAlignment: sortByDriverOrder(sortedByStdDev.slice(0, 8)), // 8 questions with lowest std dev (most aligned)
-    sortedByDifference: sortByDriverOrder([...questionsWithStats].sort((a, b) => b.stdDev - a.stdDev).slice(0, 8)), // 8 questions with highest std dev (most different)
+    sortedByAlignment: sortByDriverOrder(sortedByAgreement.slice(0, 8)), // 8 questions with highest agreement (most aligned)
+    sortedByDifference: sortByDriverOrder([...sortedByAgreement].reverse().slice(0, 8)), // 8 questions with lowest agreement (most different)
     sortedByHighestScore: sortByDriverOrder(sortedByAverage.slice(0, 8)), // 8 questions with highest averages (biggest strengths)
     sortedByLowestScore: sortByDriverOrder([...sortedByAverage].reverse().slice(0, 8)) // 8 questions with lowest averages (biggest weaknesses)
   };
@@ -255,5 +594,10 @@ module.exports = {
   calculateAll,
   calculateAverage,
   calculateStdDev,
-  calculateDistribution
+  calculateSampleStdDev,
+  calculateAgreement,
+  calculateDistribution,
+  classifyMaturity,
+  MIN_SAMPLE_SIZE,
+  OUTLIER_Z_SCORE
 };
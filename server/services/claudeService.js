@@ -2,15 +2,25 @@
  * Claude AI Service
  *
  * Integrates with Anthropic Claude API to generate interpretive insights
- * for Strategic Maturity Assessment data.
+ * for Strategic Maturity Assessment data. The model and endpoint are
+ * configured through llmProvider.js.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const { getProvider, getLlmConfig } = require('./llmProvider');
+const { indexResponses, attributeQuotes } = require('./openEndedResponses');
+const { showsIndividuals } = require('./anonymity');
+const { formatPercentile } = require('./benchmarks');
+const { attachFocusAreas } = require('./actionPlan');
+const {
+  parseModelJson,
+  validateInsights,
+  validateTeamMemberAnalysis,
+  validateChangeAnalysis,
+  validateOrganizationAnalysis,
+  validateActionPlan,
+  validateParticipantReflection,
+  mergeRepair
+} = require('./insightsValidator');
 
 /**
  * Formats date in spec format: "16-Jan-26"
@@ -26,18 +36,212 @@ function formatDate(date = new Date()) {
 }
 
 /**
- * Builds the prompt for Claude with pre-calculated data
- * @param {string} teamName - Name of the team
- * @param {number} respondentCount - Number of respondents
- * @param {Object} calculatedData - Pre-calculated statistics from calculator service
- * @param {string} specialInstructions - Optional special analysis instructions
- * @returns {string} Complete prompt for Claude
+ * Formats a signed change for display in prompts ("+0.25", "-0.40")
+ * @param {number} delta - Change value
+ * @returns {string} Signed value with 2 decimals
+ */
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(2)}`;
+}
+
+/**
+ * Builds the prompt section describing change since a previous assessment
+ * @param {Object} comparison - Output of calculateComparison
+ * @returns {string} Markdown section for the prompt
+ */
+function buildComparisonSection(comparison) {
+  const describe = (q) =>
+    `- "${q.text}" (${q.driver} / ${q.skill}): ${q.baselineAverage.toFixed(2)} → ${q.currentAverage.toFixed(2)} (${formatDelta(q.averageDelta)}), std dev ${q.baselineStdDev.toFixed(2)} → ${q.currentStdDev.toFixed(2)}`;
+
+  const list = (questions) => (questions.length > 0 ? questions.map(describe).join('\n') : '- None');
+
+  return `## Change Since Previous Assessment
+- Previous: ${comparison.baseline.label} (${comparison.baseline.respondentCount} respondents, overall ${comparison.baseline.overallScore.toFixed(2)})
+- Current: ${comparison.current.label} (${comparison.current.respondentCount} respondents, overall ${comparison.current.overallScore.toFixed(2)})
+- Overall Change: ${formatDelta(comparison.overallDelta)}
+
+Driver Changes:
+${comparison.driverDeltas.map(d => `- ${d.driver}: ${d.baseline.toFixed(2)} → ${d.current.toFixed(2)} (${formatDelta(d.delta)})`).join('\n')}
+
+Most Improved Questions:
+${list(comparison.mostImproved)}
+
+Most Declined Questions:
+${list(comparison.mostDeclined)}
+
+Biggest Gains in Alignment (std dev fell):
+${list(comparison.mostConverged.slice(0, 3))}
+
+Biggest Losses in Alignment (std dev rose):
+${list(comparison.mostDiverged.slice(0, 3))}`;
+}
+
+/**
+ * Builds the prompt section describing each team's scores in an organization rollup
+ * @param {Object} organization - Output of calculateOrganization
+ * @returns {string} Markdown section for the prompt
+ */
+function buildOrganizationSection(organization) {
+  const teamLines = organization.teams.map(team =>
+    `- #${team.rank} ${team.teamName} (${team.respondentCount} respondents): overall ${team.overallScore.toFixed(2)}` +
+      (team.stage ? ` (${team.stage})` : '') +
+      `; ${Object.entries(team.driverScores).map(([driver, score]) => `${driver} ${score.toFixed(2)}`).join(', ')}`);
+
+  const driverLines = organization.drivers.filter(d => d.organizationScore !== null).map(d =>
+    `- ${d.driver}: organization ${d.organizationScore.toFixed(2)}` +
+      (d.highest ? `; highest ${d.highest.teamName} ${d.highest.score.toFixed(2)}, lowest ${d.lowest.teamName} ${d.lowest.score.toFixed(2)} (gap ${d.gap.toFixed(2)})` : ''));
+
+  const gapLines = organization.largestQuestionGaps.slice(0, 5).map(q =>
+    `- "${q.text}" (${q.driver} / ${q.skill}): ${q.highest.teamName} ${q.highest.score.toFixed(2)} vs. ${q.lowest.teamName} ${q.lowest.score.toFixed(2)} (gap ${q.gap.toFixed(2)})`);
+
+  return `## Organization
+- Teams: ${organization.teamCount} (${organization.respondentCount} respondents)
+- Overall Score: ${organization.overallScore.toFixed(2)}${organization.stage ? ` (${organization.stage})` : ''}, weighting each team by its respondents
+
+Teams (ranked by overall score):
+${teamLines.join('\n')}
+
+Drivers:
+${driverLines.join('\n')}
+
+Largest Question Gaps Between Teams:
+${gapLines.length > 0 ? gapLines.join('\n') : '- None'}`;
+}
+
+/**
+ * Builds the prompt section describing differences between respondent groups
+ * @param {Object} segments - Output of calculateSegments
+ * @returns {string} Markdown section for the prompt
+ */
+function buildSegmentSection(segments) {
+  const columns = segments.columns.map(({ column, segments: groups, driverGaps, largestQuestionGaps }) => {
+    const groupLines = groups.map(group => (group.suppressed
+      ? `- ${group.value} (${group.respondentCount} respondents): scores hidden, group too small`
+      : `- ${group.value} (${group.respondentCount} respondents): overall ${group.overallScore.toFixed(2)}; ${Object.entries(group.driverScores).map(([driver, score]) => `${driver} ${score.toFixed(2)}`).join(', ')}`));
+
+    const gapLines = largestQuestionGaps.slice(0, 5).map(q =>
+      `- "${q.text}" (${q.driver} / ${q.skill}): ${q.highest.value} ${q.highest.score.toFixed(2)} vs. ${q.lowest.value} ${q.lowest.score.toFixed(2)} (gap ${q.gap.toFixed(2)})`);
+
+    return `### By ${column}
+${groupLines.join('\n')}
+${driverGaps.length > 0 ? `
+Driver Gaps (highest vs. lowest group):
+${driverGaps.map(d => `- ${d.driver}: ${d.highest.value} ${d.highest.score.toFixed(2)} vs. ${d.lowest.value} ${d.lowest.score.toFixed(2)} (gap ${d.gap.toFixed(2)})`).join('\n')}
+
+Largest Question Gaps:
+${gapLines.join('\n')}` : '\nFewer than two groups are large enough to compare.'}`;
+  });
+
+  const { leadersVsTeam } = segments;
+  let leaders = '';
+  if (leadersVsTeam && !leadersVsTeam.suppressed) {
+    leaders = `
+
+### Leaders vs. Team (${leadersVsTeam.column}: ${leadersVsTeam.leaderValues.join(', ')})
+- Leaders: ${leadersVsTeam.leaderCount} respondents, overall ${leadersVsTeam.leaders.overallScore.toFixed(2)}
+- Team: ${leadersVsTeam.teamCount} respondents, overall ${leadersVsTeam.team.overallScore.toFixed(2)}
+${leadersVsTeam.driverGaps.map(d => `- ${d.driver}: leaders ${d.leaders.toFixed(2)} vs. team ${d.team.toFixed(2)} (${formatDelta(d.gap)})`).join('\n')}
+
+Largest Question Gaps (positive: leaders rate higher):
+${leadersVsTeam.largestGaps.slice(0, 5).map(q => `- "${q.text}" (${q.driver} / ${q.skill}): leaders ${q.leaders.toFixed(2)} vs. team ${q.team.toFixed(2)} (${formatDelta(q.gap)})`).join('\n')}`;
+  }
+
+  return `## Segments
+Groups smaller than ${segments.minSegmentSize} respondents are not scored.
+
+${columns.join('\n\n')}${leaders}`;
+}
+
+/**
+ * Task instructions asking Claude to interpret differences between groups
+ */
+const SEGMENT_TASK = `Write 3-5 sentences on whether different groups in the team see the business differently.
+Name the groups and drivers with the largest gaps and what each gap might mean for the team.
+If leaders are compared with the rest of the team, say where leaders see the business more (or less) favourably.
+Treat gaps smaller than about 0.3 as noise, and never speculate about hidden groups.`;
+
+/**
+ * Task instructions asking Claude to interpret a comparison
+ */
+const COMPARISON_TASK = `Write 3-5 sentences answering "did we get better?" based on the change data.
+Name the drivers and questions that moved most, say whether the team became more or less aligned,
+and note if a change in the number of respondents could explain part of the movement.
+Treat changes smaller than about 0.2 as noise rather than real movement.`;
+
+/**
+ * Task instructions asking Claude to interpret an organization rollup
+ */
+const ORGANIZATION_TASK = `Write 4-6 sentences for the organization's leadership comparing the teams.
+Say where the organization as a whole is strongest and weakest, name the teams that lead and trail,
+and point out the drivers and questions with the largest gaps between teams and what those gaps might mean.
+Treat gaps smaller than about 0.3 as noise, and note when a team's result rests on only a few respondents.`;
+
+/**
+ * Task instructions asking Claude to turn the focus areas into an action plan
+ */
+const ACTION_PLAN_TASK = `Turn the focus areas above into a prioritized action plan for the next 90 days.
+List every focus area exactly once by its id, most important first, with a one-sentence objective.
+Give each focus area 1-3 concrete initiatives, each with a short title, a 1-2 sentence description,
+a suggested owner given as a role (for example "Sales lead" or "Operations manager"), never a person's name,
+and milestones at 30, 60 and 90 days that the team could check off.
+Where the team disagrees, start by finding out why people see it differently before changing anything.`;
+
+/**
+ * Task instructions for a participant's personal reflection
+ */
+const PARTICIPANT_TASK = `Write a 3-5 sentence personal reflection for this participant on how they see the business
+compared with their team: where they are more or less positive than the team, and what that might mean.
+Then suggest 3 coaching questions they could think about on their own or discuss with a coach or their manager.
+Be supportive and specific to the data; a view that differs from the team's is information, not a mistake.
+Do not guess at anyone else's answers.`;
+
+/**
+ * Task instructions for per-respondent analysis
+ */
+const TEAM_MEMBER_TASK = `For each respondent, provide:
+- A 2-3 sentence insight about their unique perspective based on how their scores compare to the team
+- One specific follow-up question that could be asked of this person
+Outliers are answers far from the rest of the team given how much the others vary (zScore is measured in the others' standard deviations).`;
+
+/**
+ * Task instructions for clustering open-ended answers into themes
  */
-function buildPrompt(teamName, respondentCount, calculatedData, specialInstructions = '') {
-  const date = formatDate();
+const OPEN_ENDED_TASK = `Group the open-ended responses below into 2-5 themes that capture what the team is saying in their own words.
+For each theme, give a short title, a 1-2 sentence summary, and the ids of 1-3 responses that best represent it.
+Only use ids from the list; the chosen responses are quoted verbatim in the report.`;
 
-  // Prepare respondent summaries for Claude
-  const respondentSummaries = calculatedData.respondents.map(r => ({
+// Longest open-ended answer sent to Claude; the report always quotes the full text
+const PROMPT_RESPONSE_MAX_LENGTH = 500;
+
+/**
+ * Lists open-ended answers for the prompt, grouped by question. Answers are
+ * referenced by id only, so respondent names never reach Claude.
+ * @param {Object[]} index - Output of indexResponses
+ * @returns {string} Prompt text
+ */
+function formatOpenEndedResponses(index) {
+  const byQuestion = new Map();
+  index.forEach(response => {
+    if (!byQuestion.has(response.question)) byQuestion.set(response.question, []);
+    byQuestion.get(response.question).push(response);
+  });
+
+  return [...byQuestion.entries()].map(([question, responses]) => {
+    const lines = responses.map(({ id, text }) => {
+      const clipped = text.length > PROMPT_RESPONSE_MAX_LENGTH ? `${text.slice(0, PROMPT_RESPONSE_MAX_LENGTH)}…` : text;
+      return `- [${id}] ${clipped.replace(/\s+/g, ' ')}`;
+    });
+    return `Question: "${question}"\n${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Prepares respondent summaries for Claude
+ * @param {Object[]} respondents - Respondent summaries from calculateAll
+ * @returns {Object[]} Compact summaries (averages, extreme drivers, top outliers)
+ */
+function summarizeRespondents(respondents) {
+  return respondents.map(r => ({
     name: r.name,
     overallAverage: r.overallAverage,
     highestDriver: r.highestDriver,
@@ -47,17 +251,213 @@ function buildPrompt(teamName, respondentCount, calculatedData, specialInstructi
       question: o.question,
       respondentScore: o.respondentScore,
       teamAverage: o.teamAverage,
-      difference: o.difference
+      difference: o.difference,
+      zScore: o.zScore
     }))
   }));
+}
+
+/**
+ * Describes how far a question's answers agree, for the key patterns
+ * @param {Object} question - Question with stats from calculateAll
+ * @returns {string} Agreement index (when available) and standard deviation
+ */
+function describeAgreement(question) {
+  const stdDev = `std dev: ${question.stdDev}`;
+  return question.agreement === undefined || question.agreement === null
+    ? stdDev
+    : `agreement: ${question.agreement.toFixed(2)}, ${stdDev}`;
+}
+
+/**
+ * Builds the prompt section on how far the numbers can be trusted: driver
+ * confidence intervals and a warning when the sample is too small
+ * @param {Object} calculatedData - Pre-calculated statistics (runs saved
+ *   before these measures existed have neither)
+ * @returns {string} Markdown section for the prompt, or an empty string
+ */
+function buildReliabilitySection(calculatedData) {
+  const { driverConfidence, sampleSize } = calculatedData;
+  if (!driverConfidence) return '';
+
+  const intervals = Object.entries(driverConfidence)
+    .filter(([, interval]) => interval.margin !== null)
+    .map(([driver, interval]) => `- ${driver}: ${interval.low.toFixed(2)} to ${interval.high.toFixed(2)}`);
+
+  const warning = sampleSize && sampleSize.isSmall
+    ? `\nOnly ${sampleSize.respondentCount} people responded (fewer than ${sampleSize.minimum}), so these results are indicative only. ` +
+      'Say so where it matters, and do not read differences between drivers or questions as meaningful unless they are large.'
+    : '';
+
+  return `
+
+## Reliability
+Agreement is an index from 0 (answers as spread out as random ones) to 1 (everyone gave the same answer).
+Treat driver scores whose 95% confidence intervals overlap as not clearly different.${intervals.length > 0 ? `
+${intervals.join('\n')}` : ''}${warning}`;
+}
+
+// Questions with missing answers listed in prompts
+const PROMPT_INCOMPLETE_QUESTION_COUNT = 3;
+
+/**
+ * Builds the prompt section on missing answers and excluded respondents
+ * @param {Object} dataQuality - calculatedData.dataQuality (absent on older runs)
+ * @returns {string} Markdown section for the prompt, or an empty string when
+ *   every included respondent answered every question and nobody was excluded
+ */
+function buildDataQualitySection(dataQuality) {
+  if (!dataQuality || (dataQuality.excluded.length === 0 && dataQuality.incompleteQuestions.length === 0)) return '';
+
+  const { answers, excluded, incompleteQuestions } = dataQuality;
+  const repeats = excluded.filter(respondent => respondent.reason === 'duplicate').length;
+  const leftOut = [];
+  if (excluded.length > repeats) {
+    leftOut.push(`${excluded.length - repeats} left out for answering fewer than ${Math.round(dataQuality.minCompletion * 100)}% of questions`);
+  }
+  if (repeats > 0) leftOut.push(`${repeats} repeat submission(s) by the same person left out`);
+  const lines = [
+    `- Respondents: ${dataQuality.respondentCount} of ${dataQuality.rowCount} rows included` +
+      (leftOut.length > 0 ? ` (${leftOut.join('; ')})` : ''),
+    `- Average Completion: ${(dataQuality.averageCompletion * 100).toFixed(1)}%; ` +
+      `${answers.notApplicable} "N/A" or "Don't know" answers, ${answers.blank} blank, ${answers.invalid} unrecognised`
+  ];
+  incompleteQuestions.slice(0, PROMPT_INCOMPLETE_QUESTION_COUNT).forEach(q => {
+    lines.push(`- "${q.text}" (${q.driver} / ${q.skill}): answered by ${q.responseCount} of ${dataQuality.respondentCount}` +
+      (q.notApplicable > 0 ? `, ${q.notApplicable} N/A or Don't know` : ''));
+  });
+
+  return `
 
-  return `You are analyzing a Strategic Maturity Assessment for a business team.
+## Data Quality
+Averages only count answered questions. Be cautious with questions many people did not answer; many "N/A" or "Don't know" answers can be a finding in itself.
+${lines.join('\n')}`;
+}
+
+/**
+ * Builds the prompt section describing the team's maturity stage
+ * @param {Object} maturity - calculatedData.maturity (absent on older runs or
+ *   assessments without maturity bands)
+ * @returns {string} Markdown section for the prompt, or an empty string
+ */
+function buildMaturitySection(maturity) {
+  if (!maturity) return '';
+
+  const range = (band) => `${band.min.toFixed(2)}-${band.max.toFixed(2)}`;
+  const overallBand = maturity.bands.find(band => band.name === maturity.overall.stage);
+
+  return `
+
+## Maturity Stage
+- Overall: ${maturity.overall.stage} (score ${maturity.overall.score.toFixed(2)}): ${overallBand.description}
+- Drivers: ${Object.entries(maturity.drivers).map(([driver, stage]) => `${driver} ${stage}`).join(', ')}
+
+Stages (lowest to highest):
+${maturity.bands.map(band => `- ${band.name} (${range(band)}): ${band.description}`).join('\n')}`;
+}
+
+// Skills and questions listed at each end of the benchmark ranking in prompts
+const PROMPT_BENCHMARK_COUNT = 3;
+
+/**
+ * Builds the prompt section placing the team against a benchmark norm set
+ * @param {Object} benchmark - calculatedData.benchmark (absent unless a benchmark was chosen)
+ * @param {Object[]} questions - calculatedData.questions, for question text
+ * @returns {string} Markdown section for the prompt, or an empty string
+ */
+function buildBenchmarkSection(benchmark, questions) {
+  if (!benchmark) return '';
+
+  const { normSet, overall, drivers, skills } = benchmark;
+  const describe = (label, entry) =>
+    `${label} ${entry.score.toFixed(2)} (${formatPercentile(entry.percentile)} percentile, benchmark average ${entry.mean.toFixed(2)})`;
+  const byPercentile = (entries) => Object.entries(entries).sort((a, b) => b[1].percentile - a[1].percentile);
+
+  const lines = [];
+  if (overall) lines.push(`- Overall: ${describe('', overall).trim()}`);
+  lines.push(...Object.entries(drivers).map(([driver, entry]) => `- ${describe(driver, entry)}`));
+
+  const rankedSkills = byPercentile(skills);
+  if (rankedSkills.length > PROMPT_BENCHMARK_COUNT * 2) {
+    lines.push(`- Skills furthest above the benchmark: ${rankedSkills.slice(0, PROMPT_BENCHMARK_COUNT).map(([skill, entry]) => describe(skill, entry)).join('; ')}`);
+    lines.push(`- Skills furthest below the benchmark: ${rankedSkills.slice(-PROMPT_BENCHMARK_COUNT).reverse().map(([skill, entry]) => describe(skill, entry)).join('; ')}`);
+  }
+
+  // Question keys are indexes into the run's questions
+  const rankedQuestions = byPercentile(benchmark.questions);
+  if (rankedQuestions.length > PROMPT_BENCHMARK_COUNT * 2) {
+    lines.push(`- Questions furthest below the benchmark: ${rankedQuestions.slice(-PROMPT_BENCHMARK_COUNT).reverse()
+      .map(([index, entry]) => `"${questions[index].text}" ${entry.score.toFixed(2)} (${formatPercentile(entry.percentile)} percentile)`)
+      .join('; ')}`);
+  }
+
+  return `
+
+## Benchmark
+Percentiles compare this team with the "${normSet.name}" benchmark of ${normSet.teamCount} teams${normSet.description ? ` (${normSet.description})` : ''}: the 70th percentile means the team scored higher than 70% of benchmark teams. Percentiles between about 40 and 60 are typical, not a strength or weakness.
+${lines.join('\n')}`;
+}
+
+// Skills listed at each end of the skill ranking in prompts
+const PROMPT_SKILL_COUNT = 3;
+
+/**
+ * Describes the action plan's focus areas, with their weakest or least agreed questions
+ * @param {Object[]} focusAreas - Output of selectFocusAreas
+ * @returns {string} Prompt section
+ */
+function buildFocusAreaSection(focusAreas) {
+  const areas = focusAreas.map(area => {
+    const why = area.reason === 'low-score'
+      ? `one of the lowest-scoring skills (${area.average.toFixed(2)})`
+      : `the skill the team disagrees on most (skill average ${area.average.toFixed(2)})`;
+    const questions = area.questions.map(q => `  - "${q.text}" (average: ${q.average.toFixed(2)}, ${describeAgreement(q)})`);
+    return [`- [${area.id}] ${area.skill} (${area.drivers.join(', ')}): ${why}`, ...questions].join('\n');
+  });
+
+  return `## Focus Areas
+${areas.join('\n')}`;
+}
+
+/**
+ * Lists the highest, lowest and most divided skills for the key patterns
+ * @param {Object[]} skillStats - calculatedData.skillStats (absent on older runs)
+ * @returns {string} Prompt lines, or an empty string
+ */
+function buildSkillPatterns(skillStats) {
+  if (!skillStats || skillStats.length === 0) return '';
+
+  const describe = (list, field) => list.map(s => `${s.skill} (${s[field].toFixed(2)})`).join(', ');
+  const byAverage = [...skillStats].sort((a, b) => b.average - a.average);
+  const bySpread = [...skillStats].sort((a, b) => b.stdDev - a.stdDev);
+
+  return `
+- Highest Scoring Skills: ${describe(byAverage.slice(0, PROMPT_SKILL_COUNT), 'average')}
+- Lowest Scoring Skills: ${describe(byAverage.slice(-PROMPT_SKILL_COUNT).reverse(), 'average')}
+- Most Divided Skills (std dev of respondents' skill averages): ${describe(bySpread.slice(0, PROMPT_SKILL_COUNT), 'stdDev')}`;
+}
+
+/**
+ * Builds the shared opening of insight prompts: team information, driver
+ * scores and key patterns
+ * @param {string} teamName - Name of the team
+ * @param {number} respondentCount - Number of respondents
+ * @param {Object} calculatedData - Pre-calculated statistics
+ * @returns {string} Prompt opening
+ */
+function buildTeamContext(teamName, respondentCount, calculatedData) {
+  const { assessment } = calculatedData;
+
+  return `You are analyzing a ${assessment.name} for a business team.
 Your role is to provide interpretive insights only. All calculations have been done for you.
 
 ## Team Information
 - Team Name: ${teamName}
 - Number of Respondents: ${respondentCount}
-- Assessment Date: ${date}
+- Assessment Date: ${formatDate()}
+- Assessment: ${assessment.name} (version ${assessment.version})
+- Drivers: ${assessment.drivers.join(', ')}
+- Scoring Scale: ${assessment.scale.min} (lowest) to ${assessment.scale.max} (highest)
 
 ## Pre-Calculated Driver Scores
 ${JSON.stringify(calculatedData.driverScores, null, 2)}
@@ -67,114 +467,629 @@ ${JSON.stringify(calculatedData.driverScores, null, 2)}
 - Weakest Driver: ${calculatedData.weakestDriver.name} (${calculatedData.weakestDriver.score})
 - Highest Scoring Question: "${calculatedData.highestQuestion.text}" (${calculatedData.highestQuestion.average})
 - Lowest Scoring Question: "${calculatedData.lowestQuestion.text}" (${calculatedData.lowestQuestion.average})
-- Most Aligned Question: "${calculatedData.mostAligned.text}" (std dev: ${calculatedData.mostAligned.stdDev})
-- Most Disagreed Question: "${calculatedData.mostDisagreed.text}" (std dev: ${calculatedData.mostDisagreed.stdDev})
+- Most Aligned Question: "${calculatedData.mostAligned.text}" (${describeAgreement(calculatedData.mostAligned)})
+- Most Disagreed Question: "${calculatedData.mostDisagreed.text}" (${describeAgreement(calculatedData.mostDisagreed)})${buildSkillPatterns(calculatedData.skillStats)}${buildReliabilitySection(calculatedData)}${buildDataQualitySection(calculatedData.dataQuality)}${buildMaturitySection(calculatedData.maturity)}${buildBenchmarkSection(calculatedData.benchmark, calculatedData.questions)}`;
+}
 
-## Your Tasks
+/**
+ * Builds the prompt for Claude with pre-calculated data
+ * @param {string} teamName - Name of the team
+ * @param {number} respondentCount - Number of respondents
+ * @param {Object} calculatedData - Pre-calculated statistics from calculator service
+ *   (may include a `comparison` from calculateComparison and `segments` from calculateSegments)
+ * @param {string} specialInstructions - Optional special analysis instructions
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.includeTeamMembers - False to leave per-respondent analysis
+ *   to separate batched prompts (see buildTeamMemberPrompt)
+ * @returns {string} Complete prompt for Claude
+ */
+function buildPrompt(teamName, respondentCount, calculatedData, specialInstructions = '', { includeTeamMembers = true } = {}) {
+  const { comparison, segments } = calculatedData;
+  const openEnded = indexResponses(calculatedData.openEndedResponses);
 
-### 1. Executive Summary
-Write a 2-4 sentence summary of this team's overall strategic maturity.
-Be specific to the data. Mention the strongest and weakest areas and one notable insight.
+  const tasks = [
+    ['Executive Summary', `Write a 2-4 sentence summary of this team's overall strategic maturity.
+Be specific to the data. Mention the strongest and weakest areas and one notable insight.${calculatedData.maturity
+    ? `\nName the team's maturity stage (${calculatedData.maturity.overall.stage}) and what it takes to reach the next one.`
+    : ''}${calculatedData.benchmark
+    ? `\nSay how the team compares with the "${calculatedData.benchmark.normSet.name}" benchmark, using percentiles.`
+    : ''}`],
+    ['AI-Generated Discussion Questions', `Based on the specific patterns in this data, suggest 3 discussion questions that would help this team dig deeper.
+These should be specific to what you see, not generic questions.`]
+  ];
+  const formatFields = [
+    '"executiveSummary": "..."',
+    '"discussionQuestions": ["...", "...", "..."]'
+  ];
 
-### 2. AI-Generated Discussion Questions
-Based on the specific patterns in this data, suggest 3 discussion questions that would help this team dig deeper.
-These should be specific to what you see, not generic questions.
+  if (openEnded.length > 0) {
+    tasks.push(['Open-Ended Themes', `${OPEN_ENDED_TASK}
 
-### 3. Team Member Analysis
-For each respondent, provide:
-- A 2-3 sentence insight about their unique perspective based on how their scores compare to the team
-- One specific follow-up question that could be asked of this person
+Open-Ended Responses:
+${formatOpenEndedResponses(openEnded)}`]);
+    formatFields.push(`"openEndedThemes": [
+    {
+      "title": "...",
+      "summary": "...",
+      "responseIds": ["R1", "..."]
+    }
+  ]`);
+  }
+
+  if (includeTeamMembers) {
+    tasks.push(['Team Member Analysis', `${TEAM_MEMBER_TASK}
 
 Respondent Data:
-${JSON.stringify(respondentSummaries, null, 2)}
+${JSON.stringify(summarizeRespondents(calculatedData.respondents), null, 2)}`]);
+    formatFields.push(`"teamMemberAnalysis": [
+    {
+      "name": "...",
+      "insight": "...",
+      "followUpQuestion": "..."
+    }
+  ]`);
+  }
+
+  if (comparison) {
+    tasks.push(['Change Interpretation', COMPARISON_TASK]);
+    formatFields.push('"changeAnalysis": "..."');
+  }
 
-${specialInstructions ? `
-### 4. Special Analysis
-The user has requested additional analysis with these instructions:
+  if (segments) {
+    tasks.push(['Segment Differences', SEGMENT_TASK]);
+    formatFields.push('"segmentAnalysis": "..."');
+  }
+
+  if (specialInstructions) {
+    tasks.push(['Special Analysis', `The user has requested additional analysis with these instructions:
 "${specialInstructions}"
 
-Provide a thoughtful, specific response addressing this request based on the assessment data.
+Provide a thoughtful, specific response addressing this request based on the assessment data.`]);
+    formatFields.push('"specialAnalysis": "..."');
+  }
+
+  return `${buildTeamContext(teamName, respondentCount, calculatedData)}
+${comparison ? `
+${buildComparisonSection(comparison)}
+` : ''}${segments ? `
+${buildSegmentSection(segments)}
 ` : ''}
+## Your Tasks
+
+${tasks.map(([title, body], index) => `### ${index + 1}. ${title}\n${body}`).join('\n\n')}
+
+## Response Format
+Respond with valid JSON only, no markdown code blocks:
+{
+  ${formatFields.join(',\n  ')}
+}`;
+}
+
+/**
+ * Builds a prompt for the team member analysis of one batch of respondents
+ * @param {string} teamName - Name of the team
+ * @param {Object} calculatedData - Pre-calculated statistics
+ * @param {Object[]} respondents - Respondents in this batch
+ * @param {Object} batch - Batch position { index, count } (1-based index)
+ * @returns {string} Complete prompt for Claude
+ */
+function buildTeamMemberPrompt(teamName, calculatedData, respondents, { index, count }) {
+  return `${buildTeamContext(teamName, calculatedData.respondents.length, calculatedData)}
+
+## Your Task
+
+### Team Member Analysis (group ${index} of ${count})
+${TEAM_MEMBER_TASK}
+
+Respondent Data:
+${JSON.stringify(summarizeRespondents(respondents), null, 2)}
 
 ## Response Format
 Respond with valid JSON only, no markdown code blocks:
 {
-  "executiveSummary": "...",
-  "discussionQuestions": ["...", "...", "..."],
   "teamMemberAnalysis": [
     {
       "name": "...",
       "insight": "...",
       "followUpQuestion": "..."
     }
-  ]${specialInstructions ? ',\n  "specialAnalysis": "..."' : ''}
+  ]
 }`;
 }
 
+/**
+ * Builds a prompt that only interprets the change between two saved runs
+ * @param {string} teamName - Name of the team
+ * @param {Object} comparison - Output of calculateComparison
+ * @param {string} assessmentName - Assessment display name
+ * @returns {string} Complete prompt for Claude
+ */
+function buildComparisonPrompt(teamName, comparison, assessmentName) {
+  return `You are comparing two runs of a ${assessmentName} for the same business team.
+Your role is to provide interpretive insights only. All calculations have been done for you.
+
+## Team Information
+- Team Name: ${teamName}
+- Comparison Date: ${formatDate()}
+
+${buildComparisonSection(comparison)}
+
+## Your Task
+${COMPARISON_TASK}
+
+## Response Format
+Respond with valid JSON only, no markdown code blocks:
+{
+  "changeAnalysis": "..."
+}`;
+}
+
+/**
+ * Builds the prompt for interpreting an organization rollup
+ * @param {string} organizationName - Organization name
+ * @param {Object} organization - Output of calculateOrganization
+ * @returns {string} Prompt
+ */
+function buildOrganizationPrompt(organizationName, organization) {
+  return `You are comparing the teams of one organization that all took the ${organization.assessment.name}.
+Your role is to provide interpretive insights only. All calculations have been done for you.
+
+## Organization Information
+- Organization: ${organizationName}
+- Report Date: ${formatDate()}
+
+${buildOrganizationSection(organization)}
+
+## Your Task
+${ORGANIZATION_TASK}
+
+## Response Format
+Respond with valid JSON only, no markdown code blocks:
+{
+  "organizationAnalysis": "..."
+}`;
+}
+
+/**
+ * Builds the prompt for the action plan
+ * @param {string} teamName - Name of the team
+ * @param {Object} calculatedData - Pre-calculated statistics
+ * @param {Object[]} focusAreas - Output of selectFocusAreas
+ * @returns {string} Complete prompt for Claude
+ */
+function buildActionPlanPrompt(teamName, calculatedData, focusAreas) {
+  return `${buildTeamContext(teamName, calculatedData.respondents.length, calculatedData)}
+
+${buildFocusAreaSection(focusAreas)}
+
+## Your Task
+
+### Action Plan
+${ACTION_PLAN_TASK}
+
+## Response Format
+Respond with valid JSON only, no markdown code blocks:
+{
+  "actionPlan": [
+    {
+      "area": "A1",
+      "objective": "...",
+      "initiatives": [
+        {
+          "title": "...",
+          "description": "...",
+          "owner": "...",
+          "milestones": { "day30": "...", "day60": "...", "day90": "..." }
+        }
+      ]
+    }
+  ]
+}`;
+}
+
+/**
+ * Builds the prompt for one participant's personal reflection. It carries
+ * only that person's scores and team averages, and not their name.
+ * @param {string} teamName - Name of the team
+ * @param {Object} assessment - calculatedData.assessment
+ * @param {Object} participant - Output of summarizeParticipant
+ * @returns {string} Complete prompt for Claude
+ */
+function buildParticipantPrompt(teamName, assessment, participant) {
+  const score = (value) => (value === null ? 'not answered' : value.toFixed(2));
+  const compare = (value, teamAverage) => `you ${score(value)}, team ${teamAverage.toFixed(2)}` +
+    (value === null ? '' : ` (${formatDelta(Number((value - teamAverage).toFixed(2)))})`);
+
+  const gaps = participant.gaps.length > 0
+    ? participant.gaps.map(gap => `- "${gap.question}": you ${gap.score}, team ${gap.teamAverage.toFixed(2)} (${formatDelta(gap.difference)})`)
+    : ['- None: no answer stood far apart from the rest of the team'];
+
+  return `You are writing a personal reflection for one member of a business team that completed a ${assessment.name}.
+Your role is to provide interpretive insights only. All calculations have been done for you.
+The reflection goes to this person only. Write to them as "you"; their name is not given.
+
+## Team Information
+- Team Name: ${teamName}
+- Number of Respondents: ${participant.respondentCount}
+- Assessment: ${assessment.name} (version ${assessment.version})
+- Scoring Scale: ${assessment.scale.min} (lowest) to ${assessment.scale.max} (highest)
+
+## The Participant's Scores Against the Team Average
+- Overall: ${compare(participant.overall.score, participant.overall.teamAverage)}
+
+Drivers:
+${participant.drivers.map(d => `- ${d.driver}: ${compare(d.score, d.teamAverage)}`).join('\n')}
+${participant.skills.length > 0 ? `
+Skills:
+${participant.skills.map(s => `- ${s.skill}: ${compare(s.score, s.teamAverage)}`).join('\n')}
+` : ''}
+## The Participant's Answers Furthest From the Team
+${gaps.join('\n')}
+
+## Your Task
+${PARTICIPANT_TASK}
+
+## Response Format
+Respond with valid JSON only, no markdown code blocks:
+{
+  "reflection": "...",
+  "coachingQuestions": ["...", "...", "..."]
+}`;
+}
+
+// Follow-up calls allowed to fix an invalid or incomplete response
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// JSON shape of each key, used when asking Claude to resend part of a response
+const KEY_TEMPLATES = {
+  executiveSummary: '"..."',
+  discussionQuestions: '["...", "...", "..."]',
+  teamMemberAnalysis: '[\n    {\n      "name": "...",\n      "insight": "...",\n      "followUpQuestion": "..."\n    }\n  ]',
+  openEndedThemes: '[\n    {\n      "title": "...",\n      "summary": "...",\n      "responseIds": ["R1", "..."]\n    }\n  ]',
+  changeAnalysis: '"..."',
+  organizationAnalysis: '"..."',
+  actionPlan: '[\n    {\n      "area": "A1",\n      "objective": "...",\n      "initiatives": [\n        {\n          "title": "...",\n          "description": "...",\n          "owner": "...",\n          "milestones": { "day30": "...", "day60": "...", "day90": "..." }\n        }\n      ]\n    }\n  ]',
+  segmentAnalysis: '"..."',
+  specialAnalysis: '"..."',
+  reflection: '"..."',
+  coachingQuestions: '["...", "...", "..."]'
+};
+
+/**
+ * Builds a follow-up prompt asking Claude to resend only the parts of its
+ * response that were missing or invalid
+ * @param {string} prompt - Original prompt
+ * @param {string[]} errors - Validation errors
+ * @param {Object} repair - { keys, memberNames } from the validator
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(prompt, errors, { keys, memberNames }) {
+  const fields = keys.map(key => `  "${key}": ${KEY_TEMPLATES[key]}`).join(',\n');
+  const memberNote = keys.includes('teamMemberAnalysis')
+    ? `\nInclude teamMemberAnalysis entries ONLY for these respondents, using their names exactly as written: ${memberNames.map(n => `"${n}"`).join(', ')}`
+    : '';
+
+  return `${prompt}
+
+## Correction Needed
+Part of your previous response could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond with valid JSON only, no markdown code blocks, containing ONLY these keys:
+{
+${fields}
+}${memberNote}`;
+}
+
+/**
+ * Sends a prompt to Claude and returns a response that passes validation,
+ * asking Claude to fix only the invalid or missing parts when needed
+ * @param {string} prompt - Complete prompt
+ * @param {Function} validate - (candidate) => { value, errors, repair } (see insightsValidator)
+ * @returns {Promise<Object>} Validated response
+ */
+async function requestValidJson(prompt, validate) {
+  const provider = getProvider();
+
+  let { text, stopReason } = await provider.complete(prompt);
+  if (stopReason === 'max_tokens') {
+    console.warn('⚠️  Claude response hit the token limit; keeping the complete parts');
+  }
+
+  let result = validate(parseModelJson(text));
+
+  for (let attempt = 1; result.errors.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.warn(`⚠️  Claude response incomplete (${result.errors.join('; ')}). Repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}...`);
+
+    ({ text, stopReason } = await provider.complete(buildRepairPrompt(prompt, result.errors, result.repair)));
+    if (stopReason === 'max_tokens') {
+      console.warn('⚠️  Repair response hit the token limit; keeping the complete parts');
+    }
+
+    result = validate(mergeRepair(result.value, parseModelJson(text)));
+  }
+
+  if (result.errors.length > 0) {
+    console.error('Claude response failed validation:', result.errors);
+    throw Object.assign(new Error('Failed to process analysis. Please try again.'), { statusCode: 500 });
+  }
+
+  return result.value;
+}
+
+/**
+ * Converts Claude API failures into user-friendly errors
+ * @param {Error} error - Error thrown while calling Claude
+ * @returns {Error} Error safe to show to the user
+ */
+function toUserFacingError(error) {
+  console.error('Claude API error:', error);
+
+  if (error.status === 401) {
+    return Object.assign(new Error('Invalid Anthropic API key. Please check your configuration.'), { code: 'LLM_AUTH', statusCode: 500 });
+  } else if (error.status === 429) {
+    return Object.assign(new Error('API rate limit exceeded. Please try again in a few moments.'), { code: 'LLM_RATE_LIMIT', statusCode: 429 });
+  } else if (error.statusCode) {
+    return error; // Pass through our own error messages
+  }
+  return Object.assign(new Error('Analysis failed. Please try again.'), { statusCode: 500 });
+}
+
+// Attempts per call when generating insights in batches (API or validation failures)
+const MAX_BATCH_ATTEMPTS = 2;
+
+/**
+ * Runs async work over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Retries a Claude call that failed, with a short backoff
+ * @param {string} label - What is being generated (for logs)
+ * @param {Function} call - async () => result
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(label, call) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      // Bad credentials or malformed requests will not succeed on retry
+      if (attempt >= MAX_BATCH_ATTEMPTS || error.status === 400 || error.status === 401) {
+        throw error;
+      }
+      console.warn(`⚠️  ${label} failed (${error.message}). Retrying (${attempt + 1}/${MAX_BATCH_ATTEMPTS})...`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+}
+
+/**
+ * Generates insights for a large team: one call for the team-level sections
+ * and batched calls for team member analysis, run with bounded concurrency
+ * @param {string} teamName - Name of the team
+ * @param {Object} calculatedData - Pre-calculated statistics
+ * @param {string} specialInstructions - Optional special instructions
+ * @param {Object} expectations - Team-level sections to validate (see validateInsights)
+ * @param {Object} config - LLM configuration (memberBatchSize, maxConcurrency)
+ * @returns {Promise<Object>} Validated insights
+ */
+async function generateBatchedInsights(teamName, calculatedData, specialInstructions, expectations, config) {
+  const { respondents } = calculatedData;
+
+  const batches = [];
+  for (let i = 0; i < respondents.length; i += config.memberBatchSize) {
+    batches.push(respondents.slice(i, i + config.memberBatchSize));
+  }
+
+  console.log(`Calling Claude API for insights (${config.model}): team summary + ${batches.length} team member batches, ${config.maxConcurrency} at a time...`);
+
+  const calls = [
+    {
+      label: 'Team summary',
+      run: () => requestValidJson(
+        buildPrompt(teamName, respondents.length, calculatedData, specialInstructions, { includeTeamMembers: false }),
+        (candidate) => validateInsights(candidate, { ...expectations, teamMembers: false })
+      )
+    },
+    ...batches.map((batch, index) => ({
+      label: `Team member batch ${index + 1}/${batches.length}`,
+      run: () => requestValidJson(
+        buildTeamMemberPrompt(teamName, calculatedData, batch, { index: index + 1, count: batches.length }),
+        (candidate) => validateTeamMemberAnalysis(candidate, batch.map(r => r.name))
+      )
+    }))
+  ];
+
+  const [teamInsights, ...memberResults] = await mapWithConcurrency(
+    calls,
+    config.maxConcurrency,
+    async (call) => {
+      const result = await withRetry(call.label, call.run);
+      console.log(`   ${call.label} done`);
+      return result;
+    }
+  );
+
+  // Respondents sharing a name across batches keep a single entry, as in a single call
+  const seen = new Set();
+  const teamMemberAnalysis = memberResults
+    .flatMap(result => result.teamMemberAnalysis)
+    .filter(member => !seen.has(member.name) && seen.add(member.name));
+
+  return { ...teamInsights, teamMemberAnalysis };
+}
+
 /**
  * Calls Claude API to generate insights
+ *
+ * Teams larger than LLM_MEMBER_BATCH_SIZE are analyzed in batches so no
+ * single response has to cover every respondent (see generateBatchedInsights).
+ * Anonymous reports without per-person results skip team member analysis.
+ *
  * @param {string} teamName - Name of the team
  * @param {Object} calculatedData - Pre-calculated statistics
  * @param {string} specialInstructions - Optional special instructions
- * @returns {Promise<Object>} Parsed Claude response
+ * @returns {Promise<Object>} Validated Claude response
  */
 async function generateInsights(teamName, calculatedData, specialInstructions = '') {
   try {
+    const config = getLlmConfig();
     const respondentCount = calculatedData.respondents.length;
-    const prompt = buildPrompt(teamName, respondentCount, calculatedData, specialInstructions);
+    const openEnded = indexResponses(calculatedData.openEndedResponses);
 
-    console.log('Calling Claude API for insights...');
+    // Optional sections requested, checked on top of the executive summary and questions
+    const expectations = {
+      changeAnalysis: Boolean(calculatedData.comparison),
+      segmentAnalysis: Boolean(calculatedData.segments),
+      specialAnalysis: Boolean(specialInstructions),
+      responseIds: openEnded.map(response => response.id)
+    };
+    const teamMembers = showsIndividuals(calculatedData);
+    let insights;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-opus-4-20250514',
-      max_tokens: 4000,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+    if (teamMembers && respondentCount > config.memberBatchSize) {
+      insights = await generateBatchedInsights(teamName, calculatedData, specialInstructions, expectations, config);
+    } else {
+      const prompt = buildPrompt(teamName, respondentCount, calculatedData, specialInstructions, { includeTeamMembers: teamMembers });
 
-    // Extract the text content from Claude's response
-    const responseText = message.content[0].text;
+      console.log(`Calling Claude API for insights (${config.model})...`);
 
-    // Parse JSON response
-    let insights;
-    try {
-      insights = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error('Failed to parse Claude response as JSON:', responseText);
-      throw new Error('Failed to process analysis. Please try again.');
+      // One teamMemberAnalysis entry per respondent, plus any optional sections requested
+      insights = await requestValidJson(prompt, (candidate) => validateInsights(candidate, {
+        ...expectations,
+        teamMembers,
+        respondentNames: calculatedData.respondents.map(r => r.name)
+      }));
     }
 
-    // Validate response structure
-    if (!insights.executiveSummary || !insights.discussionQuestions || !insights.teamMemberAnalysis) {
-      throw new Error('Invalid response structure from Claude API');
+    // Claude picked quotes by id; the report shows the original text
+    if (insights.openEndedThemes) {
+      insights.openEndedThemes = attributeQuotes(insights.openEndedThemes, openEnded);
     }
 
     console.log('✅ Claude insights generated successfully');
 
-    return insights;
+    return { source: 'claude', ...insights };
 
   } catch (error) {
-    console.error('Claude API error:', error);
-
-    // Provide user-friendly error messages
-    if (error.status === 401) {
-      throw new Error('Invalid Anthropic API key. Please check your configuration.');
-    } else if (error.status === 429) {
-      throw new Error('API rate limit exceeded. Please try again in a few moments.');
-    } else if (error.message.includes('Failed to process')) {
-      throw error; // Pass through our own error messages
-    } else {
-      throw new Error('Analysis failed. Please try again.');
-    }
+    throw toUserFacingError(error);
+  }
+}
+
+/**
+ * Calls Claude API to interpret the change between two saved runs
+ * @param {string} teamName - Name of the team
+ * @param {Object} comparison - Output of calculateComparison
+ * @param {string} assessmentName - Assessment display name
+ * @returns {Promise<string>} Change analysis narrative
+ */
+async function generateComparisonInsights(teamName, comparison, assessmentName) {
+  try {
+    const prompt = buildComparisonPrompt(teamName, comparison, assessmentName);
+
+    console.log('Calling Claude API for comparison insights...');
+
+    const result = await requestValidJson(prompt, validateChangeAnalysis);
+
+    return result.changeAnalysis;
+
+  } catch (error) {
+    throw toUserFacingError(error);
+  }
+}
+
+/**
+ * Calls Claude API to interpret an organization rollup of several teams
+ * @param {string} organizationName - Organization name
+ * @param {Object} organization - Output of calculateOrganization
+ * @returns {Promise<string>} Organization analysis narrative
+ */
+async function generateOrganizationInsights(organizationName, organization) {
+  try {
+    const prompt = buildOrganizationPrompt(organizationName, organization);
+
+    console.log('Calling Claude API for organization insights...');
+
+    const result = await requestValidJson(prompt, validateOrganizationAnalysis);
+
+    return result.organizationAnalysis;
+
+  } catch (error) {
+    throw toUserFacingError(error);
+  }
+}
+
+/**
+ * Calls Claude API to draft the team's action plan
+ * @param {string} teamName - Name of the team
+ * @param {Object} calculatedData - Pre-calculated statistics
+ * @param {Object[]} focusAreas - Output of selectFocusAreas
+ * @returns {Promise<Object[]>} Action plan in priority order (see attachFocusAreas)
+ */
+async function generateActionPlan(teamName, calculatedData, focusAreas) {
+  try {
+    const prompt = buildActionPlanPrompt(teamName, calculatedData, focusAreas);
+
+    console.log('Calling Claude API for the action plan...');
+
+    const result = await requestValidJson(prompt, (candidate) => validateActionPlan(candidate, focusAreas.map(area => area.id)));
+
+    return attachFocusAreas(result.actionPlan, focusAreas);
+
+  } catch (error) {
+    throw toUserFacingError(error);
+  }
+}
+
+/**
+ * Calls Claude API for every participant's personal reflection: one call per
+ * person, so no prompt holds more than one person's scores, run with bounded
+ * concurrency
+ * @param {string} teamName - Name of the team
+ * @param {Object} assessment - calculatedData.assessment
+ * @param {Object[]} participants - Output of summarizeParticipant, one per respondent
+ * @returns {Promise<Object[]>} [{ reflection, coachingQuestions }] in participant order
+ */
+async function generateParticipantReflections(teamName, assessment, participants) {
+  try {
+    const config = getLlmConfig();
+
+    console.log(`Calling Claude API for ${participants.length} participant reflections (${config.model}), ${config.maxConcurrency} at a time...`);
+
+    return await mapWithConcurrency(participants, config.maxConcurrency, (participant, index) => withRetry(
+      `Participant reflection ${index + 1}/${participants.length}`,
+      () => requestValidJson(buildParticipantPrompt(teamName, assessment, participant), validateParticipantReflection)
+    ));
+
+  } catch (error) {
+    throw toUserFacingError(error);
   }
 }
 
 module.exports = {
   generateInsights,
+  generateComparisonInsights,
+  generateOrganizationInsights,
+  generateActionPlan,
+  generateParticipantReflections,
   formatDate, // Export for testing and PDF generation
   buildPrompt  // Export for testing
 };
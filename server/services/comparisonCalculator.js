@@ -0,0 +1,155 @@
+/**
+ * Comparison Calculator Service
+ *
+ * Compares two calculated assessment runs for the same team (typically a
+ * previous quarter and the current one):
+ * - Driver score deltas
+ * - Per-question average and standard deviation changes
+ * - Most improved / most declined questions
+ */
+
+const { calculateAverage } = require('./calculator');
+
+// Number of questions shown in each "most improved / declined" list
+const TOP_CHANGES = 8;
+
+/**
+ * Rounds a difference to 2 decimal places
+ * @param {number} value - Raw difference
+ * @returns {number} Rounded difference
+ */
+function roundDelta(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Calculates driver score changes in the assessment's driver order
+ * @param {Object} baselineScores - Driver scores from the earlier run
+ * @param {Object} currentScores - Driver scores from the later run
+ * @param {string[]} driverOrder - Drivers in display order
+ * @returns {Object[]} [{ driver, baseline, current, delta }]
+ */
+function calculateDriverDeltas(baselineScores, currentScores, driverOrder) {
+  return driverOrder
+    .filter(driver => driver in baselineScores && driver in currentScores)
+    .map(driver => ({
+      driver,
+      baseline: baselineScores[driver],
+      current: currentScores[driver],
+      delta: roundDelta(currentScores[driver] - baselineScores[driver])
+    }));
+}
+
+/**
+ * Calculates per-question changes, matching questions by their text so
+ * that minor reordering between assessment versions is tolerated
+ * @param {Object[]} baselineQuestions - Questions with stats from the earlier run
+ * @param {Object[]} currentQuestions - Questions with stats from the later run
+ * @returns {Object[]} Current questions with baseline/current average and std dev deltas;
+ *   questions nobody answered in either run have no score to compare and are left out
+ */
+function calculateQuestionDeltas(baselineQuestions, currentQuestions) {
+  const baselineByText = new Map(baselineQuestions.filter(q => q.average !== null).map(q => [q.text, q]));
+
+  return currentQuestions
+    .filter(question => question.average !== null && baselineByText.has(question.text))
+    .map(question => {
+      const baseline = baselineByText.get(question.text);
+      return {
+        index: question.index,
+        driver: question.driver,
+        skill: question.skill,
+        text: question.text,
+        baselineAverage: baseline.average,
+        currentAverage: question.average,
+        averageDelta: roundDelta(question.average - baseline.average),
+        baselineStdDev: baseline.stdDev,
+        currentStdDev: question.stdDev,
+        stdDevDelta: roundDelta(question.stdDev - baseline.stdDev)
+      };
+    });
+}
+
+/**
+ * Checks that two saved runs can be compared: the same team (ignoring case),
+ * the same assessment, and the baseline taken before the current run
+ * @param {Object} baseline - Earlier saved report (from getReport)
+ * @param {Object} current - Later saved report (from getReport)
+ * @throws {Error} With statusCode 400 if the runs belong to different teams or assessments, or are out of order
+ */
+function assertComparableRuns(baseline, current) {
+  if (baseline.teamName.trim().toLowerCase() !== current.teamName.trim().toLowerCase()) {
+    throw Object.assign(
+      new Error(`Cannot compare runs of different teams ("${baseline.teamName}" vs "${current.teamName}")`),
+      { statusCode: 400 }
+    );
+  }
+
+  const baselineAssessment = baseline.calculatedData.assessment;
+  const currentAssessment = current.calculatedData.assessment;
+  if (baselineAssessment.id !== currentAssessment.id) {
+    throw Object.assign(new Error(
+      `Cannot compare runs of different assessments ` +
+      `("${baselineAssessment.name}" vs "${currentAssessment.name}")`
+    ), { statusCode: 400 });
+  }
+
+  if (new Date(baseline.createdAt) >= new Date(current.createdAt)) {
+    throw Object.assign(
+      new Error('Cannot compare runs out of order: the baseline report must be earlier than the current report'),
+      { statusCode: 400 }
+    );
+  }
+}
+
+/**
+ * Compares two runs of the same assessment
+ * @param {Object} baselineData - calculateAll output for the earlier run
+ * @param {Object} currentData - calculateAll output for the later run
+ * @param {Object} labels - Display labels { baseline, current } (e.g. dates)
+ * @returns {Object} Comparison data ready for Claude and PDF
+ * @throws {Error} With statusCode 400 if the runs use different assessments
+ */
+function calculateComparison(baselineData, currentData, labels = {}) {
+  if (baselineData.assessment.id !== currentData.assessment.id) {
+    throw Object.assign(new Error(
+      `Cannot compare runs of different assessments ` +
+      `("${baselineData.assessment.name}" vs "${currentData.assessment.name}")`
+    ), { statusCode: 400 });
+  }
+
+  const driverOrder = currentData.assessment.drivers;
+  const driverDeltas = calculateDriverDeltas(baselineData.driverScores, currentData.driverScores, driverOrder);
+  const questionDeltas = calculateQuestionDeltas(baselineData.questions, currentData.questions);
+
+  const baselineOverall = calculateAverage(Object.values(baselineData.driverScores));
+  const currentOverall = calculateAverage(Object.values(currentData.driverScores));
+
+  const byDelta = [...questionDeltas].sort((a, b) => b.averageDelta - a.averageDelta);
+
+  return {
+    baseline: {
+      label: labels.baseline || 'Previous assessment',
+      respondentCount: baselineData.respondents.length,
+      overallScore: baselineOverall
+    },
+    current: {
+      label: labels.current || 'This assessment',
+      respondentCount: currentData.respondents.length,
+      overallScore: currentOverall
+    },
+    overallDelta: roundDelta(currentOverall - baselineOverall),
+    driverDeltas,
+    questionDeltas,
+    mostImproved: byDelta.filter(q => q.averageDelta > 0).slice(0, TOP_CHANGES),
+    mostDeclined: [...byDelta].reverse().filter(q => q.averageDelta < 0).slice(0, TOP_CHANGES),
+    // Negative std dev delta = team converged; positive = team drifted apart
+    mostConverged: [...questionDeltas].sort((a, b) => a.stdDevDelta - b.stdDevDelta).filter(q => q.stdDevDelta < 0).slice(0, TOP_CHANGES),
+    mostDiverged: [...questionDeltas].sort((a, b) => b.stdDevDelta - a.stdDevDelta).filter(q => q.stdDevDelta > 0).slice(0, TOP_CHANGES)
+  };
+}
+
+module.exports = {
+  assertComparableRuns,
+  calculateComparison
+};
@@ -0,0 +1,158 @@
+/**
+ * Data Quality Service
+ *
+ * Describes how complete the uploaded data is, so missing answers are
+ * reported rather than silently changing each question's denominator:
+ * - Respondents included and excluded (no answers, below the completion threshold,
+ *   or a repeat submission under the duplicate policy)
+ * - Names submitted more than once, and which submission was kept
+ * - Completion rates, and answer counts by kind (answered, N/A, blank, unrecognised)
+ * - The questions with the most missing answers
+ *
+ * Answers such as "N/A" or "Don't know" are explicit non-responses: they are
+ * left out of every average like blanks, but counted separately.
+ */
+
+const { DUPLICATE_POLICIES } = require('./excelParser');
+
+// Default share of questions a respondent must answer to be included. Everyone
+// who answered at least one question counts, as before the threshold existed,
+// so re-running an old upload gives the same scores; callers opt in to a threshold.
+const DEFAULT_MIN_COMPLETION = 0;
+
+// Default handling of repeat submissions: the latest one is the real one
+const DEFAULT_DUPLICATE_POLICY = 'latest';
+
+/**
+ * Validates a completion threshold given as a percentage
+ * @param {string|number} value - Percentage from 0 to 100 (e.g. "50")
+ * @returns {number} Threshold as a fraction from 0 to 1
+ * @throws {Error} If the value is not a number from 0 to 100
+ */
+function parseCompletionPercent(value) {
+  const percent = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error(`Invalid minimum completion "${value}". Use a percentage from 0 to 100.`);
+  }
+  return percent / 100;
+}
+
+/**
+ * Reads the default completion threshold (DATA_QUALITY_MIN_COMPLETION, a percentage)
+ * @returns {number} Threshold as a fraction from 0 to 1
+ */
+function getMinCompletion() {
+  const configured = process.env.DATA_QUALITY_MIN_COMPLETION;
+  if (configured === undefined || configured === '') return DEFAULT_MIN_COMPLETION;
+
+  try {
+    return parseCompletionPercent(configured);
+  } catch (error) {
+    console.warn(`⚠️  Ignoring DATA_QUALITY_MIN_COMPLETION: ${error.message}`);
+    return DEFAULT_MIN_COMPLETION;
+  }
+}
+
+/**
+ * Validates a requested completion threshold, falling back to the configured default
+ * @param {string} value - Percentage from 0 to 100, or empty for the default
+ * @returns {number} Threshold as a fraction from 0 to 1
+ * @throws {Error} If the value is not a number from 0 to 100
+ */
+function resolveMinCompletion(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return getMinCompletion();
+  return parseCompletionPercent(value);
+}
+
+/**
+ * Reads the default duplicate policy (DATA_QUALITY_DUPLICATE_POLICY)
+ * @returns {string} One of DUPLICATE_POLICIES
+ */
+function getDuplicatePolicy() {
+  const configured = (process.env.DATA_QUALITY_DUPLICATE_POLICY || '').trim().toLowerCase();
+  if (!configured) return DEFAULT_DUPLICATE_POLICY;
+
+  if (!DUPLICATE_POLICIES.includes(configured)) {
+    console.warn(`⚠️  Ignoring DATA_QUALITY_DUPLICATE_POLICY "${configured}" - use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    return DEFAULT_DUPLICATE_POLICY;
+  }
+  return configured;
+}
+
+/**
+ * Validates a requested duplicate policy, falling back to the configured default
+ * @param {string} value - "latest", "most-complete" or "flag", or empty for the default
+ * @returns {string} One of DUPLICATE_POLICIES
+ * @throws {Error} If the policy is not recognised
+ */
+function resolveDuplicatePolicy(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return getDuplicatePolicy();
+
+  const policy = String(value).trim().toLowerCase();
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid duplicate policy "${value}". Use one of: ${DUPLICATE_POLICIES.join(', ')}.`);
+  }
+  return policy;
+}
+
+/**
+ * Summarizes data quality for the report
+ * @param {Object} parsedData - Output of parseExcelFile (carries `dataQuality`)
+ * @param {Object} calculatedData - Output of calculateAll for the same data
+ * @returns {Object|null} {
+ *   rowCount, respondentCount, minCompletion, duplicatePolicy, averageCompletion,
+ *   answers: { answered, notApplicable, blank, invalid },
+ *   excluded: [{ name, row, answered, completion, reason, keptRow }] (keptRow for duplicates only),
+ *   duplicates: [{ name, rows, kept }],
+ *   incompleteQuestions: [{ index, driver, skill, text, responseCount, notApplicable, blank, invalid }],
+ *   invalidAnswers: [{ row, column, questionIndex, value }] (the first few examples)
+ * }, or null when the parser recorded no data-quality details
+ */
+function summarizeDataQuality(parsedData, calculatedData) {
+  if (!parsedData.dataQuality) return null;
+
+  const { rowCount, minCompletion, duplicatePolicy, excluded, duplicates, invalidAnswers } = parsedData.dataQuality;
+  const { questions, respondents } = calculatedData;
+
+  const answers = { answered: 0, notApplicable: 0, blank: 0, invalid: 0 };
+  questions.forEach(question => {
+    answers.answered += question.responseCount;
+    answers.notApplicable += question.nonResponses.notApplicable;
+    answers.blank += question.nonResponses.blank;
+    answers.invalid += question.nonResponses.invalid;
+  });
+
+  const possible = questions.length * respondents.length;
+
+  return {
+    rowCount,
+    respondentCount: respondents.length,
+    minCompletion,
+    duplicatePolicy,
+    averageCompletion: possible > 0 ? Number((answers.answered / possible).toFixed(3)) : 0,
+    answers,
+    excluded,
+    duplicates,
+    // Fewest answers first; questions everyone answered are left out
+    incompleteQuestions: questions
+      .filter(question => question.responseCount < respondents.length)
+      .map(question => ({
+        index: question.index,
+        driver: question.driver,
+        skill: question.skill,
+        text: question.text,
+        responseCount: question.responseCount,
+        ...question.nonResponses
+      }))
+      .sort((a, b) => a.responseCount - b.responseCount || a.index - b.index),
+    invalidAnswers
+  };
+}
+
+module.exports = {
+  getMinCompletion,
+  resolveMinCompletion,
+  getDuplicatePolicy,
+  resolveDuplicatePolicy,
+  summarizeDataQuality
+};
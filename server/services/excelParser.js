@@ -6,18 +6,7 @@
  */
 
 const XLSX = require('xlsx');
-const questionMapping = require('../config/questionMapping');
-
-/**
- * Score mapping for Likert scale responses
- */
-const SCORE_MAP = {
-  'strongly agree': 5,
-  'agree': 4,
-  'neutral': 3,
-  'disagree': 2,
-  'strongly disagree': 1
-};
+const { getAssessment } = require('./assessmentRegistry');
 
 /**
  * Normalizes response text for matching
@@ -29,36 +18,493 @@ function normalizeResponse(response) {
   return String(response).trim().toLowerCase();
 }
 
+/**
+ * Builds a lookup of normalized response text to score from an assessment scale
+ * @param {Object} scale - Assessment scale { min, max, labels }
+ * @returns {Object} Score map { 'strongly agree': 5, ... }
+ */
+function buildScoreMap(scale) {
+  const scoreMap = {};
+  Object.entries(scale.labels).forEach(([label, score]) => {
+    scoreMap[normalizeResponse(label)] = score;
+  });
+  return scoreMap;
+}
+
+/**
+ * Score mapping for the default assessment's Likert scale
+ */
+const SCORE_MAP = buildScoreMap(getAssessment().scale);
+
 /**
  * Converts Likert scale text to numeric score
  * @param {string} response - Likert scale response text
- * @returns {number|null} Score 1-5, or null if invalid
+ * @param {Object} scoreMap - Normalized text → score lookup (defaults to the standard 1-5 scale)
+ * @returns {number|null} Score on the assessment scale, or null if invalid
  */
-function textToScore(response) {
+function textToScore(response, scoreMap = SCORE_MAP) {
   const normalized = normalizeResponse(response);
-  return SCORE_MAP[normalized] ?? null;
+  return scoreMap[normalized] ?? null;
+}
+
+/**
+ * Answers that explicitly decline to rate (compared after normalizeResponse,
+ * with curly apostrophes straightened). They are counted as non-responses,
+ * not as unrecognised answers.
+ */
+const NON_RESPONSE_LABELS = [
+  'n/a', 'na', 'n.a.', 'not applicable',
+  "don't know", 'dont know', 'do not know', 'unsure', 'not sure',
+  'no opinion', 'prefer not to say', 'prefer not to answer'
+];
+
+/**
+ * Classifies one Likert cell
+ * @param {*} response - Raw cell value
+ * @param {Object} scoreMap - Normalized text → score lookup
+ * @returns {Object} { kind: "answered" | "notApplicable" | "blank" | "invalid", score }
+ */
+function classifyResponse(response, scoreMap = SCORE_MAP) {
+  const score = textToScore(response, scoreMap);
+  if (score !== null) return { kind: 'answered', score };
+
+  const normalized = normalizeResponse(response).replace(/[\u2018\u2019]/g, "'");
+  if (normalized === '') return { kind: 'blank', score: null };
+  if (NON_RESPONSE_LABELS.includes(normalized)) return { kind: 'notApplicable', score: null };
+  return { kind: 'invalid', score: null };
+}
+
+// Unrecognised answers kept as examples for the data-quality report
+const MAX_INVALID_EXAMPLES = 20;
+
+/**
+ * How repeat submissions under one name are handled:
+ * - "latest": keep the most recent submission (a test run, then the real one)
+ * - "most-complete": keep the submission with the most answers, the most recent on a tie
+ * - "flag": keep every submission and only report them
+ */
+const DUPLICATE_POLICIES = ['latest', 'most-complete', 'flag'];
+
+// Excel date serial number of 1970-01-01
+const EXCEL_UNIX_EPOCH = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a Forms submission time
+ * @param {*} value - Cell value: an Excel date serial number or date text
+ * @returns {number|null} Milliseconds since the epoch, or null when empty or unreadable
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Math.round((value - EXCEL_UNIX_EPOCH) * MS_PER_DAY);
+  const timestamp = Date.parse(String(value ?? '').trim());
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Orders submissions oldest first: by submission time when both rows have
+ * one, otherwise by row (Forms appends new submissions at the bottom)
+ * @param {Object} a - Submission { row, submittedAt }
+ * @param {Object} b - Submission { row, submittedAt }
+ * @returns {number} Sort order
+ */
+function compareSubmissions(a, b) {
+  if (a.submittedAt !== null && b.submittedAt !== null && a.submittedAt !== b.submittedAt) {
+    return a.submittedAt - b.submittedAt;
+  }
+  return a.row - b.row;
+}
+
+/**
+ * Finds names submitted more than once (compared case-insensitively) and
+ * picks the submissions to keep. Only submissions that pass the completion
+ * check compete: the others are left out for their own reason either way.
+ * @param {Object[]} submissions - [{ name, named, row, answered, submittedAt, exclusionReason }]
+ * @param {string} policy - One of DUPLICATE_POLICIES
+ * @returns {Object} {
+ *   duplicates: [{ name, rows, kept }] with spreadsheet row numbers, in first-seen order,
+ *   dropped: Map of each dropped submission to the row kept in its place
+ * }
+ */
+function resolveDuplicates(submissions, policy) {
+  const byName = new Map();
+  submissions.filter(submission => submission.named).forEach(submission => {
+    const key = submission.name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(submission);
+  });
+
+  const duplicates = [];
+  const dropped = new Map();
+
+  byName.forEach(group => {
+    if (group.length < 2) return;
+
+    const eligible = group.filter(submission => !submission.exclusionReason).sort(compareSubmissions);
+    let kept = eligible;
+
+    if (policy !== 'flag' && eligible.length > 1) {
+      // Oldest first, so ">=" settles a tie in favour of the later submission
+      const keep = policy === 'most-complete'
+        ? eligible.reduce((best, submission) => (submission.answered >= best.answered ? submission : best))
+        : eligible[eligible.length - 1];
+      kept = [keep];
+      eligible.filter(submission => submission !== keep).forEach(submission => dropped.set(submission, keep.row));
+    }
+
+    duplicates.push({
+      name: group[0].name,
+      rows: group.map(submission => submission.row),
+      kept: kept.map(submission => submission.row).sort((a, b) => a - b)
+    });
+  });
+
+  return { duplicates, dropped };
+}
+
+/**
+ * Header text used by Microsoft Forms for the respondent name column
+ */
+const NAME_HEADERS = ['name', 'respondent name', 'full name'];
+
+/**
+ * Microsoft Forms submission time columns, used to order repeat submissions
+ */
+const START_TIME_HEADER = 'start time';
+const COMPLETION_TIME_HEADER = 'completion time';
+
+/**
+ * Microsoft Forms bookkeeping columns, never treated as open-ended questions.
+ * Any header mentioning "email" or "e-mail" is excluded as well, and so is any
+ * column mostly holding email addresses (see PRIVACY NOTE below).
+ */
+const METADATA_HEADERS = ['id', 'start time', 'completion time', 'last modified time'];
+const EMAIL_HEADER_PATTERN = /\be ?mail\b/;
+const EMAIL_VALUE_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * First words of headers that read like a question ("What should we...",
+ * "Describe..."). Used to tell free-text questions from respondent details
+ * such as "Role" or "Office" when the assessment does not name them.
+ */
+const QUESTION_OPENERS = [
+  'what', 'how', 'why', 'which', 'where', 'when', 'who', 'is', 'are', 'do', 'does',
+  'did', 'can', 'could', 'would', 'should', 'will', 'if', 'any', 'anything',
+  'please', 'describe', 'explain', 'tell', 'share', 'list'
+];
+const QUESTION_MIN_WORDS = 3;
+
+/**
+ * Segment value used when a respondent left a segmenting column blank
+ */
+const NOT_SPECIFIED_SEGMENT = 'Not specified';
+
+// Answers longer than this are free text rather than a category
+const CATEGORY_MAX_LENGTH = 40;
+
+/**
+ * Checks whether a column's answers look like categories (role, department,
+ * location): short values that repeat, rather than free text
+ * @param {string[]} answers - Non-empty answers in the column
+ * @returns {boolean} True if the column is categorical
+ */
+function isCategorical(answers) {
+  if (answers.length < 2) return false;
+  if (answers.some(answer => answer.length > CATEGORY_MAX_LENGTH)) return false;
+  return new Set(answers.map(answer => answer.toLowerCase())).size <= answers.length / 2;
+}
+
+/**
+ * Checks whether a header belongs to a Forms bookkeeping or email column
+ * @param {string} header - Header text
+ * @returns {boolean} True if the column is metadata
+ */
+function isMetadataHeader(header) {
+  const normalized = normalizeHeader(header);
+  return METADATA_HEADERS.includes(normalized) || EMAIL_HEADER_PATTERN.test(normalized);
+}
+
+/**
+ * Checks whether a column's answers are mostly email addresses
+ * @param {string[]} answers - Non-empty answers in the column
+ * @returns {boolean} True if at least half the answers look like email addresses
+ */
+function isEmailColumn(answers) {
+  if (answers.length === 0) return false;
+  return answers.filter(answer => EMAIL_VALUE_PATTERN.test(answer)).length >= answers.length / 2;
+}
+
+/**
+ * Checks whether a header reads like a free-text question: it ends with a
+ * question mark, or opens with a question word and runs to a few words
+ * @param {string} header - Header text
+ * @returns {boolean} True if the header looks like a question
+ */
+function looksLikeQuestion(header) {
+  if (/\?\s*$/.test(header)) return true;
+  const words = normalizeHeader(header).split(' ').filter(Boolean);
+  return words.length >= QUESTION_MIN_WORDS && QUESTION_OPENERS.includes(words[0]);
+}
+
+/**
+ * Minimum similarity (0-1) for a header to be accepted as a question match.
+ * High enough to reject neighbouring questions, low enough to absorb
+ * punctuation changes and small wording edits made to the form.
+ */
+const HEADER_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Normalizes header/question text for comparison
+ * Lowercases, drops apostrophes, strips punctuation and collapses whitespace.
+ * @param {string} text - Raw header or question text
+ * @returns {string} Normalized text
+ */
+function normalizeHeader(text) {
+  if (!text) return '';
+  return String(text)
+    .toLowerCase()
+    .replace(/['‘’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Builds a multiset of character bigrams for similarity scoring
+ * @param {string} text - Normalized text
+ * @returns {Map<string, number>} Bigram counts
+ */
+function toBigrams(text) {
+  const bigrams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Scores how similar two header texts are (Sørensen-Dice over character bigrams)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 (unrelated) and 1 (identical after normalization)
+ */
+function headerSimilarity(a, b) {
+  const normalizedA = normalizeHeader(a);
+  const normalizedB = normalizeHeader(b);
+
+  if (!normalizedA || !normalizedB) return 0;
+  if (normalizedA === normalizedB) return 1;
+  if (normalizedA.length < 2 || normalizedB.length < 2) return 0;
+
+  const bigramsA = toBigrams(normalizedA);
+  const bigramsB = toBigrams(normalizedB);
+
+  let overlap = 0;
+  bigramsA.forEach((count, bigram) => {
+    overlap += Math.min(count, bigramsB.get(bigram) || 0);
+  });
+
+  return (2 * overlap) / (normalizedA.length - 1 + normalizedB.length - 1);
+}
+
+/**
+ * Converts a 0-based column index to its spreadsheet letter (0 → A, 26 → AA)
+ * @param {number} colIndex - 0-based column index
+ * @returns {string} Column letter
+ */
+function columnLetter(colIndex) {
+  return XLSX.utils.encode_col(colIndex);
+}
+
+/**
+ * Maps header row columns to assessment questions
+ *
+ * Each question is matched to the header with the most similar text. Matching
+ * is one-to-one: the strongest pairs are assigned first, so a column can never
+ * be claimed by two questions.
+ *
+ * Remaining columns with a header that are not Forms metadata or email
+ * addresses are open-ended questions when the assessment names them or their
+ * header reads like a question. The rest are respondent details (role,
+ * department, location): they can be used as segments but are never quoted.
+ *
+ * @param {string[]} headerRow - First row of the worksheet
+ * @param {Object[]} questions - Question definitions from the selected assessment
+ * @param {Object} options - Mapping options
+ * @param {string[]} options.openEndedQuestions - Free-text question headers named by the assessment
+ * @param {Array[]} options.rows - Data rows, used to spot columns of email addresses
+ * @returns {Object} {
+ *   nameColumn: column index of the respondent name (or null),
+ *   timeColumns: { start, completion } column indexes of the submission times (or null),
+ *   questionColumns: column index for each question (null when unmatched),
+ *   openEndedColumns: column indexes of open-ended questions,
+ *   detailColumns: column indexes of respondent details,
+ *   columns: per-column report [{ column, letter, header, status, questionIndex, similarity }],
+ *   unmatchedQuestions: [{ questionIndex, text, bestColumn, bestHeader, similarity }]
+ * }
+ */
+function mapColumns(headerRow, questions = getAssessment().questions, { openEndedQuestions = [], rows = [] } = {}) {
+  const headers = headerRow.map(h => String(h ?? '').trim());
+  const columnAnswers = (column) => rows.map(row => String(row[column] ?? '').trim()).filter(Boolean);
+  const isOpenEndedHeader = (header) => looksLikeQuestion(header) ||
+    openEndedQuestions.some(text => headerSimilarity(header, text) >= HEADER_MATCH_THRESHOLD);
+
+  // Respondent name column (column D holds email addresses and is never matched)
+  const nameColumn = headers.findIndex(h => NAME_HEADERS.includes(normalizeHeader(h)));
+  const startColumn = headers.findIndex(h => normalizeHeader(h) === START_TIME_HEADER);
+  const completionColumn = headers.findIndex(h => normalizeHeader(h) === COMPLETION_TIME_HEADER);
+
+  // Score every question against every candidate header
+  const candidates = [];
+
+  questions.forEach((question, questionIndex) => {
+    headers.forEach((header, column) => {
+      if (column === nameColumn || !header) return;
+
+      const similarity = headerSimilarity(header, question.text);
+      if (similarity >= HEADER_MATCH_THRESHOLD) {
+        candidates.push({ questionIndex, column, similarity });
+      }
+    });
+  });
+
+  // Assign strongest matches first so near-duplicates cannot steal a column
+  candidates.sort((a, b) => b.similarity - a.similarity || a.column - b.column);
+
+  const questionColumns = questions.map(() => null);
+  const columnToQuestion = new Map();
+
+  candidates.forEach(({ questionIndex, column, similarity }) => {
+    if (questionColumns[questionIndex] !== null || columnToQuestion.has(column)) return;
+    questionColumns[questionIndex] = column;
+    columnToQuestion.set(column, { questionIndex, similarity });
+  });
+
+  const columns = headers.map((header, column) => {
+    const match = columnToQuestion.get(column);
+    let status = 'ignored';
+    if (column === nameColumn) status = 'name';
+    else if (column === startColumn || column === completionColumn) status = 'time';
+    else if (match) status = 'question';
+    else if (header && !isMetadataHeader(header) && !isEmailColumn(columnAnswers(column))) {
+      status = isOpenEndedHeader(header) ? 'openEnded' : 'detail';
+    }
+
+    return {
+      column,
+      letter: columnLetter(column),
+      header,
+      status,
+      questionIndex: match ? match.questionIndex : null,
+      similarity: match ? Number(match.similarity.toFixed(2)) : null
+    };
+  });
+
+  // For unmatched questions, report the closest column nobody else claimed
+  const unmatchedQuestions = [];
+  questionColumns.forEach((column, questionIndex) => {
+    if (column !== null) return;
+
+    const best = { column: null, similarity: 0 };
+    headers.forEach((header, candidate) => {
+      if (candidate === nameColumn || !header || columnToQuestion.has(candidate)) return;
+      const similarity = headerSimilarity(header, questions[questionIndex].text);
+      if (similarity > best.similarity) {
+        best.column = candidate;
+        best.similarity = similarity;
+      }
+    });
+
+    unmatchedQuestions.push({
+      questionIndex,
+      text: questions[questionIndex].text,
+      bestColumn: best.column,
+      bestHeader: best.column !== null ? headers[best.column] : null,
+      similarity: Number(best.similarity.toFixed(2))
+    });
+  });
+
+  return {
+    nameColumn: nameColumn === -1 ? null : nameColumn,
+    timeColumns: {
+      start: startColumn === -1 ? null : startColumn,
+      completion: completionColumn === -1 ? null : completionColumn
+    },
+    questionColumns,
+    openEndedColumns: columns.filter(c => c.status === 'openEnded').map(c => c.column),
+    detailColumns: columns.filter(c => c.status === 'detail').map(c => c.column),
+    columns,
+    unmatchedQuestions
+  };
+}
+
+/**
+ * Builds a readable per-column report for questions that could not be matched
+ * @param {Object[]} unmatchedQuestions - From mapColumns()
+ * @returns {string} Multi-line report
+ */
+function formatUnmatchedReport(unmatchedQuestions) {
+  return unmatchedQuestions.map(({ questionIndex, text, bestColumn, bestHeader, similarity }) => {
+    const closest = bestColumn !== null
+      ? `closest column ${columnLetter(bestColumn)} "${bestHeader}" (${Math.round(similarity * 100)}% similar)`
+      : 'no candidate column';
+    return `  - Question ${questionIndex + 1} "${text}": ${closest}`;
+  }).join('\n');
+}
+
+/**
+ * Builds the error for a workbook that cannot be analyzed as uploaded
+ * @param {string} message - What is wrong with the file
+ * @returns {Error} Error with code INVALID_EXCEL and statusCode 400
+ */
+function invalidExcelError(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_EXCEL', statusCode: 400 });
 }
 
 /**
  * Parses Excel file and extracts structured assessment data
  *
- * Excel structure:
- * - Column 0 (A): ID
- * - Column 1 (B): Start time
- * - Column 2 (C): Completion time
- * - Column 3 (D): Email address (IGNORED - not read or stored for privacy)
- * - Column 4 (E): Respondent name (THIS IS WHAT WE USE)
- * - Column 5 (F): Last modified time
- * - Columns 6-8 (G-I): Open-ended questions (skipped)
- * - Columns 9-90 (J-CM): 82 scoreable Likert scale questions
+ * Columns are located by their header text rather than by position, so
+ * exports with reordered, added or removed columns still line up:
+ * - "Name" header: Respondent name
+ * - "Start time" / "Completion time" headers: used to order repeat submissions
+ * - Question headers: matched against the selected assessment's questions
+ * - Segment columns (e.g. "Role", "Department"): requested by header text;
+ *   each respondent gets { [header]: value }
+ * - Open-ended questions (named by the assessment, or headers that read like a
+ *   question): keyed by header text. Columns holding only scale labels are
+ *   skipped, and columns of short repeated values are reported as segment candidates.
+ * - Other headed columns (except ID, times and email): respondent details,
+ *   available as segments and never quoted
+ * - Anything else: ignored
  *
- * PRIVACY NOTE: Email addresses in column D are intentionally not read,
- * parsed, stored, or included in any output to protect PII.
+ * PRIVACY NOTE: Email address columns (by header or by content) are
+ * intentionally not read, parsed, stored, or included in any output to protect PII.
  *
  * @param {string} filePath - Path to Excel file
- * @returns {Object} Structured data with respondents and questions
+ * @param {Object} assessment - Assessment definition (defaults to Strategic Maturity)
+ * @param {Object} options - Parse options
+ * @param {string[]} options.segmentColumns - Headers of columns to segment respondents by
+ * @param {number} options.minCompletion - Share of questions (0-1) a respondent must
+ *   answer to be included; respondents with no answers are always left out
+ * @param {string} options.duplicatePolicy - How repeat submissions under one name are
+ *   handled, one of DUPLICATE_POLICIES (default "flag": keep them all)
+ * @param {number} options.maxInvalidAnswers - How many unrecognised answers to keep as examples
+ * @returns {Object} Structured data with respondents, questions, open-ended
+ *   responses ({ [header]: [{ name, text }] }), segment columns and candidates,
+ *   the column report from mapColumns(), data-quality details (respondents left
+ *   out, with the row kept in place of each dropped duplicate, and names found
+ *   on more than one row), and the assessment used
+ * @throws {Error} If the file cannot be used; errors raised after the header row
+ *   was read carry `columnReport`
  */
-function parseExcelFile(filePath) {
+function parseExcelFile(filePath, assessment = getAssessment(), {
+  segmentColumns = [],
+  minCompletion = 0,
+  duplicatePolicy = 'flag',
+  maxInvalidAnswers = MAX_INVALID_EXAMPLES
+} = {}) {
+  let columnMap = null;
+
   try {
     // Read the workbook
     const workbook = XLSX.readFile(filePath);
@@ -69,7 +515,25 @@ function parseExcelFile(filePath) {
     const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
 
     if (data.length < 2) {
-      throw new Error('Excel file must contain at least a header row and one respondent');
+      throw invalidExcelError('Excel file must contain at least a header row and one respondent');
+    }
+
+    // Locate name and question columns from the header row
+    columnMap = mapColumns(data[0], assessment.questions, {
+      openEndedQuestions: assessment.openEndedQuestions,
+      rows: data.slice(1)
+    });
+    const scoreMap = buildScoreMap(assessment.scale);
+
+    if (columnMap.unmatchedQuestions.length > 0) {
+      throw invalidExcelError(
+        `Excel file headers could not be matched to ${columnMap.unmatchedQuestions.length} assessment question(s):\n` +
+        formatUnmatchedReport(columnMap.unmatchedQuestions)
+      );
+    }
+
+    if (columnMap.nameColumn === null) {
+      console.warn('No "Name" column found - respondents will be numbered instead');
     }
 
     // Skip header row, process data rows
@@ -77,80 +541,198 @@ function parseExcelFile(filePath) {
 
     // Validate we have respondents
     if (dataRows.length === 0) {
-      throw new Error('No respondent data found in Excel file');
+      throw invalidExcelError('No respondent data found in Excel file');
     }
 
-    // Parse respondents
+    // Short answers that repeat (role, department, location) are categories, not free text
+    const columnAnswers = (colIndex) => dataRows.map(row => String(row[colIndex] ?? '').trim()).filter(Boolean);
+    const categoricalColumns = columnMap.openEndedColumns.filter(colIndex => isCategorical(columnAnswers(colIndex)));
+    const segmentableColumns = [...columnMap.detailColumns, ...columnMap.openEndedColumns].sort((a, b) => a - b);
+    const segmentCandidates = segmentableColumns
+      .filter(colIndex => isCategorical(columnAnswers(colIndex)))
+      .map(colIndex => columnMap.columns[colIndex].header);
+
+    // Requested segment columns, matched by header text
+    const segments = segmentColumns.map(requested => {
+      const colIndex = segmentableColumns.find(candidate =>
+        normalizeHeader(columnMap.columns[candidate].header) === normalizeHeader(requested));
+      if (colIndex === undefined) {
+        const available = segmentCandidates.length > 0 ? segmentCandidates.map(h => `"${h}"`).join(', ') : 'none found';
+        throw invalidExcelError(`Segment column "${requested}" was not found in the Excel file. Columns that look like segments: ${available}`);
+      }
+      return { header: columnMap.columns[colIndex].header, colIndex };
+    });
+
+    const freeTextColumns = columnMap.openEndedColumns.filter(colIndex =>
+      !categoricalColumns.includes(colIndex) && !segments.some(segment => segment.colIndex === colIndex));
+
+    // First pass: read every row, so repeat submissions can be compared before any is kept
+    const submissions = [];
+    dataRows.forEach((row, rowIndex) => {
+      // Rows with nothing in them are spreadsheet padding, not respondents
+      if (row.every(cell => String(cell).trim() === '')) return;
+
+      // IMPORTANT: The email column is never read - only the name column is used
+      const rawName = columnMap.nameColumn !== null ? row[columnMap.nameColumn] : '';
+      const name = rawName ? String(rawName).trim() : `Respondent ${rowIndex + 1}`;
+
+      // Extract scores in question order, wherever each question's column sits.
+      // Anything but a scale label scores null: N/A, blanks and unrecognised text alike.
+      const answers = columnMap.questionColumns.map(colIndex => classifyResponse(row[colIndex], scoreMap));
+      const responseCounts = { answered: 0, notApplicable: 0, blank: 0, invalid: 0 };
+      answers.forEach(answer => { responseCounts[answer.kind]++; });
+      const completion = Number((responseCounts.answered / answers.length).toFixed(3));
+
+      // Leave out respondents with no scores, or too few to compare with the team
+      let exclusionReason = null;
+      if (responseCounts.answered === 0) exclusionReason = 'noAnswers';
+      else if (completion < minCompletion) exclusionReason = 'incomplete';
+
+      const { start, completion: completed } = columnMap.timeColumns;
+      const submittedAt = (completed !== null ? parseTimestamp(row[completed]) : null) ??
+        (start !== null ? parseTimestamp(row[start]) : null);
+
+      submissions.push({
+        cells: row,
+        row: rowIndex + 2,
+        name,
+        named: Boolean(rawName),
+        answers,
+        responseCounts,
+        answered: responseCounts.answered,
+        completion,
+        submittedAt,
+        exclusionReason
+      });
+    });
+
+    const { duplicates, dropped } = resolveDuplicates(submissions, duplicatePolicy);
+
+    // Second pass: keep the respondents that made it
     const respondents = [];
-    const questionResponses = Array.from({ length: 82 }, () => []);
-
-    for (let rowIndex = 0; rowIndex < dataRows.length; rowIndex++) {
-      const row = dataRows[rowIndex];
-
-      // IMPORTANT: Column D (index 3) contains email addresses - we explicitly DO NOT read or store them
-      // Extract respondent name from column E (index 4) only
-      const name = row[4] ? String(row[4]).trim() : `Respondent ${rowIndex + 1}`;
-
-      // Extract scores from columns 9-90 (82 scoreable questions)
-      const scores = [];
-      let validScoreCount = 0;
-
-      for (let colIndex = 9; colIndex <= 90; colIndex++) {
-        const questionIndex = colIndex - 9; // Map to 0-81
-        const response = row[colIndex];
-        const score = textToScore(response);
-
-        if (score !== null) {
-          scores.push(score);
-          questionResponses[questionIndex].push(score);
-          validScoreCount++;
-        } else {
-          // If invalid response, use null but warn
-          scores.push(null);
-          console.warn(`Invalid response at row ${rowIndex + 2}, column ${colIndex + 1}: "${response}"`);
-        }
+    const questionResponses = assessment.questions.map(() => []);
+    const nonResponses = assessment.questions.map(() => ({ notApplicable: 0, blank: 0, invalid: 0 }));
+    const openEndedAnswers = freeTextColumns.map(() => []);
+    const excluded = [];
+    const invalidAnswers = [];
+
+    submissions.forEach(submission => {
+      const { cells, row, name, answers, responseCounts, completion, exclusionReason } = submission;
+
+      if (exclusionReason) {
+        console.warn(`Skipping respondent "${name}" - ${exclusionReason === 'noAnswers'
+          ? 'no valid scores found'
+          : `answered ${responseCounts.answered} of ${answers.length} questions`}`);
+        excluded.push({ name, row, answered: responseCounts.answered, completion, reason: exclusionReason });
+        return;
       }
 
-      // Only include respondent if they have at least some valid scores
-      if (validScoreCount > 0) {
-        respondents.push({
-          name,
-          scores
-        });
-      } else {
-        console.warn(`Skipping respondent "${name}" - no valid scores found`);
+      if (dropped.has(submission)) {
+        const keptRow = dropped.get(submission);
+        console.warn(`Skipping respondent "${name}" at row ${row} - keeping their submission at row ${keptRow}`);
+        excluded.push({ name, row, answered: responseCounts.answered, completion, reason: 'duplicate', keptRow });
+        return;
       }
-    }
+
+      answers.forEach((answer, questionIndex) => {
+        if (answer.kind === 'answered') {
+          questionResponses[questionIndex].push(answer.score);
+          return;
+        }
+
+        nonResponses[questionIndex][answer.kind]++;
+        if (answer.kind === 'invalid') {
+          const colIndex = columnMap.questionColumns[questionIndex];
+          console.warn(`Invalid response at row ${row}, column ${columnLetter(colIndex)}: "${cells[colIndex]}"`);
+          if (invalidAnswers.length < maxInvalidAnswers) {
+            invalidAnswers.push({ row, column: columnLetter(colIndex), questionIndex, value: String(cells[colIndex]) });
+          }
+        }
+      });
+
+      const respondentSegments = {};
+      segments.forEach(({ header, colIndex }) => {
+        respondentSegments[header] = String(cells[colIndex] ?? '').trim() || NOT_SPECIFIED_SEGMENT;
+      });
+
+      respondents.push({
+        name,
+        scores: answers.map(answer => answer.score),
+        responseCounts,
+        completion,
+        segments: respondentSegments
+      });
+
+      freeTextColumns.forEach((colIndex, position) => {
+        const text = String(cells[colIndex] ?? '').trim();
+        if (text) openEndedAnswers[position].push({ name, text });
+      });
+    });
 
     // Build questions array with metadata and all responses
-    const questions = questionMapping.map((q, index) => ({
+    const questions = assessment.questions.map((q, index) => ({
       index,
       driver: q.driver,
       skill: q.skill,
       text: q.text,
-      responses: questionResponses[index]
+      responses: questionResponses[index],
+      nonResponses: nonResponses[index]
     }));
 
     // Validate we have data
     if (respondents.length === 0) {
-      throw new Error('No valid respondents found with scoreable responses');
+      throw invalidExcelError(excluded.some(respondent => respondent.reason === 'incomplete')
+        ? `No respondents answered at least ${Math.round(minCompletion * 100)}% of the questions`
+        : 'No valid respondents found with scoreable responses');
     }
 
+    // Open-ended answers keyed by header text, in column order. Columns where
+    // every answer is a scale label are unmapped Likert questions, not free text.
+    const openEndedResponses = {};
+    freeTextColumns.forEach((colIndex, position) => {
+      const answers = openEndedAnswers[position];
+      if (answers.some(answer => textToScore(answer.text, scoreMap) === null)) {
+        openEndedResponses[columnMap.columns[colIndex].header] = answers;
+      }
+    });
+
     return {
+      assessment,
       respondents,
-      questions
+      questions,
+      openEndedResponses,
+      segmentColumns: segments.map(segment => segment.header),
+      segmentCandidates,
+      columnReport: columnMap,
+      dataQuality: {
+        rowCount: submissions.length,
+        minCompletion,
+        duplicatePolicy,
+        excluded,
+        invalidAnswers,
+        duplicates
+      }
     };
 
   } catch (error) {
     if (error.code === 'ENOENT') {
-      throw new Error('Could not read the Excel file. Please ensure it\'s a valid .xlsx file.');
+      throw invalidExcelError('Could not read the Excel file. Please ensure it\'s a valid .xlsx file.');
     }
+    if (columnMap && !error.columnReport) error.columnReport = columnMap;
     throw error;
   }
 }
 
 module.exports = {
+  NOT_SPECIFIED_SEGMENT,
+  DUPLICATE_POLICIES,
   parseExcelFile,
+  mapColumns,
+  normalizeHeader,
+  isEmailColumn,
+  looksLikeQuestion, // Export for testing
   textToScore, // Export for testing
-  normalizeResponse // Export for testing
+  classifyResponse, // Export for testing
+  normalizeResponse, // Export for testing
+  headerSimilarity // Export for testing
 };
@@ -0,0 +1,661 @@
+/**
+ * Facilitator Guide Service
+ *
+ * Builds the facilitator edition of a report: a separate PDF for whoever runs
+ * the debrief workshop, kept apart from the team report so it is not handed
+ * to participants. It contains:
+ * - A session agenda with timings, scaled to the length of the session
+ * - Talking points for each page of the team report
+ * - The most divisive questions (from sortedByDifference) framed as exercises
+ * - Prompts for the four standard discussion questions, next to the
+ *   questions written for this team
+ *
+ * The guide is assembled from calculatedData and the report's insights, so it
+ * needs no further AI call and can be built for any saved run. Like the
+ * aggregate pages of the team report, it never names respondents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateAverage } = require('./calculator');
+const { showsIndividuals } = require('./anonymity');
+const { formatPercentile } = require('./benchmarks');
+const { buildReportFilename, STANDARD_DISCUSSION_QUESTIONS } = require('./pdfGenerator');
+const { generateFacilitatorGuidePDF } = require('./facilitatorGuidePdf');
+
+const DEFAULT_SESSION_MINUTES = 90;
+const MIN_SESSION_MINUTES = 45;
+const MAX_SESSION_MINUTES = 240;
+
+// Agenda times are rounded to this many minutes
+const TIME_STEP = 5;
+
+// Most divisive questions turned into exercises, fewer when the session is too short for them
+const EXERCISE_COUNT = 3;
+const MIN_EXERCISE_MINUTES = 5;
+
+// Share of an agenda block spent on the standard question asked in it
+const STANDARD_QUESTION_SHARE = 1 / 3;
+
+// Gaps between groups smaller than this are treated as noise (matches the segment analysis)
+const SEGMENT_NOISE_THRESHOLD = 0.3;
+
+/**
+ * Agenda blocks in running order. `weight` is the block's share of the
+ * session before scaling, `question` the index of the standard discussion
+ * question asked in it, and `when` leaves out blocks the report has no pages for.
+ */
+const AGENDA_BLOCKS = [
+  {
+    key: 'opening',
+    title: 'Welcome and purpose',
+    weight: 5,
+    goal: 'Explain why the team took the assessment and that the results describe how the team sees itself, ' +
+      'not a grade. Agree how the session will run and that nobody has to say how they answered.'
+  },
+  {
+    key: 'overview',
+    title: 'The big picture',
+    weight: 15,
+    question: 0,
+    goal: 'Walk through the overall score, the maturity stage and the strongest and weakest drivers, then test ' +
+      'whether the results ring true.'
+  },
+  {
+    key: 'change',
+    title: 'What has changed',
+    weight: 10,
+    when: (calculatedData) => Boolean(calculatedData.comparison),
+    goal: 'Compare with the last assessment: celebrate what improved and ask what the team did differently.'
+  },
+  {
+    key: 'segments',
+    title: 'How groups see it',
+    weight: 10,
+    when: (calculatedData) => Boolean(calculatedData.segments),
+    goal: 'Look at where groups of respondents see the business differently, without guessing who is in each group.'
+  },
+  {
+    key: 'alignment',
+    title: 'Where we agree',
+    weight: 5,
+    goal: 'Note where the team sees things the same way, and whether it agrees on a strength or a weakness.'
+  },
+  {
+    key: 'differences',
+    title: 'Where we differ',
+    weight: 25,
+    question: 1,
+    goal: 'Run the exercises on the questions the team agreed on least, then look for what is behind the differences.'
+  },
+  {
+    key: 'priorities',
+    title: 'Choosing where to focus',
+    weight: 15,
+    question: 2,
+    goal: 'Use the highest and lowest scores and the open-ended themes to agree the few areas worth working on.'
+  },
+  {
+    key: 'plan',
+    title: 'Agreeing next steps',
+    weight: 15,
+    question: 3,
+    goal: 'Turn the chosen areas into near-term actions with owners and dates, starting from the draft action plan ' +
+      'where the report has one.'
+  },
+  {
+    key: 'close',
+    title: 'Close',
+    weight: 5,
+    goal: 'Recap the decisions, owners and the date the team will check progress.'
+  }
+];
+
+/**
+ * Validates a session length
+ * @param {string|number} value - Minutes (undefined or empty for the default)
+ * @returns {number} Session length in minutes
+ * @throws {Error} If the value is not a whole number of minutes in range
+ */
+function resolveSessionMinutes(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return DEFAULT_SESSION_MINUTES;
+  }
+
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_SESSION_MINUTES || minutes > MAX_SESSION_MINUTES) {
+    throw new Error(`Invalid session length "${value}". Use a whole number of minutes from ${MIN_SESSION_MINUTES} to ${MAX_SESSION_MINUTES}.`);
+  }
+  return minutes;
+}
+
+/**
+ * Formats a score for prose ("3.42")
+ * @param {number} value - Score
+ * @returns {string} Score with 2 decimals
+ */
+function formatScore(value) {
+  return Number(value).toFixed(2);
+}
+
+/**
+ * Formats a signed change for prose ("+0.25", "-0.40")
+ * @param {number} delta - Change value
+ * @returns {string} Signed value with 2 decimals
+ */
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(2)}`;
+}
+
+/**
+ * Formats minutes from the start of the session as a clock offset ("0:05", "1:30")
+ * @param {number} minutes - Minutes from the start
+ * @returns {string} Hours and minutes
+ */
+function formatClock(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Lists the report pages an agenda block covers, in report order
+ * @param {string} key - Agenda block key
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} insights - Report insights
+ * @returns {string[]} Page titles as they appear in the team report
+ */
+function listBlockPages(key, calculatedData, insights) {
+  const hasSkills = calculatedData.skillStats && calculatedData.skillStats.length > 0;
+
+  switch (key) {
+    case 'overview':
+      return [
+        'Team Summary',
+        calculatedData.maturity && 'Maturity Stages',
+        calculatedData.benchmark && 'Compared with Benchmark',
+        hasSkills && 'Skill Heatmap',
+        'Response Distribution'
+      ].filter(Boolean);
+    case 'change':
+      return ['Progress Since Last Assessment', 'Most Improved', 'Most Declined'];
+    case 'segments':
+      return [
+        ...calculatedData.segments.columns.map(({ column }) => `Results by ${column}`),
+        calculatedData.segments.leadersVsTeam && 'Leaders vs. Team'
+      ].filter(Boolean);
+    case 'alignment':
+      return ['Areas of Alignment'];
+    case 'differences':
+      return ['Areas of Key Difference'];
+    case 'priorities':
+      return [
+        'Highest Scores',
+        'Lowest Scores',
+        insights.openEndedThemes && insights.openEndedThemes.length > 0 && 'In Their Own Words',
+        'Group Discussion Questions'
+      ].filter(Boolean);
+    case 'plan':
+      return insights.actionPlan && insights.actionPlan.length > 0 ? ['Action Plan'] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Builds the session agenda: the blocks that apply to this report, with their
+ * share of the session rounded to TIME_STEP. When rounding overruns the
+ * session the longest blocks give up time; any time left over goes to
+ * "Where we differ", the block with the most to do.
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} insights - Report insights
+ * @param {number} sessionMinutes - Session length
+ * @returns {Object[]} [{ key, title, goal, question, pages, start, minutes }]
+ */
+function buildAgenda(calculatedData, insights, sessionMinutes) {
+  const blocks = AGENDA_BLOCKS.filter(block => !block.when || block.when(calculatedData));
+  const totalWeight = blocks.reduce((sum, block) => sum + block.weight, 0);
+
+  const minutes = blocks.map(block =>
+    Math.max(TIME_STEP, Math.round((block.weight / totalWeight) * sessionMinutes / TIME_STEP) * TIME_STEP));
+  const allocated = () => minutes.reduce((sum, value) => sum + value, 0);
+
+  // Later blocks give up time first; every block keeps at least TIME_STEP, which the shortest session leaves room for
+  while (allocated() > sessionMinutes) {
+    minutes[minutes.lastIndexOf(Math.max(...minutes))] -= TIME_STEP;
+  }
+  minutes[blocks.findIndex(block => block.key === 'differences')] += sessionMinutes - allocated();
+
+  let start = 0;
+  return blocks.map((block, index) => {
+    const entry = {
+      key: block.key,
+      title: block.title,
+      goal: block.goal,
+      question: block.question === undefined ? null : block.question,
+      pages: listBlockPages(block.key, calculatedData, insights),
+      start: formatClock(start),
+      minutes: minutes[index]
+    };
+    start += minutes[index];
+    return entry;
+  });
+}
+
+/**
+ * Works out the time for the standard question asked in an agenda block
+ * @param {Object} block - buildAgenda entry
+ * @returns {number} Minutes
+ */
+function standardQuestionMinutes(block) {
+  return Math.max(TIME_STEP, Math.round(block.minutes * STANDARD_QUESTION_SHARE / TIME_STEP) * TIME_STEP);
+}
+
+/**
+ * Describes how a question's answers split across the scale
+ * @param {Object} question - Question with stats from calculateAll
+ * @param {Object} scale - Scale bounds { min, max }
+ * @returns {string} Counts below, at and above the middle of the scale
+ */
+function describeSpread(question, scale) {
+  const middle = (scale.min + scale.max) / 2;
+  const count = (test) => question.distribution.reduce((sum, n, index) => sum + (test(scale.min + index) ? n : 0), 0);
+  const low = count(value => value < middle);
+  const high = count(value => value > middle);
+  const lowRange = `${scale.min}-${Math.ceil(middle) - 1}`;
+  const highRange = `${Math.floor(middle) + 1}-${scale.max}`;
+
+  const parts = [`${low} answered low (${lowRange})`];
+  if (Number.isInteger(middle)) {
+    parts.push(`${count(value => value === middle)} in the middle (${middle})`);
+  }
+  parts.push(`${high} high (${highRange})`);
+  return parts.join(', ');
+}
+
+/**
+ * Frames the least agreed questions as exercises
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {number} blockMinutes - Minutes of the "Where we differ" block left after its standard question
+ * @returns {Object[]} [{ question, driver, skill, average, agreement, spread, minutes, steps }]
+ */
+function buildExercises(calculatedData, blockMinutes) {
+  const { scale } = calculatedData.assessment;
+  // Runs saved before the agreement index existed have none; a single answer shows no disagreement
+  const hasAgreement = (question) => question.agreement !== null && question.agreement !== undefined;
+  const agreementOf = (question) => (hasAgreement(question) ? question.agreement : 1);
+
+  // sortedByDifference is in driver order for the report; exercises start with the widest split
+  const count = Math.max(1, Math.min(EXERCISE_COUNT, Math.floor(blockMinutes / MIN_EXERCISE_MINUTES)));
+  const questions = [...calculatedData.sortedByDifference]
+    .filter(question => question.responseCount > 1)
+    .sort((a, b) => agreementOf(a) - agreementOf(b) || b.stdDev - a.stdDev)
+    .slice(0, count);
+
+  return questions.map((question) => {
+    const spread = describeSpread(question, scale);
+    return {
+      question: question.text,
+      driver: question.driver,
+      skill: question.skill || null,
+      average: question.average,
+      agreement: hasAgreement(question) ? question.agreement : null,
+      spread,
+      minutes: Math.max(MIN_EXERCISE_MINUTES, Math.floor(blockMinutes / questions.length)),
+      steps: [
+        'Read the statement aloud. Ask everyone to show where they stand today at the same time, before anyone ' +
+          `speaks: fingers, cards, or a line across the room from ${scale.min} to ${scale.max}.`,
+        `Share how the team answered in the survey: ${spread}. Nobody has to say how they answered.`,
+        'Ask one volunteer from each end of the line what they see day to day that puts them there. Listen for ' +
+          'different information rather than different opinions.',
+        `Ask what would have to be true for everyone to answer ${scale.max}, and note the ideas for the action plan.`
+      ]
+    };
+  });
+}
+
+/**
+ * Finds the widest gap between groups that is larger than noise
+ * @param {Object} segments - calculatedData.segments
+ * @returns {Object|null} { column, driver, highest, lowest, gap }, or null
+ */
+function findWidestSegmentGap(segments) {
+  const gaps = segments.columns.flatMap(({ column, driverGaps }) => driverGaps.map(gap => ({ column, ...gap })));
+  const widest = gaps.sort((a, b) => b.gap - a.gap)[0];
+  return widest && widest.gap >= SEGMENT_NOISE_THRESHOLD ? widest : null;
+}
+
+/**
+ * Writes the talking points for each page of the team report, in report order
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} insights - Report insights
+ * @returns {Object[]} [{ page, points: string[] }]
+ */
+function buildPageNotes(calculatedData, insights) {
+  const { assessment, strongestDriver, weakestDriver, sampleSize, maturity, benchmark, comparison, segments, dataQuality } = calculatedData;
+  const { scale } = assessment;
+  const overall = calculateAverage(Object.values(calculatedData.driverScores));
+  const respondentCount = calculatedData.respondents.length;
+  const skillStats = calculatedData.skillStats || [];
+  const notes = [];
+  const addNote = (page, points) => notes.push({ page, points: points.filter(Boolean) });
+
+  // Team Summary
+  const confidence = Object.entries(calculatedData.driverConfidence || {})
+    .filter(([, interval]) => interval)
+    .sort((a, b) => b[1].margin - a[1].margin)[0];
+  addNote('Team Summary', [
+    `${respondentCount} respondents rated the team ${formatScore(overall)} overall on a ${scale.min}-${scale.max} scale.`,
+    `${strongestDriver.name} is the strongest driver (${formatScore(strongestDriver.score)}) and ${weakestDriver.name} ` +
+      `the weakest (${formatScore(weakestDriver.score)}).`,
+    confidence && `The error bars show how certain each driver score is. ${confidence[0]} is the least certain ` +
+      `(±${formatScore(confidence[1].margin)}), so small gaps between drivers may not be real differences.`,
+    sampleSize.isSmall && `Point out the small-sample notice: with fewer than ${sampleSize.minimum} respondents, ` +
+      'present the scores as indicative.',
+    'Read the executive summary beforehand and be ready to say where it matches what you know about the team.'
+  ]);
+
+  // Maturity Stages
+  if (maturity) {
+    const bandIndex = maturity.bands.findIndex(band => band.name === maturity.overall.stage);
+    const nextBand = maturity.bands[bandIndex + 1];
+    const lowestBand = maturity.bands[0];
+    const lowestSkills = Object.entries(maturity.skills || {})
+      .filter(([, stage]) => stage === lowestBand.name)
+      .map(([skill]) => skill);
+    addNote('Maturity Stages', [
+      `The team is at the ${maturity.overall.stage} stage overall (${formatScore(maturity.overall.score)}).`,
+      nextBand && `Reaching ${nextBand.name} takes an overall score of ${formatScore(nextBand.min)}; read its ` +
+        'description aloud and ask what would be different day to day.',
+      lowestSkills.length > 0 && `Skills still at the ${lowestBand.name} stage: ${lowestSkills.join(', ')}.`
+    ]);
+  }
+
+  // Compared with Benchmark
+  if (benchmark) {
+    const ranked = Object.entries(benchmark.drivers).sort((a, b) => b[1].percentile - a[1].percentile);
+    addNote('Compared with Benchmark', [
+      benchmark.overall && `Overall, the team sits at the ${formatPercentile(benchmark.overall.percentile)} percentile ` +
+        `of the "${benchmark.normSet.name}" benchmark.`,
+      ranked.length > 1 && `${ranked[0][0]} compares best (${formatPercentile(ranked[0][1].percentile)} percentile) and ` +
+        `${ranked[ranked.length - 1][0]} least well (${formatPercentile(ranked[ranked.length - 1][1].percentile)}).`,
+      `Present the benchmark as a reference point from ${benchmark.normSet.teamCount} other teams, not as a target.`
+    ]);
+  }
+
+  // Skill Heatmap
+  if (skillStats.length > 0) {
+    const answered = skillStats.filter(stats => stats.average !== null);
+    const byAverage = [...answered].sort((a, b) => b.average - a.average);
+    const mostVaried = [...answered].sort((a, b) => b.stdDev - a.stdDev)[0];
+    addNote('Skill Heatmap', [
+      byAverage.length > 1 && `${byAverage[0].skill} is the highest-scoring skill (${formatScore(byAverage[0].average)}) ` +
+        `and ${byAverage[byAverage.length - 1].skill} the lowest (${formatScore(byAverage[byAverage.length - 1].average)}).`,
+      mostVaried && `Scores on ${mostVaried.skill} vary most between people (std dev ${formatScore(mostVaried.stdDev)}).`,
+      showsIndividuals(calculatedData)
+        ? 'The heatmap has a row for each person. Talk about patterns across the team, and do not ask anyone to explain their row.'
+        : 'This anonymous report shows skill averages only.'
+    ]);
+  }
+
+  // Comparison pages
+  if (comparison) {
+    const [improved] = comparison.mostImproved;
+    const [declined] = comparison.mostDeclined;
+    addNote('Progress Since Last Assessment', [
+      `The overall score moved ${formatDelta(comparison.overallDelta)} since ${comparison.baseline.label}.`,
+      improved && `Most improved: "${improved.text}" (${formatDelta(improved.averageDelta)}). Ask what the team did ` +
+        'differently, since that is worth keeping.',
+      declined && `Most declined: "${declined.text}" (${formatDelta(declined.averageDelta)}).`,
+      comparison.baseline.respondentCount !== comparison.current.respondentCount &&
+        `Different numbers of people responded (${comparison.baseline.respondentCount}, then ` +
+        `${comparison.current.respondentCount}), so some change may come from who answered.`
+    ]);
+  }
+
+  // Segment pages
+  if (segments) {
+    const widest = findWidestSegmentGap(segments);
+    const { leadersVsTeam } = segments;
+    const pages = [
+      ...segments.columns.map(({ column }) => `Results by ${column}`),
+      leadersVsTeam && 'Leaders vs. Team'
+    ].filter(Boolean);
+    addNote(pages.join(', '), [
+      widest
+        ? `The widest gap is in ${widest.driver} by ${widest.column}: ${widest.highest.value} scores ` +
+          `${formatScore(widest.highest.score)} and ${widest.lowest.value} ${formatScore(widest.lowest.score)}.`
+        : 'Groups see the business much the same way; no driver differs by much between them.',
+      leadersVsTeam && !leadersVsTeam.suppressed && Math.abs(leadersVsTeam.overallGap) >= SEGMENT_NOISE_THRESHOLD &&
+        `Leaders see the business ${leadersVsTeam.overallGap > 0 ? 'more' : 'less'} favourably than the rest of the ` +
+        `team (${formatDelta(leadersVsTeam.overallGap)} overall).`,
+      `Groups smaller than ${segments.minSegmentSize} are hidden to protect anonymity. Do not try to work out who is in a group.`
+    ]);
+  }
+
+  // Response Distribution
+  const incompleteCount = dataQuality ? dataQuality.incompleteQuestions.length : 0;
+  addNote('Response Distribution', [
+    'Use this page for reference when someone asks about a particular question, rather than presenting it line by line.',
+    incompleteCount > 0 && `${incompleteCount} questions were not answered by everyone. Blank and N/A answers are ` +
+      'left out of the averages.'
+  ]);
+
+  // Areas of Alignment
+  const { mostAligned, highestQuestion, lowestQuestion } = calculatedData;
+  const middle = (scale.min + scale.max) / 2;
+  addNote('Areas of Alignment', [
+    `The team agrees most on "${mostAligned.text}" (average ${formatScore(mostAligned.average)}), so it sees this ` +
+      `as a shared ${mostAligned.average >= middle ? 'strength' : 'weakness'}.`,
+    'Agreement is not the same as a high score: check whether each aligned question is a strength or a weakness.'
+  ]);
+
+  // Areas of Key Difference
+  addNote('Areas of Key Difference', [
+    'Show the page briefly, then move to the exercises in this guide, which are built from it.',
+    'Wide splits usually mean people see different parts of the business, not that someone is wrong.'
+  ]);
+
+  // Highest and Lowest Scores
+  addNote('Highest Scores', [
+    `The highest average is "${highestQuestion.text}" (${formatScore(highestQuestion.average)}). Ask what the team ` +
+      'does here that it could apply elsewhere.'
+  ]);
+  addNote('Lowest Scores', [
+    `The lowest average is "${lowestQuestion.text}" (${formatScore(lowestQuestion.average)}).`,
+    'Keep this constructive: the aim is to choose where to focus, not to assign blame.'
+  ]);
+
+  // In Their Own Words
+  if (insights.openEndedThemes && insights.openEndedThemes.length > 0) {
+    addNote('In Their Own Words', [
+      `Themes: ${insights.openEndedThemes.map(theme => `"${theme.title}"`).join(', ')}.`,
+      'Read one or two quotes aloud; they often say what the scores cannot. Do not speculate about who wrote them.'
+    ]);
+  }
+
+  // Group Discussion Questions
+  addNote('Group Discussion Questions', [
+    `Questions 1-${STANDARD_DISCUSSION_QUESTIONS.length} are the standard questions; this guide has prompts for each. ` +
+      'The rest were written for this team from its results.'
+  ]);
+
+  // Action Plan
+  if (insights.actionPlan && insights.actionPlan.length > 0) {
+    const isPlanRuleBased = (insights.actionPlanSource || insights.source) === 'rules';
+    addNote('Action Plan', [
+      `The draft plan covers ${insights.actionPlan.map(area => area.focusArea).join(', ')}.`,
+      'Present it as a starting point. The team should agree owners and dates before the session ends.',
+      isPlanRuleBased && 'The plan was written from rule-based templates, not by AI.'
+    ]);
+  }
+
+  // Team Member Analysis
+  if (insights.teamMemberAnalysis && showsIndividuals(calculatedData)) {
+    addNote('Team Member Analysis', [
+      'These pages are about individuals. Do not show them on screen; discuss them one-to-one if at all.'
+    ]);
+  }
+
+  // Additional Analysis
+  if (insights.specialAnalysis) {
+    addNote('Additional Analysis', [
+      'This page answers the special instructions given when the report was run. Decide beforehand whether it belongs in the session.'
+    ]);
+  }
+
+  // Appendix: Data Quality
+  if (dataQuality && dataQuality.excluded.length > 0) {
+    addNote('Appendix: Data Quality', [
+      `${dataQuality.excluded.length} submissions were left out of the results. If asked, the appendix explains why.`
+    ]);
+  }
+
+  return notes;
+}
+
+/**
+ * Writes the prompts for the four standard discussion questions
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} insights - Report insights
+ * @param {Object[]} agenda - buildAgenda output
+ * @param {number} exerciseCount - Number of exercises in the guide
+ * @returns {Object[]} [{ question, block, start, minutes, prompts: string[] }]
+ */
+function buildStandardQuestionPrompts(calculatedData, insights, agenda, exerciseCount) {
+  const { strongestDriver, weakestDriver, sampleSize, maturity, benchmark, comparison, segments, dataQuality } = calculatedData;
+  const overall = calculateAverage(Object.values(calculatedData.driverScores));
+  const respondentCount = calculatedData.respondents.length;
+
+  const lowestSkills = (calculatedData.skillStats || [])
+    .filter(stats => stats.average !== null)
+    .sort((a, b) => a.average - b.average)
+    .slice(0, 3);
+  const weakestBenchmark = benchmark
+    ? Object.entries(benchmark.drivers).sort((a, b) => a[1].percentile - b[1].percentile)[0]
+    : null;
+  const widestGap = segments ? findWidestSegmentGap(segments) : null;
+  const declined = comparison ? comparison.mostDeclined[0] : null;
+  const excludedCount = dataQuality ? dataQuality.excluded.length : 0;
+
+  const prompts = [
+    [
+      `Start from the headline: ${formatScore(overall)} overall` +
+        `${maturity ? `, the ${maturity.overall.stage} stage` : ''}. Does that match how it feels to work here?`,
+      `Is ${strongestDriver.name} really our strongest driver and ${weakestDriver.name} our weakest? What would we point to as evidence?`,
+      sampleSize.isSmall
+        ? `Only ${respondentCount} people responded. Whose view might be missing, and would it change the picture?`
+        : excludedCount > 0 && `${excludedCount} submissions were left out. Does that leave anyone's view out?`,
+      'Which result surprised you most, and why?'
+    ],
+    [
+      exerciseCount > 0 && `Run the ${exerciseCount === 1 ? 'exercise' : `${exerciseCount} exercises`} first; ` +
+        'they cover the questions the team agreed on least.',
+      'Look for a pattern: do people who answered high and low work in different areas, at different levels or with different customers?',
+      widestGap && `Groups differ most on ${widestGap.driver} (by ${widestGap.column}). What does each group see that the other does not?`,
+      'Are we disagreeing about the facts, or about what good looks like?'
+    ],
+    [
+      lowestSkills.length > 0 && `The lowest-scoring skills are ${lowestSkills
+        .map(stats => `${stats.skill} (${formatScore(stats.average)})`).join(', ')}. Which of these holds the others back?`,
+      weakestBenchmark && `Against the benchmark, ${weakestBenchmark[0]} compares least well ` +
+        `(${formatPercentile(weakestBenchmark[1].percentile)} percentile). Does that matter for our goals?`,
+      declined && `"${declined.text}" declined most since ${comparison.baseline.label} (${formatDelta(declined.averageDelta)}). Is it a priority?`,
+      'If we could improve only one thing this quarter, which would make the biggest difference to our customers or results?'
+    ],
+    [
+      insights.actionPlan && insights.actionPlan.length > 0 &&
+        `The draft action plan focuses on ${insights.actionPlan.map(area => area.focusArea).join(', ')}. What would we change, add or drop?`,
+      'What can we start in the next 30 days with the time and people we already have?',
+      'Who will own each step, and when will we check progress together?'
+    ]
+  ];
+
+  return STANDARD_DISCUSSION_QUESTIONS.map((question, index) => {
+    const block = agenda.find(entry => entry.question === index);
+    return {
+      question,
+      block: block.title,
+      start: block.start,
+      minutes: standardQuestionMinutes(block),
+      prompts: prompts[index].filter(Boolean)
+    };
+  });
+}
+
+/**
+ * Lists what to do before the session
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} insights - Report insights
+ * @returns {string[]} Preparation steps
+ */
+function buildPreparation(calculatedData, insights) {
+  return [
+    'Share the team report with participants before the session or at its start. Keep this guide to yourself.',
+    showsIndividuals(calculatedData)
+      ? 'The report names individuals. Decide beforehand whether the Skill Heatmap and Team Member Analysis go on screen.'
+      : 'The report is anonymous. Protect that in the room: nobody has to say how they answered.',
+    insights.source === 'rules' &&
+      'The insights in this report were written from rule-based templates, not by AI. Read them with that in mind.',
+    'Have a whiteboard or shared document ready to capture ideas for the action plan.'
+  ].filter(Boolean);
+}
+
+/**
+ * Assembles the facilitator guide for a run
+ * @param {string} teamName - Team name
+ * @param {Object} calculatedData - Output of calculateAll (after anonymity is applied)
+ * @param {Object} insights - Report insights (Claude's or the rule-based fallback)
+ * @param {Object} options - Guide options
+ * @param {number} options.sessionMinutes - Session length (see resolveSessionMinutes)
+ * @returns {Object} { teamName, assessment, respondentCount, sessionMinutes, preparation, agenda,
+ *   pageNotes, exercises, standardQuestions, reportQuestions, isRuleBased }
+ */
+function buildFacilitatorGuide(teamName, calculatedData, insights, { sessionMinutes = DEFAULT_SESSION_MINUTES } = {}) {
+  const agenda = buildAgenda(calculatedData, insights, sessionMinutes);
+
+  const differences = agenda.find(entry => entry.key === 'differences');
+  const exercises = buildExercises(calculatedData, differences.minutes - standardQuestionMinutes(differences));
+
+  return {
+    teamName,
+    assessment: calculatedData.assessment,
+    respondentCount: calculatedData.respondents.length,
+    sessionMinutes: agenda.reduce((sum, entry) => sum + entry.minutes, 0),
+    preparation: buildPreparation(calculatedData, insights),
+    agenda,
+    pageNotes: buildPageNotes(calculatedData, insights),
+    exercises,
+    standardQuestions: buildStandardQuestionPrompts(calculatedData, insights, agenda, exercises.length),
+    reportQuestions: insights.discussionQuestions || [],
+    isRuleBased: insights.source === 'rules'
+  };
+}
+
+/**
+ * Builds and renders the facilitator guide PDF
+ * @param {string} teamName - Team name
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object} insights - Report insights
+ * @param {Object} options - Guide options (see buildFacilitatorGuide)
+ * @returns {Promise<Object>} { pdf: Buffer, filename }
+ */
+async function renderFacilitatorGuide(teamName, calculatedData, insights, options = {}) {
+  const guide = buildFacilitatorGuide(teamName, calculatedData, insights, options);
+  const pdfPath = path.join(__dirname, '../uploads', `facilitator-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.pdf`);
+
+  try {
+    await generateFacilitatorGuidePDF(guide, pdfPath);
+    return {
+      pdf: fs.readFileSync(pdfPath),
+      filename: buildReportFilename(`${calculatedData.assessment.name} Facilitator Guide`, teamName)
+    };
+  } finally {
+    if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+  }
+}
+
+module.exports = {
+  DEFAULT_SESSION_MINUTES,
+  resolveSessionMinutes,
+  buildFacilitatorGuide,
+  renderFacilitatorGuide
+};
@@ -0,0 +1,218 @@
+/**
+ * Facilitator Guide PDF
+ *
+ * Renders the facilitator guide: the debrief agenda, talking points per report
+ * page, exercises and prompts for the standard discussion questions. Layout
+ * helpers are shared with the team report in pdfGenerator.js.
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const { formatDate } = require('./claudeService');
+const {
+  STANDARD_DISCUSSION_QUESTIONS,
+  MARGIN,
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  USABLE_WIDTH,
+  addNewPage,
+  drawNotice,
+  drawRulesNotice,
+  startSection,
+  drawList
+} = require('./pdfGenerator');
+
+/**
+ * Generates the facilitator guide PDF: agenda, talking points per report page,
+ * exercises and prompts for the standard discussion questions
+ * @param {Object} guide - buildFacilitatorGuide output
+ * @param {string} outputPath - Path to save PDF
+ * @returns {Promise<void>}
+ */
+async function generateFacilitatorGuidePDF(guide, outputPath) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: MARGIN, size: 'LETTER' });
+      const stream = fs.createWriteStream(outputPath);
+
+      doc.pipe(stream);
+
+      // Header
+      doc.fontSize(20)
+         .font('Helvetica-Bold')
+         .fillColor('#000000')
+         .text('Facilitator Guide', MARGIN, MARGIN);
+
+      doc.fontSize(14)
+         .text(guide.teamName, MARGIN, MARGIN + 30, { width: USABLE_WIDTH });
+
+      doc.fontSize(10)
+         .font('Helvetica')
+         .fillColor('#666666')
+         .text(`${guide.assessment.name}  |  ${formatDate()}  |  ${guide.respondentCount} respondents  |  ` +
+           `${guide.sessionMinutes}-minute session`, MARGIN, MARGIN + 50, { width: USABLE_WIDTH });
+
+      doc.fillColor('#000000');
+      let y = MARGIN + 75;
+      y += drawNotice(doc, y, 'For the facilitator only. Do not hand this guide out: it is a script for running the ' +
+        'debrief, and participants should receive the team report instead.');
+
+      // Preparation
+      y = startSection(doc, y, 'Before the Session');
+      y = drawList(doc, y, guide.preparation) + 15;
+
+      // Agenda, one entry per block, each kept on one page
+      y = startSection(doc, y, 'Session Agenda',
+        'Times count from the start of the session. Adjust them to the room, but protect the time for the exercises and the plan.');
+      guide.agenda.forEach((entry) => {
+        const details = [
+          entry.pages.length > 0 && `Report pages: ${entry.pages.join(', ')}`,
+          entry.question !== null && `Standard question ${entry.question + 1}`
+        ].filter(Boolean).join('  |  ');
+
+        doc.fontSize(10).font('Helvetica');
+        const goalHeight = doc.heightOfString(entry.goal, { width: USABLE_WIDTH });
+        doc.fontSize(9);
+        const detailsHeight = details ? doc.heightOfString(details, { width: USABLE_WIDTH }) + 3 : 0;
+        if (y + 16 + goalHeight + detailsHeight > PAGE_HEIGHT - MARGIN) {
+          addNewPage(doc);
+          y = MARGIN;
+        }
+
+        doc.fontSize(11)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(`${entry.start}   ${entry.title}`, MARGIN, y, { width: USABLE_WIDTH - 80 });
+        doc.font('Helvetica')
+           .fillColor('#666666')
+           .text(`${entry.minutes} min`, PAGE_WIDTH - MARGIN - 80, y, { width: 80, align: 'right' });
+        y += 16;
+
+        doc.fontSize(10)
+           .fillColor('#000000')
+           .text(entry.goal, MARGIN, y, { width: USABLE_WIDTH });
+        y += goalHeight + 3;
+
+        if (details) {
+          doc.fontSize(9)
+             .fillColor('#666666')
+             .text(details, MARGIN, y, { width: USABLE_WIDTH });
+          y += detailsHeight;
+        }
+        doc.fillColor('#000000');
+        y += 12;
+      });
+
+      // Talking points, in the order of the team report
+      y = startSection(doc, y + 10, 'Talking Points by Page',
+        'What to point out on each page of the team report, in report order.');
+      guide.pageNotes.forEach((note) => {
+        // Keep the page title with its first point
+        if (y > PAGE_HEIGHT - 100) {
+          addNewPage(doc);
+          y = MARGIN;
+        }
+        doc.fontSize(12)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(note.page, MARGIN, y, { width: USABLE_WIDTH });
+        y += doc.heightOfString(note.page, { width: USABLE_WIDTH }) + 6;
+        y = drawList(doc, y, note.points) + 10;
+      });
+
+      // Exercises from the least agreed questions
+      y = startSection(doc, y + 10, 'Exercises: Where We Differ',
+        'The questions the team agreed on least, from the Areas of Key Difference page, each framed as a short ' +
+        'exercise. Start with the widest split.', 330);
+      if (guide.exercises.length === 0) {
+        doc.fontSize(10)
+           .font('Helvetica-Oblique')
+           .text('No question was answered by more than one person, so there are no exercises.', MARGIN, y, { width: USABLE_WIDTH });
+        y += 30;
+      }
+      guide.exercises.forEach((exercise, index) => {
+        if (y > PAGE_HEIGHT - 250) {
+          addNewPage(doc);
+          y = MARGIN;
+        }
+
+        doc.fontSize(12)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(`Exercise ${index + 1} (about ${exercise.minutes} minutes)`, MARGIN, y);
+        y += 18;
+
+        doc.fontSize(11).font('Helvetica-Oblique');
+        doc.text(`"${exercise.question}"`, MARGIN, y, { width: USABLE_WIDTH });
+        y += doc.heightOfString(`"${exercise.question}"`, { width: USABLE_WIDTH }) + 4;
+
+        const meta = [
+          exercise.skill ? `${exercise.driver} / ${exercise.skill}` : exercise.driver,
+          `Average ${exercise.average.toFixed(2)}`,
+          exercise.agreement !== null && `Agreement ${exercise.agreement.toFixed(2)}`,
+          exercise.spread
+        ].filter(Boolean).join('  |  ');
+        doc.fontSize(9)
+           .font('Helvetica')
+           .fillColor('#666666')
+           .text(meta, MARGIN, y, { width: USABLE_WIDTH });
+        y += doc.heightOfString(meta, { width: USABLE_WIDTH }) + 8;
+
+        y = drawList(doc, y, exercise.steps, { numbered: true }) + 15;
+      });
+
+      // The standard questions, with prompts for when the conversation stalls
+      y = startSection(doc, y + 10, 'The Four Standard Questions',
+        'These open the Group Discussion Questions page of the report. Ask each one in the agenda block shown and ' +
+        'use the prompts if the conversation stalls.', 260);
+      guide.standardQuestions.forEach((entry, index) => {
+        if (y > PAGE_HEIGHT - 180) {
+          addNewPage(doc);
+          y = MARGIN;
+        }
+
+        const heading = `${index + 1}. ${entry.question}`;
+        doc.fontSize(12)
+           .font('Helvetica-Bold')
+           .fillColor('#000000')
+           .text(heading, MARGIN, y, { width: USABLE_WIDTH });
+        y += doc.heightOfString(heading, { width: USABLE_WIDTH }) + 4;
+
+        doc.fontSize(9)
+           .font('Helvetica')
+           .fillColor('#666666')
+           .text(`During "${entry.block}" (from ${entry.start}), about ${entry.minutes} minutes`, MARGIN, y);
+        y += 16;
+
+        y = drawList(doc, y, entry.prompts) + 12;
+      });
+
+      // The questions written for this team, numbered as in the report
+      if (guide.reportQuestions.length > 0) {
+        y = startSection(doc, y + 8, 'Questions Written for This Team',
+          'Numbered as in the report. Use them when time allows or the discussion needs a new angle.');
+        if (guide.isRuleBased) {
+          y += drawRulesNotice(doc, y);
+        }
+        drawList(doc, y, guide.reportQuestions, { numbered: true, start: STANDARD_DISCUSSION_QUESTIONS.length + 1 });
+      }
+
+      doc.end();
+
+      stream.on('finish', resolve);
+
+      stream.on('error', (error) => {
+        console.error('PDF generation error:', error);
+        reject(Object.assign(new Error('Failed to generate facilitator guide. Please try again.'), { statusCode: 500 }));
+      });
+
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      reject(Object.assign(new Error('Failed to generate facilitator guide. Please try again.'), { statusCode: 500 }));
+    }
+  });
+}
+
+module.exports = {
+  generateFacilitatorGuidePDF
+};
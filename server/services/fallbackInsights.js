@@ -0,0 +1,499 @@
+/**
+ * Fallback Insights Service
+ *
+ * Builds the same insight structure as claudeService from rule-based
+ * templates over the calculated data, with no network access. Used when
+ * Claude is unavailable (no API key, API failure) or when INSIGHTS_MODE is
+ * "offline" (air-gapped demos, automated tests).
+ *
+ * Output is tagged `source: "rules"` so the PDF can label it as non-AI.
+ */
+
+const { calculateAverage, OUTLIER_Z_SCORE } = require('./calculator');
+const { indexResponses } = require('./openEndedResponses');
+const { showsIndividuals } = require('./anonymity');
+const { formatPercentile } = require('./benchmarks');
+const { attachFocusAreas } = require('./actionPlan');
+
+// Changes smaller than this are treated as noise (matches the Claude prompt)
+const NOISE_THRESHOLD = 0.2;
+
+// Segment gaps smaller than this are treated as noise (matches the Claude prompt)
+const SEGMENT_NOISE_THRESHOLD = 0.3;
+
+// Quotes shown per open-ended question (matches the Claude theme limit)
+const QUOTES_PER_QUESTION = 3;
+
+/**
+ * Formats a score for prose ("3.42")
+ * @param {number} value - Score
+ * @returns {string} Score with 2 decimals
+ */
+function formatScore(value) {
+  return Number(value).toFixed(2);
+}
+
+/**
+ * Formats a signed change for prose ("+0.25", "-0.40")
+ * @param {number} delta - Change value
+ * @returns {string} Signed value with 2 decimals
+ */
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(2)}`;
+}
+
+/**
+ * Describes how one value compares to another ("above", "below", "in line with")
+ * @param {number} value - Value being described
+ * @param {number} reference - Value compared against
+ * @returns {string} Comparison phrase
+ */
+function comparedTo(value, reference) {
+  const difference = value - reference;
+  if (Math.abs(difference) < NOISE_THRESHOLD) return 'in line with';
+  return difference > 0 ? 'above' : 'below';
+}
+
+/**
+ * Describes how far a question's answers agree ("agreement 0.85 of 1")
+ * @param {Object} question - Question with stats from calculateAll
+ * @returns {string} Agreement index, or the standard deviation with too few answers
+ */
+function describeAgreement(question) {
+  return question.agreement === null
+    ? `std dev ${formatScore(question.stdDev)}`
+    : `agreement ${formatScore(question.agreement)} of 1`;
+}
+
+/**
+ * Describes where the team sits against its benchmark
+ * @param {Object} benchmark - calculatedData.benchmark (absent unless a benchmark was chosen)
+ * @returns {string} One or two sentences (with a leading space), or an empty string
+ */
+function describeBenchmark(benchmark) {
+  if (!benchmark) return '';
+
+  const { normSet, overall, drivers } = benchmark;
+  const sentences = [];
+  if (overall) {
+    sentences.push(`Against the "${normSet.name}" benchmark of ${normSet.teamCount} teams, the overall score sits at the ` +
+      `${formatPercentile(overall.percentile)} percentile.`);
+  }
+
+  const ranked = Object.entries(drivers).sort((a, b) => b[1].percentile - a[1].percentile);
+  if (ranked.length > 1) {
+    const [top, bottom] = [ranked[0], ranked[ranked.length - 1]];
+    sentences.push(`${top[0]} compares best (${formatPercentile(top[1].percentile)} percentile) and ` +
+      `${bottom[0]} least well (${formatPercentile(bottom[1].percentile)}).`);
+  }
+
+  return sentences.length > 0 ? ` ${sentences.join(' ')}` : '';
+}
+
+/**
+ * Builds the executive summary
+ * @param {string} teamName - Name of the team
+ * @param {Object} calculatedData - Output of calculateAll
+ * @returns {string} Summary paragraph
+ */
+function buildExecutiveSummary(teamName, calculatedData) {
+  const { assessment, strongestDriver, weakestDriver, mostAligned, mostDisagreed, respondents } = calculatedData;
+  const overall = calculateAverage(Object.values(calculatedData.driverScores));
+  const stage = calculatedData.maturity
+    ? `That places the team at the ${calculatedData.maturity.overall.stage} stage. `
+    : '';
+  const caveat = calculatedData.sampleSize.isSmall
+    ? ` With fewer than ${calculatedData.sampleSize.minimum} respondents, treat these results as indicative only.`
+    : '';
+
+  return `${respondents.length} members of ${teamName} rated the team ${formatScore(overall)} overall ` +
+    `on a ${assessment.scale.min}-${assessment.scale.max} scale. ${stage}` +
+    `${strongestDriver.name} is the strongest driver (${formatScore(strongestDriver.score)}) and ` +
+    `${weakestDriver.name} the weakest (${formatScore(weakestDriver.score)}). ` +
+    `The team is most aligned on "${mostAligned.text}" (${describeAgreement(mostAligned)}) and ` +
+    `most divided on "${mostDisagreed.text}" (${describeAgreement(mostDisagreed)}).` +
+    `${describeBenchmark(calculatedData.benchmark)}${caveat}`;
+}
+
+/**
+ * Builds three discussion questions from the most notable patterns
+ * @param {Object} calculatedData - Output of calculateAll
+ * @returns {string[]} Discussion questions
+ */
+function buildDiscussionQuestions(calculatedData) {
+  const { weakestDriver, lowestQuestion, mostDisagreed } = calculatedData;
+
+  return [
+    `Answers to "${mostDisagreed.text}" agreed less than any other question (${describeAgreement(mostDisagreed)}). ` +
+      'What are some of us seeing that others are not?',
+    `${weakestDriver.name} is our lowest-scoring driver (${formatScore(weakestDriver.score)}). ` +
+      'What is one change that would move it in the next quarter?',
+    `"${lowestQuestion.text}" received our lowest average score (${formatScore(lowestQuestion.average)}). ` +
+      'What is getting in the way here?'
+  ];
+}
+
+/**
+ * Builds the observation and follow-up question for one respondent
+ * @param {Object} respondent - Respondent summary from calculateAll
+ * @param {number} teamOverall - Team overall average
+ * @returns {Object} { name, insight, followUpQuestion }
+ */
+function buildMemberAnalysis(respondent, teamOverall) {
+  const { name, overallAverage, highestDriver, lowestDriver, outlierQuestions } = respondent;
+
+  let insight = `${name}'s overall average of ${formatScore(overallAverage)} is ` +
+    `${comparedTo(overallAverage, teamOverall)} the team's ${formatScore(teamOverall)}. ` +
+    `Their highest driver is ${highestDriver.name} (${formatScore(highestDriver.score)}) and ` +
+    `their lowest is ${lowestDriver.name} (${formatScore(lowestDriver.score)}).`;
+
+  let followUpQuestion;
+
+  if (outlierQuestions.length > 0) {
+    // Lead with the question where they differ most from the team
+    const biggest = [...outlierQuestions].sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))[0];
+    const direction = biggest.difference > 0 ? 'higher' : 'lower';
+
+    insight += ` Their answers stand apart from the rest of the team (${OUTLIER_Z_SCORE} or more standard deviations) on ${outlierQuestions.length} ` +
+      `question${outlierQuestions.length === 1 ? '' : 's'}, most notably "${biggest.question}" ` +
+      `(${biggest.respondentScore} vs. a team average of ${formatScore(biggest.teamAverage)}).`;
+    followUpQuestion = `What leads you to rate "${biggest.question}" ${direction} than the rest of the team?`;
+  } else {
+    insight += ' Their answers track closely with the team, with no question standing apart from the others\' answers.';
+    followUpQuestion = `From where you sit, what would most improve ${lowestDriver.name}?`;
+  }
+
+  return { name, insight, followUpQuestion };
+}
+
+/**
+ * Builds one "theme" per open-ended question, quoting its longest answers.
+ * Grouping answers by meaning needs AI, so the summary says so.
+ * @param {Object} openEndedResponses - { [header]: [{ name, text }] }
+ * @param {number} respondentCount - Number of respondents
+ * @returns {Object[]} [{ title, summary, quotes: [{ question, text, name }] }]
+ */
+function buildOpenEndedThemes(openEndedResponses, respondentCount) {
+  const byQuestion = new Map();
+  indexResponses(openEndedResponses).forEach(({ question, text, name }) => {
+    if (!byQuestion.has(question)) byQuestion.set(question, []);
+    byQuestion.get(question).push({ question, text, name });
+  });
+
+  return [...byQuestion.entries()].map(([question, answers]) => ({
+    title: question,
+    summary: `${answers.length} of ${respondentCount} respondents answered. ` +
+      'Without AI the answers are not grouped into themes; the longest are shown below.',
+    quotes: [...answers].sort((a, b) => b.text.length - a.text.length).slice(0, QUOTES_PER_QUESTION)
+  }));
+}
+
+/**
+ * Builds a rule-based interpretation of the change between two runs
+ * @param {Object} comparison - Output of calculateComparison
+ * @returns {string} Change analysis narrative
+ */
+function generateFallbackChangeAnalysis(comparison) {
+  const { baseline, current, overallDelta, driverDeltas, mostImproved, mostDeclined, questionDeltas } = comparison;
+  const sentences = [];
+
+  if (Math.abs(overallDelta) < NOISE_THRESHOLD) {
+    sentences.push(`The overall score held steady between ${baseline.label} and ${current.label} ` +
+      `(${formatScore(baseline.overallScore)} to ${formatScore(current.overallScore)}).`);
+  } else {
+    sentences.push(`The overall score ${overallDelta > 0 ? 'rose' : 'fell'} from ${formatScore(baseline.overallScore)} ` +
+      `to ${formatScore(current.overallScore)} (${formatDelta(overallDelta)}) since ${baseline.label}.`);
+  }
+
+  const movedDrivers = driverDeltas.filter(d => Math.abs(d.delta) >= NOISE_THRESHOLD);
+  if (movedDrivers.length > 0) {
+    const biggest = [...movedDrivers].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))[0];
+    sentences.push(`${biggest.driver} moved the most (${formatDelta(biggest.delta)}).`);
+  } else {
+    sentences.push(`No driver moved by more than ${NOISE_THRESHOLD}.`);
+  }
+
+  if (mostImproved.length > 0) {
+    sentences.push(`The largest gain was "${mostImproved[0].text}" (${formatDelta(mostImproved[0].averageDelta)}).`);
+  }
+  if (mostDeclined.length > 0) {
+    sentences.push(`The largest drop was "${mostDeclined[0].text}" (${formatDelta(mostDeclined[0].averageDelta)}).`);
+  }
+
+  if (questionDeltas.length > 0) {
+    const averageSpreadChange = calculateAverage(questionDeltas.map(q => q.stdDevDelta));
+    if (Math.abs(averageSpreadChange) >= 0.05) {
+      sentences.push(`On average the team became ${averageSpreadChange < 0 ? 'more' : 'less'} aligned ` +
+        `(std dev ${formatDelta(averageSpreadChange)} per question).`);
+    }
+  }
+
+  if (baseline.respondentCount !== current.respondentCount) {
+    sentences.push(`The number of respondents changed from ${baseline.respondentCount} to ${current.respondentCount}, ` +
+      'which may explain part of the movement.');
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Builds a rule-based description of the differences between respondent groups
+ * @param {Object} segments - Output of calculateSegments
+ * @returns {string} Segment analysis narrative
+ */
+function generateFallbackSegmentAnalysis(segments) {
+  const sentences = [];
+
+  segments.columns.forEach(({ column, driverGaps }) => {
+    if (driverGaps.length === 0) {
+      sentences.push(`By ${column}, fewer than two groups have ${segments.minSegmentSize} or more respondents, so no groups are compared.`);
+      return;
+    }
+
+    const widest = [...driverGaps].sort((a, b) => b.gap - a.gap)[0];
+    if (widest.gap < SEGMENT_NOISE_THRESHOLD) {
+      sentences.push(`By ${column}, groups see the business much the same way (no driver differs by ${SEGMENT_NOISE_THRESHOLD} or more).`);
+    } else {
+      sentences.push(`By ${column}, the widest gap is in ${widest.driver}: ${widest.highest.value} scores ` +
+        `${formatScore(widest.highest.score)} and ${widest.lowest.value} ${formatScore(widest.lowest.score)}.`);
+    }
+  });
+
+  const { leadersVsTeam } = segments;
+  if (leadersVsTeam && !leadersVsTeam.suppressed) {
+    const { overallGap, largestGaps } = leadersVsTeam;
+    if (Math.abs(overallGap) < SEGMENT_NOISE_THRESHOLD) {
+      sentences.push(`Leaders and the rest of the team score the business about the same overall (${formatDelta(overallGap)}).`);
+    } else {
+      sentences.push(`Leaders see the business ${overallGap > 0 ? 'more' : 'less'} favourably than the rest of the team ` +
+        `(${formatDelta(overallGap)} overall).`);
+    }
+    if (largestGaps.length > 0 && Math.abs(largestGaps[0].gap) >= SEGMENT_NOISE_THRESHOLD) {
+      sentences.push(`The largest difference is on "${largestGaps[0].text}" (${formatDelta(largestGaps[0].gap)}).`);
+    }
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Builds a rule-based narrative for an organization rollup (batch runs)
+ * @param {Object} organization - Output of calculateOrganization
+ * @returns {string} Organization analysis narrative
+ */
+function generateFallbackOrganizationAnalysis(organization) {
+  const { teams, drivers, largestQuestionGaps, failedTeams } = organization;
+  const sentences = [
+    `Across ${organization.teamCount} team(s) and ${organization.respondentCount} respondents, the organization's ` +
+      `overall score is ${formatScore(organization.overallScore)}${organization.stage ? ` (${organization.stage})` : ''}.`
+  ];
+
+  const scoredDrivers = drivers.filter(d => d.organizationScore !== null)
+    .sort((a, b) => b.organizationScore - a.organizationScore);
+  if (scoredDrivers.length > 1) {
+    const strongest = scoredDrivers[0];
+    const weakest = scoredDrivers[scoredDrivers.length - 1];
+    sentences.push(`${strongest.driver} is strongest (${formatScore(strongest.organizationScore)}) and ` +
+      `${weakest.driver} weakest (${formatScore(weakest.organizationScore)}).`);
+  }
+
+  if (teams.length > 1) {
+    const top = teams[0];
+    const bottom = teams[teams.length - 1];
+    sentences.push(`${top.teamName} leads with ${formatScore(top.overallScore)}, while ${bottom.teamName} ` +
+      `trails with ${formatScore(bottom.overallScore)}.`);
+
+    const widest = drivers.filter(d => d.gap !== null).sort((a, b) => b.gap - a.gap)[0];
+    if (widest && widest.gap >= SEGMENT_NOISE_THRESHOLD) {
+      sentences.push(`Teams differ most on ${widest.driver}, from ${widest.highest.teamName} ` +
+        `(${formatScore(widest.highest.score)}) to ${widest.lowest.teamName} (${formatScore(widest.lowest.score)}).`);
+    } else {
+      sentences.push('Driver scores are close across teams.');
+    }
+
+    if (largestQuestionGaps.length > 0 && largestQuestionGaps[0].gap >= SEGMENT_NOISE_THRESHOLD) {
+      const question = largestQuestionGaps[0];
+      sentences.push(`The largest gap on a single question is "${question.text}" (${formatScore(question.gap)}).`);
+    }
+  }
+
+  if (failedTeams.length > 0) {
+    sentences.push(`${failedTeams.length} team(s) could not be analyzed and are not included: ` +
+      `${failedTeams.map(team => team.teamName).join(', ')}.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Describes what raising a low-scoring skill means: reaching the next maturity
+ * stage when the assessment has stages, otherwise beating its current average
+ * @param {Object} area - Focus area from selectFocusAreas
+ * @param {Object} maturity - calculatedData.maturity (null without maturity bands)
+ * @returns {string} Objective sentence
+ */
+function describeRaiseObjective(area, maturity) {
+  const nextBand = maturity ? maturity.bands.find(band => band.min > area.average) : null;
+  return nextBand
+    ? `Raise ${area.skill} from ${formatScore(area.average)} to the ${nextBand.name} stage (${formatScore(nextBand.min)}) by the next assessment.`
+    : `Raise ${area.skill} above its current ${formatScore(area.average)} by the next assessment.`;
+}
+
+/**
+ * Builds a rule-based action plan: for low scores, find the cause, act on it
+ * and track it; for disagreements, understand the different views first
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {Object[]} focusAreas - Output of selectFocusAreas
+ * @returns {Object[]} Action plan in the same shape as generateActionPlan
+ */
+function generateFallbackActionPlan(calculatedData, focusAreas) {
+  const entries = focusAreas.map(area => {
+    const [question] = area.questions;
+    const driverLead = `${area.drivers[0]} lead`;
+
+    if (area.reason === 'disagreement') {
+      return {
+        area: area.id,
+        objective: `Build a shared view of ${area.skill}, where the team's answers differed most.`,
+        initiatives: [{
+          title: `Understand why views on ${area.skill} differ`,
+          description: `Answers to "${question.text}" were the most divided (${describeAgreement(question)}). ` +
+            'Different ratings often mean people see different parts of the business.',
+          owner: 'Team leader',
+          milestones: {
+            day30: 'Ask each person to explain their rating of this question, without debating it yet',
+            day60: `Agree a shared description of where the team stands on ${area.skill} and what good looks like`,
+            day90: 'Ask the question again and check that the answers have moved closer together'
+          }
+        }]
+      };
+    }
+
+    return {
+      area: area.id,
+      objective: describeRaiseObjective(area, calculatedData.maturity),
+      initiatives: [
+        {
+          title: `Find and fix what is holding back ${area.skill}`,
+          description: `"${question.text}" averaged ${formatScore(question.average)}. ` +
+            'Agree the main causes as a team before choosing what to change.',
+          owner: 'Team leader',
+          milestones: {
+            day30: `Hold a team session on the ${area.skill} results and agree the two or three main causes`,
+            day60: 'Start one change that addresses the main cause, with a named owner',
+            day90: 'Review whether the change is working and decide to keep, adjust or stop it'
+          }
+        },
+        {
+          title: `Track progress on ${area.skill}`,
+          description: `Pick a measure the team can watch between assessments, so progress on ${area.skill} does not rest on opinion alone.`,
+          owner: driverLead,
+          milestones: {
+            day30: `Choose one measure that would show ${area.skill} improving and record where it stands today`,
+            day60: 'Review the measure with the team and note what has moved',
+            day90: `Re-ask the ${area.skill} questions in a short pulse survey and compare with ${formatScore(area.average)}`
+          }
+        }
+      ]
+    };
+  });
+
+  return attachFocusAreas(entries, focusAreas);
+}
+
+/**
+ * Builds a participant's personal reflection and coaching questions from
+ * their own scores against the team averages
+ * @param {Object} participant - Output of summarizeParticipant
+ * @returns {Object} { reflection, coachingQuestions } in the same shape as one entry of
+ *   generateParticipantReflections
+ */
+function generateFallbackParticipantReflection(participant) {
+  const { overall, highestDriver, lowestDriver, gaps } = participant;
+
+  const sentences = [
+    `Your overall average of ${formatScore(overall.score)} is ${comparedTo(overall.score, overall.teamAverage)} ` +
+      `the team's ${formatScore(overall.teamAverage)}.`,
+    `You rated ${highestDriver.name} highest (${formatScore(highestDriver.score)}) and ` +
+      `${lowestDriver.name} lowest (${formatScore(lowestDriver.score)}).`
+  ];
+
+  // The driver you see most differently from the team, when the difference is more than noise
+  const [furthest] = participant.drivers
+    .filter(d => d.score !== null)
+    .sort((a, b) => Math.abs(b.score - b.teamAverage) - Math.abs(a.score - a.teamAverage));
+  if (furthest && Math.abs(furthest.score - furthest.teamAverage) >= NOISE_THRESHOLD) {
+    sentences.push(`You see ${furthest.driver} most differently from the team: ${formatScore(furthest.score)} ` +
+      `against a team average of ${formatScore(furthest.teamAverage)}.`);
+  }
+
+  const coachingQuestions = [];
+  if (gaps.length > 0) {
+    const [biggest] = gaps;
+    const direction = biggest.difference > 0 ? 'higher' : 'lower';
+    sentences.push(`Your answer to "${biggest.question}" stands apart from the rest of the team ` +
+      `(${biggest.score} vs. a team average of ${formatScore(biggest.teamAverage)}); it may be worth sharing what you see there.`);
+    coachingQuestions.push(`What do you see that leads you to rate "${biggest.question}" ${direction} than the rest of the team?`);
+  } else {
+    sentences.push('None of your answers stands far apart from the rest of the team, so your view is broadly shared.');
+    coachingQuestions.push('Where do you think the team\'s shared view could be missing something?');
+  }
+
+  coachingQuestions.push(
+    `From where you sit, what would most improve ${lowestDriver.name}?`,
+    `How could the team make more of what is working in ${highestDriver.name}?`
+  );
+
+  return { reflection: sentences.join(' '), coachingQuestions };
+}
+
+/**
+ * Builds insights from rule-based templates
+ * @param {string} teamName - Name of the team
+ * @param {Object} calculatedData - Output of calculateAll (may include a `comparison` and `segments`)
+ * @param {string} specialInstructions - Optional special instructions
+ * @returns {Object} Insights in the same shape as generateInsights, plus `source: "rules"`
+ */
+function generateFallbackInsights(teamName, calculatedData, specialInstructions = '') {
+  const teamOverall = calculateAverage(Object.values(calculatedData.driverScores));
+
+  const insights = {
+    source: 'rules',
+    executiveSummary: buildExecutiveSummary(teamName, calculatedData),
+    discussionQuestions: buildDiscussionQuestions(calculatedData)
+  };
+
+  // Anonymous reports without per-person results have no per-person scores to describe
+  if (showsIndividuals(calculatedData)) {
+    insights.teamMemberAnalysis = calculatedData.respondents.map(r => buildMemberAnalysis(r, teamOverall));
+  }
+
+  const openEndedThemes = buildOpenEndedThemes(calculatedData.openEndedResponses, calculatedData.respondents.length);
+  if (openEndedThemes.length > 0) {
+    insights.openEndedThemes = openEndedThemes;
+  }
+
+  if (calculatedData.comparison) {
+    insights.changeAnalysis = generateFallbackChangeAnalysis(calculatedData.comparison);
+  }
+
+  if (calculatedData.segments) {
+    insights.segmentAnalysis = generateFallbackSegmentAnalysis(calculatedData.segments);
+  }
+
+  if (specialInstructions) {
+    // Free-form requests need interpretation; say so rather than pretend
+    insights.specialAnalysis = 'This report was generated without AI, so the following request could not be ' +
+      `addressed automatically: "${specialInstructions}"`;
+  }
+
+  return insights;
+}
+
+module.exports = {
+  generateFallbackInsights,
+  generateFallbackChangeAnalysis,
+  generateFallbackOrganizationAnalysis,
+  generateFallbackActionPlan,
+  generateFallbackParticipantReflection
+};
@@ -0,0 +1,447 @@
+/**
+ * Insights Validator Service
+ *
+ * Turns raw model output into a trusted insights object:
+ * - Tolerant JSON extraction (markdown fences, surrounding prose, output cut
+ *   off at the token limit)
+ * - Strict schema validation, including exactly one teamMemberAnalysis entry
+ *   per respondent with a matching name and open-ended themes that only quote
+ *   responses that exist
+ * - Small local repairs (trimming extra questions, dropping unknown names,
+ *   normalizing name spelling) so only real gaps need another model call
+ *
+ * Validators return `{ value, errors, repair }`: `value` keeps only the valid
+ * parts, `errors` lists what is wrong in plain language, and `repair`
+ * describes what to ask the model for ({ keys, memberNames }).
+ */
+
+const DISCUSSION_QUESTION_COUNT = 3;
+
+// Limits for open-ended themes; extras are trimmed rather than rejected
+const MAX_THEMES = 5;
+const MAX_QUOTES_PER_THEME = 3;
+
+// Initiatives kept per action plan focus area; extras are trimmed rather than rejected
+const MAX_INITIATIVES_PER_AREA = 3;
+
+// Milestone keys every action plan initiative needs (30, 60 and 90 days)
+const MILESTONE_KEYS = ['day30', 'day60', 'day90'];
+
+// Coaching questions in each participant report
+const COACHING_QUESTION_COUNT = 3;
+
+/**
+ * Normalizes a name for matching ("  Jane  DOE " → "jane doe")
+ * @param {string} name - Name as written
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Checks for a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a string with visible content
+ */
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Parses JSON that was cut off mid-output by closing it at the last complete
+ * value, e.g. keeping the team members that were fully written
+ * @param {string} text - Truncated JSON text starting at "{"
+ * @returns {Object|null} Parsed object, or null if nothing usable remains
+ */
+function parseTruncatedJson(text) {
+  const stack = [];
+  const cutPoints = []; // { index, closers } after each complete object/array
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) break;
+      cutPoints.push({ index: i + 1, closers: [...stack].reverse().join('') });
+    }
+  }
+
+  // Try the latest cut first so as much as possible is kept
+  for (let i = cutPoints.length - 1; i >= 0; i--) {
+    try {
+      return JSON.parse(text.slice(0, cutPoints[i].index) + cutPoints[i].closers);
+    } catch (error) {
+      // Cut landed inside a key/value pair; try an earlier one
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extracts a JSON object from model output
+ * @param {string} text - Raw model output
+ * @returns {Object|null} Parsed object, or null if no usable JSON was found
+ */
+function parseModelJson(text) {
+  if (typeof text !== 'string') return null;
+
+  // Prefer the contents of a ```json fence when present (closing fence may be cut off)
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  const start = candidate.indexOf('{');
+  if (start === -1) return null;
+
+  const end = candidate.lastIndexOf('}');
+  if (end > start) {
+    try {
+      return JSON.parse(candidate.slice(start, end + 1));
+    } catch (error) {
+      // Fall through to truncation recovery
+    }
+  }
+
+  return parseTruncatedJson(candidate.slice(start));
+}
+
+/**
+ * Validates team member entries against the respondent list
+ * @param {*} entries - Candidate teamMemberAnalysis value
+ * @param {string[]} allNames - Names of every respondent, in report order
+ * @returns {Object} { value, errors, memberNames } - memberNames need (re)generating
+ */
+function validateTeamMembers(entries, allNames) {
+  // Respondents sharing a name get a single entry
+  const respondentNames = [...new Set(allNames)];
+  const list = Array.isArray(entries) ? entries : [];
+  const byName = new Map();
+  const invalid = new Set();
+
+  const canonical = new Map(respondentNames.map(name => [normalizeName(name), name]));
+
+  list.forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
+
+    const name = canonical.get(normalizeName(entry.name || ''));
+    if (!name || byName.has(name)) return; // Unknown or duplicate: drop
+
+    if (isText(entry.insight) && isText(entry.followUpQuestion)) {
+      byName.set(name, { name, insight: entry.insight.trim(), followUpQuestion: entry.followUpQuestion.trim() });
+      invalid.delete(name);
+    } else {
+      invalid.add(name);
+    }
+  });
+
+  const missing = respondentNames.filter(name => !byName.has(name) && !invalid.has(name));
+  const errors = [];
+
+  if (!Array.isArray(entries)) {
+    errors.push('teamMemberAnalysis must be an array');
+  }
+  if (missing.length > 0) {
+    errors.push(`teamMemberAnalysis is missing entries for: ${missing.map(n => `"${n}"`).join(', ')}`);
+  }
+  if (invalid.size > 0) {
+    errors.push(`teamMemberAnalysis entries need a non-empty insight and followUpQuestion for: ${[...invalid].map(n => `"${n}"`).join(', ')}`);
+  }
+
+  return {
+    value: respondentNames.filter(name => byName.has(name)).map(name => byName.get(name)),
+    errors,
+    memberNames: respondentNames.filter(name => !byName.has(name))
+  };
+}
+
+/**
+ * Validates open-ended themes against the ids of the responses in the prompt
+ * @param {*} entries - Candidate openEndedThemes value
+ * @param {string[]} responseIds - Ids of every open-ended response (R1, R2, ...)
+ * @returns {Object} { value, errors }
+ */
+function validateThemes(entries, responseIds) {
+  const known = new Set(responseIds);
+  const list = Array.isArray(entries) ? entries : [];
+
+  const value = list
+    .filter(entry => entry && typeof entry === 'object' && isText(entry.title) && isText(entry.summary))
+    .map(entry => ({
+      title: entry.title.trim(),
+      summary: entry.summary.trim(),
+      // Unknown ids would be invented quotes: drop them
+      responseIds: [...new Set((Array.isArray(entry.responseIds) ? entry.responseIds : [])
+        .map(id => String(id).trim())
+        .filter(id => known.has(id)))]
+        .slice(0, MAX_QUOTES_PER_THEME)
+    }))
+    .filter(theme => theme.responseIds.length > 0)
+    .slice(0, MAX_THEMES);
+
+  const errors = value.length > 0
+    ? []
+    : ['openEndedThemes must contain at least one theme with a title, summary and responseIds taken from the listed responses'];
+
+  return { value, errors };
+}
+
+/**
+ * Validates a full insights object
+ * @param {Object} candidate - Parsed model output (may be partial)
+ * @param {Object} expectations - What this report needs
+ * @param {string[]} expectations.respondentNames - Every respondent's name
+ * @param {boolean} expectations.teamMembers - False when team members are analyzed in separate batches
+ * @param {boolean} expectations.changeAnalysis - True when a comparison was requested
+ * @param {boolean} expectations.segmentAnalysis - True when segment columns were chosen
+ * @param {boolean} expectations.specialAnalysis - True when special instructions were given
+ * @param {string[]} expectations.responseIds - Open-ended response ids; themes are expected when non-empty
+ * @returns {Object} { value, errors, repair: { keys, memberNames } }
+ */
+function validateInsights(candidate, { respondentNames = [], teamMembers = true, changeAnalysis = false, segmentAnalysis = false, specialAnalysis = false, responseIds = [] }) {
+  const input = candidate && typeof candidate === 'object' ? candidate : {};
+  const value = {};
+  const errors = [];
+  const keys = [];
+
+  if (isText(input.executiveSummary)) {
+    value.executiveSummary = input.executiveSummary.trim();
+  } else {
+    errors.push('executiveSummary must be a non-empty string');
+    keys.push('executiveSummary');
+  }
+
+  const questions = Array.isArray(input.discussionQuestions) ? input.discussionQuestions.filter(isText) : [];
+  if (questions.length >= DISCUSSION_QUESTION_COUNT) {
+    value.discussionQuestions = questions.slice(0, DISCUSSION_QUESTION_COUNT).map(q => q.trim());
+  } else {
+    errors.push(`discussionQuestions must contain ${DISCUSSION_QUESTION_COUNT} non-empty questions`);
+    keys.push('discussionQuestions');
+  }
+
+  let memberNames = [];
+  if (teamMembers) {
+    const members = validateTeamMembers(input.teamMemberAnalysis, respondentNames);
+    value.teamMemberAnalysis = members.value;
+    errors.push(...members.errors);
+    memberNames = members.memberNames;
+    if (memberNames.length > 0) keys.push('teamMemberAnalysis');
+  }
+
+  if (responseIds.length > 0) {
+    const themes = validateThemes(input.openEndedThemes, responseIds);
+    if (themes.errors.length === 0) {
+      value.openEndedThemes = themes.value;
+    } else {
+      errors.push(...themes.errors);
+      keys.push('openEndedThemes');
+    }
+  }
+
+  [['changeAnalysis', changeAnalysis], ['segmentAnalysis', segmentAnalysis], ['specialAnalysis', specialAnalysis]].forEach(([key, expected]) => {
+    if (!expected) return;
+    if (isText(input[key])) {
+      value[key] = input[key].trim();
+    } else {
+      errors.push(`${key} must be a non-empty string`);
+      keys.push(key);
+    }
+  });
+
+  return { value, errors, repair: { keys, memberNames } };
+}
+
+/**
+ * Validates a team-member-only response (one batch of respondents)
+ * @param {Object} candidate - Parsed model output
+ * @param {string[]} respondentNames - Names of the respondents in the batch
+ * @returns {Object} { value, errors, repair: { keys, memberNames } }
+ */
+function validateTeamMemberAnalysis(candidate, respondentNames) {
+  const input = candidate && typeof candidate === 'object' ? candidate : {};
+  const members = validateTeamMembers(input.teamMemberAnalysis, respondentNames);
+
+  return {
+    value: { teamMemberAnalysis: members.value },
+    errors: members.errors,
+    repair: {
+      keys: members.memberNames.length > 0 ? ['teamMemberAnalysis'] : [],
+      memberNames: members.memberNames
+    }
+  };
+}
+
+/**
+ * Validates a change-only response (comparison of saved runs)
+ * @param {Object} candidate - Parsed model output
+ * @returns {Object} { value, errors, repair: { keys, memberNames } }
+ */
+function validateChangeAnalysis(candidate) {
+  const input = candidate && typeof candidate === 'object' ? candidate : {};
+
+  if (isText(input.changeAnalysis)) {
+    return { value: { changeAnalysis: input.changeAnalysis.trim() }, errors: [], repair: { keys: [], memberNames: [] } };
+  }
+
+  return {
+    value: {},
+    errors: ['changeAnalysis must be a non-empty string'],
+    repair: { keys: ['changeAnalysis'], memberNames: [] }
+  };
+}
+
+/**
+ * Validates an organization rollup response (batch runs)
+ * @param {Object} candidate - Parsed model output
+ * @returns {Object} { value, errors, repair: { keys, memberNames } }
+ */
+function validateOrganizationAnalysis(candidate) {
+  const input = candidate && typeof candidate === 'object' ? candidate : {};
+
+  if (isText(input.organizationAnalysis)) {
+    return { value: { organizationAnalysis: input.organizationAnalysis.trim() }, errors: [], repair: { keys: [], memberNames: [] } };
+  }
+
+  return {
+    value: {},
+    errors: ['organizationAnalysis must be a non-empty string'],
+    repair: { keys: ['organizationAnalysis'], memberNames: [] }
+  };
+}
+
+/**
+ * Validates one action plan initiative
+ * @param {*} initiative - Candidate initiative
+ * @returns {Object|null} Trimmed initiative, or null if any part is missing
+ */
+function validateInitiative(initiative) {
+  if (!initiative || typeof initiative !== 'object') return null;
+
+  const milestones = initiative.milestones && typeof initiative.milestones === 'object' ? initiative.milestones : {};
+  if (![initiative.title, initiative.description, initiative.owner].every(isText) ||
+      !MILESTONE_KEYS.every(key => isText(milestones[key]))) {
+    return null;
+  }
+
+  return {
+    title: initiative.title.trim(),
+    description: initiative.description.trim(),
+    owner: initiative.owner.trim(),
+    milestones: Object.fromEntries(MILESTONE_KEYS.map(key => [key, milestones[key].trim()]))
+  };
+}
+
+/**
+ * Validates an action plan response against the focus areas in the prompt.
+ * Every focus area must appear once with an objective and at least one
+ * complete initiative; the plan is kept in the model's priority order.
+ * @param {Object} candidate - Parsed model output
+ * @param {string[]} areaIds - Ids of the focus areas (A1, A2, ...)
+ * @returns {Object} { value, errors, repair: { keys, memberNames } }
+ */
+function validateActionPlan(candidate, areaIds) {
+  const input = candidate && typeof candidate === 'object' ? candidate : {};
+  const known = new Set(areaIds);
+  const planned = new Map();
+
+  (Array.isArray(input.actionPlan) ? input.actionPlan : []).forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
+
+    const area = String(entry.area || '').trim();
+    if (!known.has(area) || planned.has(area) || !isText(entry.objective)) return; // Unknown, repeated or incomplete: drop
+
+    const initiatives = (Array.isArray(entry.initiatives) ? entry.initiatives : [])
+      .map(validateInitiative)
+      .filter(Boolean)
+      .slice(0, MAX_INITIATIVES_PER_AREA);
+    if (initiatives.length > 0) {
+      planned.set(area, { area, objective: entry.objective.trim(), initiatives });
+    }
+  });
+
+  const missing = areaIds.filter(id => !planned.has(id));
+  if (missing.length === 0) {
+    return { value: { actionPlan: [...planned.values()] }, errors: [], repair: { keys: [], memberNames: [] } };
+  }
+
+  return {
+    value: {},
+    errors: [`actionPlan needs an objective and at least one initiative with a title, description, owner and ` +
+      `${MILESTONE_KEYS.join('/')} milestones for: ${missing.join(', ')}`],
+    repair: { keys: ['actionPlan'], memberNames: [] }
+  };
+}
+
+/**
+ * Validates one participant's personal reflection
+ * @param {Object} candidate - Parsed model output
+ * @returns {Object} { value, errors, repair: { keys, memberNames } }
+ */
+function validateParticipantReflection(candidate) {
+  const input = candidate && typeof candidate === 'object' ? candidate : {};
+  const value = {};
+  const errors = [];
+  const keys = [];
+
+  if (isText(input.reflection)) {
+    value.reflection = input.reflection.trim();
+  } else {
+    errors.push('reflection must be a non-empty string');
+    keys.push('reflection');
+  }
+
+  const questions = Array.isArray(input.coachingQuestions) ? input.coachingQuestions.filter(isText) : [];
+  if (questions.length >= COACHING_QUESTION_COUNT) {
+    value.coachingQuestions = questions.slice(0, COACHING_QUESTION_COUNT).map(q => q.trim());
+  } else {
+    errors.push(`coachingQuestions must contain ${COACHING_QUESTION_COUNT} non-empty questions`);
+    keys.push('coachingQuestions');
+  }
+
+  return { value, errors, repair: { keys, memberNames: [] } };
+}
+
+/**
+ * Merges a repair response into the valid parts of an earlier response.
+ * Team members are combined (earlier valid entries win); other keys are replaced.
+ * @param {Object} value - Valid parts so far
+ * @param {Object} patch - Parsed repair response
+ * @returns {Object} Merged candidate, to be validated again
+ */
+function mergeRepair(value, patch) {
+  if (!patch || typeof patch !== 'object') return value;
+
+  const merged = { ...value, ...patch };
+  if (value.teamMemberAnalysis || patch.teamMemberAnalysis) {
+    merged.teamMemberAnalysis = [
+      ...(value.teamMemberAnalysis || []),
+      ...(Array.isArray(patch.teamMemberAnalysis) ? patch.teamMemberAnalysis : [])
+    ];
+  }
+  return merged;
+}
+
+module.exports = {
+  DISCUSSION_QUESTION_COUNT,
+  parseModelJson,
+  validateInsights,
+  validateTeamMemberAnalysis,
+  validateChangeAnalysis,
+  validateOrganizationAnalysis,
+  validateActionPlan,
+  validateParticipantReflection,
+  mergeRepair
+};
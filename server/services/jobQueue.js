@@ -0,0 +1,183 @@
+/**
+ * Job Queue Service
+ *
+ * In-memory queue for long-running report generation. Requests are accepted
+ * immediately and processed in the background with bounded concurrency;
+ * clients poll for progress and download the result when it is ready.
+ *
+ * Jobs (and their PDFs) are kept for JOB_TTL_MS after finishing, then
+ * discarded. Saved reports remain available through the report history.
+ */
+
+const crypto = require('crypto');
+const { describeError } = require('./analysisPipeline');
+
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 2;
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const jobs = new Map();
+const pending = [];
+let runningCount = 0;
+
+/**
+ * Public view of a job (never includes the PDF bytes)
+ * @param {Object} job - Internal job record
+ * @returns {Object} Job status
+ */
+function toStatus(job) {
+  const currentIndex = job.steps.findIndex(step => step.key === job.step);
+
+  return {
+    id: job.id,
+    type: job.type,
+    format: job.format,
+    status: job.status,
+    step: job.step,
+    steps: job.steps.map((step, index) => {
+      let state = 'pending';
+      if (job.status === 'completed' || index < currentIndex) state = 'done';
+      else if (index === currentIndex) state = job.status === 'failed' ? 'failed' : 'active';
+      return { key: step.key, label: step.label, state };
+    }),
+    error: job.error,
+    reportId: job.result ? job.result.reportId : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Starts queued jobs while there is spare capacity
+ */
+function drainQueue() {
+  while (runningCount < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const job = pending.shift();
+    runJob(job);
+  }
+}
+
+/**
+ * Runs a single job and records its outcome
+ * @param {Object} job - Internal job record
+ */
+async function runJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.updatedAt = new Date().toISOString();
+
+  const onStep = (key) => {
+    job.step = key;
+    job.updatedAt = new Date().toISOString();
+    const step = job.steps.find(s => s.key === key);
+    console.log(`⏳ Job ${job.id}: ${step ? step.label : key}...`);
+  };
+
+  try {
+    job.result = await job.task(onStep);
+    job.status = 'completed';
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (error) {
+    console.error(`❌ Job ${job.id} failed:`, error);
+    const { statusCode, message } = describeError(error);
+    job.status = 'failed';
+    job.error = { statusCode, message };
+  } finally {
+    job.task = null;
+    job.finishedAt = Date.now();
+    job.updatedAt = new Date().toISOString();
+    runningCount--;
+    drainQueue();
+  }
+}
+
+/**
+ * Removes finished jobs older than JOB_TTL_MS
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(id);
+    }
+  });
+}
+
+// Prune periodically without keeping the process alive
+setInterval(pruneJobs, 5 * 60 * 1000).unref();
+
+/**
+ * Adds a job to the queue
+ * @param {Object} options - Job options
+ * @param {string} options.type - Job type (e.g. "analysis", "comparison")
+ * @param {string} options.owner - Email of the user who may read the job
+ * @param {Object[]} options.steps - Ordered steps [{ key, label }] for progress reporting
+ * @param {string} options.format - Default download format ("pdf" or "json"; "zip" for batches)
+ * @param {Function} task - async (onStep) => result, where result has { pdf, filename, reportId }
+ *   (batches return { archive, filename } instead of a PDF)
+ * @returns {Object} Initial job status
+ */
+function enqueueJob({ type, owner, steps, format = 'pdf' }, task) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    owner,
+    steps,
+    format,
+    status: 'queued',
+    step: null,
+    error: null,
+    result: null,
+    task,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+
+  // Start on the next tick so the request that queued the job returns immediately
+  setImmediate(drainQueue);
+
+  return toStatus(job);
+}
+
+/**
+ * Looks up a job visible to the given user
+ * @param {string} id - Job id
+ * @param {string} owner - Email of the requesting user
+ * @returns {Object|null} Internal job record, or null if missing or owned by someone else
+ */
+function findJob(id, owner) {
+  const job = jobs.get(id);
+  return job && job.owner === owner ? job : null;
+}
+
+/**
+ * Gets a job's status
+ * @param {string} id - Job id
+ * @param {string} owner - Email of the requesting user
+ * @returns {Object|null} Job status, or null if not found
+ */
+function getJobStatus(id, owner) {
+  const job = findJob(id, owner);
+  return job ? toStatus(job) : null;
+}
+
+/**
+ * Gets a completed job's result
+ * @param {string} id - Job id
+ * @param {string} owner - Email of the requesting user
+ * @returns {Object|null} Result ({ pdf, filename, reportId, ... }), or null if not found or not finished
+ */
+function getJobResult(id, owner) {
+  const job = findJob(id, owner);
+  return job && job.status === 'completed' ? job.result : null;
+}
+
+module.exports = {
+  enqueueJob,
+  getJobStatus,
+  getJobResult
+};
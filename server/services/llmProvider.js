@@ -0,0 +1,135 @@
+/**
+ * LLM Provider Service
+ *
+ * Thin abstraction over the language model used for insights, so the model
+ * and endpoint can change per environment without code edits and tests can
+ * point at the local mock server (mock-llm-server.js).
+ *
+ * Configuration (environment, read on each call):
+ * - LLM_PROVIDER: provider name (default "anthropic")
+ * - LLM_MODEL: model id (default "claude-opus-4-20250514")
+ * - LLM_BASE_URL: API base URL (default: the provider's public endpoint)
+ * - LLM_MAX_TOKENS: response token limit (default 4000)
+ * - LLM_TEMPERATURE: sampling temperature (default: provider default)
+ * - LLM_MEMBER_BATCH_SIZE: respondents per team member analysis call (default 10)
+ * - LLM_MAX_CONCURRENCY: model calls in flight at once per report (default 3)
+ * - ANTHROPIC_API_KEY: API key for the anthropic provider
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_PROVIDER = 'anthropic';
+const DEFAULT_MODEL = 'claude-opus-4-20250514';
+const DEFAULT_MAX_TOKENS = 4000;
+const DEFAULT_MEMBER_BATCH_SIZE = 10;
+const DEFAULT_MAX_CONCURRENCY = 3;
+
+/**
+ * Reads a numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset
+ * @returns {number} Parsed value
+ * @throws {Error} If the variable is set but not a number
+ */
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (isNaN(value)) {
+    throw new Error(`Invalid ${name} "${raw}": expected a number`);
+  }
+  return value;
+}
+
+/**
+ * Reads the current LLM configuration from the environment
+ * @returns {Object} { provider, model, baseURL, maxTokens, temperature, apiKey,
+ *   memberBatchSize, maxConcurrency }
+ */
+function getLlmConfig() {
+  return {
+    provider: (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase(),
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    baseURL: process.env.LLM_BASE_URL || undefined,
+    maxTokens: readNumber('LLM_MAX_TOKENS', DEFAULT_MAX_TOKENS),
+    temperature: readNumber('LLM_TEMPERATURE', undefined),
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    memberBatchSize: Math.max(1, Math.floor(readNumber('LLM_MEMBER_BATCH_SIZE', DEFAULT_MEMBER_BATCH_SIZE))),
+    maxConcurrency: Math.max(1, Math.floor(readNumber('LLM_MAX_CONCURRENCY', DEFAULT_MAX_CONCURRENCY)))
+  };
+}
+
+/**
+ * Creates a provider backed by the Anthropic Messages API
+ * @param {Object} config - Output of getLlmConfig
+ * @returns {Object} Provider { name, model, complete(prompt) }
+ */
+function createAnthropicProvider(config) {
+  const client = new Anthropic({
+    apiKey: config.apiKey,
+    baseURL: config.baseURL
+  });
+
+  return {
+    name: 'anthropic',
+    model: config.model,
+
+    /**
+     * Sends a single-turn prompt
+     * @param {string} prompt - User prompt
+     * @returns {Promise<Object>} { text, stopReason } - stopReason is "max_tokens" when truncated
+     */
+    async complete(prompt) {
+      const message = await client.messages.create({
+        model: config.model,
+        max_tokens: config.maxTokens,
+        ...(config.temperature !== undefined && { temperature: config.temperature }),
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      });
+
+      return {
+        text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        stopReason: message.stop_reason
+      };
+    }
+  };
+}
+
+// Provider factories by LLM_PROVIDER name
+const PROVIDERS = {
+  anthropic: createAnthropicProvider
+};
+
+// Most recently built provider, rebuilt whenever the configuration changes
+let cached = null;
+
+/**
+ * Gets the provider for the current configuration
+ * @returns {Object} Provider { name, model, complete(prompt) }
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+function getProvider() {
+  const config = getLlmConfig();
+  const key = JSON.stringify(config);
+
+  if (!cached || cached.key !== key) {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    cached = { key, provider: factory(config) };
+  }
+
+  return cached.provider;
+}
+
+module.exports = {
+  getLlmConfig,
+  getProvider
+};
@@ -0,0 +1,70 @@
+/**
+ * Open-Ended Responses Service
+ *
+ * Helpers for the free-text answers parsed from the form's open-ended
+ * questions ({ [header]: [{ name, text }] }, see excelParser):
+ * - Numbering answers with short ids (R1, R2, ...) so Claude can pick
+ *   representative quotes without ever seeing respondent names
+ * - Turning picked ids back into verbatim, attributed quotes
+ * - Removing attribution when a report asks for anonymous quotes
+ */
+
+/**
+ * Lists every open-ended answer with a stable id, in question then row order
+ * @param {Object} openEndedResponses - { [header]: [{ name, text }] }
+ * @returns {Object[]} [{ id, question, name, text }]
+ */
+function indexResponses(openEndedResponses = {}) {
+  const index = [];
+
+  Object.entries(openEndedResponses).forEach(([question, answers]) => {
+    answers.forEach(({ name, text }) => {
+      index.push({ id: `R${index.length + 1}`, question, name, text });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Removes attribution from open-ended answers. Answers are also sorted by
+ * text so their order no longer matches the respondent order.
+ * @param {Object} openEndedResponses - { [header]: [{ name, text }] }
+ * @returns {Object} Same shape, with every name set to null
+ */
+function anonymizeResponses(openEndedResponses = {}) {
+  const anonymized = {};
+
+  Object.entries(openEndedResponses).forEach(([question, answers]) => {
+    anonymized[question] = answers
+      .map(({ text }) => ({ name: null, text }))
+      .sort((a, b) => a.text.localeCompare(b.text));
+  });
+
+  return anonymized;
+}
+
+/**
+ * Replaces the response ids Claude picked for each theme with the verbatim quotes
+ * @param {Object[]} themes - Validated themes [{ title, summary, responseIds }]
+ * @param {Object[]} index - Output of indexResponses
+ * @returns {Object[]} [{ title, summary, quotes: [{ question, text, name }] }]
+ */
+function attributeQuotes(themes, index) {
+  const byId = new Map(index.map(response => [response.id, response]));
+
+  return themes.map(({ title, summary, responseIds }) => ({
+    title,
+    summary,
+    quotes: responseIds.map(id => {
+      const { question, text, name } = byId.get(id);
+      return { question, text, name };
+    })
+  }));
+}
+
+module.exports = {
+  indexResponses,
+  anonymizeResponses,
+  attributeQuotes
+};
@@ -0,0 +1,164 @@
+/**
+ * Organization Calculator Service
+ *
+ * Rolls several teams' calculated runs (one per team, same assessment) up
+ * into an organization view:
+ * - Each team's overall and driver scores, with rankings
+ * - Organization scores, weighting each team by its respondent count
+ * - The gap between the highest and lowest team on each driver and question
+ */
+
+const { calculateAverage, classifyMaturity } = require('./calculator');
+
+// Number of questions shown in the "largest gaps between teams" list
+const TOP_GAPS = 8;
+
+/**
+ * Rounds a score to 2 decimal places
+ * @param {number} value - Raw score
+ * @returns {number} Rounded score
+ */
+function roundScore(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Averages scores weighted by each team's respondent count
+ * @param {Object[]} entries - [{ score, weight }], entries without a score are skipped
+ * @returns {number|null} Weighted average, or null when no entry has a score
+ */
+function weightedAverage(entries) {
+  const scored = entries.filter(entry => entry.score !== null && entry.score !== undefined);
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return null;
+  return roundScore(scored.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight);
+}
+
+/**
+ * Ranks teams by a score, highest first; teams with equal (rounded) scores share a rank
+ * @param {Object[]} teams - Team summaries
+ * @param {Function} scoreOf - team => score (or null to leave the team unranked)
+ * @returns {Map<string, number>} Team name → rank (1 = highest)
+ */
+function rankTeams(teams, scoreOf) {
+  const scored = teams
+    .filter(team => scoreOf(team) !== null && scoreOf(team) !== undefined)
+    .sort((a, b) => scoreOf(b) - scoreOf(a));
+
+  const ranks = new Map();
+  scored.forEach((team, index) => {
+    const previous = scored[index - 1];
+    const tied = previous && roundScore(scoreOf(previous)) === roundScore(scoreOf(team));
+    ranks.set(team.teamName, tied ? ranks.get(previous.teamName) : index + 1);
+  });
+  return ranks;
+}
+
+/**
+ * Finds the highest and lowest scoring team for one measure
+ * @param {Object[]} entries - [{ teamName, score }]
+ * @returns {Object|null} { highest, lowest, gap }, or null with fewer than two scored teams
+ */
+function findExtremes(entries) {
+  const scored = entries.filter(entry => entry.score !== null && entry.score !== undefined);
+  if (scored.length < 2) return null;
+
+  const sorted = [...scored].sort((a, b) => b.score - a.score);
+  const highest = sorted[0];
+  const lowest = sorted[sorted.length - 1];
+  return {
+    highest: { teamName: highest.teamName, score: highest.score },
+    lowest: { teamName: lowest.teamName, score: lowest.score },
+    gap: roundScore(highest.score - lowest.score)
+  };
+}
+
+/**
+ * Builds the organization rollup from each team's calculated run
+ * @param {Object[]} teams - [{ teamName, calculatedData }], all scored against the same assessment
+ * @param {Object[]} failedTeams - [{ teamName, message }] for teams that could not be analyzed
+ * @returns {Object} {
+ *   assessment, teamCount, respondentCount, overallScore, stage, driverScores,
+ *   teams: [{ teamName, respondentCount, overallScore, stage, rank, driverScores, driverRanks }] (by rank),
+ *   drivers: [{ driver, organizationScore, highest, lowest, gap }] (in driver order),
+ *   largestQuestionGaps: [{ index, driver, skill, text, highest, lowest, gap }],
+ *   failedTeams
+ * }
+ */
+function calculateOrganization(teams, failedTeams = []) {
+  if (teams.length === 0) {
+    throw Object.assign(new Error('No team could be analyzed, so there is no organization report.'), { statusCode: 400 });
+  }
+
+  const { assessment } = teams[0].calculatedData;
+  const drivers = assessment.drivers;
+  const bands = teams[0].calculatedData.maturity ? teams[0].calculatedData.maturity.bands : [];
+
+  const summaries = teams.map(({ teamName, calculatedData }) => {
+    const overallScore = roundScore(calculateAverage(Object.values(calculatedData.driverScores)));
+    return {
+      teamName,
+      respondentCount: calculatedData.respondents.length,
+      overallScore,
+      stage: bands.length > 0 ? classifyMaturity(overallScore, bands) : null,
+      driverScores: calculatedData.driverScores
+    };
+  });
+
+  const overallRanks = rankTeams(summaries, team => team.overallScore);
+  const driverRanks = drivers.map(driver => rankTeams(summaries, team => team.driverScores[driver]));
+
+  const rankedTeams = summaries
+    .map(team => ({
+      ...team,
+      rank: overallRanks.get(team.teamName),
+      driverRanks: Object.fromEntries(drivers
+        .filter(driver => team.driverScores[driver] !== undefined)
+        .map(driver => [driver, driverRanks[drivers.indexOf(driver)].get(team.teamName)]))
+    }))
+    .sort((a, b) => a.rank - b.rank || a.teamName.localeCompare(b.teamName));
+
+  const driverScores = {};
+  const driverSummaries = drivers.map(driver => {
+    const organizationScore = weightedAverage(summaries.map(team => ({
+      score: team.driverScores[driver],
+      weight: team.respondentCount
+    })));
+    if (organizationScore !== null) driverScores[driver] = organizationScore;
+
+    const extremes = findExtremes(summaries.map(team => ({ teamName: team.teamName, score: team.driverScores[driver] })));
+    return { driver, organizationScore, ...(extremes || { highest: null, lowest: null, gap: null }) };
+  });
+
+  // Questions are matched by position: every team was scored against the same assessment
+  const largestQuestionGaps = teams[0].calculatedData.questions
+    .map(question => {
+      const extremes = findExtremes(teams.map(({ teamName, calculatedData }) => {
+        const teamQuestion = calculatedData.questions[question.index];
+        return { teamName, score: teamQuestion && teamQuestion.responseCount !== 0 ? teamQuestion.average : null };
+      }));
+      return extremes && { index: question.index, driver: question.driver, skill: question.skill, text: question.text, ...extremes };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.gap - a.gap)
+    .slice(0, TOP_GAPS);
+
+  const overallScore = roundScore(calculateAverage(Object.values(driverScores)));
+
+  return {
+    assessment,
+    teamCount: teams.length,
+    respondentCount: summaries.reduce((sum, team) => sum + team.respondentCount, 0),
+    overallScore,
+    stage: bands.length > 0 ? classifyMaturity(overallScore, bands) : null,
+    driverScores,
+    teams: rankedTeams,
+    drivers: driverSummaries,
+    largestQuestionGaps,
+    failedTeams
+  };
+}
+
+module.exports = {
+  calculateOrganization
+};
@@ -0,0 +1,265 @@
+/**
+ * Organization PDF
+ *
+ * Renders the organization rollup PDF of a batch run: a cover page, the
+ * overview of every team's scores and the questions teams answer most
+ * differently. Layout helpers are shared with the team report in pdfGenerator.js.
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const {
+  MARGIN,
+  PAGE_HEIGHT,
+  USABLE_WIDTH,
+  addNewPage,
+  drawLine,
+  drawTableGrid,
+  drawNotice,
+  drawRulesNotice,
+  truncate,
+  generateCoverPage
+} = require('./pdfGenerator');
+
+/**
+ * Generates the organization overview page of a batch run: the rollup
+ * narrative and every team's scores, ranked
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} organizationName - Organization name
+ * @param {Object} organization - Output of calculateOrganization
+ * @param {string} organizationAnalysis - Claude's interpretation
+ * @param {boolean} isRuleBased - True when the interpretation came from rule-based templates
+ */
+function generateOrganizationSummary(doc, organizationName, organization, organizationAnalysis, isRuleBased = false) {
+  const { teams, drivers, failedTeams } = organization;
+  const driverNames = drivers.map(d => d.driver);
+
+  addNewPage(doc);
+
+  doc.fontSize(20)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Organization Overview', MARGIN, MARGIN);
+
+  let y = MARGIN + 40;
+
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .text(organizationName, MARGIN, y);
+
+  y += 22;
+
+  const overview = `${organization.teamCount} team(s), ${organization.respondentCount} respondents. ` +
+    `Overall score ${organization.overallScore.toFixed(2)}${organization.stage ? ` (${organization.stage})` : ''}, ` +
+    'with each team weighted by its number of respondents.';
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text(overview, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(overview, { width: USABLE_WIDTH }) + 15;
+
+  if (failedTeams.length > 0) {
+    y += drawNotice(doc, y, `Not included: ${failedTeams.map(team => `${team.teamName} (${team.message})`).join('; ')}`);
+  }
+
+  if (isRuleBased) {
+    y += drawRulesNotice(doc, y);
+  }
+
+  doc.fontSize(11)
+     .font('Helvetica')
+     .text(organizationAnalysis, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(organizationAnalysis, { width: USABLE_WIDTH }) + 25;
+
+  if (y > PAGE_HEIGHT - 200) {
+    addNewPage(doc);
+    y = MARGIN;
+  }
+
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .text('Team Rankings', MARGIN, y);
+
+  y += 20;
+
+  const rankingNote = 'Each score is followed by the team\'s rank on it (#1 = highest). Teams with equal scores share a rank.';
+  doc.fontSize(9)
+     .font('Helvetica')
+     .fillColor('#555555')
+     .text(rankingNote, MARGIN, y, { width: USABLE_WIDTH });
+  doc.fillColor('#000000');
+
+  y += doc.heightOfString(rankingNote, { width: USABLE_WIDTH }) + 12;
+
+  // Rank | Team | n | Overall | one column per driver
+  const driverWidth = Math.floor((USABLE_WIDTH - 240) / driverNames.length);
+  const colWidths = [35, 125, 30, 50, ...driverNames.map(() => driverWidth)];
+  const tableX = MARGIN;
+  const colX = (col) => tableX + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Rank', tableX, y, { width: colWidths[0], align: 'center' });
+  doc.text('Team', colX(1), y, { width: colWidths[1] });
+  doc.text('n', colX(2), y, { width: colWidths[2], align: 'center' });
+  doc.text('Overall', colX(3), y, { width: colWidths[3], align: 'center' });
+  driverNames.forEach((driver, i) => {
+    doc.text(driver, colX(4 + i), y, { width: colWidths[4 + i], align: 'center' });
+  });
+
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  const verticalOffset = 6;
+  doc.font('Helvetica');
+
+  teams.forEach((team) => {
+    if (y > PAGE_HEIGHT - 100) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    doc.fillColor('#000000');
+    doc.text(`#${team.rank}`, tableX, y + verticalOffset, { width: colWidths[0], align: 'center' });
+    doc.text(truncate(team.teamName, 28), colX(1) + 3, y + verticalOffset, { width: colWidths[1] - 3 });
+    doc.text(String(team.respondentCount), colX(2), y + verticalOffset, { width: colWidths[2], align: 'center' });
+    doc.text(team.overallScore.toFixed(2), colX(3), y + verticalOffset, { width: colWidths[3], align: 'center' });
+    driverNames.forEach((driver, i) => {
+      const score = team.driverScores[driver];
+      const text = score === undefined ? 'n/a' : `${score.toFixed(2)} #${team.driverRanks[driver]}`;
+      doc.text(text, colX(4 + i), y + verticalOffset, { width: colWidths[4 + i], align: 'center' });
+    });
+
+    drawTableGrid(doc, tableX, y, colWidths, 20);
+    y += 20;
+  });
+
+  // Organization row, then the spread between the highest and lowest team
+  doc.font('Helvetica-Bold');
+  doc.text('Organization', colX(1) + 3, y + verticalOffset, { width: colWidths[1] - 3 });
+  doc.text(String(organization.respondentCount), colX(2), y + verticalOffset, { width: colWidths[2], align: 'center' });
+  doc.text(organization.overallScore.toFixed(2), colX(3), y + verticalOffset, { width: colWidths[3], align: 'center' });
+  drivers.forEach(({ organizationScore }, i) => {
+    doc.text(organizationScore === null ? 'n/a' : organizationScore.toFixed(2), colX(4 + i), y + verticalOffset, { width: colWidths[4 + i], align: 'center' });
+  });
+  drawTableGrid(doc, tableX, y, colWidths, 20);
+  y += 20;
+
+  if (teams.length > 1) {
+    doc.text('Gap (highest - lowest)', colX(1) + 3, y + verticalOffset, { width: colWidths[1] + colWidths[2] + colWidths[3] - 3 });
+    drivers.forEach(({ gap }, i) => {
+      doc.text(gap === null ? 'n/a' : gap.toFixed(2), colX(4 + i), y + verticalOffset, { width: colWidths[4 + i], align: 'center' });
+    });
+  }
+  doc.font('Helvetica');
+}
+
+/**
+ * Generates the "Largest Differences Between Teams" page of a batch run
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} largestQuestionGaps - organization.largestQuestionGaps
+ */
+function generateOrganizationGaps(doc, largestQuestionGaps) {
+  addNewPage(doc);
+
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Largest Differences Between Teams', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  const description = 'The questions where the highest and lowest scoring teams are furthest apart. ' +
+    'Large gaps show where teams experience the business differently and are worth comparing notes on.';
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text(description, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(description, { width: USABLE_WIDTH }) + 20;
+
+  // Driver | Skill & Competency | Highest | Lowest | Gap
+  const gapWidths = [60, 212, 100, 100, 40];
+  const tableX = MARGIN;
+  const gapX = (col) => tableX + gapWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Driver', tableX, y);
+  doc.text('Skill & Competency', gapX(1), y);
+  doc.text('Highest', gapX(2), y, { width: gapWidths[2], align: 'center' });
+  doc.text('Lowest', gapX(3), y, { width: gapWidths[3], align: 'center' });
+  doc.text('Gap', gapX(4), y, { width: gapWidths[4], align: 'center' });
+
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  doc.font('Helvetica').fontSize(8);
+
+  largestQuestionGaps.forEach((q) => {
+    const verticalOffset = 6;
+    doc.fillColor('#000000');
+    doc.text(q.driver, tableX, y + verticalOffset, { width: gapWidths[0] });
+    doc.text(truncate(`${q.skill}: ${q.text}`, 50), gapX(1) + 3, y + verticalOffset, { width: gapWidths[1] - 3 });
+    doc.text(`${truncate(q.highest.teamName, 16)} ${q.highest.score.toFixed(2)}`, gapX(2), y + verticalOffset, { width: gapWidths[2], align: 'center' });
+    doc.text(`${truncate(q.lowest.teamName, 16)} ${q.lowest.score.toFixed(2)}`, gapX(3), y + verticalOffset, { width: gapWidths[3], align: 'center' });
+    doc.text(q.gap.toFixed(2), gapX(4), y + verticalOffset, { width: gapWidths[4], align: 'center' });
+
+    drawTableGrid(doc, tableX, y, gapWidths, 20);
+    y += 20;
+  });
+}
+
+/**
+ * Generates the organization rollup PDF for a batch run
+ * @param {string} organizationName - Organization name
+ * @param {Object} organization - Output of calculateOrganization
+ * @param {string} organizationAnalysis - Claude's (or the rule-based) interpretation
+ * @param {boolean} isRuleBased - True when the interpretation came from rule-based templates
+ * @param {string} outputPath - Path to save PDF
+ * @returns {Promise<void>}
+ */
+async function generateOrganizationPDF(organizationName, organization, organizationAnalysis, isRuleBased, outputPath) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: MARGIN, size: 'LETTER' });
+      const stream = fs.createWriteStream(outputPath);
+
+      doc.pipe(stream);
+
+      const logoPath = path.join(__dirname, '../assets/ramsey-logo.png');
+      const coverNotices = [`Organization report: ${organization.teamCount} team(s)`];
+      if (isRuleBased) coverNotices.push('Insights in this report were generated without AI');
+      generateCoverPage(doc, organizationName, organization.assessment.name, logoPath, coverNotices);
+
+      generateOrganizationSummary(doc, organizationName, organization, organizationAnalysis, isRuleBased);
+
+      // A single team has nothing to be compared with
+      if (organization.largestQuestionGaps.length > 0) {
+        generateOrganizationGaps(doc, organization.largestQuestionGaps);
+      }
+
+      doc.end();
+
+      stream.on('finish', () => {
+        console.log('✅ Organization PDF generated successfully');
+        resolve();
+      });
+
+      stream.on('error', (error) => {
+        console.error('PDF generation error:', error);
+        reject(Object.assign(new Error('Failed to generate report. Please try again.'), { statusCode: 500 }));
+      });
+
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      reject(Object.assign(new Error('Failed to generate report. Please try again.'), { statusCode: 500 }));
+    }
+  });
+}
+
+module.exports = {
+  generateOrganizationPDF
+};
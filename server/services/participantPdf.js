@@ -0,0 +1,237 @@
+/**
+ * Participant PDF
+ *
+ * Renders one participant's personal PDF: their driver and skill scores next
+ * to the team average, the answers where they differ most from the team and
+ * their personal reflection. Layout helpers are shared with the team report
+ * in pdfGenerator.js.
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const { formatDate } = require('./claudeService');
+const { drawDriverBars } = require('./pdfCharts');
+const {
+  MARGIN,
+  PAGE_HEIGHT,
+  USABLE_WIDTH,
+  addNewPage,
+  drawLine,
+  drawTableGrid,
+  drawNotice,
+  drawRulesNotice,
+  formatDelta,
+  startSection
+} = require('./pdfGenerator');
+
+/**
+ * Draws the participant report's opening: title, name, team and the privacy notice
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} teamName - Team name
+ * @param {Object} assessment - Assessment definition
+ * @param {Object} participant - summarizeParticipant output
+ * @returns {number} Y position below the header
+ */
+function drawParticipantHeader(doc, teamName, assessment, participant) {
+  doc.fontSize(20)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Personal Report', MARGIN, MARGIN);
+
+  doc.fontSize(14)
+     .text(participant.name, MARGIN, MARGIN + 30, { width: USABLE_WIDTH });
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .fillColor('#666666')
+     .text(`${teamName}  |  ${assessment.name}  |  ${formatDate()}`, MARGIN, MARGIN + 50, { width: USABLE_WIDTH });
+
+  doc.fillColor('#000000');
+  const y = MARGIN + 75;
+  return y + drawNotice(doc, y, `For ${participant.name} only. This report compares your answers with your team's ` +
+    `averages (${participant.respondentCount} respondents). It does not include anyone else's individual answers or scores.`);
+}
+
+/**
+ * Draws a participant table: a header row, then rows that grow to fit their first column
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Top Y position
+ * @param {Object[]} columns - [{ label, width }]; the first column is left-aligned text
+ * @param {Array<string[]>} rows - Cell text per row
+ * @returns {number} Y position below the table
+ */
+function drawParticipantTable(doc, y, columns, rows) {
+  const colWidths = columns.map(column => column.width);
+  const colX = (col) => MARGIN + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold').fillColor('#000000');
+  columns.forEach((column, col) => {
+    doc.text(column.label, colX(col) + (col === 0 ? 3 : 0), y, { width: column.width - (col === 0 ? 3 : 0), align: col === 0 ? 'left' : 'center' });
+  });
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  doc.font('Helvetica');
+  rows.forEach(cells => {
+    const rowHeight = Math.max(18, doc.heightOfString(cells[0], { width: colWidths[0] - 6 }) + 8);
+    if (y + rowHeight > PAGE_HEIGHT - MARGIN) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    cells.forEach((cell, col) => {
+      doc.fillColor('#000000')
+         .text(cell, colX(col) + (col === 0 ? 3 : 0), y + 4, { width: colWidths[col] - (col === 0 ? 6 : 0), align: col === 0 ? 'left' : 'center' });
+    });
+    drawTableGrid(doc, MARGIN, y + 2, colWidths, rowHeight);
+    y += rowHeight;
+  });
+
+  return y;
+}
+
+/**
+ * Generates one participant's personal PDF: their driver and skill scores
+ * against the team average, the answers where they differ most from the team,
+ * and their personal reflection with coaching questions
+ * @param {string} teamName - Team name
+ * @param {Object} assessment - Assessment definition (scale, name)
+ * @param {Object} participant - summarizeParticipant output; the only per-person data shown
+ * @param {Object} reflection - { reflection, coachingQuestions }
+ * @param {boolean} isRuleBased - True when the reflection came from rule-based templates
+ * @param {string} outputPath - Path to save PDF
+ * @returns {Promise<void>}
+ */
+async function generateParticipantPDF(teamName, assessment, participant, reflection, isRuleBased, outputPath) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: MARGIN, size: 'LETTER' });
+      const stream = fs.createWriteStream(outputPath);
+
+      doc.pipe(stream);
+
+      const scoreText = (score) => (score === null ? 'n/a' : score.toFixed(2));
+      const differenceText = (score, teamAverage) => (score === null ? '' : formatDelta(Number((score - teamAverage).toFixed(2))));
+
+      let y = drawParticipantHeader(doc, teamName, assessment, participant);
+
+      // Drivers: bars against the team average
+      y = startSection(doc, y, 'Your Drivers',
+        `Your overall average is ${scoreText(participant.overall.score)}; the team average is ` +
+        `${participant.overall.teamAverage.toFixed(2)}. The bars show your average on each driver and the marks show the team's.`);
+      const scores = {};
+      const teamScores = {};
+      participant.drivers.forEach(({ driver, score, teamAverage }) => {
+        if (score !== null) scores[driver] = score;
+        teamScores[driver] = teamAverage;
+      });
+      y += drawDriverBars(doc, {
+        x: MARGIN,
+        y,
+        width: 320,
+        scores,
+        teamScores,
+        scale: assessment.scale,
+        labels: { scores: 'You', team: 'Team average' }
+      }) + 25;
+
+      // Skills (runs without skill scores have none)
+      if (participant.skills.length > 0) {
+        y = startSection(doc, y, 'Your Skills');
+        y = drawParticipantTable(doc, y, [
+          { label: 'Skill', width: 200 },
+          { label: 'Driver', width: 132 },
+          { label: 'You', width: 60 },
+          { label: 'Team', width: 60 },
+          { label: 'Difference', width: 60 }
+        ], participant.skills.map(({ skill, drivers, score, teamAverage }) => [
+          skill,
+          drivers.join(', '),
+          scoreText(score),
+          teamAverage.toFixed(2),
+          differenceText(score, teamAverage)
+        ])) + 25;
+      }
+
+      // Largest gaps from the team
+      y = startSection(doc, y, 'Where You Differ Most',
+        'Questions where your answer was far from everyone else\'s, given how much their answers varied. ' +
+        'A different view is worth talking about: you may see something the rest of the team does not.');
+      if (participant.gaps.length === 0) {
+        doc.fontSize(10)
+           .font('Helvetica-Oblique')
+           .text('None of your answers stood far apart from the rest of the team.', MARGIN, y, { width: USABLE_WIDTH });
+        y += 40;
+      } else {
+        y = drawParticipantTable(doc, y, [
+          { label: 'Question', width: 312 },
+          { label: 'You', width: 60 },
+          { label: 'Team', width: 70 },
+          { label: 'Difference', width: 70 }
+        ], participant.gaps.map(gap => [
+          gap.question,
+          String(gap.score),
+          gap.teamAverage.toFixed(2),
+          formatDelta(gap.difference)
+        ]));
+        if (participant.gapCount > participant.gaps.length) {
+          doc.fontSize(9)
+             .font('Helvetica-Oblique')
+             .fillColor('#555555')
+             .text(`Showing the ${participant.gaps.length} largest of ${participant.gapCount}.`, MARGIN, y + 6);
+          doc.fillColor('#000000');
+          y += 15;
+        }
+        y += 30;
+      }
+
+      // Reflection and coaching questions
+      y = startSection(doc, y, 'Personal Reflection');
+      if (isRuleBased) {
+        y += drawRulesNotice(doc, y);
+      }
+      doc.fontSize(11)
+         .font('Helvetica')
+         .text(reflection.reflection, MARGIN, y, { width: USABLE_WIDTH });
+      y += doc.heightOfString(reflection.reflection, { width: USABLE_WIDTH }) + 20;
+
+      // Keep the questions together, on the reflection's page when they fit
+      const questions = reflection.coachingQuestions.map((question, index) => `${index + 1}. ${question}`);
+      doc.fontSize(11).font('Helvetica');
+      const questionsHeight = questions.reduce((sum, text) => sum + doc.heightOfString(text, { width: USABLE_WIDTH }) + 12, 0);
+      if (y + 22 + questionsHeight > PAGE_HEIGHT - MARGIN) {
+        addNewPage(doc);
+        y = MARGIN;
+      }
+
+      doc.fontSize(12)
+         .font('Helvetica-Bold')
+         .text('Questions to Reflect On', MARGIN, y);
+      y += 22;
+
+      doc.fontSize(11).font('Helvetica');
+      questions.forEach(text => {
+        doc.text(text, MARGIN, y, { width: USABLE_WIDTH });
+        y += doc.heightOfString(text, { width: USABLE_WIDTH }) + 12;
+      });
+
+      doc.end();
+
+      stream.on('finish', resolve);
+
+      stream.on('error', (error) => {
+        console.error('PDF generation error:', error);
+        reject(Object.assign(new Error('Failed to generate participant report. Please try again.'), { statusCode: 500 }));
+      });
+
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      reject(Object.assign(new Error('Failed to generate participant report. Please try again.'), { statusCode: 500 }));
+    }
+  });
+}
+
+module.exports = {
+  generateParticipantPDF
+};
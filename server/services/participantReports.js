@@ -0,0 +1,129 @@
+/**
+ * Participant Reports Service
+ *
+ * Builds a personal PDF for every respondent, bundled as one ZIP for the
+ * facilitator to hand out:
+ * - Each report shows one person's driver and skill scores against the team
+ *   average, the answers where they stand furthest from the team, and a
+ *   personal reflection with coaching questions
+ * - Reports, and the prompts for their reflections, are built only from
+ *   summarizeParticipant, which copies one person's scores and team-level
+ *   averages, so nobody else's individual results can end up in them
+ * - They need names, so anonymous reports have none, and they need at least
+ *   MIN_PARTICIPANT_TEAM_SIZE respondents: with two, your own score and the
+ *   team average give away the other person's
+ *
+ * Participant reports are not saved to the report history; they can only be
+ * downloaded from the job that produced them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { calculateAverage } = require('./calculator');
+const { showsIndividuals } = require('./anonymity');
+const { buildReportFilename, uniqueFilename } = require('./pdfGenerator');
+const { generateParticipantPDF } = require('./participantPdf');
+
+const MIN_PARTICIPANT_TEAM_SIZE = 3;
+
+// Answers listed under "Where You Differ Most", largest difference first
+const GAPS_PER_PARTICIPANT = 5;
+
+/**
+ * Explains why a run cannot have participant reports
+ * @param {Object} calculatedData - Output of calculateAll (after anonymity is applied)
+ * @returns {string|null} Reason, or null when participant reports can be built
+ */
+function describeParticipantReportsUnavailable(calculatedData) {
+  if (!showsIndividuals(calculatedData)) {
+    return 'Participant reports are not available for anonymous reports without individual results.';
+  }
+  if (calculatedData.respondents.length < MIN_PARTICIPANT_TEAM_SIZE) {
+    return `Participant reports need at least ${MIN_PARTICIPANT_TEAM_SIZE} respondents, so that the team average ` +
+      'does not give away anyone else\'s answers.';
+  }
+  return null;
+}
+
+/**
+ * Collects what one participant's report may show: their own scores and the team averages
+ * @param {Object} respondent - Respondent summary from calculateAll
+ * @param {Object} calculatedData - Output of calculateAll
+ * @returns {Object} { name, respondentCount, overall: { score, teamAverage },
+ *   drivers: [{ driver, score, teamAverage }], skills: [{ skill, drivers, score, teamAverage }],
+ *   highestDriver, lowestDriver, gapCount, gaps: [{ question, score, teamAverage, difference }] }.
+ *   A score is null where the participant answered none of the questions
+ */
+function summarizeParticipant(respondent, calculatedData) {
+  const { driverScores, skillStats = [] } = calculatedData;
+
+  return {
+    name: respondent.name,
+    respondentCount: calculatedData.respondents.length,
+    overall: {
+      score: respondent.overallAverage,
+      teamAverage: calculateAverage(Object.values(driverScores))
+    },
+    drivers: Object.keys(driverScores).map(driver => ({
+      driver,
+      score: driver in respondent.driverScores ? respondent.driverScores[driver] : null,
+      teamAverage: driverScores[driver]
+    })),
+    skills: skillStats.map(stats => ({
+      skill: stats.skill,
+      drivers: stats.drivers,
+      score: stats.skill in respondent.skillScores ? respondent.skillScores[stats.skill] : null,
+      teamAverage: stats.average
+    })),
+    highestDriver: respondent.highestDriver,
+    lowestDriver: respondent.lowestDriver,
+    gapCount: respondent.outlierQuestions.length,
+    gaps: [...respondent.outlierQuestions]
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+      .slice(0, GAPS_PER_PARTICIPANT)
+      .map(outlier => ({
+        question: outlier.question,
+        score: outlier.respondentScore,
+        teamAverage: outlier.teamAverage,
+        difference: outlier.difference
+      }))
+  };
+}
+
+/**
+ * Renders every participant's PDF and zips them
+ * @param {string} teamName - Team name
+ * @param {Object} assessment - calculatedData.assessment
+ * @param {Object[]} participants - summarizeParticipant output, one per respondent
+ * @param {Object[]} reflections - [{ reflection, coachingQuestions }] in participant order
+ * @param {boolean} isRuleBased - True when the reflections came from rule-based templates
+ * @returns {Promise<Object>} { archive: Buffer, filename, count }
+ */
+async function buildParticipantArchive(teamName, assessment, participants, reflections, isRuleBased) {
+  const zip = new AdmZip();
+  const used = new Set();
+
+  for (const [index, participant] of participants.entries()) {
+    const pdfPath = path.join(__dirname, '../uploads', `participant-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.pdf`);
+    try {
+      await generateParticipantPDF(teamName, assessment, participant, reflections[index], isRuleBased, pdfPath);
+      zip.addFile(uniqueFilename(buildReportFilename(teamName, participant.name), used), fs.readFileSync(pdfPath));
+    } finally {
+      if (fs.existsSync(pdfPath)) fs.unlinkSync(pdfPath);
+    }
+  }
+
+  return {
+    archive: zip.toBuffer(),
+    filename: buildReportFilename(`${assessment.name} Participants`, teamName).replace(/\.pdf$/, '.zip'),
+    count: participants.length
+  };
+}
+
+module.exports = {
+  MIN_PARTICIPANT_TEAM_SIZE,
+  describeParticipantReportsUnavailable,
+  summarizeParticipant,
+  buildParticipantArchive
+};
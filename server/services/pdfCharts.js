@@ -0,0 +1,346 @@
+/**
+ * PDF Charts
+ *
+ * Vector charts drawn directly with PDFKit for the PDF report:
+ * - Radar (spider) chart of driver scores
+ * - Stacked horizontal bars for a question's response distribution
+ * - Horizontal bar charts of one respondent's (or group's) driver scores against the team
+ * - Heatmap cells coloured by score (skill heatmap)
+ *
+ * Every function draws at the coordinates it is given and leaves the fill,
+ * stroke and opacity back at the report defaults (black, fully opaque).
+ */
+
+const CHART_BLUE = '#0066cc';
+const GRID_COLOR = '#d0d0d0';
+const LABEL_COLOR = '#666666';
+
+// Diverging palette for scale points: lowest = red, middle = grey, highest = green
+const LOW_COLOR = [198, 40, 40];
+const MID_COLOR = [224, 224, 224];
+const HIGH_COLOR = [46, 125, 50];
+
+/**
+ * Resets drawing state so the next text or table renders normally
+ * @param {PDFDocument} doc - PDFKit document
+ */
+function resetStyle(doc) {
+  doc.fillOpacity(1).strokeOpacity(1).fillColor('#000000').strokeColor('#000000').lineWidth(1);
+}
+
+/**
+ * Linear interpolation between two RGB colors
+ * @param {number[]} from - Start color [r, g, b]
+ * @param {number[]} to - End color [r, g, b]
+ * @param {number} t - Position between 0 and 1
+ * @returns {string} Hex color
+ */
+function mixColor(from, to, t) {
+  const channels = from.map((value, i) => Math.round(value + (to[i] - value) * t));
+  return '#' + channels.map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Builds one color per scale point, from red (lowest) through grey to green (highest)
+ * @param {number} count - Number of scale points
+ * @returns {string[]} Hex colors, lowest scale point first
+ */
+function scaleColors(count) {
+  if (count <= 1) return [mixColor(MID_COLOR, MID_COLOR, 0)]; // Degenerate single-point scale
+
+  return Array.from({ length: count }, (_, i) => {
+    const position = i / (count - 1); // 0 = lowest, 1 = highest
+    return position < 0.5
+      ? mixColor(LOW_COLOR, MID_COLOR, position * 2)
+      : mixColor(MID_COLOR, HIGH_COLOR, (position - 0.5) * 2);
+  });
+}
+
+/**
+ * Picks a heatmap colour for a score on the same red-grey-green ramp as the
+ * distribution bars (so drawDistributionLegend doubles as its legend),
+ * interpolated continuously along the scale
+ * @param {number} value - Score
+ * @param {Object} scale - Assessment scale { min, max }
+ * @returns {string} Hex color
+ */
+function heatColor(value, scale) {
+  const position = Math.max(0, Math.min(1, (value - scale.min) / (scale.max - scale.min)));
+  return position < 0.5
+    ? mixColor(LOW_COLOR, MID_COLOR, position * 2)
+    : mixColor(MID_COLOR, HIGH_COLOR, (position - 0.5) * 2);
+}
+
+/**
+ * Builds legend labels for each scale point, using the assessment's response
+ * labels where available ("Strongly Disagree" ... "Strongly Agree")
+ * @param {Object} scale - Assessment scale { min, max, labels }
+ * @returns {string[]} Labels, lowest scale point first
+ */
+function scalePointLabels(scale) {
+  const byValue = {};
+  Object.entries(scale.labels || {}).forEach(([label, value]) => {
+    if (!(value in byValue)) byValue[value] = label;
+  });
+
+  return Array.from({ length: scale.max - scale.min + 1 }, (_, i) => {
+    const value = scale.min + i;
+    return byValue[value] ? `${value} ${byValue[value]}` : String(value);
+  });
+}
+
+/**
+ * Draws a radar (spider) chart of driver scores
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} options - Chart options
+ * @param {number} options.cx - Center X
+ * @param {number} options.cy - Center Y
+ * @param {number} options.radius - Radius of the outer ring (labels are drawn outside it)
+ * @param {Object} options.scores - Driver scores { [driver]: score }, in display order
+ * @param {Object} options.scale - Assessment scale { min, max }
+ */
+function drawRadarChart(doc, { cx, cy, radius, scores, scale }) {
+  const drivers = Object.keys(scores);
+  const count = drivers.length;
+  const range = scale.max - scale.min;
+
+  // First axis points straight up, then clockwise
+  const pointAt = (index, value) => {
+    const angle = -Math.PI / 2 + (index * 2 * Math.PI) / count;
+    const distance = radius * Math.max(0, Math.min(1, (value - scale.min) / range));
+    return [cx + distance * Math.cos(angle), cy + distance * Math.sin(angle)];
+  };
+
+  // Grid rings, one per scale point above the minimum
+  doc.lineWidth(0.5).strokeColor(GRID_COLOR);
+  for (let value = scale.min + 1; value <= scale.max; value++) {
+    doc.polygon(...drivers.map((_, i) => pointAt(i, value))).stroke();
+  }
+
+  // Axes
+  drivers.forEach((_, i) => {
+    const [x, y] = pointAt(i, scale.max);
+    doc.moveTo(cx, cy).lineTo(x, y).stroke();
+  });
+
+  // Ring values along the first axis
+  doc.fontSize(7).font('Helvetica').fillColor(LABEL_COLOR);
+  for (let value = scale.min + 1; value <= scale.max; value++) {
+    const [, y] = pointAt(0, value);
+    doc.text(String(value), cx + 3, y - 3, { lineBreak: false });
+  }
+
+  // Team scores
+  const dataPoints = drivers.map((driver, i) => pointAt(i, scores[driver]));
+  doc.lineWidth(1.5)
+     .fillOpacity(0.25)
+     .polygon(...dataPoints)
+     .fillAndStroke(CHART_BLUE, CHART_BLUE);
+
+  doc.fillOpacity(1).fillColor(CHART_BLUE);
+  dataPoints.forEach(([x, y]) => doc.circle(x, y, 2.5).fill());
+
+  // Driver labels with scores, just outside the outer ring
+  const labelWidth = 80;
+  doc.fontSize(9);
+  drivers.forEach((driver, i) => {
+    const angle = -Math.PI / 2 + (i * 2 * Math.PI) / count;
+    const lx = cx + (radius + 14) * Math.cos(angle);
+    const ly = cy + (radius + 14) * Math.sin(angle);
+    const cos = Math.cos(angle);
+
+    let x = lx - labelWidth / 2;
+    let align = 'center';
+    if (cos > 0.3) { x = lx; align = 'left'; }
+    if (cos < -0.3) { x = lx - labelWidth; align = 'right'; }
+
+    doc.font('Helvetica-Bold').fillColor('#000000')
+       .text(driver, x, ly - 9, { width: labelWidth, align, lineBreak: false });
+    doc.font('Helvetica').fillColor(LABEL_COLOR)
+       .text(scores[driver].toFixed(2), x, ly + 1, { width: labelWidth, align, lineBreak: false });
+  });
+
+  resetStyle(doc);
+}
+
+/**
+ * Draws a legend for distribution bars
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} x - Starting X position
+ * @param {number} y - Y position
+ * @param {Object} scale - Assessment scale { min, max, labels }
+ * @returns {number} Height used
+ */
+function drawDistributionLegend(doc, x, y, scale) {
+  const labels = scalePointLabels(scale);
+  const colors = scaleColors(labels.length);
+  const swatch = 8;
+
+  doc.fontSize(7).font('Helvetica');
+
+  let currentX = x;
+  labels.forEach((label, i) => {
+    doc.rect(currentX, y, swatch, swatch).fill(colors[i]);
+    doc.fillColor(LABEL_COLOR).text(label, currentX + swatch + 3, y + 1, { lineBreak: false });
+    currentX += swatch + 3 + doc.widthOfString(label) + 12;
+  });
+
+  resetStyle(doc);
+  return swatch + 6;
+}
+
+/**
+ * Draws a stacked horizontal bar of response counts, one segment per scale
+ * point, with the count printed inside segments wide enough to hold it
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} x - Left X position
+ * @param {number} y - Top Y position
+ * @param {number} width - Full bar width (all responses)
+ * @param {number} height - Bar height
+ * @param {number[]} distribution - Counts per scale point, lowest first
+ */
+function drawStackedBar(doc, x, y, width, height, distribution) {
+  const total = distribution.reduce((sum, count) => sum + count, 0);
+  const colors = scaleColors(distribution.length);
+
+  if (total === 0) {
+    doc.rect(x, y, width, height).lineWidth(0.5).stroke(GRID_COLOR);
+    resetStyle(doc);
+    return;
+  }
+
+  doc.fontSize(7).font('Helvetica');
+
+  let currentX = x;
+  distribution.forEach((count, i) => {
+    if (count === 0) return;
+
+    const segmentWidth = (count / total) * width;
+    doc.rect(currentX, y, segmentWidth, height).fill(colors[i]);
+
+    const label = String(count);
+    if (segmentWidth >= doc.widthOfString(label) + 4) {
+      // Dark text on the light middle segments, white on the saturated ends
+      const isLight = Math.abs(i - (distribution.length - 1) / 2) < distribution.length / 4;
+      doc.fillColor(isLight ? '#000000' : '#ffffff')
+         .text(label, currentX, y + (height - 7) / 2 + 0.5, { width: segmentWidth, align: 'center', lineBreak: false });
+    }
+
+    currentX += segmentWidth;
+  });
+
+  resetStyle(doc);
+}
+
+/**
+ * Draws a horizontal bar chart of one respondent's (or group's) driver
+ * scores, with a marker for the team average on each driver
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} options - Chart options
+ * @param {number} options.x - Left X position
+ * @param {number} options.y - Top Y position
+ * @param {number} options.width - Total width (labels + bars + values)
+ * @param {Object} options.scores - Respondent driver scores { [driver]: score }
+ * @param {Object} options.teamScores - Team driver scores { [driver]: score }, in display order
+ * @param {Object} options.scale - Assessment scale { min, max }
+ * @param {Object} options.labels - Legend labels { scores, team }
+ * @returns {number} Height used
+ */
+function drawDriverBars(doc, { x, y, width, scores, teamScores, scale, labels = { scores: 'Individual', team: 'Team average' } }) {
+  const drivers = Object.keys(teamScores);
+  const labelWidth = 60;
+  const valueWidth = 30;
+  const barAreaWidth = width - labelWidth - valueWidth;
+  const rowHeight = 14;
+  const barHeight = 8;
+  const range = scale.max - scale.min;
+
+  const toWidth = (value) => barAreaWidth * Math.max(0, Math.min(1, (value - scale.min) / range));
+
+  doc.fontSize(8).font('Helvetica');
+
+  drivers.forEach((driver, i) => {
+    const rowY = y + i * rowHeight;
+    const barX = x + labelWidth;
+    const barY = rowY + (rowHeight - barHeight) / 2;
+    const score = scores[driver];
+
+    doc.fillColor('#000000').text(driver, x, rowY + 3, { width: labelWidth - 5, lineBreak: false });
+
+    // Track showing the full scale
+    doc.rect(barX, barY, barAreaWidth, barHeight).fill('#f0f0f0');
+
+    if (score !== undefined) {
+      doc.rect(barX, barY, toWidth(score), barHeight).fill(CHART_BLUE);
+      doc.fillColor('#000000')
+         .text(score.toFixed(2), barX + barAreaWidth + 5, rowY + 3, { width: valueWidth - 5, lineBreak: false });
+    } else {
+      doc.fillColor(LABEL_COLOR)
+         .text('n/a', barX + barAreaWidth + 5, rowY + 3, { width: valueWidth - 5, lineBreak: false });
+    }
+
+    // Team average marker
+    const markerX = barX + toWidth(teamScores[driver]);
+    doc.lineWidth(1.5).strokeColor('#000000')
+       .moveTo(markerX, barY - 2)
+       .lineTo(markerX, barY + barHeight + 2)
+       .stroke();
+  });
+
+  // Legend
+  const legendY = y + drivers.length * rowHeight + 4;
+  doc.rect(x + labelWidth, legendY, 8, 6).fill(CHART_BLUE);
+  doc.fontSize(7).fillColor(LABEL_COLOR)
+     .text(labels.scores, x + labelWidth + 11, legendY, { lineBreak: false });
+  const teamLegendX = x + labelWidth + Math.max(60, doc.widthOfString(labels.scores) + 23);
+  doc.lineWidth(1.5).strokeColor('#000000')
+     .moveTo(teamLegendX + 4, legendY - 1)
+     .lineTo(teamLegendX + 4, legendY + 7)
+     .stroke();
+  doc.text(labels.team, teamLegendX + 11, legendY, { lineBreak: false });
+
+  resetStyle(doc);
+  return drivers.length * rowHeight + 14;
+}
+
+/**
+ * Draws one row of heatmap cells, each filled by its score and labelled with
+ * the value. Missing scores are drawn as empty grey cells.
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} options - Row options
+ * @param {number} options.x - Left X position
+ * @param {number} options.y - Top Y position
+ * @param {number} options.cellWidth - Width of each cell
+ * @param {number} options.cellHeight - Height of each cell
+ * @param {Array<number|null>} options.values - One score per cell
+ * @param {Object} options.scale - Assessment scale { min, max }
+ */
+function drawHeatmapRow(doc, { x, y, cellWidth, cellHeight, values, scale }) {
+  doc.fontSize(6).font('Helvetica');
+
+  values.forEach((value, i) => {
+    const cellX = x + i * cellWidth;
+    const missing = value === null || value === undefined;
+
+    doc.rect(cellX, y, cellWidth, cellHeight).fill(missing ? '#f7f7f7' : heatColor(value, scale));
+    doc.rect(cellX, y, cellWidth, cellHeight).lineWidth(0.5).stroke('#ffffff');
+
+    if (!missing) {
+      // Dark text on the light middle of the ramp, white on the saturated ends
+      const position = (value - scale.min) / (scale.max - scale.min);
+      doc.fillColor(Math.abs(position - 0.5) < 0.3 ? '#000000' : '#ffffff')
+         .text(value.toFixed(1), cellX, y + (cellHeight - 6) / 2, { width: cellWidth, align: 'center', lineBreak: false });
+    }
+  });
+
+  resetStyle(doc);
+}
+
+module.exports = {
+  drawRadarChart,
+  drawDistributionLegend,
+  drawStackedBar,
+  drawDriverBars,
+  drawHeatmapRow,
+  heatColor
+};
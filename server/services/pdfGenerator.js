@@ -3,12 +3,19 @@
  *
  * Creates professionally formatted PDF reports using PDFKit.
  * Handles multi-page layout with tables, charts, and AI-generated content.
+ * Chart drawing lives in pdfCharts.js. The other documents are rendered in
+ * their own modules with the layout helpers exported here:
+ * organizationPdf.js, participantPdf.js and facilitatorGuidePdf.js.
  */
 
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const { formatDate } = require('./claudeService');
+const { drawRadarChart, drawDistributionLegend, drawStackedBar, drawDriverBars, drawHeatmapRow, heatColor } = require('./pdfCharts');
+const { showsIndividuals } = require('./anonymity');
+const { formatPercentile } = require('./benchmarks');
+const { MILESTONE_DAYS } = require('./actionPlan');
 
 // Page layout constants
 const MARGIN = 50;
@@ -64,13 +71,70 @@ function drawTableGrid(doc, x, y, colWidths, rowHeight) {
      .stroke();
 }
 
+/**
+ * Draws the notice shown above insights that came from rule-based templates
+ * instead of Claude
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Top Y position
+ * @returns {number} Height used (including spacing below)
+ */
+function drawRulesNotice(doc, y) {
+  return drawNotice(doc, y, 'Not AI-generated: the text on this page was written from rule-based templates over the ' +
+    'scores because AI analysis was unavailable or turned off for this report.');
+}
+
+/**
+ * Draws the notice shown when too few people responded for the statistics to
+ * be read as measurements
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Top Y position
+ * @param {Object} sampleSize - calculatedData.sampleSize
+ * @returns {number} Height used (including spacing below)
+ */
+function drawSampleSizeNotice(doc, y, sampleSize) {
+  return drawNotice(doc, y, `Small sample: only ${sampleSize.respondentCount} ` +
+    `${sampleSize.respondentCount === 1 ? 'person' : 'people'} responded. With fewer than ${sampleSize.minimum} ` +
+    'respondents one answer can move a score noticeably, so read the results in this report as indicative rather than as measurements.');
+}
+
+/**
+ * Draws a shaded notice box across the page
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Top Y position
+ * @param {string} notice - Notice text
+ * @returns {number} Height used (including spacing below)
+ */
+function drawNotice(doc, y, notice) {
+  const padding = 6;
+
+  doc.fontSize(9).font('Helvetica-Oblique');
+  const textHeight = doc.heightOfString(notice, { width: USABLE_WIDTH - padding * 2 });
+
+  doc.rect(MARGIN, y, USABLE_WIDTH, textHeight + padding * 2).fill('#fff4e5');
+  doc.fillColor('#8a4b00')
+     .text(notice, MARGIN + padding, y + padding, { width: USABLE_WIDTH - padding * 2 });
+
+  doc.fillColor('#000000');
+  return textHeight + padding * 2 + 15;
+}
+
+/**
+ * Shortens text to fit a table cell
+ * @param {string} text - Cell text
+ * @param {number} maxLength - Longest text kept as is
+ * @returns {string} Text, with "..." when shortened
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
 /**
  * Generates Page 1: Cover Page
  */
-function generateCoverPage(doc, teamName, logoPath) {
+function generateCoverPage(doc, teamName, assessmentName, logoPath, notices = []) {
   doc.fontSize(28)
      .font('Helvetica-Bold')
-     .text('Strategic Maturity Assessment', MARGIN, 200, { align: 'center' });
+     .text(assessmentName, MARGIN, 200, { align: 'center' });
 
   doc.fontSize(24)
      .text('Results', MARGIN, 240, { align: 'center' });
@@ -90,12 +154,86 @@ function generateCoverPage(doc, teamName, logoPath) {
   doc.fontSize(14)
      .fillColor('#666666')
      .text(formatDate(), MARGIN, 580, { align: 'center' });
+
+  // Notices (rule-based insights, anonymity), one per line
+  doc.fontSize(11).font('Helvetica-Oblique');
+  notices.forEach((notice, index) => {
+    doc.text(notice, MARGIN, 610 + index * 18, { align: 'center' });
+  });
+}
+
+/**
+ * Describes a report's anonymity setting for the cover page
+ * @param {Object} anonymity - calculatedData.anonymity (absent on older runs)
+ * @returns {string|null} Notice text, or null when names are shown
+ */
+function describeAnonymityNotice(anonymity) {
+  if (!anonymity || anonymity.mode === 'off') return null;
+
+  if (anonymity.individuals === 'omitted') {
+    return 'Anonymous report: individual results are not included';
+  }
+  if (anonymity.individuals === 'suppressed') {
+    return `Anonymous report: individual results are hidden because fewer than ${anonymity.minGroupSize} people responded`;
+  }
+  return 'Anonymous report: respondents are identified by pseudonyms';
+}
+
+// Radar chart size on the Team Summary page (radius of the outer ring)
+const RADAR_RADIUS = 80;
+
+/**
+ * Draws the team's maturity stage as a shaded banner
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Y position
+ * @param {Object} maturity - calculatedData.maturity
+ * @param {Object} scale - Assessment scale { min, max }
+ * @returns {number} Height of the banner (including spacing)
+ */
+function drawMaturityBanner(doc, y, maturity, scale) {
+  const { score, stage } = maturity.overall;
+  const band = maturity.bands.find(b => b.name === stage);
+  const padding = 10;
+  const textX = MARGIN + padding + 8;
+  const textWidth = USABLE_WIDTH - padding * 2 - 8;
+
+  doc.fontSize(10).font('Helvetica');
+  const descriptionHeight = doc.heightOfString(band.description, { width: textWidth });
+  const height = padding * 2 + 20 + descriptionHeight;
+
+  doc.rect(MARGIN, y, USABLE_WIDTH, height).fill('#f2f2f2');
+  doc.rect(MARGIN, y, 6, height).fill(heatColor(score, scale));
+
+  doc.fillColor('#000000')
+     .fontSize(14)
+     .font('Helvetica-Bold')
+     .text(`Maturity stage: ${stage}`, textX, y + padding, { continued: true })
+     .font('Helvetica')
+     .fillColor('#555555')
+     .text(`  (overall score ${score.toFixed(2)})`);
+
+  doc.fontSize(10)
+     .fillColor('#000000')
+     .text(band.description, textX, y + padding + 20, { width: textWidth });
+
+  return height + 15;
 }
 
 /**
- * Generates Page 2: Team Summary with Driver Scores
+ * Generates Page 2: Team Summary with the maturity stage, Driver Scores table
+ * (with confidence intervals) and radar chart
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} teamName - Name of the team
+ * @param {string} executiveSummary - Executive summary text
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {boolean} isRuleBased - True when the summary came from rule-based templates
  */
-function generateTeamSummary(doc, teamName, executiveSummary, driverScores, strongestDriver, weakestDriver) {
+function generateTeamSummary(doc, teamName, executiveSummary, calculatedData, isRuleBased = false) {
+  const { driverScores, strongestDriver, weakestDriver, assessment: { scale } } = calculatedData;
+  // Runs saved before maturity stages and confidence intervals existed have neither
+  const maturity = calculatedData.maturity || null;
+  const driverConfidence = calculatedData.driverConfidence || {};
+
   addNewPage(doc);
 
   // Header
@@ -113,6 +251,18 @@ function generateTeamSummary(doc, teamName, executiveSummary, driverScores, stro
 
   y += 25;
 
+  if (maturity) {
+    y += drawMaturityBanner(doc, y, maturity, scale);
+  }
+
+  if (calculatedData.sampleSize && calculatedData.sampleSize.isSmall) {
+    y += drawSampleSizeNotice(doc, y, calculatedData.sampleSize);
+  }
+
+  if (isRuleBased) {
+    y += drawRulesNotice(doc, y);
+  }
+
   // Executive summary
   doc.fontSize(11)
      .font('Helvetica')
@@ -120,6 +270,13 @@ function generateTeamSummary(doc, teamName, executiveSummary, driverScores, stro
 
   y += doc.heightOfString(executiveSummary, { width: USABLE_WIDTH }) + 30;
 
+  // Keep the table and radar together; move them to the next page if a long summary leaves no room
+  const chartHeight = (RADAR_RADIUS + 40) * 2;
+  if (y + chartHeight > PAGE_HEIGHT - MARGIN) {
+    addNewPage(doc);
+    y = MARGIN;
+  }
+
   // Driver Scores Table Header
   doc.fontSize(14)
      .font('Helvetica-Bold')
@@ -127,18 +284,26 @@ function generateTeamSummary(doc, teamName, executiveSummary, driverScores, stro
 
   y += 25;
 
-  // Table headers
-  const colWidths = [200, 80, 200];
+  const sectionTop = y;
+
+  // Table headers (left half; the radar chart sits on the right)
+  const colWidths = maturity ? [75, 65, 65, 80] : [90, 65, 130];
   const tableX = MARGIN;
+  const noteX = tableX + colWidths[0] + colWidths[1] + (maturity ? colWidths[2] : 0);
 
   doc.fontSize(10)
      .font('Helvetica-Bold');
   doc.text('Competency', tableX, y);
   doc.text('Score', tableX + colWidths[0], y, { width: colWidths[1], align: 'center' });
-  doc.text('Note', tableX + colWidths[0] + colWidths[1], y);
+  if (maturity) doc.text('Stage', tableX + colWidths[0] + colWidths[1], y);
+  doc.text('Note', noteX, y);
 
   y += 20;
-  drawLine(doc, y);
+  doc.strokeColor('#cccccc')
+     .lineWidth(0.5)
+     .moveTo(tableX, y)
+     .lineTo(tableX + colWidths.reduce((sum, w) => sum + w, 0), y)
+     .stroke();
   y += 10;
 
   // Sort drivers by score (descending)
@@ -148,20 +313,124 @@ function generateTeamSummary(doc, teamName, executiveSummary, driverScores, stro
   doc.font('Helvetica');
   sortedDrivers.forEach(([driver, score]) => {
     let note = '';
-    if (driver === strongestDriver.name) note = 'Your strongest driver';
-    if (driver === weakestDriver.name) note = 'Your weakest driver';
+    if (driver === strongestDriver.name) note = maturity ? 'Strongest driver' : 'Your strongest driver';
+    if (driver === weakestDriver.name) note = maturity ? 'Weakest driver' : 'Your weakest driver';
 
     doc.text(driver, tableX, y);
-    doc.text(score.toFixed(2), tableX + colWidths[0], y, { width: colWidths[1], align: 'center' });
+    const interval = driverConfidence[driver];
+    const margin = interval && interval.margin !== null ? ` ±${interval.margin.toFixed(2)}` : '';
+    doc.text(`${score.toFixed(2)}${margin}`, tableX + colWidths[0], y, { width: colWidths[1], align: 'center' });
+    if (maturity) doc.text(maturity.drivers[driver] || '', tableX + colWidths[0] + colWidths[1], y);
     if (note) {
-      doc.fillColor('#0066cc').text(note, tableX + colWidths[0] + colWidths[1], y);
+      doc.fillColor('#0066cc').text(note, noteX, y);
       doc.fillColor('#000000');
     }
 
     y += 20;
   });
+
+  if (Object.values(driverConfidence).some(interval => interval.margin !== null)) {
+    doc.fontSize(8)
+       .fillColor('#555555')
+       .text('± is the 95% margin of error: the range the score would likely fall in with a different group ' +
+         'of similar respondents. Drivers whose ranges overlap are not clearly different.',
+       tableX, y + 5, { width: colWidths.reduce((sum, w) => sum + w, 0) });
+    doc.fillColor('#000000');
+  }
+
+  // Radar chart needs at least three drivers to form a shape
+  if (Object.keys(driverScores).length >= 3) {
+    drawRadarChart(doc, {
+      cx: MARGIN + (maturity ? 400 : 380),
+      cy: sectionTop + RADAR_RADIUS + 20,
+      radius: RADAR_RADIUS,
+      scores: driverScores,
+      scale
+    });
+  }
+}
+
+/**
+ * Generates the Maturity Stages page: every stage from highest to lowest with
+ * its description and the drivers and skills that currently sit in it
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} maturity - calculatedData.maturity
+ * @param {Object} scale - Assessment scale { min, max }
+ */
+function generateMaturityStages(doc, maturity, scale) {
+  addNewPage(doc);
+
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Maturity Stages', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text('Each score places the team at a stage of strategic maturity. The overall score, every driver and every ' +
+       'skill is placed on the same stages, so you can see which areas are ahead of the team as a whole and which hold it back.',
+       MARGIN, y, { width: USABLE_WIDTH });
+
+  y += 45;
+
+  const textX = MARGIN + 16;
+  const textWidth = USABLE_WIDTH - 16;
+  const inStage = (stages, name) => Object.keys(stages).filter(key => stages[key] === name);
+
+  [...maturity.bands].reverse().forEach(band => {
+    const isTeamStage = band.name === maturity.overall.stage;
+    const drivers = inStage(maturity.drivers, band.name);
+    const skills = inStage(maturity.skills, band.name);
+    const lines = [
+      drivers.length > 0 ? `Drivers: ${drivers.join(', ')}` : null,
+      skills.length > 0 ? `Skills: ${skills.join(', ')}` : null
+    ].filter(Boolean);
+
+    doc.fontSize(10).font('Helvetica');
+    const blockHeight = 20 +
+      doc.heightOfString(band.description, { width: textWidth }) +
+      lines.reduce((sum, line) => sum + doc.heightOfString(line, { width: textWidth }) + 4, 0);
+
+    if (y + blockHeight > PAGE_HEIGHT - MARGIN) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    if (isTeamStage) {
+      doc.rect(MARGIN - 6, y - 6, USABLE_WIDTH + 12, blockHeight + 12).fill('#f2f2f2');
+    }
+    doc.rect(MARGIN, y, 8, blockHeight).fill(heatColor((band.min + band.max) / 2, scale));
+
+    doc.fillColor('#000000')
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text(band.name, textX, y, { continued: true })
+       .fontSize(10)
+       .font('Helvetica')
+       .fillColor('#555555')
+       .text(`   ${band.min.toFixed(2)} – ${band.max.toFixed(2)}${isTeamStage ? '   Your team' : ''}`);
+
+    let lineY = y + 20;
+    doc.fillColor('#000000').text(band.description, textX, lineY, { width: textWidth });
+    lineY += doc.heightOfString(band.description, { width: textWidth });
+
+    doc.fillColor('#0066cc');
+    lines.forEach(line => {
+      lineY += 4;
+      doc.text(line, textX, lineY, { width: textWidth });
+      lineY += doc.heightOfString(line, { width: textWidth });
+    });
+    doc.fillColor('#000000');
+
+    y += blockHeight + 20;
+  });
 }
 
+// Explains the Agreement column on the alignment pages
+const AGREEMENT_DESCRIPTION = 'Agreement runs from 0 (answers as spread out as random ones) to 1 (everyone gave the same answer).';
+
 /**
  * Generates table pages for question data (alignment, differences, scores)
  * @param {PDFDocument} doc - PDFKit document
@@ -169,8 +438,13 @@ function generateTeamSummary(doc, teamName, executiveSummary, driverScores, stro
  * @param {string} description - Page description
  * @param {Array} questions - Sorted questions array
  * @param {string} format - 'distribution' or 'average'
+ * @param {Object} scale - Assessment scale { min, max } for distribution columns
+ * @param {Object} options - Table options
+ * @param {boolean} options.showAgreement - Add an Agreement column (distribution format only)
+ * @param {Object} options.benchmark - benchmark.questions, to add a "vs. Benchmark"
+ *   percentile column (distribution format only)
  */
-function generateQuestionTable(doc, title, description, questions, format = 'distribution') {
+function generateQuestionTable(doc, title, description, questions, format = 'distribution', scale = { min: 1, max: 5 }, { showAgreement = false, benchmark = null } = {}) {
   addNewPage(doc);
 
   // Header
@@ -189,20 +463,32 @@ function generateQuestionTable(doc, title, description, questions, format = 'dis
   y += 40;
 
   if (format === 'distribution') {
-    // Distribution table: Driver | Skill & Competency | 1 | 2 | 3 | 4 | 5
-    const colWidths = [70, 250, 30, 30, 30, 30, 30];
+    // Distribution table: Driver | Skill & Competency | stacked bar of responses per scale point [| Agreement] [| vs. Benchmark]
+    let colWidths = showAgreement ? [70, 210, 170, 60] : [70, 250, 190];
+    let maxTextLength = showAgreement ? 50 : 60;
+    if (benchmark) {
+      colWidths = showAgreement ? [70, 165, 150, 55, 70] : [70, 210, 160, 70];
+      maxTextLength = showAgreement ? 40 : 50;
+    }
+    const benchmarkX = MARGIN + colWidths.slice(0, -1).reduce((sum, w) => sum + w, 0);
     const tableX = MARGIN;
+    const barPadding = 4;
+
+    // Colour key for the bars
+    y += drawDistributionLegend(doc, tableX, y, scale);
 
     // Table headers
     doc.fontSize(9)
        .font('Helvetica-Bold');
     doc.text('Driver', tableX, y);
     doc.text('Skill & Competency', tableX + colWidths[0], y);
-    doc.text('1', tableX + colWidths[0] + colWidths[1], y, { width: colWidths[2], align: 'center' });
-    doc.text('2', tableX + colWidths[0] + colWidths[1] + colWidths[2], y, { width: colWidths[3], align: 'center' });
-    doc.text('3', tableX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3], y, { width: colWidths[4], align: 'center' });
-    doc.text('4', tableX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + colWidths[4], y, { width: colWidths[5], align: 'center' });
-    doc.text('5', tableX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + colWidths[4] + colWidths[5], y, { width: colWidths[6], align: 'center' });
+    doc.text('Responses', tableX + colWidths[0] + colWidths[1], y, { width: colWidths[2], align: 'center' });
+    if (showAgreement) {
+      doc.text('Agreement', tableX + colWidths[0] + colWidths[1] + colWidths[2], y, { width: colWidths[3], align: 'center' });
+    }
+    if (benchmark) {
+      doc.text('vs. Benchmark', benchmarkX, y, { width: colWidths[colWidths.length - 1], align: 'center' });
+    }
 
     y += 15;
     drawLine(doc, y);
@@ -223,7 +509,7 @@ function generateQuestionTable(doc, title, description, questions, format = 'dis
 
       // Truncate text if too long
       const competencyText = `${q.skill}: ${q.text}`;
-      const truncated = competencyText.length > 60 ? competencyText.substring(0, 57) + '...' : competencyText;
+      const truncated = truncate(competencyText, maxTextLength);
 
       // Vertical centering offset for 20px row height with 8px font
       const verticalOffset = 6;
@@ -233,11 +519,26 @@ function generateQuestionTable(doc, title, description, questions, format = 'dis
       doc.text(driverText, tableX, y + verticalOffset, { width: colWidths[0] });
       doc.text(truncated, tableX + colWidths[0] + skillPadding, y + verticalOffset, { width: colWidths[1] - skillPadding });
 
-      // Distribution counts
-      q.distribution.forEach((count, idx) => {
-        const xPos = tableX + colWidths[0] + colWidths[1] + colWidths.slice(2, 2 + idx).reduce((sum, w) => sum + w, 0);
-        doc.text(String(count), xPos, y + verticalOffset, { width: colWidths[2 + idx], align: 'center' });
-      });
+      // Distribution bar
+      drawStackedBar(
+        doc,
+        tableX + colWidths[0] + colWidths[1] + barPadding,
+        y + 2,
+        colWidths[2] - barPadding * 2,
+        12,
+        q.distribution
+      );
+      doc.font('Helvetica').fontSize(8);
+
+      if (showAgreement) {
+        const agreement = q.agreement === null || q.agreement === undefined ? '–' : q.agreement.toFixed(2);
+        doc.text(agreement, tableX + colWidths[0] + colWidths[1] + colWidths[2], y + verticalOffset, { width: colWidths[3], align: 'center' });
+      }
+
+      if (benchmark) {
+        const entry = benchmark[q.index];
+        doc.text(entry ? `${formatPercentile(entry.percentile)} pct` : '–', benchmarkX, y + verticalOffset, { width: colWidths[colWidths.length - 1], align: 'center' });
+      }
 
       // Draw grid lines for this row
       drawTableGrid(doc, tableX, y, colWidths, 20);
@@ -288,123 +589,1408 @@ function generateQuestionTable(doc, title, description, questions, format = 'dis
 }
 
 /**
- * Generates Page 11: Discussion Questions
+ * Draws one row of the benchmark tables: label, team score, benchmark
+ * average, percentile and a bar showing the percentile
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Row Y position
+ * @param {number[]} colWidths - Column widths (label, team, benchmark, percentile, bar)
+ * @param {string} label - Row label
+ * @param {Object} entry - { score, percentile, mean }
+ */
+function drawBenchmarkRow(doc, y, colWidths, label, entry) {
+  const colX = (col) => MARGIN + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+  const verticalOffset = 6;
+  const barWidth = colWidths[4] - 16;
+
+  doc.fillColor('#000000');
+  doc.text(truncate(label, 34), MARGIN + 3, y + verticalOffset, { width: colWidths[0] - 3 });
+  doc.text(entry.score.toFixed(2), colX(1), y + verticalOffset, { width: colWidths[1], align: 'center' });
+  doc.text(entry.mean.toFixed(2), colX(2), y + verticalOffset, { width: colWidths[2], align: 'center' });
+  doc.text(formatPercentile(entry.percentile), colX(3), y + verticalOffset, { width: colWidths[3], align: 'center' });
+
+  // Percentile bar, with a tick at the benchmark median
+  doc.rect(colX(4) + 8, y + 5, barWidth, 8).fill('#eeeeee');
+  if (entry.percentile > 0) {
+    doc.rect(colX(4) + 8, y + 5, barWidth * entry.percentile / 100, 8).fill(heatColor(entry.percentile, { min: 0, max: 100 }));
+  }
+  doc.strokeColor('#555555').lineWidth(0.75)
+     .moveTo(colX(4) + 8 + barWidth / 2, y + 3)
+     .lineTo(colX(4) + 8 + barWidth / 2, y + 15)
+     .stroke();
+
+  doc.fillColor('#000000');
+  drawTableGrid(doc, MARGIN, y, colWidths, 20);
+}
+
+/**
+ * Generates the "Compared with Benchmark" page: the overall score, every
+ * driver and every skill as a percentile of the benchmark norm set
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} benchmark - calculatedData.benchmark
+ * @param {Object} assessment - calculatedData.assessment (for driver and skill order)
  */
-function generateDiscussionQuestions(doc, aiQuestions) {
+function generateBenchmarkPage(doc, benchmark, assessment) {
+  const { normSet, overall, drivers, skills } = benchmark;
+
   addNewPage(doc);
 
-  // Header
   doc.fontSize(18)
      .font('Helvetica-Bold')
      .fillColor('#000000')
-     .text('Group Discussion Questions', MARGIN, MARGIN);
+     .text('Compared with Benchmark', MARGIN, MARGIN);
 
   let y = MARGIN + 30;
 
-  // Description
+  const description = `Benchmark: "${normSet.name}", ${normSet.teamCount} teams` +
+    `${normSet.description ? ` (${normSet.description})` : ''}` +
+    `${benchmark.ownRunExcluded ? ', not counting this team\'s own earlier run' : ''}. The percentile is the share of benchmark teams ` +
+    'this team scored higher than: the 70th percentile means higher than 70% of them, and percentiles between ' +
+    'about 40 and 60 are typical. The tick on each bar marks the 50th percentile.';
+
   doc.fontSize(10)
      .font('Helvetica')
-     .text('Discuss these with your team to decide what to do next.', MARGIN, y, { width: USABLE_WIDTH });
+     .text(description, MARGIN, y, { width: USABLE_WIDTH });
 
-  y += 40;
+  y += doc.heightOfString(description, { width: USABLE_WIDTH }) + 20;
 
-  // Fixed questions
-  const fixedQuestions = [
-    'Do these results accurately describe our current state?',
-    'What is causing our key areas of difference?',
-    'Which competencies, if focused on, would create the most value for our team/business?',
-    'What can we do in the near term (weeks/months) to level up in those areas?'
-  ];
+  const colWidths = [190, 60, 75, 65, 122];
 
-  doc.fontSize(11).font('Helvetica');
+  // Draws a table of benchmark rows under a header; rows continue on new pages as needed
+  const drawTable = (heading, rows) => {
+    if (y > PAGE_HEIGHT - 150) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
 
-  fixedQuestions.forEach((q, index) => {
-    doc.text(`${index + 1}. ${q}`, MARGIN, y, { width: USABLE_WIDTH });
-    y += doc.heightOfString(`${index + 1}. ${q}`, { width: USABLE_WIDTH }) + 15;
-  });
+    const colX = (col) => MARGIN + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('#000000');
+    doc.text(heading, MARGIN, y, { width: colWidths[0] });
+    doc.text('Team', colX(1), y, { width: colWidths[1], align: 'center' });
+    doc.text('Benchmark Avg', colX(2), y, { width: colWidths[2], align: 'center' });
+    doc.text('Percentile', colX(3), y, { width: colWidths[3], align: 'center' });
 
-  y += 10;
+    y += 15;
+    drawLine(doc, y);
+    y += 5;
 
-  // AI-generated questions
-  aiQuestions.forEach((q, index) => {
-    if (y > PAGE_HEIGHT - 100) {
-      addNewPage(doc);
-      y = MARGIN;
+    doc.font('Helvetica').fontSize(9);
+    rows.forEach(([label, entry]) => {
+      if (y > PAGE_HEIGHT - 100) {
+        addNewPage(doc);
+        y = MARGIN;
+      }
+      drawBenchmarkRow(doc, y, colWidths, label, entry);
+      y += 20;
+    });
+
+    y += 25;
+  };
+
+  const driverRows = assessment.drivers.filter(driver => drivers[driver]).map(driver => [driver, drivers[driver]]);
+  drawTable('Driver', overall ? [['Overall', overall], ...driverRows] : driverRows);
+
+  const skillRows = (assessment.skills || []).filter(skill => skills[skill]).map(skill => [skill, skills[skill]]);
+  if (skillRows.length > 0) {
+    drawTable('Skill', skillRows);
+  }
+
+  if (!benchmark.questionsCompared) {
+    doc.fontSize(9)
+       .font('Helvetica-Oblique')
+       .fillColor('#555555')
+       .text(`The benchmark was built for version ${normSet.assessment.version} of the assessment, so individual ` +
+         'questions are not compared.', MARGIN, y, { width: USABLE_WIDTH });
+    doc.fillColor('#000000');
+  }
+}
+
+// Skill heatmap layout (landscape pages, so every skill fits on one row)
+const HEATMAP_PAGE_WIDTH = PAGE_HEIGHT;
+const HEATMAP_PAGE_HEIGHT = PAGE_WIDTH;
+const HEATMAP_LABEL_WIDTH = 120;
+const HEATMAP_HEADER_HEIGHT = 110;
+const HEATMAP_ROW_HEIGHT = 13;
+
+/**
+ * Generates the Skill Heatmap: one row per respondent and one column per
+ * skill, coloured by score, with the team average and spread below.
+ * Drawn on landscape pages; long teams continue on further pages.
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} skillStats - calculatedData.skillStats
+ * @param {Object[]} respondents - Respondent summaries with `skillScores`
+ *   (empty when individual results are not shown)
+ * @param {Object} scale - Assessment scale { min, max, labels }
+ */
+function generateSkillHeatmap(doc, skillStats, respondents, scale) {
+  const skills = skillStats.map(stats => stats.skill);
+  const tableX = MARGIN;
+  const cellX = tableX + HEATMAP_LABEL_WIDTH;
+  const cellWidth = (HEATMAP_PAGE_WIDTH - MARGIN * 2 - HEATMAP_LABEL_WIDTH) / skills.length;
+  const bottom = HEATMAP_PAGE_HEIGHT - MARGIN;
+
+  // Title, legend and skill headers, repeated on every page
+  const startPage = (continued) => {
+    doc.addPage({ margin: MARGIN, layout: 'landscape' });
+
+    doc.fontSize(18)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(continued ? 'Skill Heatmap (continued)' : 'Skill Heatmap', MARGIN, MARGIN);
+
+    let y = MARGIN + 28;
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text('Average score for each skill. Skills are where improvement initiatives are usually chosen: ' +
+         'look for columns that are low across the team, or split between people.', MARGIN, y, { width: HEATMAP_PAGE_WIDTH - MARGIN * 2 });
+
+    y += 30;
+    drawDistributionLegend(doc, cellX, y, scale);
+    y += 20;
+
+    // Driver bands over the skill columns (skills are grouped by their first driver)
+    doc.fontSize(7).font('Helvetica-Bold');
+    let bandStart = 0;
+    skillStats.forEach((stats, i) => {
+      const next = skillStats[i + 1];
+      if (next && next.drivers[0] === stats.drivers[0]) return;
+
+      const bandX = cellX + bandStart * cellWidth;
+      const bandWidth = (i - bandStart + 1) * cellWidth;
+      doc.rect(bandX + 1, y, bandWidth - 2, 12).fill('#eeeeee');
+      doc.fillColor('#000000').text(stats.drivers[0], bandX, y + 3, { width: bandWidth, align: 'center', lineBreak: false });
+      bandStart = i + 1;
+    });
+
+    // Skill names, rotated to read upwards
+    const labelBottom = y + 14 + HEATMAP_HEADER_HEIGHT - 20;
+    doc.fontSize(7).font('Helvetica');
+    skills.forEach((skill, i) => {
+      const labelX = cellX + i * cellWidth + (cellWidth - 7) / 2;
+      doc.save();
+      doc.rotate(-90, { origin: [labelX, labelBottom] });
+      doc.text(skill, labelX, labelBottom, { width: HEATMAP_HEADER_HEIGHT - 24, lineBreak: false, ellipsis: true });
+      doc.restore();
+    });
+
+    return labelBottom + 4;
+  };
+
+  let y = startPage(false);
+
+  const drawRow = (label, values, bold = false) => {
+    if (y + HEATMAP_ROW_HEIGHT > bottom) {
+      y = startPage(true);
     }
-    doc.text(`${index + 5}. ${q}`, MARGIN, y, { width: USABLE_WIDTH });
-    y += doc.heightOfString(`${index + 5}. ${q}`, { width: USABLE_WIDTH }) + 15;
+
+    doc.fontSize(8)
+       .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+       .fillColor('#000000')
+       .text(truncate(label, 26), tableX, y + 3, { width: HEATMAP_LABEL_WIDTH - 5, lineBreak: false });
+
+    drawHeatmapRow(doc, { x: cellX, y, cellWidth, cellHeight: HEATMAP_ROW_HEIGHT, values, scale });
+    y += HEATMAP_ROW_HEIGHT;
+  };
+
+  respondents.forEach((respondent) => {
+    drawRow(respondent.name, skills.map(skill => (skill in respondent.skillScores ? respondent.skillScores[skill] : null)));
+  });
+
+  if (respondents.length > 0) y += 6;
+
+  drawRow('Team average', skillStats.map(stats => stats.average), true);
+
+  // Spread: how much respondents disagree about each skill
+  if (y + HEATMAP_ROW_HEIGHT > bottom) {
+    y = startPage(true);
+  }
+
+  doc.fontSize(8).font('Helvetica').fillColor('#666666')
+     .text('Std dev', tableX, y + 3, { width: HEATMAP_LABEL_WIDTH - 5, lineBreak: false });
+  doc.fontSize(6);
+  skillStats.forEach((stats, i) => {
+    doc.text(stats.stdDev.toFixed(1), cellX + i * cellWidth, y + 3, { width: cellWidth, align: 'center', lineBreak: false });
   });
+  doc.fillColor('#000000');
+}
+
+/**
+ * Formats a signed change for tables ("+0.25", "-0.40", "0.00")
+ * @param {number} delta - Change value
+ * @returns {string} Signed value with 2 decimals
+ */
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(2)}`;
 }
 
 /**
- * Generates Team Member Analysis pages
+ * Picks the text colour for a change value
+ * @param {number} delta - Change value
+ * @param {boolean} higherIsBetter - False for measures like std dev where a rise is bad
+ * @returns {string} Hex colour
  */
-function generateTeamMemberAnalysis(doc, teamMemberAnalysis) {
+function deltaColor(delta, higherIsBetter = true) {
+  if (delta === 0) return '#000000';
+  return (delta > 0) === higherIsBetter ? '#2e7d32' : '#c62828';
+}
+
+/**
+ * Generates the comparison summary page: driver deltas and Claude's interpretation
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} comparison - Output of calculateComparison
+ * @param {string} changeAnalysis - Claude's interpretation of the change
+ * @param {boolean} isRuleBased - True when the interpretation came from rule-based templates
+ */
+function generateComparisonSummary(doc, comparison, changeAnalysis, isRuleBased = false) {
   addNewPage(doc);
 
   // Header
-  doc.fontSize(18)
+  doc.fontSize(20)
      .font('Helvetica-Bold')
      .fillColor('#000000')
-     .text('Team Member Analysis', MARGIN, MARGIN);
+     .text('Progress Since Last Assessment', MARGIN, MARGIN);
 
-  let y = MARGIN + 40;
+  let y = MARGIN + 35;
 
-  teamMemberAnalysis.forEach((member) => {
-    // Check if we need a new page
-    if (y > PAGE_HEIGHT - 150) {
-      addNewPage(doc);
-      y = MARGIN;
-    }
+  const subtitle = `Comparing ${comparison.baseline.label} (${comparison.baseline.respondentCount} respondents) ` +
+    `with ${comparison.current.label} (${comparison.current.respondentCount} respondents)`;
 
-    // Member name
-    doc.fontSize(14)
-       .font('Helvetica-Bold')
-       .text(member.name, MARGIN, y);
+  doc.fontSize(10)
+     .font('Helvetica')
+     .fillColor('#666666')
+     .text(subtitle, MARGIN, y, { width: USABLE_WIDTH });
 
-    y += 25;
+  y += doc.heightOfString(subtitle, { width: USABLE_WIDTH }) + 20;
+
+  // Claude's interpretation
+  if (changeAnalysis) {
+    if (isRuleBased) {
+      y += drawRulesNotice(doc, y);
+    }
 
-    // Insight
     doc.fontSize(11)
        .font('Helvetica')
-       .text(member.insight, MARGIN, y, { width: USABLE_WIDTH });
+       .fillColor('#000000')
+       .text(changeAnalysis, MARGIN, y, { width: USABLE_WIDTH });
 
-    y += doc.heightOfString(member.insight, { width: USABLE_WIDTH }) + 15;
+    y += doc.heightOfString(changeAnalysis, { width: USABLE_WIDTH }) + 30;
+  }
 
-    // Follow-up question
-    doc.fontSize(11)
-       .font('Helvetica-Oblique')
-       .fillColor('#0066cc')
-       .text(`Follow-up question: ${member.followUpQuestion}`, MARGIN, y, { width: USABLE_WIDTH });
+  // Driver change table
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Driver Score Changes', MARGIN, y);
+
+  y += 25;
+
+  const colWidths = [200, 90, 90, 90];
+  const tableX = MARGIN;
+  const colX = (col) => tableX + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Driver', tableX, y);
+  doc.text('Previous', colX(1), y, { width: colWidths[1], align: 'center' });
+  doc.text('Current', colX(2), y, { width: colWidths[2], align: 'center' });
+  doc.text('Change', colX(3), y, { width: colWidths[3], align: 'center' });
+
+  y += 20;
+  drawLine(doc, y);
+  y += 10;
+
+  const rows = [
+    ...comparison.driverDeltas,
+    {
+      driver: 'Overall',
+      baseline: comparison.baseline.overallScore,
+      current: comparison.current.overallScore,
+      delta: comparison.overallDelta
+    }
+  ];
 
+  rows.forEach((row) => {
+    doc.font(row.driver === 'Overall' ? 'Helvetica-Bold' : 'Helvetica').fillColor('#000000');
+    doc.text(row.driver, tableX, y);
+    doc.text(row.baseline.toFixed(2), colX(1), y, { width: colWidths[1], align: 'center' });
+    doc.text(row.current.toFixed(2), colX(2), y, { width: colWidths[2], align: 'center' });
+    doc.fillColor(deltaColor(row.delta))
+       .text(formatDelta(row.delta), colX(3), y, { width: colWidths[3], align: 'center' });
     doc.fillColor('#000000');
 
-    y += doc.heightOfString(`Follow-up question: ${member.followUpQuestion}`, { width: USABLE_WIDTH }) + 30;
+    y += 20;
   });
 }
 
 /**
- * Generates final page for special analysis (if provided)
+ * Generates a table page of per-question changes between two runs
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {string} title - Page title
+ * @param {string} description - Page description
+ * @param {Object[]} questionDeltas - Entries from comparison.questionDeltas
  */
-function generateSpecialAnalysis(doc, specialAnalysis) {
-  if (!specialAnalysis) return;
-
+function generateChangeTable(doc, title, description, questionDeltas) {
   addNewPage(doc);
 
   // Header
   doc.fontSize(18)
      .font('Helvetica-Bold')
      .fillColor('#000000')
-     .text('Additional Analysis', MARGIN, MARGIN);
+     .text(title, MARGIN, MARGIN);
 
-  let y = MARGIN + 40;
+  let y = MARGIN + 30;
 
-  // Analysis content
-  doc.fontSize(11)
-     .font('Helvetica')
+  // Description
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text(description, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += 40;
+
+  if (questionDeltas.length === 0) {
+    doc.fontSize(10)
+       .font('Helvetica-Oblique')
+       .text('No questions changed in this direction.', MARGIN, y);
+    return;
+  }
+
+  // Driver | Skill & Competency | Previous | Current | Change | Std Dev Change
+  const colWidths = [60, 240, 50, 50, 50, 60];
+  const tableX = MARGIN;
+  const colX = (col) => tableX + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Driver', tableX, y);
+  doc.text('Skill & Competency', colX(1), y);
+  doc.text('Previous', colX(2), y, { width: colWidths[2], align: 'center' });
+  doc.text('Current', colX(3), y, { width: colWidths[3], align: 'center' });
+  doc.text('Change', colX(4), y, { width: colWidths[4], align: 'center' });
+  doc.text('Std Dev', colX(5), y, { width: colWidths[5], align: 'center' });
+
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  doc.font('Helvetica').fontSize(8);
+
+  questionDeltas.forEach((q) => {
+    if (y > PAGE_HEIGHT - 100) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    const competencyText = `${q.skill}: ${q.text}`;
+    const truncated = competencyText.length > 58 ? competencyText.substring(0, 55) + '...' : competencyText;
+    const verticalOffset = 6;
+
+    doc.fillColor('#000000');
+    doc.text(q.driver, tableX, y + verticalOffset, { width: colWidths[0] });
+    doc.text(truncated, colX(1) + 3, y + verticalOffset, { width: colWidths[1] - 3 });
+    doc.text(q.baselineAverage.toFixed(2), colX(2), y + verticalOffset, { width: colWidths[2], align: 'center' });
+    doc.text(q.currentAverage.toFixed(2), colX(3), y + verticalOffset, { width: colWidths[3], align: 'center' });
+    doc.fillColor(deltaColor(q.averageDelta))
+       .text(formatDelta(q.averageDelta), colX(4), y + verticalOffset, { width: colWidths[4], align: 'center' });
+    // A rising std dev means the team drifted apart
+    doc.fillColor(deltaColor(q.stdDevDelta, false))
+       .text(formatDelta(q.stdDevDelta), colX(5), y + verticalOffset, { width: colWidths[5], align: 'center' });
+    doc.fillColor('#000000');
+
+    drawTableGrid(doc, tableX, y, colWidths, 20);
+
+    y += 20;
+  });
+}
+
+/**
+ * Generates the comparison pages (summary, most improved, most declined)
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} comparison - Output of calculateComparison
+ * @param {string} changeAnalysis - Claude's interpretation of the change
+ * @param {boolean} isRuleBased - True when the interpretation came from rule-based templates
+ */
+function generateComparisonPages(doc, comparison, changeAnalysis, isRuleBased = false) {
+  generateComparisonSummary(doc, comparison, changeAnalysis, isRuleBased);
+
+  generateChangeTable(
+    doc,
+    'Most Improved',
+    `These questions gained the most since ${comparison.baseline.label}. Std Dev shows how the team's spread of answers changed (negative = more aligned).`,
+    comparison.mostImproved
+  );
+
+  generateChangeTable(
+    doc,
+    'Most Declined',
+    `These questions lost the most since ${comparison.baseline.label}. Std Dev shows how the team's spread of answers changed (negative = more aligned).`,
+    comparison.mostDeclined
+  );
+}
+
+/**
+ * Generates a "Results by <column>" page: scores per group with the gap
+ * between the highest and lowest group, and the questions with the largest gaps
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} columnSegments - One entry of segments.columns
+ * @param {number} minSegmentSize - Smallest group whose scores are shown
+ * @param {string[]} drivers - Drivers in display order
+ * @param {string} segmentAnalysis - Claude's interpretation (first page only)
+ * @param {boolean} isRuleBased - True when the interpretation came from rule-based templates
+ */
+function generateSegmentTable(doc, columnSegments, minSegmentSize, drivers, segmentAnalysis, isRuleBased = false) {
+  const { column, segments, driverGaps, largestQuestionGaps } = columnSegments;
+
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text(`Results by ${column}`, MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  const description = `Driver scores for each ${column} group. Groups with fewer than ${minSegmentSize} respondents ` +
+    'are not scored so that no one can be singled out; when only one group is that small, the next smallest is hidden too.';
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text(description, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(description, { width: USABLE_WIDTH }) + 20;
+
+  // Claude's interpretation
+  if (segmentAnalysis) {
+    if (isRuleBased) {
+      y += drawRulesNotice(doc, y);
+    }
+
+    doc.fontSize(11)
+       .font('Helvetica')
+       .text(segmentAnalysis, MARGIN, y, { width: USABLE_WIDTH });
+
+    y += doc.heightOfString(segmentAnalysis, { width: USABLE_WIDTH }) + 25;
+  }
+
+  // Group | n | Overall | one column per driver
+  const driverWidth = Math.floor((USABLE_WIDTH - 190 - 52) / drivers.length);
+  const colWidths = [150, 40, 52, ...drivers.map(() => driverWidth)];
+  const tableX = MARGIN;
+  const colX = (col) => tableX + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text(column, tableX, y, { width: colWidths[0] });
+  doc.text('n', colX(1), y, { width: colWidths[1], align: 'center' });
+  doc.text('Overall', colX(2), y, { width: colWidths[2], align: 'center' });
+  drivers.forEach((driver, i) => {
+    doc.text(driver, colX(3 + i), y, { width: colWidths[3 + i], align: 'center' });
+  });
+
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  doc.fontSize(9).font('Helvetica');
+
+  segments.forEach((segment) => {
+    if (y > PAGE_HEIGHT - 100) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    const verticalOffset = 6;
+    doc.fillColor('#000000');
+    doc.text(truncate(segment.value, 30), tableX, y + verticalOffset, { width: colWidths[0] });
+    doc.text(String(segment.respondentCount), colX(1), y + verticalOffset, { width: colWidths[1], align: 'center' });
+
+    // Hidden groups span the score columns with one note
+    const scoreWidth = USABLE_WIDTH - colX(2) + MARGIN;
+
+    if (segment.suppressed) {
+      doc.font('Helvetica-Oblique').fillColor('#666666')
+         .text(`Hidden (fewer than ${minSegmentSize} in this or another group)`, colX(2), y + verticalOffset, {
+           width: scoreWidth,
+           align: 'center'
+         });
+      doc.font('Helvetica').fillColor('#000000');
+    } else {
+      doc.text(segment.overallScore.toFixed(2), colX(2), y + verticalOffset, { width: colWidths[2], align: 'center' });
+      drivers.forEach((driver, i) => {
+        const score = segment.driverScores[driver];
+        doc.text(score === undefined ? 'n/a' : score.toFixed(2), colX(3 + i), y + verticalOffset, { width: colWidths[3 + i], align: 'center' });
+      });
+    }
+
+    drawTableGrid(doc, tableX, y, segment.suppressed ? [...colWidths.slice(0, 2), scoreWidth] : colWidths, 20);
+    y += 20;
+  });
+
+  // Gap between the highest and lowest scored group on each driver
+  if (driverGaps.length > 0) {
+    doc.font('Helvetica-Bold');
+    doc.text('Gap (highest - lowest)', tableX, y + 6, { width: colWidths[0] + colWidths[1] + colWidths[2] });
+    driverGaps.forEach(({ driver, gap }) => {
+      const col = 3 + drivers.indexOf(driver);
+      doc.text(gap.toFixed(2), colX(col), y + 6, { width: colWidths[col], align: 'center' });
+    });
+    doc.font('Helvetica');
+    y += 20;
+  }
+
+  y += 25;
+
+  if (largestQuestionGaps.length === 0) {
+    doc.fontSize(10)
+       .font('Helvetica-Oblique')
+       .text('Fewer than two groups are large enough to compare.', MARGIN, y);
+    return;
+  }
+
+  if (y > PAGE_HEIGHT - 250) {
+    addNewPage(doc);
+    y = MARGIN;
+  }
+
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Largest Differences Between Groups', MARGIN, y);
+
+  y += 25;
+
+  // Driver | Skill & Competency | Highest | Lowest | Gap
+  const gapWidths = [60, 212, 100, 100, 40];
+  const gapX = (col) => tableX + gapWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Driver', tableX, y);
+  doc.text('Skill & Competency', gapX(1), y);
+  doc.text('Highest', gapX(2), y, { width: gapWidths[2], align: 'center' });
+  doc.text('Lowest', gapX(3), y, { width: gapWidths[3], align: 'center' });
+  doc.text('Gap', gapX(4), y, { width: gapWidths[4], align: 'center' });
+
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  doc.font('Helvetica').fontSize(8);
+
+  largestQuestionGaps.forEach((q) => {
+    if (y > PAGE_HEIGHT - 100) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    const verticalOffset = 6;
+    doc.fillColor('#000000');
+    doc.text(q.driver, tableX, y + verticalOffset, { width: gapWidths[0] });
+    doc.text(truncate(`${q.skill}: ${q.text}`, 50), gapX(1) + 3, y + verticalOffset, { width: gapWidths[1] - 3 });
+    doc.text(`${truncate(q.highest.value, 16)} ${q.highest.score.toFixed(2)}`, gapX(2), y + verticalOffset, { width: gapWidths[2], align: 'center' });
+    doc.text(`${truncate(q.lowest.value, 16)} ${q.lowest.score.toFixed(2)}`, gapX(3), y + verticalOffset, { width: gapWidths[3], align: 'center' });
+    doc.text(q.gap.toFixed(2), gapX(4), y + verticalOffset, { width: gapWidths[4], align: 'center' });
+
+    drawTableGrid(doc, tableX, y, gapWidths, 20);
+    y += 20;
+  });
+}
+
+/**
+ * Generates the "Leaders vs. Team" page: how the leader group scores the
+ * business compared with everyone else
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} leadersVsTeam - segments.leadersVsTeam
+ * @param {number} minSegmentSize - Smallest group whose scores are shown
+ * @param {Object} scale - Assessment scale { min, max }
+ */
+function generateLeadersVsTeam(doc, leadersVsTeam, minSegmentSize, scale) {
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Leaders vs. Team', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  const subtitle = `Leaders (${leadersVsTeam.column}: ${leadersVsTeam.leaderValues.join(', ')}; ${leadersVsTeam.leaderCount} respondents) ` +
+    `compared with the rest of the team (${leadersVsTeam.teamCount} respondents).`;
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .fillColor('#666666')
+     .text(subtitle, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(subtitle, { width: USABLE_WIDTH }) + 20;
+  doc.fillColor('#000000');
+
+  if (leadersVsTeam.suppressed) {
+    doc.fontSize(11)
+       .font('Helvetica-Oblique')
+       .text(`Not shown: both groups need at least ${minSegmentSize} respondents so that no one can be singled out.`, MARGIN, y, { width: USABLE_WIDTH });
+    return;
+  }
+
+  // Leader scores with the rest of the team as markers
+  y += drawDriverBars(doc, {
+    x: MARGIN,
+    y,
+    width: 300,
+    scores: leadersVsTeam.leaders.driverScores,
+    teamScores: leadersVsTeam.team.driverScores,
+    scale,
+    labels: { scores: 'Leaders', team: 'Rest of team' }
+  }) + 25;
+
+  // Driver table
+  const colWidths = [200, 90, 90, 90];
+  const tableX = MARGIN;
+  const colX = (col) => tableX + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Driver', tableX, y);
+  doc.text('Leaders', colX(1), y, { width: colWidths[1], align: 'center' });
+  doc.text('Team', colX(2), y, { width: colWidths[2], align: 'center' });
+  doc.text('Gap', colX(3), y, { width: colWidths[3], align: 'center' });
+
+  y += 20;
+  drawLine(doc, y);
+  y += 10;
+
+  const rows = [
+    ...leadersVsTeam.driverGaps,
+    {
+      driver: 'Overall',
+      leaders: leadersVsTeam.leaders.overallScore,
+      team: leadersVsTeam.team.overallScore,
+      gap: leadersVsTeam.overallGap
+    }
+  ];
+
+  // Gaps are not good or bad, so they are shown without colour
+  rows.forEach((row) => {
+    doc.font(row.driver === 'Overall' ? 'Helvetica-Bold' : 'Helvetica').fillColor('#000000');
+    doc.text(row.driver, tableX, y);
+    doc.text(row.leaders.toFixed(2), colX(1), y, { width: colWidths[1], align: 'center' });
+    doc.text(row.team.toFixed(2), colX(2), y, { width: colWidths[2], align: 'center' });
+    doc.text(formatDelta(row.gap), colX(3), y, { width: colWidths[3], align: 'center' });
+
+    y += 20;
+  });
+
+  y += 20;
+
+  if (y > PAGE_HEIGHT - 250) {
+    addNewPage(doc);
+    y = MARGIN;
+  }
+
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .text('Largest Differences', MARGIN, y);
+
+  y += 20;
+
+  doc.fontSize(9)
+     .font('Helvetica')
+     .fillColor('#666666')
+     .text('Positive gaps: leaders rate the question higher than the rest of the team.', MARGIN, y);
+
+  y += 20;
+  doc.fillColor('#000000');
+
+  // Driver | Skill & Competency | Leaders | Team | Gap
+  const gapWidths = [60, 272, 60, 60, 60];
+  const gapX = (col) => tableX + gapWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Driver', tableX, y);
+  doc.text('Skill & Competency', gapX(1), y);
+  doc.text('Leaders', gapX(2), y, { width: gapWidths[2], align: 'center' });
+  doc.text('Team', gapX(3), y, { width: gapWidths[3], align: 'center' });
+  doc.text('Gap', gapX(4), y, { width: gapWidths[4], align: 'center' });
+
+  y += 15;
+  drawLine(doc, y);
+  y += 5;
+
+  doc.font('Helvetica').fontSize(8);
+
+  leadersVsTeam.largestGaps.forEach((q) => {
+    if (y > PAGE_HEIGHT - 100) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    const verticalOffset = 6;
+    doc.text(q.driver, tableX, y + verticalOffset, { width: gapWidths[0] });
+    doc.text(truncate(`${q.skill}: ${q.text}`, 66), gapX(1) + 3, y + verticalOffset, { width: gapWidths[1] - 3 });
+    doc.text(q.leaders.toFixed(2), gapX(2), y + verticalOffset, { width: gapWidths[2], align: 'center' });
+    doc.text(q.team.toFixed(2), gapX(3), y + verticalOffset, { width: gapWidths[3], align: 'center' });
+    doc.text(formatDelta(q.gap), gapX(4), y + verticalOffset, { width: gapWidths[4], align: 'center' });
+
+    drawTableGrid(doc, tableX, y, gapWidths, 20);
+    y += 20;
+  });
+}
+
+/**
+ * Generates the segment pages (one per segment column, then Leaders vs. Team)
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} segments - Output of calculateSegments
+ * @param {Object} assessment - calculatedData.assessment (drivers, scale)
+ * @param {string} segmentAnalysis - Claude's interpretation of the differences
+ * @param {boolean} isRuleBased - True when the interpretation came from rule-based templates
+ */
+function generateSegmentPages(doc, segments, assessment, segmentAnalysis, isRuleBased = false) {
+  segments.columns.forEach((columnSegments, index) => {
+    generateSegmentTable(
+      doc,
+      columnSegments,
+      segments.minSegmentSize,
+      assessment.drivers,
+      index === 0 ? segmentAnalysis : null,
+      isRuleBased
+    );
+  });
+
+  if (segments.leadersVsTeam) {
+    generateLeadersVsTeam(doc, segments.leadersVsTeam, segments.minSegmentSize, assessment.scale);
+  }
+}
+
+/**
+ * Generates the "In Their Own Words" page: themes from the open-ended
+ * questions, each with verbatim quotes
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} themes - [{ title, summary, quotes: [{ question, text, name }] }]
+ * @param {boolean} isRuleBased - True when the themes came from rule-based templates
+ */
+function generateOpenEndedThemes(doc, themes, isRuleBased = false) {
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('In Their Own Words', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text('Themes from the team\'s answers to the open-ended questions, with quotes as they were written.', MARGIN, y, { width: USABLE_WIDTH });
+
+  y += 30;
+
+  if (isRuleBased) {
+    y += drawRulesNotice(doc, y);
+  }
+
+  const QUOTE_INDENT = 16;
+  const quoteWidth = USABLE_WIDTH - QUOTE_INDENT;
+
+  themes.forEach((theme) => {
+    // Keep the theme title with its summary and first quote
+    if (y > PAGE_HEIGHT - 180) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    doc.fontSize(13)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(theme.title, MARGIN, y, { width: USABLE_WIDTH });
+    y += doc.heightOfString(theme.title, { width: USABLE_WIDTH }) + 6;
+
+    doc.fontSize(11).font('Helvetica');
+    doc.text(theme.summary, MARGIN, y, { width: USABLE_WIDTH });
+    y += doc.heightOfString(theme.summary, { width: USABLE_WIDTH }) + 10;
+
+    theme.quotes.forEach((quote) => {
+      const quoteText = `\u201C${quote.text}\u201D`;
+      const attribution = `\u2014 ${quote.name || 'Anonymous'}, on "${quote.question}"`;
+
+      doc.fontSize(11).font('Helvetica-Oblique');
+      const quoteHeight = doc.heightOfString(quoteText, { width: quoteWidth });
+      doc.fontSize(9).font('Helvetica');
+      const attributionHeight = doc.heightOfString(attribution, { width: quoteWidth });
+      const blockHeight = quoteHeight + attributionHeight + 4;
+
+      if (y + blockHeight > PAGE_HEIGHT - MARGIN) {
+        addNewPage(doc);
+        y = MARGIN;
+      }
+
+      // Quote bar
+      doc.rect(MARGIN, y, 3, blockHeight).fill('#b3b3b3');
+
+      doc.fontSize(11)
+         .font('Helvetica-Oblique')
+         .fillColor('#333333')
+         .text(quoteText, MARGIN + QUOTE_INDENT, y, { width: quoteWidth });
+
+      doc.fontSize(9)
+         .font('Helvetica')
+         .fillColor('#666666')
+         .text(attribution, MARGIN + QUOTE_INDENT, y + quoteHeight + 4, { width: quoteWidth });
+
+      doc.fillColor('#000000');
+      y += blockHeight + 12;
+    });
+
+    y += 14;
+  });
+}
+
+// Asked in every debrief, ahead of the questions written for the team
+const STANDARD_DISCUSSION_QUESTIONS = [
+  'Do these results accurately describe our current state?',
+  'What is causing our key areas of difference?',
+  'Which competencies, if focused on, would create the most value for our team/business?',
+  'What can we do in the near term (weeks/months) to level up in those areas?'
+];
+
+/**
+ * Generates Page 11: Discussion Questions
+ */
+function generateDiscussionQuestions(doc, aiQuestions, isRuleBased = false) {
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Group Discussion Questions', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  // Description
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text('Discuss these with your team to decide what to do next.', MARGIN, y, { width: USABLE_WIDTH });
+
+  y += 40;
+
+  if (isRuleBased) {
+    y += drawRulesNotice(doc, y);
+  }
+
+  doc.fontSize(11).font('Helvetica');
+
+  STANDARD_DISCUSSION_QUESTIONS.forEach((q, index) => {
+    doc.text(`${index + 1}. ${q}`, MARGIN, y, { width: USABLE_WIDTH });
+    y += doc.heightOfString(`${index + 1}. ${q}`, { width: USABLE_WIDTH }) + 15;
+  });
+
+  y += 10;
+
+  // AI-generated questions
+  aiQuestions.forEach((q, index) => {
+    if (y > PAGE_HEIGHT - 100) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+    const number = STANDARD_DISCUSSION_QUESTIONS.length + index + 1;
+    doc.text(`${number}. ${q}`, MARGIN, y, { width: USABLE_WIDTH });
+    y += doc.heightOfString(`${number}. ${q}`, { width: USABLE_WIDTH }) + 15;
+  });
+}
+
+// Why a focus area is in the action plan
+const FOCUS_REASON_LABELS = {
+  'low-score': 'Low score',
+  disagreement: 'Biggest disagreement'
+};
+
+/**
+ * Draws an initiative's 30/60/90-day milestones as a three-column table
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Top Y position
+ * @param {Object} milestones - { day30, day60, day90 }
+ * @returns {number} Height used
+ */
+function drawMilestoneTable(doc, y, milestones) {
+  const padding = 6;
+  const headerHeight = 18;
+  const colWidth = USABLE_WIDTH / MILESTONE_DAYS.length;
+  const textWidth = colWidth - padding * 2;
+
+  doc.fontSize(9).font('Helvetica');
+  const bodyHeight = Math.max(...MILESTONE_DAYS.map(days =>
+    doc.heightOfString(milestones[`day${days}`], { width: textWidth }))) + padding * 2;
+
+  doc.rect(MARGIN, y, USABLE_WIDTH, headerHeight).fill('#f2f2f2');
+  MILESTONE_DAYS.forEach((days, index) => {
+    const x = MARGIN + index * colWidth;
+    doc.fontSize(9)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(`${days} days`, x + padding, y + 5, { width: textWidth });
+    doc.font('Helvetica')
+       .fillColor('#333333')
+       .text(milestones[`day${days}`], x + padding, y + headerHeight + padding, { width: textWidth });
+  });
+
+  doc.strokeColor('#b3b3b3').lineWidth(0.5)
+     .rect(MARGIN, y, USABLE_WIDTH, headerHeight + bodyHeight)
+     .stroke();
+  for (let index = 1; index < MILESTONE_DAYS.length; index++) {
+    doc.moveTo(MARGIN + index * colWidth, y)
+       .lineTo(MARGIN + index * colWidth, y + headerHeight + bodyHeight)
+       .stroke();
+  }
+
+  doc.fillColor('#000000');
+  return headerHeight + bodyHeight;
+}
+
+/**
+ * Generates the Action Plan pages: each focus area in priority order with its
+ * objective and initiatives (owner and 30/60/90-day milestones)
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} actionPlan - insights.actionPlan
+ * @param {boolean} isRuleBased - True when the plan came from rule-based templates
+ */
+function generateActionPlanPages(doc, actionPlan, isRuleBased = false) {
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Action Plan', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  const description = 'A prioritized plan for the next 90 days, built around the lowest-scoring skills and the ' +
+    'biggest disagreement. Owners are suggested roles: agree who takes each one as a team. The plan can also be ' +
+    'downloaded as CSV for a task tracker.';
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text(description, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(description, { width: USABLE_WIDTH }) + 20;
+
+  if (isRuleBased) {
+    y += drawRulesNotice(doc, y);
+  }
+
+  actionPlan.forEach((area) => {
+    // Keep the focus area heading with its objective and first initiative
+    if (y > PAGE_HEIGHT - 220) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    doc.fontSize(14)
+       .font('Helvetica-Bold')
+       .fillColor('#000000')
+       .text(`${area.priority}. ${area.focusArea}`, MARGIN, y, { width: USABLE_WIDTH });
+    y += 20;
+
+    doc.fontSize(9)
+       .font('Helvetica')
+       .fillColor('#666666')
+       .text(`${area.drivers.join(', ')}  |  ${FOCUS_REASON_LABELS[area.reason] || area.reason}  |  Skill average ${area.average.toFixed(2)}`, MARGIN, y);
+    y += 16;
+
+    doc.fontSize(11)
+       .font('Helvetica-Oblique')
+       .fillColor('#000000')
+       .text(area.objective, MARGIN, y, { width: USABLE_WIDTH });
+    y += doc.heightOfString(area.objective, { width: USABLE_WIDTH }) + 12;
+
+    area.initiatives.forEach((initiative) => {
+      const heading = `${initiative.title} — Owner: ${initiative.owner}`;
+      doc.fontSize(11).font('Helvetica-Bold');
+      const headingHeight = doc.heightOfString(heading, { width: USABLE_WIDTH });
+      doc.fontSize(10).font('Helvetica');
+      const descriptionHeight = doc.heightOfString(initiative.description, { width: USABLE_WIDTH });
+
+      // Keep the initiative with its milestones (which are at most a few lines)
+      if (y + headingHeight + descriptionHeight + 90 > PAGE_HEIGHT - MARGIN) {
+        addNewPage(doc);
+        y = MARGIN;
+      }
+
+      doc.fontSize(11)
+         .font('Helvetica-Bold')
+         .fillColor('#000000')
+         .text(heading, MARGIN, y, { width: USABLE_WIDTH });
+      y += headingHeight + 4;
+
+      doc.fontSize(10)
+         .font('Helvetica')
+         .text(initiative.description, MARGIN, y, { width: USABLE_WIDTH });
+      y += descriptionHeight + 8;
+
+      y += drawMilestoneTable(doc, y, initiative.milestones) + 16;
+    });
+
+    y += 12;
+  });
+}
+
+/**
+ * Generates Team Member Analysis pages, with each person's driver scores
+ * charted against the team average
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object[]} teamMemberAnalysis - Claude insights per member { name, insight, followUpQuestion }
+ * @param {Object[]} respondents - Respondent summaries (driverScores per person)
+ * @param {Object} driverScores - Team driver scores, in display order
+ * @param {Object} scale - Assessment scale { min, max }
+ * @param {boolean} isRuleBased - True when the insights came from rule-based templates
+ */
+function generateTeamMemberAnalysis(doc, teamMemberAnalysis, respondents = [], driverScores = {}, scale = { min: 1, max: 5 }, isRuleBased = false) {
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Team Member Analysis', MARGIN, MARGIN);
+
+  let y = MARGIN + 40;
+
+  if (isRuleBased) {
+    y += drawRulesNotice(doc, y);
+  }
+
+  const respondentsByName = new Map(respondents.map(r => [r.name, r]));
+  const chartRows = Object.keys(driverScores).length;
+
+  teamMemberAnalysis.forEach((member) => {
+    const respondent = respondentsByName.get(member.name);
+    const chartHeight = respondent && chartRows > 0 ? chartRows * 14 + 24 : 0;
+
+    // Check if we need a new page (keep the name and chart with the start of the insight)
+    if (y > PAGE_HEIGHT - 150 - chartHeight) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    // Member name
+    doc.fontSize(14)
+       .font('Helvetica-Bold')
+       .text(member.name, MARGIN, y);
+
+    y += 25;
+
+    // Driver scores vs team
+    if (chartHeight > 0) {
+      y += drawDriverBars(doc, {
+        x: MARGIN,
+        y,
+        width: 300,
+        scores: respondent.driverScores,
+        teamScores: driverScores,
+        scale
+      }) + 10;
+    }
+
+    // Insight
+    doc.fontSize(11)
+       .font('Helvetica')
+       .text(member.insight, MARGIN, y, { width: USABLE_WIDTH });
+
+    y += doc.heightOfString(member.insight, { width: USABLE_WIDTH }) + 15;
+
+    // Follow-up question
+    doc.fontSize(11)
+       .font('Helvetica-Oblique')
+       .fillColor('#0066cc')
+       .text(`Follow-up question: ${member.followUpQuestion}`, MARGIN, y, { width: USABLE_WIDTH });
+
+    doc.fillColor('#000000');
+
+    y += doc.heightOfString(`Follow-up question: ${member.followUpQuestion}`, { width: USABLE_WIDTH }) + 30;
+  });
+}
+
+/**
+ * Generates final page for special analysis (if provided)
+ */
+function generateSpecialAnalysis(doc, specialAnalysis) {
+  if (!specialAnalysis) return;
+
+  addNewPage(doc);
+
+  // Header
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Additional Analysis', MARGIN, MARGIN);
+
+  let y = MARGIN + 40;
+
+  // Analysis content
+  doc.fontSize(11)
+     .font('Helvetica')
      .text(specialAnalysis, MARGIN, y, { width: USABLE_WIDTH });
 }
 
+// Questions listed on the data-quality appendix
+const DATA_QUALITY_QUESTION_COUNT = 15;
+
+/**
+ * Formats a share as a percentage ("97.6%")
+ * @param {number} value - Share from 0 to 1
+ * @returns {string} Percentage with one decimal
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * How each duplicate policy is described in the Data Quality appendix
+ */
+const DUPLICATE_POLICY_DESCRIPTIONS = {
+  latest: 'only their most recent submission is counted',
+  'most-complete': 'only the submission with the most answers is counted',
+  flag: 'every submission is counted, and they are listed below'
+};
+
+/**
+ * Generates the Data Quality appendix: who was included, repeat submissions,
+ * how complete the answers were, and which questions and answers were missing or unreadable
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} dataQuality - calculatedData.dataQuality
+ * @param {Object[]} respondents - Respondent summaries with `completion`
+ *   (empty when individual results are not shown)
+ */
+function generateDataQuality(doc, dataQuality, respondents) {
+  const { answers, excluded, incompleteQuestions, invalidAnswers } = dataQuality;
+  const duplicates = dataQuality.duplicates || []; // Runs saved before 1.9.0 have none
+  const threshold = `${Math.round(dataQuality.minCompletion * 100)}%`;
+
+  addNewPage(doc);
+
+  doc.fontSize(18)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text('Appendix: Data Quality', MARGIN, MARGIN);
+
+  let y = MARGIN + 30;
+
+  const description = 'Every average in this report counts only the questions each person answered. ' +
+    '"N/A" and "Don\'t know" answers, blanks and answers that are not on the scale are all left out, ' +
+    `and respondents who answered fewer than ${threshold} of the questions are not included at all.` +
+    (dataQuality.duplicatePolicy
+      ? ` When someone submitted the form more than once, ${DUPLICATE_POLICY_DESCRIPTIONS[dataQuality.duplicatePolicy]}.`
+      : '');
+
+  doc.fontSize(10)
+     .font('Helvetica')
+     .text(description, MARGIN, y, { width: USABLE_WIDTH });
+
+  y += doc.heightOfString(description, { width: USABLE_WIDTH }) + 20;
+
+  // Section heading, moved to a new page when the section would start too low
+  const drawHeading = (title) => {
+    if (y > PAGE_HEIGHT - 150) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('#000000').text(title, MARGIN, y);
+    y += 22;
+  };
+
+  // Simple gridded table with a header row, continued on new pages as needed
+  const drawTable = (headers, rows, colWidths, aligns = []) => {
+    const colX = (col) => MARGIN + colWidths.slice(0, col).reduce((sum, w) => sum + w, 0);
+
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('#000000');
+    headers.forEach((header, col) => {
+      doc.text(header, colX(col), y, { width: colWidths[col], align: aligns[col] || 'left' });
+    });
+    y += 15;
+    drawLine(doc, y);
+    y += 5;
+
+    doc.font('Helvetica');
+    rows.forEach(row => {
+      if (y > PAGE_HEIGHT - MARGIN - 20) {
+        addNewPage(doc);
+        y = MARGIN;
+      }
+      row.forEach((cell, col) => {
+        doc.text(String(cell), colX(col) + 3, y + 6, { width: colWidths[col] - 6, align: aligns[col] || 'left', lineBreak: false });
+      });
+      drawTableGrid(doc, MARGIN, y, colWidths, 20);
+      y += 20;
+    });
+
+    y += 20;
+  };
+
+  // Summary
+  const leftOut = (reason) => excluded.filter(respondent => respondent.reason === reason).length;
+  drawHeading('Summary');
+  drawTable(['', 'Count'], [
+    ['Rows in the file', dataQuality.rowCount],
+    ['Respondents included', dataQuality.respondentCount],
+    [`Left out: answered fewer than ${threshold} of the questions`, leftOut('incomplete')],
+    ['Left out: answered no questions', leftOut('noAnswers')],
+    ['Left out: repeat submissions', leftOut('duplicate')],
+    ['People who submitted more than once', duplicates.length],
+    ['Average completion of included respondents', formatPercent(dataQuality.averageCompletion)],
+    ['"N/A" or "Don\'t know" answers', answers.notApplicable],
+    ['Blank answers', answers.blank],
+    ['Answers not on the scale', answers.invalid]
+  ], [400, 112], ['left', 'center']);
+
+  // Respondents left out (only when names are shown)
+  if (excluded.length > 0 && excluded.every(respondent => respondent.name)) {
+    drawHeading('Respondents Left Out');
+    drawTable(['Name', 'Row', 'Answered', 'Reason'], excluded.map(respondent => [
+      truncate(respondent.name, 40),
+      respondent.row,
+      formatPercent(respondent.completion),
+      {
+        noAnswers: 'No answers',
+        incomplete: `Below ${threshold}`,
+        duplicate: `Repeat (kept row ${respondent.keptRow})`
+      }[respondent.reason]
+    ]), [220, 60, 80, 152], ['left', 'center', 'center', 'left']);
+  }
+
+  // Repeat submissions (only when names are shown)
+  if (duplicates.length > 0 && duplicates.every(duplicate => duplicate.name)) {
+    drawHeading('Repeat Submissions');
+    drawTable(['Name', 'Rows', 'Rows Counted'], duplicates.map(duplicate => [
+      truncate(duplicate.name, 40),
+      duplicate.rows.join(', '),
+      duplicate.kept.length > 0 ? duplicate.kept.join(', ') : 'None (incomplete)'
+    ]), [220, 146, 146], ['left', 'center', 'center']);
+  }
+
+  // Included respondents who skipped questions
+  const partial = respondents
+    .filter(respondent => respondent.completion !== undefined && respondent.completion < 1)
+    .sort((a, b) => a.completion - b.completion);
+  if (partial.length > 0) {
+    drawHeading('Incomplete Responses');
+    drawTable(['Name', 'Answered', 'N/A', 'Blank', 'Not on scale'], partial.map(respondent => [
+      truncate(respondent.name, 40),
+      formatPercent(respondent.completion),
+      respondent.responseCounts.notApplicable,
+      respondent.responseCounts.blank,
+      respondent.responseCounts.invalid
+    ]), [232, 70, 70, 70, 70], ['left', 'center', 'center', 'center', 'center']);
+  }
+
+  if (incompleteQuestions.length > 0) {
+    drawHeading('Questions With Missing Answers');
+    drawTable(['Driver', 'Question', 'Answered', 'N/A', 'Blank', 'Not on scale'],
+      incompleteQuestions.slice(0, DATA_QUALITY_QUESTION_COUNT).map(q => [
+        q.driver,
+        truncate(`${q.skill}: ${q.text}`, 48),
+        `${q.responseCount} of ${dataQuality.respondentCount}`,
+        q.notApplicable,
+        q.blank,
+        q.invalid
+      ]), [60, 232, 60, 40, 50, 70], ['left', 'left', 'center', 'center', 'center', 'center']);
+  }
+
+  if (invalidAnswers.length > 0) {
+    drawHeading('Answers Not on the Scale');
+    drawTable(['Row', 'Column', 'Answer', 'Question'], invalidAnswers.map(answer => [
+      answer.row,
+      answer.column,
+      truncate(answer.value, 30),
+      `Q${answer.questionIndex + 1}`
+    ]), [60, 60, 272, 120], ['center', 'center', 'left', 'center']);
+  }
+}
+
+/**
+ * Starts a section of a free-flowing report (participant reports, the facilitator
+ * guide), on a new page when too little room is left
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Current Y position
+ * @param {string} title - Section title
+ * @param {string} description - Optional description below the title
+ * @param {number} room - Space the section's first block needs below the heading
+ * @returns {number} Y position below the heading
+ */
+function startSection(doc, y, title, description = '', room = 180) {
+  if (y > PAGE_HEIGHT - room) {
+    addNewPage(doc);
+    y = MARGIN;
+  }
+
+  doc.fontSize(14)
+     .font('Helvetica-Bold')
+     .fillColor('#000000')
+     .text(title, MARGIN, y);
+  y += 22;
+
+  if (description) {
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(description, MARGIN, y, { width: USABLE_WIDTH });
+    y += doc.heightOfString(description, { width: USABLE_WIDTH }) + 12;
+  }
+
+  return y;
+}
+
+/**
+ * Draws a bulleted or numbered list, moving items that do not fit to a new page
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} y - Top Y position
+ * @param {string[]} items - Item text
+ * @param {Object} options - List options
+ * @param {boolean} options.numbered - Number the items instead of bulleting them
+ * @param {number} options.start - First number
+ * @returns {number} Y position below the list
+ */
+function drawList(doc, y, items, { numbered = false, start = 1 } = {}) {
+  const indent = 18;
+
+  doc.fontSize(10).font('Helvetica').fillColor('#000000');
+  items.forEach((item, index) => {
+    const height = doc.heightOfString(item, { width: USABLE_WIDTH - indent });
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      addNewPage(doc);
+      y = MARGIN;
+    }
+
+    doc.text(numbered ? `${start + index}.` : '•', MARGIN, y, { width: indent });
+    doc.text(item, MARGIN + indent, y, { width: USABLE_WIDTH - indent });
+    y += height + 6;
+  });
+
+  return y;
+}
+
+/**
+ * Builds the download filename for a report
+ * @param {string} assessmentName - Assessment display name
+ * @param {string} teamName - Team name
+ * @returns {string} Filename such as "Strategic_Maturity_Assessment_Exec_Team.pdf"
+ */
+function buildReportFilename(assessmentName, teamName) {
+  const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9-_ ]/g, '').replace(/\s+/g, '_');
+  return `${sanitize(assessmentName)}_${sanitize(teamName)}.pdf`;
+}
+
+/**
+ * Makes a filename unique within a ZIP by numbering repeats
+ * @param {string} filename - Proposed filename
+ * @param {Set<string>} used - Filenames already in the ZIP (updated)
+ * @returns {string} Unique filename
+ */
+function uniqueFilename(filename, used) {
+  const extension = path.extname(filename);
+  const base = filename.slice(0, -extension.length);
+  let candidate = filename;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${base}_${n}${extension}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
 /**
  * Main function to generate complete PDF report
  * @param {string} teamName - Team name
@@ -421,45 +2007,92 @@ async function generatePDF(teamName, calculatedData, claudeInsights, outputPath)
 
       doc.pipe(stream);
 
+      const { assessment } = calculatedData;
+
+      // Insights from rule-based templates are labelled as non-AI wherever they appear
+      const isRuleBased = claudeInsights.source === 'rules';
+      const isChangeRuleBased = (claudeInsights.changeAnalysisSource || claudeInsights.source) === 'rules';
+      const isPlanRuleBased = (claudeInsights.actionPlanSource || claudeInsights.source) === 'rules';
+
       // Page 1: Cover
       const logoPath = path.join(__dirname, '../assets/ramsey-logo.png');
-      generateCoverPage(doc, teamName, logoPath);
+      const coverNotices = [];
+      if (isRuleBased) coverNotices.push('Insights in this report were generated without AI');
+      else if (isChangeRuleBased) coverNotices.push('The change analysis in this report was generated without AI');
+      else if (isPlanRuleBased && claudeInsights.actionPlan) coverNotices.push('The action plan in this report was generated without AI');
+      const anonymityNotice = describeAnonymityNotice(calculatedData.anonymity);
+      if (anonymityNotice) coverNotices.push(anonymityNotice);
+      generateCoverPage(doc, teamName, assessment.name, logoPath, coverNotices);
 
       // Page 2: Team Summary
-      generateTeamSummary(
-        doc,
-        teamName,
-        claudeInsights.executiveSummary,
-        calculatedData.driverScores,
-        calculatedData.strongestDriver,
-        calculatedData.weakestDriver
-      );
+      generateTeamSummary(doc, teamName, claudeInsights.executiveSummary, calculatedData, isRuleBased);
+
+      // Maturity Stages (runs saved before maturity stages existed have none)
+      if (calculatedData.maturity) {
+        generateMaturityStages(doc, calculatedData.maturity, assessment.scale);
+      }
 
-      // Pages 3-?: Response Distribution (ALL 82 questions in Excel order)
+      // Benchmark (only when a norm set was chosen)
+      if (calculatedData.benchmark) {
+        generateBenchmarkPage(doc, calculatedData.benchmark, assessment);
+      }
+
+      // Skill Heatmap (runs saved before skill scores existed have none)
+      if (calculatedData.skillStats && calculatedData.skillStats.length > 0) {
+        const heatmapRespondents = showsIndividuals(calculatedData)
+          ? calculatedData.respondents.filter(r => r.skillScores)
+          : [];
+        generateSkillHeatmap(doc, calculatedData.skillStats, heatmapRespondents, assessment.scale);
+      }
+
+      // Comparison pages (only when a previous run was supplied)
+      if (calculatedData.comparison) {
+        generateComparisonPages(doc, calculatedData.comparison, claudeInsights.changeAnalysis, isChangeRuleBased);
+      }
+
+      // Segment pages (only when segment columns were chosen)
+      if (calculatedData.segments) {
+        generateSegmentPages(doc, calculatedData.segments, assessment, claudeInsights.segmentAnalysis, isRuleBased);
+      }
+
+      // Question tables get a "vs. Benchmark" column when the benchmark covers this assessment version
+      const questionBenchmark = calculatedData.benchmark && Object.keys(calculatedData.benchmark.questions).length > 0
+        ? calculatedData.benchmark.questions
+        : null;
+
+      // Pages 3-?: Response Distribution (ALL questions in assessment order)
       generateQuestionTable(
         doc,
         'Response Distribution',
         'This chart shows the distribution of team responses for all skills and competencies, organized by driver in question order.',
         calculatedData.allQuestionsInOrder,
-        'distribution'
+        'distribution',
+        assessment.scale,
+        { benchmark: questionBenchmark }
       );
 
-      // Next page: Areas of Alignment (TOP 8 with lowest std dev)
+      // Next page: Areas of Alignment (TOP 8 with highest agreement)
       generateQuestionTable(
         doc,
         'Areas of Alignment',
-        'This chart shows where your team was the most aligned on your relative level of maturity.',
+        'This chart shows where your team was the most aligned on your relative level of maturity. ' +
+          AGREEMENT_DESCRIPTION,
         calculatedData.sortedByAlignment,
-        'distribution'
+        'distribution',
+        assessment.scale,
+        { showAgreement: true, benchmark: questionBenchmark }
       );
 
-      // Next page: Areas of Key Difference (TOP 8 with highest std dev)
+      // Next page: Areas of Key Difference (TOP 8 with lowest agreement)
       generateQuestionTable(
         doc,
         'Areas of Key Difference',
-        'This chart shows where your team was the least aligned on where your business currently stands.',
+        'This chart shows where your team was the least aligned on where your business currently stands. ' +
+          AGREEMENT_DESCRIPTION,
         calculatedData.sortedByDifference,
-        'distribution'
+        'distribution',
+        assessment.scale,
+        { showAgreement: true, benchmark: questionBenchmark }
       );
 
       // Next page: Highest Scores (TOP 8 with highest averages)
@@ -468,7 +2101,9 @@ async function generatePDF(teamName, calculatedData, claudeInsights, outputPath)
         'Highest Scores',
         'This chart shows your team\'s biggest strengths.',
         calculatedData.sortedByHighestScore,
-        'distribution'
+        'distribution',
+        assessment.scale,
+        { benchmark: questionBenchmark }
       );
 
       // Next page: Lowest Scores (TOP 8 with lowest averages)
@@ -477,20 +2112,46 @@ async function generatePDF(teamName, calculatedData, claudeInsights, outputPath)
         'Lowest Scores',
         'This chart shows your team\'s biggest weaknesses.',
         calculatedData.sortedByLowestScore,
-        'distribution'
+        'distribution',
+        assessment.scale,
+        { benchmark: questionBenchmark }
       );
 
+      // In Their Own Words (only when the form had open-ended answers)
+      if (claudeInsights.openEndedThemes && claudeInsights.openEndedThemes.length > 0) {
+        generateOpenEndedThemes(doc, claudeInsights.openEndedThemes, isRuleBased);
+      }
+
       // Page 11: Discussion Questions
-      generateDiscussionQuestions(doc, claudeInsights.discussionQuestions);
+      generateDiscussionQuestions(doc, claudeInsights.discussionQuestions, isRuleBased);
 
-      // Page 12+: Team Member Analysis
-      generateTeamMemberAnalysis(doc, claudeInsights.teamMemberAnalysis);
+      // Action Plan (runs saved before action plans existed have none)
+      if (claudeInsights.actionPlan && claudeInsights.actionPlan.length > 0) {
+        generateActionPlanPages(doc, claudeInsights.actionPlan, isPlanRuleBased);
+      }
 
-      // Final page (if applicable): Special Analysis
+      // Page 12+: Team Member Analysis (left out of anonymous reports without per-person results)
+      if (claudeInsights.teamMemberAnalysis && showsIndividuals(calculatedData)) {
+        generateTeamMemberAnalysis(
+          doc,
+          claudeInsights.teamMemberAnalysis,
+          calculatedData.respondents,
+          calculatedData.driverScores,
+          assessment.scale,
+          isRuleBased
+        );
+      }
+
+      // Next page (if applicable): Special Analysis
       if (claudeInsights.specialAnalysis) {
         generateSpecialAnalysis(doc, claudeInsights.specialAnalysis);
       }
 
+      // Appendix: Data Quality (runs saved before data-quality details existed have none)
+      if (calculatedData.dataQuality) {
+        generateDataQuality(doc, calculatedData.dataQuality, showsIndividuals(calculatedData) ? calculatedData.respondents : []);
+      }
+
       // Finalize PDF
       doc.end();
 
@@ -501,16 +2162,34 @@ async function generatePDF(teamName, calculatedData, claudeInsights, outputPath)
 
       stream.on('error', (error) => {
         console.error('PDF generation error:', error);
-        reject(new Error('Failed to generate report. Please try again.'));
+        reject(Object.assign(new Error('Failed to generate report. Please try again.'), { statusCode: 500 }));
       });
 
     } catch (error) {
       console.error('PDF generation error:', error);
-      reject(new Error('Failed to generate report. Please try again.'));
+      reject(Object.assign(new Error('Failed to generate report. Please try again.'), { statusCode: 500 }));
     }
   });
 }
 
 module.exports = {
-  generatePDF
+  STANDARD_DISCUSSION_QUESTIONS,
+  generatePDF,
+  buildReportFilename,
+  uniqueFilename,
+  // Layout and drawing helpers used by the other documents
+  MARGIN,
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  USABLE_WIDTH,
+  addNewPage,
+  drawLine,
+  drawTableGrid,
+  drawNotice,
+  drawRulesNotice,
+  truncate,
+  formatDelta,
+  generateCoverPage,
+  startSection,
+  drawList
 };
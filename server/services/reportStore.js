@@ -0,0 +1,394 @@
+/**
+ * Report Store Service
+ *
+ * Persists every analysis run to a local SQLite database (node:sqlite) so
+ * reports can be listed, inspected and re-downloaded without re-running
+ * the pipeline or paying for another Claude call.
+ *
+ * Each run stores: team name, requesting user, timestamp, assessment,
+ * calculated data (which includes all parsed responses), Claude insights
+ * and the generated PDF.
+ *
+ * Benchmark norm sets (see benchmarks.js) live in the same database. They
+ * hold team-level scores only, never respondent names or answers.
+ *
+ * PRIVACY NOTE: The uploaded workbook itself is never stored.
+ */
+
+const { DatabaseSync } = require('node:sqlite');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../data/reports.db');
+
+// Columns needed to build a report summary (everything except the heavy payloads)
+const SUMMARY_COLUMNS = 'id, team_name, requested_by, created_at, assessment_id, assessment_version, assessment_name, respondent_count';
+
+// Columns needed to build a norm set summary (everything except the norms themselves)
+const NORM_SET_SUMMARY_COLUMNS = 'id, name, description, assessment_id, assessment_version, assessment_name, source, team_count, created_by, created_at';
+
+let db = null;
+
+/**
+ * Opens (and on first use creates) the reports database
+ * @returns {DatabaseSync} Open database handle
+ */
+function getDatabase() {
+  if (db) return db;
+
+  const dbPath = process.env.REPORTS_DB_PATH || DEFAULT_DB_PATH;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  db = new DatabaseSync(dbPath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id TEXT PRIMARY KEY,
+      team_name TEXT NOT NULL,
+      requested_by TEXT,
+      created_at TEXT NOT NULL,
+      assessment_id TEXT,
+      assessment_version TEXT,
+      assessment_name TEXT,
+      respondent_count INTEGER NOT NULL,
+      special_instructions TEXT,
+      calculated_data TEXT NOT NULL,
+      insights TEXT NOT NULL,
+      pdf BLOB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_reports_team ON reports (team_name);
+    CREATE INDEX IF NOT EXISTS idx_reports_created ON reports (created_at);
+    CREATE TABLE IF NOT EXISTS norm_sets (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      description TEXT,
+      assessment_id TEXT NOT NULL,
+      assessment_version TEXT,
+      assessment_name TEXT,
+      source TEXT NOT NULL,
+      team_count INTEGER NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      norms TEXT NOT NULL
+    );
+  `);
+
+  return db;
+}
+
+/**
+ * Converts a database row to the summary shape returned by the API
+ * @param {Object} row - Row from the reports table
+ * @returns {Object} Report summary
+ */
+function toSummary(row) {
+  return {
+    id: row.id,
+    teamName: row.team_name,
+    requestedBy: row.requested_by,
+    createdAt: row.created_at,
+    assessment: {
+      id: row.assessment_id,
+      version: row.assessment_version,
+      name: row.assessment_name
+    },
+    respondentCount: row.respondent_count
+  };
+}
+
+/**
+ * Saves a completed analysis run
+ * @param {Object} run - Run details
+ * @param {string} run.teamName - Team name
+ * @param {string} run.requestedBy - Email of the requesting user
+ * @param {string} run.specialInstructions - Special instructions sent to Claude
+ * @param {Object} run.calculatedData - Output of calculateAll
+ * @param {Object} run.claudeInsights - Output of generateInsights
+ * @param {string} run.pdfPath - Path of the generated PDF
+ * @returns {Object} Summary of the saved report (includes its id)
+ */
+function saveReport({ teamName, requestedBy, specialInstructions = '', calculatedData, claudeInsights, pdfPath }) {
+  const database = getDatabase();
+  const id = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const assessment = calculatedData.assessment || {};
+
+  database.prepare(`
+    INSERT INTO reports (
+      id, team_name, requested_by, created_at, assessment_id, assessment_version,
+      assessment_name, respondent_count, special_instructions, calculated_data, insights, pdf
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    teamName,
+    requestedBy || null,
+    createdAt,
+    assessment.id || null,
+    assessment.version || null,
+    assessment.name || null,
+    calculatedData.respondents.length,
+    specialInstructions,
+    JSON.stringify(calculatedData),
+    JSON.stringify(claudeInsights),
+    fs.readFileSync(pdfPath)
+  );
+
+  return getReportSummary(id);
+}
+
+/**
+ * Lists saved reports, newest first
+ * @param {Object} options - Filters and paging
+ * @param {string} options.teamName - Only reports for this team (case-insensitive)
+ * @param {string} options.requestedBy - Only reports requested by this email
+ * @param {number} options.limit - Page size (default 50, max 200)
+ * @param {number} options.offset - Rows to skip
+ * @returns {Object} { reports: [summary], total }
+ */
+function listReports({ teamName, requestedBy, limit = 50, offset = 0 } = {}) {
+  const database = getDatabase();
+  const conditions = [];
+  const params = [];
+
+  if (teamName) {
+    conditions.push('team_name = ? COLLATE NOCASE');
+    params.push(teamName);
+  }
+  if (requestedBy) {
+    conditions.push('requested_by = ?');
+    params.push(requestedBy.toLowerCase());
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const skip = Math.max(Number(offset) || 0, 0);
+
+  const rows = database.prepare(`
+    SELECT ${SUMMARY_COLUMNS}
+    FROM reports ${where}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, pageSize, skip);
+
+  const { total } = database.prepare(`SELECT COUNT(*) AS total FROM reports ${where}`).get(...params);
+
+  return {
+    reports: rows.map(toSummary),
+    total
+  };
+}
+
+/**
+ * Fetches a report's summary
+ * @param {string} id - Report id
+ * @returns {Object|null} Summary, or null if not found
+ */
+function getReportSummary(id) {
+  const row = getDatabase().prepare(`
+    SELECT ${SUMMARY_COLUMNS}
+    FROM reports WHERE id = ?
+  `).get(id);
+
+  return row ? toSummary(row) : null;
+}
+
+/**
+ * Fetches a saved report with its data and insights (without the PDF)
+ * @param {string} id - Report id
+ * @returns {Object|null} Full report, or null if not found
+ */
+function getReport(id) {
+  const row = getDatabase().prepare(`
+    SELECT ${SUMMARY_COLUMNS}, special_instructions, calculated_data, insights
+    FROM reports WHERE id = ?
+  `).get(id);
+
+  if (!row) return null;
+
+  return {
+    ...toSummary(row),
+    specialInstructions: row.special_instructions,
+    calculatedData: JSON.parse(row.calculated_data),
+    insights: JSON.parse(row.insights)
+  };
+}
+
+/**
+ * Fetches a saved report's PDF
+ * @param {string} id - Report id
+ * @returns {Buffer|null} PDF bytes, or null if not found
+ */
+function getReportPdf(id) {
+  const row = getDatabase().prepare('SELECT pdf FROM reports WHERE id = ?').get(id);
+  return row ? Buffer.from(row.pdf) : null;
+}
+
+/**
+ * Lists the latest saved run of each team for one assessment, with its calculated
+ * data, newest first. Only those runs are read, however many runs each team has.
+ * @param {Object} options - Filters, applied before picking each team's latest run
+ * @param {string} options.assessmentId - Assessment id
+ * @param {string[]} options.reportIds - Only these reports (optional)
+ * @param {string} options.since - Only runs created on or after this ISO date (optional)
+ * @param {string} options.until - Only runs created before this ISO date (optional)
+ * @returns {Object[]} [{ ...summary, calculatedData }], one per team (team names compared case-insensitively)
+ */
+function listLatestTeamRuns({ assessmentId, reportIds, since, until }) {
+  const conditions = ['assessment_id = ?'];
+  const params = [assessmentId];
+
+  if (reportIds && reportIds.length > 0) {
+    conditions.push(`id IN (${reportIds.map(() => '?').join(', ')})`);
+    params.push(...reportIds);
+  }
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('created_at < ?');
+    params.push(until);
+  }
+
+  // Rank each team's runs by date first, so calculated_data is parsed for the latest ones only
+  const rows = getDatabase().prepare(`
+    SELECT ${SUMMARY_COLUMNS}, calculated_data
+    FROM reports
+    WHERE id IN (
+      SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY lower(team_name) ORDER BY created_at DESC, rowid DESC) AS team_run
+        FROM reports WHERE ${conditions.join(' AND ')}
+      ) WHERE team_run = 1
+    )
+    ORDER BY created_at DESC
+  `).all(...params);
+
+  return rows.map(row => ({ ...toSummary(row), calculatedData: JSON.parse(row.calculated_data) }));
+}
+
+/**
+ * Converts a database row to the norm set summary shape returned by the API
+ * @param {Object} row - Row from the norm_sets table
+ * @returns {Object} Norm set summary
+ */
+function toNormSetSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    assessment: {
+      id: row.assessment_id,
+      version: row.assessment_version,
+      name: row.assessment_name
+    },
+    source: row.source,
+    teamCount: row.team_count,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Saves a benchmark norm set
+ * @param {Object} normSet - Norm set (see buildNormSet in benchmarks.js)
+ * @param {string} normSet.name - Unique name (case-insensitive)
+ * @param {string} normSet.description - Optional description
+ * @param {Object} normSet.assessment - { id, version, name }
+ * @param {string} normSet.source - "reports" or "import"
+ * @param {number} normSet.teamCount - Teams the norms were built from
+ * @param {Object} normSet.norms - { overall, drivers, skills, questions }
+ * @param {string} createdBy - Email of the creating user
+ * @returns {Object} Summary of the saved norm set (includes its id)
+ */
+function saveNormSet({ name, description = '', assessment, source, teamCount, norms }, createdBy) {
+  const id = crypto.randomUUID();
+
+  getDatabase().prepare(`
+    INSERT INTO norm_sets (
+      id, name, description, assessment_id, assessment_version, assessment_name,
+      source, team_count, created_by, created_at, norms
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    name,
+    description,
+    assessment.id,
+    assessment.version || null,
+    assessment.name || null,
+    source,
+    teamCount,
+    createdBy || null,
+    new Date().toISOString(),
+    JSON.stringify(norms)
+  );
+
+  return getNormSetSummary(id);
+}
+
+/**
+ * Lists saved norm sets, by name
+ * @param {Object} options - Filters
+ * @param {string} options.assessmentId - Only norm sets for this assessment (optional)
+ * @returns {Object[]} Norm set summaries
+ */
+function listNormSets({ assessmentId } = {}) {
+  const where = assessmentId ? 'WHERE assessment_id = ?' : '';
+  const rows = getDatabase().prepare(`
+    SELECT ${NORM_SET_SUMMARY_COLUMNS}
+    FROM norm_sets ${where}
+    ORDER BY name COLLATE NOCASE
+  `).all(...(assessmentId ? [assessmentId] : []));
+
+  return rows.map(toNormSetSummary);
+}
+
+/**
+ * Fetches a norm set's summary by id or name
+ * @param {string} idOrName - Norm set id, or its name (case-insensitive)
+ * @returns {Object|null} Summary, or null if not found
+ */
+function getNormSetSummary(idOrName) {
+  const row = getDatabase().prepare(`
+    SELECT ${NORM_SET_SUMMARY_COLUMNS}
+    FROM norm_sets WHERE id = ? OR name = ? COLLATE NOCASE
+  `).get(idOrName, idOrName);
+
+  return row ? toNormSetSummary(row) : null;
+}
+
+/**
+ * Fetches a norm set with its norms by id or name
+ * @param {string} idOrName - Norm set id, or its name (case-insensitive)
+ * @returns {Object|null} { ...summary, norms }, or null if not found
+ */
+function getNormSet(idOrName) {
+  const row = getDatabase().prepare(`
+    SELECT ${NORM_SET_SUMMARY_COLUMNS}, norms
+    FROM norm_sets WHERE id = ? OR name = ? COLLATE NOCASE
+  `).get(idOrName, idOrName);
+
+  return row ? { ...toNormSetSummary(row), norms: JSON.parse(row.norms) } : null;
+}
+
+/**
+ * Deletes a norm set
+ * @param {string} id - Norm set id
+ * @returns {boolean} True if a norm set was deleted
+ */
+function deleteNormSet(id) {
+  return getDatabase().prepare('DELETE FROM norm_sets WHERE id = ?').run(id).changes > 0;
+}
+
+module.exports = {
+  saveReport,
+  listReports,
+  getReport,
+  getReportSummary,
+  getReportPdf,
+  listLatestTeamRuns,
+  saveNormSet,
+  listNormSets,
+  getNormSet,
+  getNormSetSummary,
+  deleteNormSet
+};
@@ -0,0 +1,86 @@
+/**
+ * Result Formatter Service
+ *
+ * Builds the structured JSON output of the analysis pipeline so dashboards
+ * and other tooling can consume results without scraping the PDF.
+ *
+ * The document is versioned (RESULT_SCHEMA_VERSION). Bump the minor version
+ * when fields are added and the major version when fields are renamed,
+ * removed or change meaning. The schema is documented in the README under
+ * "JSON Output".
+ */
+
+const RESULT_SCHEMA = 'tma-analysis-result';
+const RESULT_SCHEMA_VERSION = '1.12.0';
+
+// "csv" is the report's action plan, for importing into a task tracker
+const OUTPUT_FORMATS = ['pdf', 'json', 'csv'];
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  json: 'application/json',
+  csv: 'text/csv'
+};
+
+/**
+ * Picks the output format for a request
+ *
+ * An explicit `format` value always wins. Otherwise the Accept header selects
+ * JSON only when it names application/json and not application/pdf, so
+ * browsers and generic clients (Accept: *\/*) keep getting the PDF.
+ *
+ * @param {Object} options - Request hints
+ * @param {string} options.format - Explicit "pdf", "json" or "csv" (body or query field)
+ * @param {string} options.accept - Accept header value
+ * @param {string} fallback - Format used when nothing is specified
+ * @returns {string} "pdf", "json" or "csv"
+ * @throws {Error} If `format` is not a supported value
+ */
+function resolveOutputFormat({ format, accept } = {}, fallback = 'pdf') {
+  if (format) {
+    const normalized = String(format).trim().toLowerCase();
+    if (!OUTPUT_FORMATS.includes(normalized)) {
+      throw new Error(`Unsupported format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  const acceptHeader = (accept || '').toLowerCase();
+  if (acceptHeader.includes(MIME_TYPES.json) && !acceptHeader.includes(MIME_TYPES.pdf)) {
+    return 'json';
+  }
+
+  return fallback;
+}
+
+/**
+ * Builds the versioned JSON result for a finished run
+ * @param {Object} run - Pipeline result
+ * @param {string} run.teamName - Team name
+ * @param {string} run.reportId - Saved report id (null if saving failed)
+ * @param {Object} run.calculatedData - calculateAll output
+ * @param {Object} run.claudeInsights - generateInsights output
+ * @param {string} run.generatedAt - ISO timestamp (defaults to now)
+ * @returns {Object} JSON result document
+ */
+function buildJsonResult({ teamName, reportId = null, calculatedData, claudeInsights, generatedAt }) {
+  return {
+    schema: RESULT_SCHEMA,
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    generatedAt: generatedAt || new Date().toISOString(),
+    reportId,
+    teamName,
+    assessment: calculatedData.assessment,
+    respondentCount: calculatedData.respondents.length,
+    calculatedData,
+    insights: claudeInsights
+  };
+}
+
+module.exports = {
+  RESULT_SCHEMA,
+  RESULT_SCHEMA_VERSION,
+  OUTPUT_FORMATS,
+  resolveOutputFormat,
+  buildJsonResult
+};
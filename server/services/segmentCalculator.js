@@ -0,0 +1,318 @@
+/**
+ * Segment Calculator Service
+ *
+ * Splits a team by demographic columns (role, department, location, tenure)
+ * to show whether groups see the business differently:
+ * - Driver scores, overall score and question averages per segment
+ * - Gap analysis: the drivers and questions where segments differ most
+ * - "Leaders vs. Team": a leader group compared with everyone else
+ *
+ * Segments smaller than the minimum group size (ANONYMITY_MIN_GROUP_SIZE) are
+ * reported by count only, so small groups cannot be singled out.
+ */
+
+const { calculateAverage } = require('./calculator');
+const { normalizeHeader } = require('./excelParser');
+const { getMinGroupSize } = require('./anonymity');
+
+// Most segment columns one report can be split by
+const MAX_SEGMENT_COLUMNS = 3;
+
+// Number of questions listed in each "largest gaps" list
+const TOP_GAPS = 8;
+
+// Segment values treated as leaders when no leader group is given
+const LEADER_VALUE_PATTERN = /\b(leaders?|leadership|managers?|management|directors?|executives?|heads?|supervisors?|vps?|c-suite)\b/i;
+
+/**
+ * Rounds a difference to 2 decimal places
+ * @param {number} value - Raw difference
+ * @returns {number} Rounded difference
+ */
+function roundGap(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Calculates scores for a group of respondents
+ * @param {Object[]} members - Parsed respondents ({ scores }) in the group
+ * @param {Object[]} questions - Questions with stats from calculateAll
+ * @param {string[]} driverOrder - Drivers in display order
+ * @returns {Object} { overallScore, driverScores, questionAverages }; a question
+ *   nobody in the group answered averages null
+ */
+function scoreGroup(members, questions, driverOrder) {
+  const questionAverages = questions.map((question, index) => {
+    const answers = members.map(member => member.scores[index]).filter(score => score !== null);
+    return answers.length === 0 ? null : calculateAverage(answers);
+  });
+
+  // Driver scores average the answered question averages, as for the whole team
+  const driverScores = {};
+  driverOrder.forEach(driver => {
+    const averages = questions
+      .filter(q => q.driver === driver)
+      .map(q => questionAverages[q.index])
+      .filter(average => average !== null);
+    if (averages.length > 0) driverScores[driver] = calculateAverage(averages);
+  });
+
+  return {
+    overallScore: calculateAverage(Object.values(driverScores)),
+    driverScores,
+    questionAverages
+  };
+}
+
+/**
+ * Groups respondents by their value in one segment column
+ * @param {Object[]} respondents - Parsed respondents with `segments`
+ * @param {string} column - Segment column header
+ * @returns {Map<string, Object[]>} Value → respondents, largest group first
+ */
+function groupBy(respondents, column) {
+  const groups = new Map();
+  respondents.forEach(respondent => {
+    const value = respondent.segments[column];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(respondent);
+  });
+
+  return new Map([...groups.entries()].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0])));
+}
+
+/**
+ * Calculates the segments of one column, with small-segment suppression
+ * @param {Object[]} respondents - Parsed respondents with `segments`
+ * @param {string} column - Segment column header
+ * @param {Object[]} questions - Questions with stats from calculateAll
+ * @param {string[]} driverOrder - Drivers in display order
+ * @param {number} minSize - Smallest segment whose scores are reported
+ * @returns {Object} { column, segments, driverGaps, largestQuestionGaps }
+ */
+function calculateColumnSegments(respondents, column, questions, driverOrder, minSize) {
+  const groups = [...groupBy(respondents, column).entries()].map(([value, members]) => ({
+    value,
+    respondentCount: members.length,
+    suppressed: members.length < minSize,
+    members
+  }));
+
+  // A single hidden segment could be worked out from the team total and the
+  // others, so hide the next smallest one too
+  const hidden = groups.filter(group => group.suppressed);
+  const shown = groups.filter(group => !group.suppressed);
+  if (hidden.length === 1 && shown.length > 0) {
+    shown[shown.length - 1].suppressed = true;
+  }
+
+  const segments = groups.map(({ value, respondentCount, suppressed, members }) => ({
+    value,
+    respondentCount,
+    suppressed,
+    ...(suppressed ? {} : scoreGroup(members, questions, driverOrder))
+  }));
+
+  const reported = segments.filter(segment => !segment.suppressed);
+
+  // Gaps need at least two segments to compare
+  let driverGaps = [];
+  let largestQuestionGaps = [];
+
+  if (reported.length >= 2) {
+    const spread = (valueOf) => {
+      const ranked = [...reported].sort((a, b) => valueOf(b) - valueOf(a));
+      const highest = ranked[0];
+      const lowest = ranked[ranked.length - 1];
+      return {
+        highest: { value: highest.value, score: valueOf(highest) },
+        lowest: { value: lowest.value, score: valueOf(lowest) },
+        gap: roundGap(valueOf(highest) - valueOf(lowest))
+      };
+    };
+
+    driverGaps = driverOrder
+      .filter(driver => reported.every(segment => driver in segment.driverScores))
+      .map(driver => ({ driver, ...spread(segment => segment.driverScores[driver]) }));
+
+    largestQuestionGaps = questions
+      .filter(question => reported.every(segment => segment.questionAverages[question.index] !== null))
+      .map(question => ({
+        index: question.index,
+        driver: question.driver,
+        skill: question.skill,
+        text: question.text,
+        ...spread(segment => segment.questionAverages[question.index])
+      }))
+      .sort((a, b) => b.gap - a.gap)
+      .slice(0, TOP_GAPS);
+  }
+
+  return { column, segments, driverGaps, largestQuestionGaps };
+}
+
+/**
+ * Validates the requested segment columns
+ * @param {string|string[]} value - Comma-separated headers, or one header per repeated field
+ * @returns {string[]} Headers, without blanks or duplicates
+ * @throws {Error} If more than MAX_SEGMENT_COLUMNS columns are requested
+ */
+function resolveSegmentColumns(value) {
+  if (!value) return [];
+
+  const requested = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(header => header.trim())
+    .filter(Boolean);
+  const columns = [...new Set(requested)];
+
+  if (columns.length > MAX_SEGMENT_COLUMNS) {
+    throw new Error(`Too many segment columns (${columns.length}). Choose at most ${MAX_SEGMENT_COLUMNS}.`);
+  }
+  return columns;
+}
+
+/**
+ * Parses a leader group specification ("Role=Manager|Director")
+ * @param {string} spec - Column and values
+ * @returns {Object} { column, values }
+ * @throws {Error} If the specification is malformed
+ */
+function parseLeaderGroup(spec) {
+  const [column, values] = String(spec).split('=');
+  const valueList = (values || '').split('|').map(v => v.trim()).filter(Boolean);
+
+  if (!column || !column.trim() || valueList.length === 0) {
+    throw new Error(`Invalid leader group "${spec}". Use Column=Value, e.g. "Role=Manager|Director"`);
+  }
+
+  return { column: column.trim(), values: valueList };
+}
+
+/**
+ * Adds the leader group's column to the segment columns, so it is read even when not listed
+ * @param {string[]} segmentColumns - Requested segment column headers
+ * @param {Object} leaderGroup - Optional { column, values } from parseLeaderGroup
+ * @returns {string[]} Headers to segment by
+ */
+function withLeaderColumn(segmentColumns, leaderGroup) {
+  if (!leaderGroup || segmentColumns.some(column => normalizeHeader(column) === normalizeHeader(leaderGroup.column))) {
+    return segmentColumns;
+  }
+  return [...segmentColumns, leaderGroup.column];
+}
+
+/**
+ * Finds the leader group: the one requested, or else the segment values that
+ * look like leadership roles in the first column that has any
+ * @param {Object[]} respondents - Parsed respondents with `segments`
+ * @param {string[]} columns - Segment column headers
+ * @param {Object} leaderGroup - Optional { column, values } from parseLeaderGroup
+ * @returns {Object|null} { column, values } (values as written in the data), or null
+ */
+function findLeaderGroup(respondents, columns, leaderGroup) {
+  if (leaderGroup) {
+    const column = columns.find(c => normalizeHeader(c) === normalizeHeader(leaderGroup.column));
+    if (!column) {
+      throw new Error(`Leader group column "${leaderGroup.column}" is not one of the segment columns: ${columns.join(', ')}`);
+    }
+    const wanted = leaderGroup.values.map(v => v.toLowerCase());
+    const values = [...new Set(respondents.map(r => r.segments[column]))].filter(v => wanted.includes(v.toLowerCase()));
+    return values.length > 0 ? { column, values } : null;
+  }
+
+  for (const column of columns) {
+    const values = [...new Set(respondents.map(r => r.segments[column]))].filter(v => LEADER_VALUE_PATTERN.test(v));
+    if (values.length > 0) return { column, values };
+  }
+  return null;
+}
+
+/**
+ * Compares the leader group with the rest of the team
+ * @param {Object[]} respondents - Parsed respondents with `segments`
+ * @param {Object} leaders - { column, values } from findLeaderGroup
+ * @param {Object[]} questions - Questions with stats from calculateAll
+ * @param {string[]} driverOrder - Drivers in display order
+ * @param {number} minSize - Smallest group whose scores are reported
+ * @returns {Object} Leaders vs. team comparison (scores omitted when suppressed)
+ */
+function calculateLeadersVsTeam(respondents, leaders, questions, driverOrder, minSize) {
+  const isLeader = (respondent) => leaders.values.includes(respondent.segments[leaders.column]);
+  const leaderMembers = respondents.filter(isLeader);
+  const teamMembers = respondents.filter(respondent => !isLeader(respondent));
+
+  const result = {
+    column: leaders.column,
+    leaderValues: leaders.values,
+    leaderCount: leaderMembers.length,
+    teamCount: teamMembers.length,
+    suppressed: leaderMembers.length < minSize || teamMembers.length < minSize
+  };
+
+  if (result.suppressed) return result;
+
+  const leaderScores = scoreGroup(leaderMembers, questions, driverOrder);
+  const teamScores = scoreGroup(teamMembers, questions, driverOrder);
+
+  return {
+    ...result,
+    leaders: { overallScore: leaderScores.overallScore, driverScores: leaderScores.driverScores },
+    team: { overallScore: teamScores.overallScore, driverScores: teamScores.driverScores },
+    overallGap: roundGap(leaderScores.overallScore - teamScores.overallScore),
+    driverGaps: Object.keys(leaderScores.driverScores).filter(driver => driver in teamScores.driverScores).map(driver => ({
+      driver,
+      leaders: leaderScores.driverScores[driver],
+      team: teamScores.driverScores[driver],
+      gap: roundGap(leaderScores.driverScores[driver] - teamScores.driverScores[driver])
+    })),
+    // Largest differences either way (positive gap: leaders rate it higher)
+    largestGaps: questions
+      .filter(question => leaderScores.questionAverages[question.index] !== null &&
+        teamScores.questionAverages[question.index] !== null)
+      .map(question => ({
+        index: question.index,
+        driver: question.driver,
+        skill: question.skill,
+        text: question.text,
+        leaders: leaderScores.questionAverages[question.index],
+        team: teamScores.questionAverages[question.index],
+        gap: roundGap(leaderScores.questionAverages[question.index] - teamScores.questionAverages[question.index])
+      }))
+      .sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap))
+      .slice(0, TOP_GAPS)
+  };
+}
+
+/**
+ * Calculates segment results for every segment column
+ * @param {Object} parsedData - Output of parseExcelFile (respondents carry `segments`)
+ * @param {Object} calculatedData - Output of calculateAll for the same data
+ * @param {Object} options - Segment options
+ * @param {Object} options.leaderGroup - Optional { column, values } from parseLeaderGroup
+ * @returns {Object|null} { minSegmentSize, columns, leadersVsTeam } or null when no columns were chosen
+ */
+function calculateSegments(parsedData, calculatedData, { leaderGroup = null } = {}) {
+  const columns = parsedData.segmentColumns || [];
+  if (columns.length === 0) return null;
+
+  const { respondents } = parsedData;
+  const { questions, assessment } = calculatedData;
+  const minSize = getMinGroupSize();
+
+  const leaders = findLeaderGroup(respondents, columns, leaderGroup);
+
+  return {
+    minSegmentSize: minSize,
+    columns: columns.map(column => calculateColumnSegments(respondents, column, questions, assessment.drivers, minSize)),
+    leadersVsTeam: leaders ? calculateLeadersVsTeam(respondents, leaders, questions, assessment.drivers, minSize) : null
+  };
+}
+
+module.exports = {
+  MAX_SEGMENT_COLUMNS,
+  resolveSegmentColumns,
+  parseLeaderGroup,
+  withLeaderColumn,
+  calculateSegments
+};
@@ -0,0 +1,140 @@
+/**
+ * Upload Validator Service
+ *
+ * Runs the parser on its own, so a workbook's problems show up in seconds
+ * instead of after a full pipeline run (and a wasted Claude call):
+ * - Which columns matched which questions, and which questions matched nothing
+ * - Who will be included, who will be left out, and which repeat submissions are kept
+ * - Answers that are not on the assessment's scale
+ *
+ * The preview is for the person uploading the file, so names are shown as written.
+ */
+
+const { parseExcelFile } = require('./excelParser');
+const { withLeaderColumn } = require('./segmentCalculator');
+const { MIN_SAMPLE_SIZE } = require('./calculator');
+
+// Unrecognised answers listed in a preview (the report itself keeps fewer)
+const PREVIEW_INVALID_ANSWERS = 200;
+
+/**
+ * Lists what the user should know about a workbook that parsed successfully
+ * @param {Object} parsedData - Output of parseExcelFile
+ * @param {number} invalidAnswerCount - Answers not on the scale
+ * @returns {string[]} Warning messages
+ */
+function buildWarnings(parsedData, invalidAnswerCount) {
+  const { columnReport, dataQuality, respondents } = parsedData;
+  const warnings = [];
+
+  if (columnReport.nameColumn === null) {
+    warnings.push('No "Name" column found - respondents will be numbered instead.');
+  }
+  dataQuality.duplicates.forEach(({ name, rows, kept }) => {
+    let outcome = 'none answered enough to be included';
+    if (dataQuality.duplicatePolicy === 'flag') outcome = 'all kept';
+    else if (kept.length > 0) outcome = `keeping row ${kept[0]}`;
+    warnings.push(`"${name}" appears on rows ${rows.join(', ')} - ${outcome}.`);
+  });
+  const repeats = dataQuality.excluded.filter(respondent => respondent.reason === 'duplicate').length;
+  const incomplete = dataQuality.excluded.length - repeats;
+  if (incomplete > 0) {
+    warnings.push(`${incomplete} respondent(s) will be left out for missing answers.`);
+  }
+  if (repeats > 0) {
+    warnings.push(`${repeats} repeat submission(s) will be left out.`);
+  }
+  if (invalidAnswerCount > 0) {
+    warnings.push(`${invalidAnswerCount} answer(s) are not on the scale and will be left out.`);
+  }
+  if (respondents.length < MIN_SAMPLE_SIZE) {
+    warnings.push(`Only ${respondents.length} respondent(s) - results will carry a small-sample warning.`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Previews how a workbook will be read, without calculating or calling Claude
+ * @param {string} filePath - Path to the uploaded Excel file
+ * @param {Object} assessment - Assessment definition
+ * @param {Object} options - The same parse options POST /api/analyze uses
+ * @param {string[]} options.segmentColumns - Segment column headers
+ * @param {Object} options.leaderGroup - Optional { column, values } from parseLeaderGroup
+ * @param {number} options.minCompletion - Completion threshold (0-1)
+ * @param {string} options.duplicatePolicy - One of DUPLICATE_POLICIES (see excelParser.js)
+ * @returns {Object} {
+ *   valid, errors, warnings, assessment: { id, version, name },
+ *   rowCount, respondentCount, respondents: [{ name, completion }],
+ *   excluded, duplicatePolicy, duplicates: [{ name, rows, kept }],
+ *   columns, unmatchedQuestions, segmentCandidates, openEndedQuestions,
+ *   invalidAnswerCount, invalidAnswers: [{ row, column, questionIndex, value }]
+ * }
+ */
+function validateUpload(filePath, assessment, {
+  segmentColumns = [],
+  leaderGroup = null,
+  minCompletion = 0,
+  duplicatePolicy = 'flag'
+} = {}) {
+  const preview = {
+    valid: false,
+    errors: [],
+    warnings: [],
+    assessment: { id: assessment.id, version: assessment.version, name: assessment.name },
+    rowCount: 0,
+    respondentCount: 0,
+    respondents: [],
+    excluded: [],
+    duplicatePolicy,
+    duplicates: [],
+    columns: [],
+    unmatchedQuestions: [],
+    segmentCandidates: [],
+    openEndedQuestions: [],
+    invalidAnswerCount: 0,
+    invalidAnswers: []
+  };
+
+  let parsedData;
+  try {
+    parsedData = parseExcelFile(filePath, assessment, {
+      segmentColumns: withLeaderColumn(segmentColumns, leaderGroup),
+      minCompletion,
+      duplicatePolicy,
+      maxInvalidAnswers: PREVIEW_INVALID_ANSWERS
+    });
+  } catch (error) {
+    // Header problems still come with the column report, which is what the user needs to fix them
+    preview.errors.push(error.message);
+    if (error.columnReport) {
+      preview.columns = error.columnReport.columns;
+      preview.unmatchedQuestions = error.columnReport.unmatchedQuestions;
+    }
+    return preview;
+  }
+
+  const { dataQuality, respondents, questions, columnReport } = parsedData;
+  const invalidAnswerCount = questions.reduce((sum, question) => sum + question.nonResponses.invalid, 0);
+
+  return {
+    ...preview,
+    valid: true,
+    warnings: buildWarnings(parsedData, invalidAnswerCount),
+    rowCount: dataQuality.rowCount,
+    respondentCount: respondents.length,
+    respondents: respondents.map(({ name, completion }) => ({ name, completion })),
+    excluded: dataQuality.excluded,
+    duplicates: dataQuality.duplicates,
+    columns: columnReport.columns,
+    unmatchedQuestions: columnReport.unmatchedQuestions,
+    segmentCandidates: parsedData.segmentCandidates,
+    openEndedQuestions: Object.keys(parsedData.openEndedResponses),
+    invalidAnswerCount,
+    invalidAnswers: dataQuality.invalidAnswers
+  };
+}
+
+module.exports = {
+  validateUpload
+};
@@ -4,6 +4,7 @@
 # Usage: ./test-api.sh
 
 API_URL="http://localhost:3001/api/analyze"
+JOBS_URL="http://localhost:3001/api/jobs"
 EXCEL_FILE="sample-test.xlsx"
 TEAM_NAME="Test Team"
 OUTPUT_FILE="test-output/test-api-output.pdf"
@@ -26,16 +27,51 @@ if [ ! -f "$EXCEL_FILE" ]; then
 fi
 
 echo "📤 Sending request to API..."
-echo "⏱️  This may take 30-60 seconds (waiting for Claude API)..."
 echo ""
 
-# Make the API request
-curl -X POST "$API_URL" \
+# Queue the report job
+RESPONSE=$(curl -s -X POST "$API_URL" \
   -F "file=@$EXCEL_FILE" \
-  -F "teamName=$TEAM_NAME" \
+  -F "teamName=$TEAM_NAME")
+
+JOB_ID=$(echo "$RESPONSE" | sed -n 's/.*"jobId":"\([^"]*\)".*/\1/p')
+
+if [ -z "$JOB_ID" ]; then
+  echo "❌ Error: Job was not queued"
+  echo "Response: $RESPONSE"
+  exit 1
+fi
+
+echo "📋 Job queued: $JOB_ID"
+echo "⏱️  This may take 30-60 seconds (waiting for Claude API)..."
+echo ""
+
+# Poll until the job finishes
+while true; do
+  STATUS_JSON=$(curl -s "$JOBS_URL/$JOB_ID")
+  STATUS=$(echo "$STATUS_JSON" | sed -n 's/.*"status":"\([^"]*\)".*/\1/p')
+  STEP=$(echo "$STATUS_JSON" | sed -n 's/.*"step":"\([^"]*\)".*/\1/p')
+
+  echo "   status: $STATUS ${STEP:+(step: $STEP)}"
+
+  if [ "$STATUS" = "completed" ]; then
+    break
+  fi
+  if [ "$STATUS" != "queued" ] && [ "$STATUS" != "running" ]; then
+    echo "❌ Error: Job did not complete"
+    echo "Response: $STATUS_JSON"
+    exit 1
+  fi
+
+  sleep 2
+done
+
+echo ""
+
+# Download the PDF
+curl -s "$JOBS_URL/$JOB_ID/download" \
   -o "$OUTPUT_FILE" \
-  -w "\nHTTP Status: %{http_code}\n" \
-  --progress-bar
+  -w "HTTP Status: %{http_code}\n"
 
 echo ""
 
@@ -3,7 +3,10 @@
  *
  * Tests the complete pipeline: Excel → Parsing → Calculation → Claude → PDF
  *
- * Usage: node test-full-pipeline.js <excel-file> <team-name> [special-instructions]
+ * Usage: node test-full-pipeline.js <excel-file> <team-name> [special-instructions] [--mock]
+ *
+ * --mock starts the local mock LLM server (mock-llm-server.js) and points the
+ * pipeline at it, so the test runs offline without an API key.
  */
 
 require('dotenv').config({ path: '../.env' });
@@ -12,22 +15,26 @@ const { parseExcelFile } = require('./services/excelParser');
 const { calculateAll } = require('./services/calculator');
 const { generateInsights } = require('./services/claudeService');
 const { generatePDF } = require('./services/pdfGenerator');
+const { startMockLlmServer } = require('./mock-llm-server');
 
 // Get command line arguments
-const excelFile = process.argv[2];
-const teamName = process.argv[3];
-const specialInstructions = process.argv[4] || '';
+const useMock = process.argv.includes('--mock');
+const args = process.argv.slice(2).filter(arg => arg !== '--mock');
+const excelFile = args[0];
+const teamName = args[1];
+const specialInstructions = args[2] || '';
 
 if (!excelFile || !teamName) {
-  console.error('Usage: node test-full-pipeline.js <excel-file> <team-name> [special-instructions]');
+  console.error('Usage: node test-full-pipeline.js <excel-file> <team-name> [special-instructions] [--mock]');
   console.error('Example: node test-full-pipeline.js ./test-data/sample.xlsx "Executive Team"');
+  console.error('         node test-full-pipeline.js ./test-data/sample.xlsx "Executive Team" --mock');
   process.exit(1);
 }
 
-// Check API key
-if (!process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_API_KEY === 'your-api-key-here') {
+// Check API key (the mock server accepts any key)
+if (!useMock && (!process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_API_KEY === 'your-api-key-here')) {
   console.error('❌ Error: ANTHROPIC_API_KEY not set in .env file');
-  console.error('Please add your Anthropic API key to the .env file');
+  console.error('Please add your Anthropic API key to the .env file, or run with --mock');
   process.exit(1);
 }
 
@@ -35,7 +42,16 @@ console.log('🚀 Testing Full Pipeline: Excel → Parse → Calculate → Claud
 console.log('='.repeat(70));
 
 async function runFullPipeline() {
+  let mockServer = null;
+
   try {
+    if (useMock) {
+      mockServer = await startMockLlmServer();
+      process.env.LLM_BASE_URL = mockServer.url;
+      process.env.ANTHROPIC_API_KEY = 'mock-key';
+      console.log(`\n🧪 Using mock LLM server at ${mockServer.url}`);
+    }
+
     // Step 1: Parse Excel
     console.log('\n📊 Step 1: Parsing Excel file...');
     console.log(`File: ${excelFile}`);
@@ -52,7 +68,7 @@ async function runFullPipeline() {
 
     // Step 3: Generate Claude insights
     console.log('\n🤖 Step 3: Calling Claude API for insights...');
-    console.log('   This may take 30-60 seconds...');
+    if (!useMock) console.log('   This may take 30-60 seconds...');
     const claudeInsights = await generateInsights(teamName, calculatedData, specialInstructions);
 
     console.log('✅ Claude insights received:');
@@ -80,6 +96,8 @@ async function runFullPipeline() {
     console.log(`   - PDF pages: ~${12 + Math.ceil(parsedData.respondents.length / 3)}`);
     console.log(`\n✨ Open ${outputPath} to review the report!\n`);
 
+    if (mockServer) await mockServer.close();
+
   } catch (error) {
     console.error('\n❌ Pipeline test failed:');
     console.error(error.message);
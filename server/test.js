@@ -35,7 +35,7 @@ try {
   console.log('\n👥 Respondents:');
   parsedData.respondents.forEach((r, i) => {
     const validScores = r.scores.filter(s => s !== null).length;
-    console.log(`   ${i + 1}. ${r.name} (${validScores}/82 valid responses)`);
+    console.log(`   ${i + 1}. ${r.name} (${validScores}/${parsedData.questions.length} valid responses)`);
   });
 
   // Test 2: Calculate statistics
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildActionPlanCsv } = require('../services/actionPlan');
+
+/**
+ * Builds an action plan with one focus area and one initiative
+ * @param {Object} initiative - Initiative fields to override
+ * @returns {Object[]} insights.actionPlan
+ */
+function planWith(initiative) {
+  return [{
+    priority: 1,
+    focusArea: 'Delegation',
+    drivers: ['People', 'Plan'],
+    initiatives: [{
+      title: 'Weekly delegation review',
+      description: 'Review open tasks',
+      owner: 'Team lead',
+      milestones: { day30: 'Start reviews', day60: 'Half of tasks delegated', day90: 'Reviews run by the team' },
+      ...initiative
+    }]
+  }];
+}
+
+/**
+ * Splits CSV text into lines without the trailing empty line
+ * @param {string} csv - CSV text
+ * @returns {string[]} Lines
+ */
+function lines(csv) {
+  return csv.split('\r\n').slice(0, -1);
+}
+
+describe('buildActionPlanCsv', () => {
+  it('writes one row per milestone with due dates from the report date', () => {
+    const csv = buildActionPlanCsv(planWith(), { teamName: 'Sales', startDate: '2026-01-01' });
+    const rows = lines(csv);
+
+    assert.equal(rows[0], 'Team,Priority,Focus Area,Drivers,Initiative,Description,Owner,Checkpoint,Due Date,Milestone');
+    assert.equal(rows.length, 4);
+    assert.equal(rows[1], 'Sales,1,Delegation,People; Plan,Weekly delegation review,Review open tasks,Team lead,30 days,2026-01-31,Start reviews');
+    assert.ok(rows[3].includes(',90 days,2026-04-01,'));
+    assert.ok(csv.endsWith('\r\n'));
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    const csv = buildActionPlanCsv(planWith({
+      title: 'Plan, then act',
+      description: 'Say "no" more often',
+      owner: 'Lead\nand deputy'
+    }), { teamName: 'Sales', startDate: '2026-01-01' });
+
+    assert.ok(csv.includes(',"Plan, then act","Say ""no"" more often","Lead\nand deputy",'));
+  });
+
+  it('defuses values a spreadsheet would run as formulas', () => {
+    const csv = buildActionPlanCsv(planWith({
+      title: '=HYPERLINK("http://example.com")',
+      description: '+1 more review',
+      owner: '@owner'
+    }), { teamName: '-Sales', startDate: '2026-01-01' });
+    const [, first] = lines(csv);
+
+    assert.ok(first.startsWith('\'-Sales,'));
+    assert.ok(first.includes(',"\'=HYPERLINK(""http://example.com"")",\'+1 more review,\'@owner,'));
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleRespondents, writeWorkbook, tempPath } = require('./helpers');
+
+process.env.REPORTS_DB_PATH = tempPath('reports.db');
+
+const { runAnalysis, describeError } = require('../services/analysisPipeline');
+const { getAssessment } = require('../services/assessmentRegistry');
+const { buildJsonResult } = require('../services/resultFormatter');
+const { buildPrompt } = require('../services/claudeService');
+const { getReport } = require('../services/reportStore');
+const { showsIndividuals } = require('../services/anonymity');
+const { parseExcelFile } = require('../services/excelParser');
+const { assertComparableRuns } = require('../services/comparisonCalculator');
+
+const EMAIL_SHAPED = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+const TITLES = ['CEO', 'CFO', 'CTO', 'COO', 'Head of Sales', 'Head of People'];
+
+/**
+ * Writes a workbook whose extra columns identify people: an email column,
+ * a role column, a question about the respondent's role and free text that
+ * mentions a colleague and an email address
+ * @returns {Object} { filePath, names }
+ */
+function writeIdentifyingWorkbook() {
+  const respondents = sampleRespondents(6);
+  const names = respondents.map(r => r.name);
+
+  const filePath = writeWorkbook(respondents.map((respondent, index) => ({
+    ...respondent,
+    extra: [
+      `${respondent.name.split(' ')[0].toLowerCase()}@corp.example`,
+      TITLES[index],
+      TITLES[index],
+      `Ask ${names[(index + 1) % names.length]} or mail ${names[index].split(' ')[0].toLowerCase()}@corp.example about planning earlier`,
+      index % 2 ? 'No' : 'Nothing else'
+    ]
+  })), { extraHeaders: ['E-mail', 'Role', 'What is your role?', 'What should change?', 'Anything else?'] });
+
+  return { filePath, names };
+}
+
+describe('anonymous runs', () => {
+  const savedEnv = { ...process.env };
+
+  before(() => {
+    process.env.INSIGHTS_MODE = 'offline';
+    process.env.ANONYMITY_SECRET = 'test-secret';
+  });
+
+  after(() => {
+    process.env = savedEnv;
+  });
+
+  ['pseudonyms', 'aggregate'].forEach(anonymity => {
+    it(`show no names or email addresses (${anonymity})`, async (t) => {
+      t.mock.method(console, 'log', () => {});
+      const { filePath, names } = writeIdentifyingWorkbook();
+      const assessment = getAssessment();
+
+      const run = await runAnalysis({
+        filePath,
+        teamName: 'Leadership',
+        assessment,
+        requestedBy: 'tester@example.com',
+        anonymity
+      });
+
+      const outputs = {
+        json: JSON.stringify(buildJsonResult(run)),
+        saved: JSON.stringify(getReport(run.reportId)),
+        prompt: buildPrompt(run.teamName, run.calculatedData.respondents.length, run.calculatedData, '', {
+          includeTeamMembers: showsIndividuals(run.calculatedData)
+        })
+      };
+
+      Object.entries(outputs).forEach(([output, text]) => {
+        names.forEach(name => {
+          assert.ok(!text.includes(name), `${output} includes "${name}"`);
+          assert.ok(!text.includes(name.split(' ')[0].toLowerCase()), `${output} includes an email of "${name}"`);
+        });
+        TITLES.filter(title => title.startsWith('Head')).forEach(title => {
+          assert.ok(!text.includes(title), `${output} includes the role "${title}"`);
+        });
+        assert.doesNotMatch(text.replace(/tester@example\.com/g, ''), EMAIL_SHAPED, `${output} includes an email address`);
+      });
+
+      // Opinions are still there, without the identifying parts
+      const answers = run.calculatedData.openEndedResponses;
+      assert.deepEqual(Object.keys(answers), ['What should change?']);
+      assert.ok(answers['What should change?'].every(answer =>
+        answer.text.startsWith('Ask [name removed] or mail [email removed]')));
+    });
+  });
+});
+
+describe('describeError', () => {
+  /**
+   * Runs a call that should throw and returns what it threw
+   * @param {Function} call - Function expected to throw
+   * @returns {Error} The thrown error
+   */
+  function captureError(call) {
+    try {
+      call();
+    } catch (error) {
+      return error;
+    }
+    assert.fail('Expected the call to throw');
+  }
+
+  it('reports a workbook the parser rejects as an invalid Excel file', () => {
+    const error = captureError(() => parseExcelFile(writeWorkbook([])));
+
+    assert.deepEqual(describeError(error), {
+      statusCode: 400,
+      message: 'Invalid Excel file: Excel file must contain at least a header row and one respondent'
+    });
+  });
+
+  it('passes on the message of an error thrown with a status code', () => {
+    const run = (teamName, createdAt) => ({ teamName, createdAt, calculatedData: { assessment: getAssessment() } });
+    const error = captureError(() => assertComparableRuns(
+      run('Sales', '2026-01-10T09:00:00.000Z'),
+      run('Finance', '2026-04-10T09:00:00.000Z')
+    ));
+
+    assert.deepEqual(describeError(error), { statusCode: 400, message: error.message });
+  });
+
+  it('rewords provider errors by code', () => {
+    assert.equal(describeError(Object.assign(new Error('API rate limit exceeded.'), { code: 'LLM_RATE_LIMIT', statusCode: 429 })).statusCode, 429);
+    assert.deepEqual(
+      describeError(Object.assign(new Error('Invalid Anthropic API key.'), { code: 'LLM_AUTH', statusCode: 500 })),
+      { statusCode: 500, message: 'Server configuration error. Please contact support.' }
+    );
+  });
+
+  it('does not trust the wording of an unexpected error', () => {
+    assert.deepEqual(
+      describeError(new TypeError('Cannot read properties of undefined (reading \'respondent\')')),
+      { statusCode: 500, message: 'An error occurred while processing your request.' }
+    );
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { sampleRespondents, writeWorkbook, tempPath, startApp } = require('./helpers');
+
+process.env.REPORTS_DB_PATH = tempPath('reports.db');
+
+const { parseExcelFile } = require('../services/excelParser');
+const { calculateAll } = require('../services/calculator');
+const { saveReport } = require('../services/reportStore');
+const { getJobStatus, getJobResult } = require('../services/jobQueue');
+const analyzeRoute = require('../routes/analyze');
+
+const OWNER = 'tester@example.com';
+
+/**
+ * Builds a multipart form with a workbook and the given fields; array values
+ * are sent as a repeated field
+ * @param {Object} fields - Field name to value or array of values
+ * @returns {FormData} Form ready to post
+ */
+function buildForm(fields) {
+  const form = new FormData();
+  const workbook = fs.readFileSync(writeWorkbook(sampleRespondents(6)));
+  form.append('file', new Blob([workbook]), 'responses.xlsx');
+  Object.entries(fields).forEach(([name, value]) => {
+    [].concat(value).forEach(entry => form.append(name, entry));
+  });
+  return form;
+}
+
+/**
+ * Waits for a queued job to finish
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} Final job status
+ */
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 300; attempt++) {
+    const status = getJobStatus(jobId, OWNER);
+    if (status.status === 'completed' || status.status === 'failed') return status;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('form fields sent more than once', () => {
+  const savedEnv = { ...process.env };
+  let app;
+
+  before(async () => {
+    process.env.INSIGHTS_MODE = 'offline';
+    app = await startApp(analyzeRoute);
+  });
+
+  after(async () => {
+    await app.close();
+    process.env = savedEnv;
+  });
+
+  /**
+   * Posts a form to the analysis API
+   * @param {string} path - Route path under /api
+   * @param {Object} fields - Form fields (see buildForm)
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function post(path, fields) {
+    const response = await fetch(`${app.url}${path}`, { method: 'POST', body: buildForm(fields) });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('switch a flag on when every copy says so', async () => {
+    const { status, body } = await post('/analyze', {
+      teamName: 'Ops',
+      anonymity: ['pseudonyms', 'pseudonyms'],
+      participantReports: ['true', 'true']
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /cannot be combined with an anonymous report/);
+  });
+
+  it('use the first value of an option', async () => {
+    const { status, body } = await post('/validate', { minCompletion: ['50', '50'] });
+
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+    assert.equal(body.respondentCount, 6);
+  });
+
+  it('use the first team name and baseline report id', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const pdfPath = tempPath('baseline.pdf');
+    fs.writeFileSync(pdfPath, '%PDF-1.4');
+    const baseline = saveReport({
+      teamName: 'Ops',
+      requestedBy: OWNER,
+      calculatedData: calculateAll(parseExcelFile(writeWorkbook(sampleRespondents(5)))),
+      claudeInsights: {},
+      pdfPath
+    });
+
+    const { status, body } = await post('/analyze', {
+      teamName: ['Ops', 'Ops'],
+      baselineReportId: [baseline.id, baseline.id],
+      format: ['json', 'json']
+    });
+    assert.equal(status, 202);
+    assert.equal(body.format, 'json');
+
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.status, 'completed', job.error && job.error.message);
+
+    const result = getJobResult(body.jobId, OWNER);
+    assert.equal(result.teamName, 'Ops');
+    assert.ok(result.calculatedData.comparison, 'the run was not compared against the baseline report');
+  });
+});
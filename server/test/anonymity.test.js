@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyPseudonyms, describeAnonymity, getMinGroupSize } = require('../services/anonymity');
+
+/**
+ * Builds the parts of parseExcelFile output that carry names
+ * @param {string[]} names - Respondent names
+ * @returns {Object} Parsed data
+ */
+function parsedWith(names) {
+  return {
+    respondents: names.map(name => ({ name, scores: [] })),
+    openEndedResponses: { 'What should change?': names.map(name => ({ name, text: `Answer from ${name}` })) },
+    dataQuality: { excluded: [], duplicates: [] }
+  };
+}
+
+describe('anonymity', () => {
+  const savedEnv = { ...process.env };
+
+  before(() => {
+    process.env.ANONYMITY_SECRET = 'test-secret';
+    delete process.env.ANONYMITY_MIN_GROUP_SIZE;
+  });
+
+  after(() => {
+    process.env = savedEnv;
+  });
+
+  describe('applyPseudonyms', () => {
+    it('gives the same person the same pseudonym across runs for a team', () => {
+      const first = applyPseudonyms(parsedWith(['Avery Stone', 'Blake Rivera']), 'Sales');
+      const second = applyPseudonyms(parsedWith(['Blake Rivera', ' avery  STONE ']), 'sales');
+
+      assert.equal(second.respondents[1].name, first.respondents[0].name);
+      assert.equal(second.respondents[0].name, first.respondents[1].name);
+      assert.match(first.respondents[0].name, /^Participant [A-HJ-NP-Z2-9]{4}$/);
+    });
+
+    it('gives the same person a different pseudonym in another team', () => {
+      const sales = applyPseudonyms(parsedWith(['Avery Stone']), 'Sales');
+      const finance = applyPseudonyms(parsedWith(['Avery Stone']), 'Finance');
+
+      assert.notEqual(sales.respondents[0].name, finance.respondents[0].name);
+    });
+
+    it('changes with the secret', () => {
+      const before = applyPseudonyms(parsedWith(['Avery Stone']), 'Sales');
+      process.env.ANONYMITY_SECRET = 'another-secret';
+      const afterChange = applyPseudonyms(parsedWith(['Avery Stone']), 'Sales');
+      process.env.ANONYMITY_SECRET = 'test-secret';
+
+      assert.notEqual(before.respondents[0].name, afterChange.respondents[0].name);
+    });
+
+    it('replaces names in open-ended answers with the same pseudonyms', () => {
+      const result = applyPseudonyms(parsedWith(['Avery Stone', 'Blake Rivera']), 'Sales');
+      const quoted = result.openEndedResponses['What should change?'].map(answer => answer.name);
+
+      assert.deepEqual(quoted, result.respondents.map(r => r.name));
+      assert.ok(!JSON.stringify(result.respondents).includes('Avery'));
+    });
+  });
+
+  describe('describeAnonymity', () => {
+    it('suppresses individual results below the minimum group size', () => {
+      assert.equal(getMinGroupSize(), 5);
+      assert.equal(describeAnonymity('pseudonyms', 4).individuals, 'suppressed');
+      assert.equal(describeAnonymity('pseudonyms', 5).individuals, 'shown');
+    });
+
+    it('reads the minimum group size from ANONYMITY_MIN_GROUP_SIZE', (t) => {
+      process.env.ANONYMITY_MIN_GROUP_SIZE = '3';
+      t.after(() => { delete process.env.ANONYMITY_MIN_GROUP_SIZE; });
+
+      assert.deepEqual(describeAnonymity('pseudonyms', 3), { mode: 'pseudonyms', individuals: 'shown', minGroupSize: 3 });
+      assert.equal(describeAnonymity('pseudonyms', 2).individuals, 'suppressed');
+    });
+
+    it('always omits individual results in aggregate mode and always shows them when off', () => {
+      assert.equal(describeAnonymity('aggregate', 50).individuals, 'omitted');
+      assert.equal(describeAnonymity('off', 1).individuals, 'shown');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDefinition } = require('../services/assessmentRegistry');
+const { parseExcelFile } = require('../services/excelParser');
+const { calculateAll } = require('../services/calculator');
+const { sampleRespondents, writeWorkbook } = require('./helpers');
+
+// A second, smaller form with its own drivers, skills and a 1-4 scale
+const pulseCheck = normalizeDefinition({
+  id: 'pulse-check',
+  version: '1.0.0',
+  name: 'Pulse Check',
+  drivers: ['Focus', 'Energy'],
+  scale: { min: 1, max: 4, labels: { 'Never': 1, 'Sometimes': 2, 'Often': 3, 'Always': 4 } },
+  questions: [
+    { driver: 'Focus', skill: 'Priorities', text: 'We know what matters most this quarter.' },
+    { driver: 'Focus', skill: 'Priorities', text: 'We say no to work outside our priorities.' },
+    { driver: 'Energy', skill: 'Morale', text: 'People look forward to our team meetings.' },
+    { driver: 'Energy', skill: 'Recovery', text: 'We recover quickly after a setback.' }
+  ]
+}, 'pulse-check.json');
+
+describe('a second assessment definition', () => {
+  it('fills in skills in the order the questions first use them', () => {
+    assert.deepEqual(pulseCheck.skills, ['Priorities', 'Morale', 'Recovery']);
+    assert.deepEqual(pulseCheck.maturityBands, []);
+  });
+
+  it('parses and scores a workbook with its own drivers, skills and scale', () => {
+    const respondents = sampleRespondents(4).map(respondent => ({
+      ...respondent,
+      answers: ['Always', 'Often', 'Sometimes', 'Never']
+    }));
+    const parsed = parseExcelFile(writeWorkbook(respondents, { assessment: pulseCheck }), pulseCheck);
+    const calculated = calculateAll(parsed);
+
+    assert.equal(parsed.respondents.length, 4);
+    assert.deepEqual(parsed.questions.map(q => q.driver), ['Focus', 'Focus', 'Energy', 'Energy']);
+
+    assert.deepEqual(calculated.driverScores, { Focus: 3.5, Energy: 1.5 });
+    assert.deepEqual(
+      calculated.skillStats.map(stats => [stats.skill, stats.drivers, stats.average, stats.questionCount]),
+      [['Priorities', ['Focus'], 3.5, 2], ['Morale', ['Energy'], 2, 1], ['Recovery', ['Energy'], 1, 1]]
+    );
+    assert.equal(calculated.assessment.id, 'pulse-check');
+    assert.deepEqual(calculated.assessment.scale, pulseCheck.scale);
+    assert.equal(calculated.maturity, null);
+  });
+
+  it('rejects a question that uses a driver the definition does not list', () => {
+    assert.throws(() => normalizeDefinition({
+      id: 'pulse-check',
+      version: '1.0.1',
+      name: 'Pulse Check',
+      drivers: ['Focus'],
+      scale: { min: 1, max: 4, labels: { 'Always': 4 } },
+      questions: [{ driver: 'Energy', skill: 'Morale', text: 'We enjoy our work.' }]
+    }, 'pulse-check.json'), /unknown driver "Energy"/);
+  });
+});
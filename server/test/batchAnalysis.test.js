@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { sampleRespondents, writeWorkbook } = require('./helpers');
+const { splitWorkbookByTeam, assertUniqueTeamNames } = require('../services/batchAnalysis');
+const { removeFiles } = require('../services/analysisPipeline');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+/**
+ * Lists the split workbooks currently in the uploads directory
+ * @returns {string[]} File names
+ */
+function listSplitFiles() {
+  return fs.readdirSync(UPLOADS_DIR).filter(name => name.startsWith('batch-'));
+}
+
+/**
+ * Writes a workbook whose Team column holds the given values, one per respondent
+ * @param {string[]} teams - Team of each respondent
+ * @returns {string} Workbook path
+ */
+function writeTeamWorkbook(teams) {
+  return writeWorkbook(
+    sampleRespondents(teams.length).map((respondent, index) => ({ ...respondent, extra: [teams[index]] })),
+    { extraHeaders: ['Team'] }
+  );
+}
+
+describe('splitWorkbookByTeam', () => {
+  it('writes one workbook per team, in order of first appearance', (t) => {
+    const teams = splitWorkbookByTeam(writeTeamWorkbook(['Sales', 'Finance', 'Sales']), 'team');
+    t.after(() => removeFiles(...teams.map(team => team.filePath)));
+
+    assert.deepEqual(teams.map(team => team.teamName), ['Sales', 'Finance']);
+    teams.forEach(team => assert.ok(fs.existsSync(team.filePath)));
+  });
+
+  it('leaves the team column out of team workbooks', (t) => {
+    const teams = splitWorkbookByTeam(writeTeamWorkbook(['Sales', 'Finance', 'Sales']), 'Team');
+    t.after(() => removeFiles(...teams.map(team => team.filePath)));
+
+    const workbook = XLSX.readFile(teams[1].filePath);
+    const [headers, ...rows] = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+
+    assert.ok(!headers.includes('Team'));
+    assert.equal(rows.length, 1);
+    assert.ok(!rows[0].includes('Finance'));
+  });
+
+  it('rejects team names that differ only in capitalization before writing anything', () => {
+    const before = listSplitFiles();
+
+    assert.throws(
+      () => splitWorkbookByTeam(writeTeamWorkbook(['Sales', 'Finance', 'sales']), 'Team'),
+      /Team "sales" appears more than once/
+    );
+    assert.deepEqual(listSplitFiles(), before);
+  });
+
+  it('rejects a missing team column', () => {
+    assert.throws(() => splitWorkbookByTeam(writeTeamWorkbook(['Sales']), 'Division'), /Team column "Division" was not found/);
+  });
+});
+
+describe('assertUniqueTeamNames', () => {
+  it('compares names case-insensitively', () => {
+    assert.doesNotThrow(() => assertUniqueTeamNames(['Sales', 'Finance']));
+    assert.throws(() => assertUniqueTeamNames(['Sales', 'SALES']), /appears more than once/);
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculatePercentile,
+  importNormSet,
+  buildNorms,
+  calculateBenchmark,
+  toNormsFile,
+  MIN_BENCHMARK_TEAMS
+} = require('../services/benchmarks');
+const { getAssessment } = require('../services/assessmentRegistry');
+
+const assessment = getAssessment();
+
+describe('calculatePercentile', () => {
+  const measure = { values: [2.1, 2.8, 3.0, 3.4, 3.9] };
+
+  it('counts teams below a score in a distribution', () => {
+    assert.equal(calculatePercentile(3.5, measure), 80);
+    assert.equal(calculatePercentile(1.5, measure), 0);
+    assert.equal(calculatePercentile(4.5, measure), 100);
+  });
+
+  it('counts a tied team as half below', () => {
+    assert.equal(calculatePercentile(3.0, measure), 50);
+    assert.equal(calculatePercentile(3.003, measure), 50);
+  });
+
+  it('assumes a normal distribution for { mean, sd }', () => {
+    assert.equal(calculatePercentile(3.2, { mean: 3.2, sd: 0.5 }), 50);
+    assert.equal(calculatePercentile(3.7, { mean: 3.2, sd: 0.5 }), 84);
+    assert.equal(calculatePercentile(2.2, { mean: 3.2, sd: 0.5 }), 2);
+  });
+
+  it('places scores above or below the mean when there is no spread', () => {
+    assert.equal(calculatePercentile(3.2, { mean: 3.2, sd: 0 }), 50);
+    assert.equal(calculatePercentile(3.3, { mean: 3.2, sd: 0 }), 100);
+    assert.equal(calculatePercentile(3.1, { mean: 3.2, sd: 0 }), 0);
+  });
+});
+
+describe('importNormSet', () => {
+  const file = {
+    name: 'All teams 2026',
+    overall: { values: [3.4, 2.9, 3.1, 3.8, 3.3] },
+    drivers: {
+      Purpose: { mean: 3.5, sd: 0.4, n: 12 },
+      Profit: { values: [2.5, 3, 3.5, 4, 2.8] }
+    },
+    questions: { 0: { mean: 3.9, sd: 0.6 } }
+  };
+
+  it('reads distributions and normal summaries', () => {
+    const normSet = importNormSet(file, assessment);
+
+    assert.equal(normSet.name, 'All teams 2026');
+    assert.equal(normSet.source, 'import');
+    assert.equal(normSet.teamCount, 12);
+    assert.deepEqual(normSet.norms.overall.values, [2.9, 3.1, 3.3, 3.4, 3.8]);
+    assert.deepEqual(normSet.norms.drivers.Purpose, { n: 12, mean: 3.5, sd: 0.4 });
+    assert.deepEqual(normSet.norms.questions['0'], { n: null, mean: 3.9, sd: 0.6 });
+    assert.deepEqual(normSet.assessment, { id: assessment.id, version: assessment.version, name: assessment.name });
+  });
+
+  it('lets the request override the name and description', () => {
+    const normSet = importNormSet(file, assessment, { name: 'Sales orgs', description: ' Field teams ' });
+
+    assert.equal(normSet.name, 'Sales orgs');
+    assert.equal(normSet.description, 'Field teams');
+  });
+
+  it('rejects drivers the assessment does not have', () => {
+    assert.throws(
+      () => importNormSet({ ...file, drivers: { Purpose: file.drivers.Purpose, Pricing: { mean: 3, sd: 1 } } }, assessment),
+      /"Pricing" is not a driver/
+    );
+  });
+
+  it('rejects measures without values or a mean and sd', () => {
+    assert.throws(
+      () => importNormSet({ ...file, drivers: { Purpose: { mean: 3.5 } } }, assessment),
+      /drivers "Purpose" needs either "values" or a numeric "mean" and "sd"/
+    );
+  });
+
+  it(`rejects norm sets describing fewer than ${MIN_BENCHMARK_TEAMS} teams`, () => {
+    assert.throws(
+      () => importNormSet({ name: 'Tiny', drivers: { Purpose: { values: [3, 3.5, 4] } } }, assessment),
+      /at least 5 teams/
+    );
+  });
+});
+
+/**
+ * Builds a saved run whose drivers all score the same
+ * @param {string} teamName - Team name
+ * @param {number} score - Score of every driver
+ * @returns {Object} { teamName, calculatedData } as listLatestTeamRuns returns it
+ */
+function runScoring(teamName, score) {
+  return {
+    teamName,
+    calculatedData: {
+      assessment: { id: assessment.id, version: assessment.version },
+      driverScores: Object.fromEntries(assessment.drivers.map(driver => [driver, score])),
+      skillStats: [],
+      questions: []
+    }
+  };
+}
+
+describe('benchmarks built from saved runs', () => {
+  // Newest first: Sales also has an older run, which is not used
+  const runs = [
+    runScoring('Sales', 4.5),
+    runScoring('Finance', 2),
+    runScoring('Ops', 2.5),
+    runScoring('People', 3),
+    runScoring('Product', 3.5),
+    runScoring('Legal', 4),
+    runScoring('sales', 1)
+  ];
+  const normSet = { name: 'All teams', assessment, ...buildNorms(runs, assessment.version) };
+
+  it('use each team\'s latest run', () => {
+    assert.equal(normSet.teamCount, 6);
+    assert.deepEqual(normSet.norms.overall.values, [2, 2.5, 3, 3.5, 4, 4.5]);
+    assert.equal(normSet.norms.teams.sales.overall, 4.5);
+  });
+
+  it('leave the benchmarked team\'s own run out', () => {
+    const benchmark = calculateBenchmark(runScoring('SALES', 4).calculatedData, normSet, 'SALES');
+
+    assert.equal(benchmark.ownRunExcluded, true);
+    assert.equal(benchmark.normSet.teamCount, 5);
+    assert.equal(benchmark.overall.n, 5);
+    assert.equal(benchmark.overall.percentile, 90);
+    assert.equal(benchmark.drivers[assessment.drivers[0]].percentile, 90);
+  });
+
+  it('keep every team for a team that is not in the norm set', () => {
+    const benchmark = calculateBenchmark(runScoring('Support', 4).calculatedData, normSet, 'Support');
+
+    assert.equal(benchmark.ownRunExcluded, false);
+    assert.equal(benchmark.normSet.teamCount, 6);
+    assert.equal(benchmark.overall.percentile, 75);
+  });
+
+  it(`drop measures left with fewer than ${MIN_BENCHMARK_TEAMS} other teams`, () => {
+    const small = { name: 'Five teams', assessment, ...buildNorms(runs.slice(0, 5), assessment.version) };
+    const benchmark = calculateBenchmark(runScoring('Sales', 4).calculatedData, small, 'Sales');
+
+    assert.equal(benchmark.overall, null);
+    assert.deepEqual(benchmark.drivers, {});
+  });
+
+  it('do not export which team each score came from', () => {
+    assert.equal(toNormsFile(normSet).teams, undefined);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExcelFile } = require('../services/excelParser');
+const { calculateAll } = require('../services/calculator');
+const { getAssessment } = require('../services/assessmentRegistry');
+const { sampleRespondents, writeWorkbook } = require('./helpers');
+
+const { questions } = getAssessment();
+
+/**
+ * Scores a team that answers "Agree" everywhere except where `answerFor` says otherwise
+ * @param {Function} answerFor - (questionIndex, respondentIndex) => answer, or undefined for "Agree"
+ * @returns {Object} Output of calculateAll
+ */
+function calculateTeam(answerFor) {
+  const respondents = sampleRespondents(6).map((respondent, r) => ({
+    ...respondent,
+    answers: questions.map((_, q) => answerFor(q, r) || 'Agree')
+  }));
+  return calculateAll(parseExcelFile(writeWorkbook(respondents)));
+}
+
+describe('calculateAll with a question nobody answered', () => {
+  // Everyone marks the first question (Purpose / Mission) N/A; a few disagree on the second
+  const calculated = calculateTeam((q, r) => {
+    if (q === 0) return 'N/A';
+    if (q === 1 && r < 2) return 'Disagree';
+    return undefined;
+  });
+  const unanswered = calculated.questions[0];
+
+  it('gives the question no score', () => {
+    assert.equal(unanswered.responseCount, 0);
+    assert.equal(unanswered.average, null);
+  });
+
+  it('leaves it out of the driver, skill, overall and maturity averages', () => {
+    // Mission: question 1 averages 3.33 and question 2 averages 4
+    const mission = calculated.skillStats.find(stats => stats.skill === 'Mission');
+    assert.equal(mission.average, 3.67);
+    assert.equal(mission.questionCount, 3);
+
+    const purposeQuestions = calculated.questions.filter(q => q.driver === 'Purpose' && q.average !== null);
+    const expectedPurpose = Number((purposeQuestions.reduce((sum, q) => sum + q.average, 0) / purposeQuestions.length).toFixed(2));
+    assert.equal(calculated.driverScores.Purpose, expectedPurpose);
+    assert.equal(calculated.driverScores.People, 4);
+    assert.ok(calculated.maturity.overall.score > 3.9);
+  });
+
+  it('leaves it out of the highest, lowest, aligned and divided picks', () => {
+    ['highestQuestion', 'lowestQuestion', 'mostAligned', 'mostDisagreed'].forEach(pick => {
+      assert.notEqual(calculated[pick].index, unanswered.index, `${pick} is the unanswered question`);
+    });
+    ['sortedByAlignment', 'sortedByDifference', 'sortedByHighestScore', 'sortedByLowestScore'].forEach(list => {
+      assert.ok(calculated[list].every(q => q.index !== unanswered.index), `${list} includes the unanswered question`);
+    });
+    assert.equal(calculated.lowestQuestion.index, 1);
+    assert.ok(calculated.allQuestionsInOrder.includes(unanswered));
+  });
+
+  it('leaves out a skill none of whose questions were answered', () => {
+    const noMission = calculateTeam(q => (questions[q].skill === 'Mission' ? 'N/A' : undefined));
+
+    assert.ok(!noMission.skillStats.some(stats => stats.skill === 'Mission'));
+    assert.equal(noMission.driverScores.Purpose, 4);
+    assert.equal(noMission.maturity.skills.Mission, undefined);
+  });
+});
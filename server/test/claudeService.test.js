@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockLlmServer } = require('../mock-llm-server');
+const { parseExcelFile } = require('../services/excelParser');
+const { calculateAll } = require('../services/calculator');
+const { generateInsights } = require('../services/claudeService');
+const { sampleRespondents, writeWorkbook } = require('./helpers');
+
+/**
+ * Parses and scores a generated workbook
+ * @param {Object[]} respondents - [{ name }]
+ * @returns {Object} Output of calculateAll
+ */
+function calculateSample(respondents) {
+  return calculateAll(parseExcelFile(writeWorkbook(respondents)));
+}
+
+/**
+ * Runs generateInsights against a mock server started with the given fault
+ * @param {Object} t - Test context (console output is captured through it)
+ * @param {Object} calculatedData - Output of calculateAll
+ * @param {string} fault - Mock fault, or undefined for clean responses
+ * @returns {Promise<Object>} { insights, repairs } where repairs counts repair attempts
+ */
+async function generateWithMock(t, calculatedData, fault) {
+  const mock = await startMockLlmServer({ fault });
+  process.env.LLM_BASE_URL = mock.url;
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  try {
+    const insights = await generateInsights('Test Team', calculatedData);
+    const repairs = warn.mock.calls.filter(call => String(call.arguments[0]).includes('Repair attempt')).length;
+    return { insights, repairs };
+  } finally {
+    await mock.close();
+  }
+}
+
+describe('generateInsights', () => {
+  const savedEnv = { ...process.env };
+
+  before(() => {
+    process.env.ANTHROPIC_API_KEY = 'mock';
+    delete process.env.LLM_MEMBER_BATCH_SIZE;
+  });
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    process.env = savedEnv;
+  });
+
+  describe('schema repair', () => {
+    const calculatedData = calculateSample(sampleRespondents(5));
+    const names = calculatedData.respondents.map(r => r.name);
+
+    it('accepts JSON wrapped in a markdown fence without a repair call', async (t) => {
+      const { insights, repairs } = await generateWithMock(t, calculatedData, 'fenced');
+
+      assert.equal(repairs, 0);
+      assert.equal(insights.source, 'claude');
+      assert.deepEqual(insights.teamMemberAnalysis.map(m => m.name), names);
+    });
+
+    it('keeps the complete parts of a truncated response and repairs the rest', async (t) => {
+      const { insights, repairs } = await generateWithMock(t, calculatedData, 'truncate');
+
+      assert.equal(repairs, 1);
+      assert.ok(insights.executiveSummary);
+      assert.equal(insights.discussionQuestions.length, 3);
+      assert.deepEqual(insights.teamMemberAnalysis.map(m => m.name), names);
+    });
+
+    it('asks again for a team member left out of the response', async (t) => {
+      const { insights, repairs } = await generateWithMock(t, calculatedData, 'drop-member');
+
+      assert.equal(repairs, 1);
+      assert.deepEqual(insights.teamMemberAnalysis.map(m => m.name), names);
+    });
+  });
+
+  describe('batched team member analysis', () => {
+    it('merges batches back into respondent order', async (t) => {
+      process.env.LLM_MEMBER_BATCH_SIZE = '2';
+      t.after(() => { delete process.env.LLM_MEMBER_BATCH_SIZE; });
+
+      const calculatedData = calculateSample(sampleRespondents(7));
+      const { insights } = await generateWithMock(t, calculatedData);
+
+      assert.deepEqual(insights.teamMemberAnalysis.map(m => m.name), calculatedData.respondents.map(r => r.name));
+      assert.ok(insights.executiveSummary);
+    });
+
+    it('keeps one entry for a name that appears in two batches', async (t) => {
+      process.env.LLM_MEMBER_BATCH_SIZE = '2';
+      t.after(() => { delete process.env.LLM_MEMBER_BATCH_SIZE; });
+
+      const [first, second, third] = sampleRespondents(3);
+      const calculatedData = calculateSample([first, second, third, first]);
+      const { insights } = await generateWithMock(t, calculatedData);
+
+      assert.deepEqual(insights.teamMemberAnalysis.map(m => m.name), [first.name, second.name, third.name]);
+    });
+  });
+});
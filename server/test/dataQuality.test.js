@@ -0,0 +1,41 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMinCompletion, resolveMinCompletion } = require('../services/dataQuality');
+const { parseExcelFile } = require('../services/excelParser');
+const { getAssessment } = require('../services/assessmentRegistry');
+const { sampleAnswers, sampleRespondents, writeWorkbook } = require('./helpers');
+
+const { questions } = getAssessment();
+
+describe('completion threshold', () => {
+  const configured = process.env.DATA_QUALITY_MIN_COMPLETION;
+
+  afterEach(() => {
+    if (configured === undefined) delete process.env.DATA_QUALITY_MIN_COMPLETION;
+    else process.env.DATA_QUALITY_MIN_COMPLETION = configured;
+  });
+
+  it('includes everyone who answered by default', () => {
+    delete process.env.DATA_QUALITY_MIN_COMPLETION;
+    const respondents = sampleRespondents(3);
+    const filePath = writeWorkbook([
+      { ...respondents[0], answers: sampleAnswers(0, questions.length).map((answer, index) => (index < 5 ? answer : '')) },
+      respondents[1],
+      respondents[2]
+    ]);
+
+    assert.equal(getMinCompletion(), 0);
+    assert.equal(parseExcelFile(filePath, undefined, { minCompletion: resolveMinCompletion('') }).respondents.length, 3);
+    assert.equal(parseExcelFile(filePath, undefined, { minCompletion: resolveMinCompletion('50') }).respondents.length, 2);
+  });
+
+  it('reads DATA_QUALITY_MIN_COMPLETION as a percentage', () => {
+    process.env.DATA_QUALITY_MIN_COMPLETION = '50';
+    assert.equal(resolveMinCompletion(undefined), 0.5);
+    assert.equal(resolveMinCompletion('80'), 0.8);
+  });
+
+  it('rejects percentages outside 0-100', () => {
+    assert.throws(() => resolveMinCompletion('150'), /Use a percentage from 0 to 100/);
+  });
+});
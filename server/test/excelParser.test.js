@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapColumns, parseExcelFile } = require('../services/excelParser');
+const { getAssessment } = require('../services/assessmentRegistry');
+const { sampleAnswers, sampleRespondents, writeWorkbook } = require('./helpers');
+
+const { questions } = getAssessment();
+
+describe('mapColumns', () => {
+  it('matches questions by header text wherever the columns sit', () => {
+    const headers = ['Name', ...questions.map(q => q.text)].reverse();
+    const columnMap = mapColumns(headers, questions);
+
+    assert.equal(columnMap.nameColumn, headers.length - 1);
+    assert.deepEqual(columnMap.unmatchedQuestions, []);
+    questions.forEach((question, index) => {
+      assert.equal(headers[columnMap.questionColumns[index]], question.text);
+    });
+  });
+
+  it('absorbs punctuation and whitespace changes in headers', () => {
+    const headers = ['Name', ...questions.map(q => `  ${q.text.replace(/\.$/, '').toUpperCase()}  `)];
+    const columnMap = mapColumns(headers, questions);
+
+    assert.deepEqual(columnMap.unmatchedQuestions, []);
+    assert.ok(columnMap.columns.slice(1).every(c => c.status === 'question'));
+  });
+
+  it('reports a missing question with the closest unclaimed column', () => {
+    const headers = ['Name', ...questions.slice(1).map(q => q.text), 'Something unrelated entirely'];
+    const columnMap = mapColumns(headers, questions);
+
+    assert.equal(columnMap.unmatchedQuestions.length, 1);
+    assert.equal(columnMap.unmatchedQuestions[0].questionIndex, 0);
+    assert.equal(columnMap.unmatchedQuestions[0].bestHeader, 'Something unrelated entirely');
+  });
+
+  it('never reads email columns, by header or by content', () => {
+    const headers = ['Name', ...questions.map(q => q.text), 'E-mail', 'Work contact', 'Role', 'What should we start doing?'];
+    const rows = [['Avery', ...questions.map(() => 'Agree'), 'avery@example.com', 'avery@corp.example', 'CEO', 'Plan earlier']];
+    const columnMap = mapColumns(headers, questions, { rows });
+    const statusOf = header => columnMap.columns.find(c => c.header === header).status;
+
+    assert.equal(statusOf('E-mail'), 'ignored');
+    assert.equal(statusOf('Work contact'), 'ignored');
+    assert.equal(statusOf('Role'), 'detail');
+    assert.equal(statusOf('What should we start doing?'), 'openEnded');
+  });
+
+  it('reads a column as open-ended when the assessment names it', () => {
+    const headers = ['Name', ...questions.map(q => q.text), 'Biggest obstacle'];
+    const columnMap = mapColumns(headers, questions, { openEndedQuestions: ['Biggest obstacle'] });
+
+    assert.deepEqual(columnMap.openEndedColumns, [headers.length - 1]);
+    assert.deepEqual(columnMap.detailColumns, []);
+  });
+});
+
+describe('parseExcelFile duplicate policies', () => {
+  // Avery submitted twice: an early, partly blank row and a later complete one
+  const buildDuplicateWorkbook = () => {
+    const respondents = sampleRespondents(3);
+    const partial = sampleAnswers(0, questions.length).map((answer, index) => (index < 50 ? answer : ''));
+    return writeWorkbook([
+      { ...respondents[0], answers: partial, submittedAt: '2026-03-01T09:00:00Z' },
+      { ...respondents[1], submittedAt: '2026-03-01T10:00:00Z' },
+      { ...respondents[2], submittedAt: '2026-03-01T11:00:00Z' },
+      { name: 'avery stone', answers: sampleAnswers(3, questions.length).map((a, i) => (i < 70 ? a : '')), submittedAt: '2026-03-02T09:00:00Z' },
+      { name: 'Avery Stone', answers: sampleAnswers(4, questions.length).map((a, i) => (i < 60 ? a : '')), submittedAt: '2026-03-03T09:00:00Z' }
+    ]);
+  };
+
+  it('keeps every submission and reports the duplicate under "flag"', () => {
+    const parsed = parseExcelFile(buildDuplicateWorkbook(), undefined, { duplicatePolicy: 'flag' });
+
+    assert.equal(parsed.respondents.length, 5);
+    assert.deepEqual(parsed.dataQuality.duplicates, [{ name: 'Avery Stone', rows: [2, 5, 6], kept: [2, 5, 6] }]);
+  });
+
+  it('keeps the latest submission under "latest"', () => {
+    const parsed = parseExcelFile(buildDuplicateWorkbook(), undefined, { duplicatePolicy: 'latest' });
+
+    assert.equal(parsed.respondents.length, 3);
+    assert.deepEqual(parsed.dataQuality.duplicates[0].kept, [6]);
+    assert.deepEqual(
+      parsed.dataQuality.excluded.map(({ row, reason, keptRow }) => ({ row, reason, keptRow })),
+      [{ row: 2, reason: 'duplicate', keptRow: 6 }, { row: 5, reason: 'duplicate', keptRow: 6 }]
+    );
+  });
+
+  it('keeps the submission with the most answers under "most-complete"', () => {
+    const parsed = parseExcelFile(buildDuplicateWorkbook(), undefined, { duplicatePolicy: 'most-complete' });
+
+    assert.equal(parsed.respondents.length, 3);
+    assert.deepEqual(parsed.dataQuality.duplicates[0].kept, [5]);
+    assert.equal(parsed.respondents.find(r => r.name.toLowerCase() === 'avery stone').responseCounts.answered, 70);
+  });
+});
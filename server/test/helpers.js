@@ -0,0 +1,128 @@
+/**
+ * Test Helpers
+ *
+ * Builds Microsoft Forms style workbooks for an assessment in a
+ * temporary directory, so tests never depend on files outside the repo.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { getAssessment } = require('../services/assessmentRegistry');
+
+const LABELS = ['Strongly Disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly Agree'];
+
+// Forms bookkeeping columns placed before the questions in every export
+const FORMS_HEADERS = ['ID', 'Start time', 'Completion time', 'Email', 'Name'];
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tma-test-'));
+let fileCount = 0;
+
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Builds one respondent's answers: a spread of scale labels that differs per person
+ * @param {number} index - Respondent index
+ * @param {number} questionCount - Number of questions
+ * @returns {string[]} One scale label per question
+ */
+function sampleAnswers(index, questionCount) {
+  return Array.from({ length: questionCount }, (_, q) => LABELS[(index + q) % LABELS.length]);
+}
+
+/**
+ * Writes a workbook for an assessment (the default one unless given)
+ * @param {Object[]} respondents - [{ name, answers, submittedAt, extra }], where
+ *   answers defaults to sampleAnswers and extra holds values for extraHeaders
+ * @param {Object} options - Workbook options
+ * @param {string[]} options.extraHeaders - Headers appended after the questions
+ * @param {Function} options.mapHeaders - (headers) => headers, e.g. to reorder or reword
+ * @param {Object} options.assessment - Assessment whose questions head the columns
+ * @returns {string} Workbook path
+ */
+function writeWorkbook(respondents, { extraHeaders = [], mapHeaders = headers => headers, assessment = getAssessment() } = {}) {
+  const { questions } = assessment;
+  const headers = [...FORMS_HEADERS, ...questions.map(q => q.text), ...extraHeaders];
+
+  const rows = respondents.map((respondent, index) => [
+    index + 1,
+    respondent.submittedAt || '',
+    respondent.submittedAt || '',
+    `${String(respondent.name).toLowerCase().replace(/\s+/g, '.')}@example.com`,
+    respondent.name,
+    ...(respondent.answers || sampleAnswers(index, questions.length)),
+    ...(respondent.extra || [])
+  ]);
+
+  // Reordering helpers see header and data columns together
+  const columns = headers.map((header, column) => ({ header, cells: rows.map(row => row[column]) }));
+  const mapped = mapHeaders(columns.map(c => c.header));
+  const ordered = mapped.map(header => {
+    const source = columns.find(c => c.header === header);
+    return source || { header, cells: rows.map(() => '') };
+  });
+
+  const sheet = [
+    ordered.map(c => c.header),
+    ...rows.map((_, rowIndex) => ordered.map(c => c.cells[rowIndex]))
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet), 'Sheet1');
+  const filePath = path.join(tempDir, `workbook-${++fileCount}.xlsx`);
+  XLSX.writeFile(workbook, filePath);
+  return filePath;
+}
+
+/**
+ * Builds named respondents for writeWorkbook
+ * @param {number} count - Number of respondents
+ * @returns {Object[]} [{ name }]
+ */
+function sampleRespondents(count) {
+  const names = ['Avery Stone', 'Blake Rivera', 'Casey Morgan', 'Devon Ellis', 'Emerson Park',
+    'Finley Hart', 'Gray Holloway', 'Harper Quinn', 'Indigo Shah', 'Jordan Vale'];
+  return Array.from({ length: count }, (_, index) => ({ name: names[index] || `Person ${index + 1}` }));
+}
+
+/**
+ * Gets a path in the temporary directory (e.g. for a test database)
+ * @param {string} name - File name
+ * @returns {string} Absolute path
+ */
+function tempPath(name) {
+  return path.join(tempDir, name);
+}
+
+/**
+ * Serves API routers on a free local port, signed in as a test user
+ * @param {...express.Router} routers - Routers mounted under /api
+ * @returns {Promise<Object>} { url, close }
+ */
+async function startApp(...routers) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', (req, res, next) => {
+    req.user = { email: 'tester@example.com' };
+    next();
+  }, ...routers);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  LABELS,
+  sampleAnswers,
+  sampleRespondents,
+  writeWorkbook,
+  tempPath,
+  startApp
+};
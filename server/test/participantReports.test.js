@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExcelFile } = require('../services/excelParser');
+const { calculateAll } = require('../services/calculator');
+const {
+  MIN_PARTICIPANT_TEAM_SIZE,
+  describeParticipantReportsUnavailable,
+  summarizeParticipant
+} = require('../services/participantReports');
+const { sampleRespondents, writeWorkbook } = require('./helpers');
+
+/**
+ * Parses and scores a generated workbook
+ * @param {number} count - Number of respondents
+ * @returns {Object} Output of calculateAll
+ */
+function calculateTeam(count) {
+  return calculateAll(parseExcelFile(writeWorkbook(sampleRespondents(count))));
+}
+
+describe('participant reports', () => {
+  it(`need at least ${MIN_PARTICIPANT_TEAM_SIZE} respondents`, () => {
+    assert.equal(MIN_PARTICIPANT_TEAM_SIZE, 3);
+    assert.match(describeParticipantReportsUnavailable(calculateTeam(2)), /at least 3 respondents/);
+    assert.equal(describeParticipantReportsUnavailable(calculateTeam(3)), null);
+  });
+
+  it('are unavailable when individual results are hidden', () => {
+    const calculatedData = calculateTeam(6);
+    calculatedData.anonymity = { mode: 'aggregate', individuals: 'omitted', minGroupSize: 5 };
+
+    assert.match(describeParticipantReportsUnavailable(calculatedData), /anonymous reports/);
+  });
+
+  it('summarize only one person\'s scores next to team averages', () => {
+    const calculatedData = calculateTeam(4);
+    const participant = summarizeParticipant(calculatedData.respondents[1], calculatedData);
+    const others = calculatedData.respondents.filter((_, index) => index !== 1).map(r => r.name);
+
+    assert.equal(participant.name, calculatedData.respondents[1].name);
+    assert.equal(participant.respondentCount, 4);
+    others.forEach(name => assert.ok(!JSON.stringify(participant).includes(name)));
+  });
+});
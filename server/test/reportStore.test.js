@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { tempPath } = require('./helpers');
+
+process.env.REPORTS_DB_PATH = tempPath('reports.db');
+
+const { saveReport, listLatestTeamRuns } = require('../services/reportStore');
+
+const assessment = { id: 'store-test', version: '1.0', name: 'Store Test' };
+
+/**
+ * Saves a minimal run for a team
+ * @param {string} teamName - Team name
+ * @param {number} respondentCount - Respondents in the run
+ * @returns {Object} Saved report summary
+ */
+function saveRun(teamName, respondentCount) {
+  const pdfPath = tempPath(`${teamName}-${respondentCount}.pdf`);
+  fs.writeFileSync(pdfPath, '%PDF-1.4');
+  return saveReport({
+    teamName,
+    requestedBy: 'tester@example.com',
+    calculatedData: { assessment, respondents: Array.from({ length: respondentCount }, () => ({})) },
+    claudeInsights: {},
+    pdfPath
+  });
+}
+
+describe('listLatestTeamRuns', () => {
+  it('returns only the latest run of each team, names compared case-insensitively', () => {
+    saveRun('Sales', 3);
+    saveRun('Finance', 4);
+    const latestSales = saveRun('sales', 5);
+
+    const runs = listLatestTeamRuns({ assessmentId: assessment.id });
+
+    assert.deepEqual(runs.map(run => run.id), [latestSales.id, runs[1].id]);
+    assert.equal(runs[1].teamName, 'Finance');
+    assert.equal(runs[0].calculatedData.respondents.length, 5);
+  });
+
+  it('picks the latest run among the chosen reports', () => {
+    const older = saveRun('Legal', 3);
+    saveRun('Legal', 4);
+
+    const runs = listLatestTeamRuns({ assessmentId: assessment.id, reportIds: [older.id] });
+
+    assert.deepEqual(runs.map(run => run.id), [older.id]);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { tempPath, startApp } = require('./helpers');
+
+process.env.REPORTS_DB_PATH = tempPath('reports.db');
+
+const { saveReport } = require('../services/reportStore');
+const { assertComparableRuns } = require('../services/comparisonCalculator');
+const reportsRoute = require('../routes/reports');
+
+const assessment = { id: 'compare-test', version: '1.0', name: 'Compare Test' };
+
+/**
+ * Saves a minimal run for a team
+ * @param {string} teamName - Team name
+ * @param {Object} [runAssessment] - Assessment the run was scored against
+ * @returns {Object} Saved report summary
+ */
+function saveRun(teamName, runAssessment = assessment) {
+  const pdfPath = tempPath(`${teamName}-${Date.now()}-${Math.random()}.pdf`);
+  fs.writeFileSync(pdfPath, '%PDF-1.4');
+  return saveReport({
+    teamName,
+    requestedBy: 'tester@example.com',
+    calculatedData: { assessment: runAssessment, respondents: [{}, {}, {}] },
+    claudeInsights: {},
+    pdfPath
+  });
+}
+
+describe('POST /api/reports/compare', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp(reportsRoute);
+  });
+
+  after(() => app.close());
+
+  /**
+   * Asks the server to compare two saved reports
+   * @param {string} baselineReportId - Earlier report
+   * @param {string} currentReportId - Later report
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function compare(baselineReportId, currentReportId) {
+    const response = await fetch(`${app.url}/reports/compare`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ baselineReportId, currentReportId })
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('rejects runs of different teams', async () => {
+    const baseline = saveRun('Sales');
+    const current = saveRun('Finance');
+
+    const { status, body } = await compare(baseline.id, current.id);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /different teams/);
+  });
+
+  it('rejects runs of different assessments', async () => {
+    const baseline = saveRun('Legal', { id: 'other-assessment', version: '1.0', name: 'Other' });
+    const current = saveRun('Legal');
+
+    const { status, body } = await compare(baseline.id, current.id);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /different assessments/);
+  });
+
+  it('rejects a baseline that is not earlier than the current run', async () => {
+    const earlier = saveRun('Support');
+    const later = saveRun('support');
+
+    const { status, body } = await compare(later.id, earlier.id);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /out of order/);
+  });
+
+  it('returns 404 for a report that does not exist', async () => {
+    const current = saveRun('Marketing');
+
+    const { status } = await compare('missing-report', current.id);
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('assertComparableRuns', () => {
+  /**
+   * Builds a saved run as returned by getReport
+   * @param {string} teamName - Team name
+   * @param {string} createdAt - ISO timestamp
+   * @returns {Object} Saved run
+   */
+  const run = (teamName, createdAt) => ({ teamName, createdAt, calculatedData: { assessment } });
+
+  it('accepts an earlier and a later run of the same team, names compared case-insensitively', () => {
+    assert.doesNotThrow(() => assertComparableRuns(
+      run('Sales ', '2026-01-10T09:00:00.000Z'),
+      run('sales', '2026-04-10T09:00:00.000Z')
+    ));
+  });
+
+  it('rejects two runs saved at the same moment', () => {
+    assert.throws(() => assertComparableRuns(
+      run('Sales', '2026-01-10T09:00:00.000Z'),
+      run('Sales', '2026-01-10T09:00:00.000Z')
+    ), /out of order/);
+  });
+});